@@ -2,8 +2,32 @@ require('dotenv').config();
 
 console.log('🔍 Checking Environment Variables...\n');
 
-const requiredVars = ['GROQ_API_KEY'];
-const optionalVars = ['GROQ_MODEL', 'PORT'];
+const { SERVICES, getProviderConfig } = require('./src/services/llmClient');
+
+// Variables each LLM provider needs before it can be used
+const providerRequiredVars = {
+  groq: ['GROQ_API_KEY'],
+  openai: ['OPENAI_BASE_URL'],
+  anthropic: ['ANTHROPIC_API_KEY'],
+  offline: [],
+};
+
+// Resolve the provider for every service so mixed setups are checked too
+const activeProviders = new Set();
+console.log('LLM Providers:');
+SERVICES.forEach(service => {
+  try {
+    const { provider, model } = getProviderConfig(service);
+    activeProviders.add(provider);
+    console.log(`  ✅ ${service}: ${provider} (${model})`);
+  } catch (error) {
+    console.log(`  ❌ ${service}: ${error.message}`);
+  }
+});
+console.log('');
+
+const requiredVars = [...new Set([...activeProviders].flatMap(p => providerRequiredVars[p] || []))];
+const optionalVars = ['LLM_PROVIDER', 'LLM_MODEL', 'GROQ_MODEL', 'OPENAI_API_KEY', 'OPENAI_MODEL', 'ANTHROPIC_MODEL', 'ATS_SCORING_PROFILE', 'PORT'];
 
 let allGood = true;
 
@@ -43,18 +67,20 @@ console.log('\n📁 .env File:');
 if (fs.existsSync(envPath)) {
   console.log('  ✅ .env file exists');
   const envContent = fs.readFileSync(envPath, 'utf8');
-  const hasGroqKey = envContent.includes('GROQ_API_KEY');
-  if (hasGroqKey) {
-    console.log('  ✅ GROQ_API_KEY found in .env file');
-  } else {
-    console.log('  ❌ GROQ_API_KEY not found in .env file');
-    allGood = false;
-  }
-} else {
+  requiredVars.forEach(varName => {
+    if (envContent.includes(varName)) {
+      console.log(`  ✅ ${varName} found in .env file`);
+    } else {
+      console.log(`  ⚠️  ${varName} not found in .env file`);
+    }
+  });
+} else if (requiredVars.length > 0) {
   console.log('  ❌ .env file does not exist');
   console.log('  💡 Create a .env file in the project root with:');
-  console.log('     GROQ_API_KEY=your_key_here');
+  requiredVars.forEach(varName => console.log(`     ${varName}=...`));
   allGood = false;
+} else {
+  console.log('  ⚠️  .env file does not exist (not needed for the configured providers)');
 }
 
 console.log('\n' + '='.repeat(60));
@@ -1,12 +1,26 @@
 require('dotenv').config();
-const axios = require('axios');
+const { generateStructured } = require('./src/services/structuredOutput');
+const { jobAnalysisSchema } = require('./src/services/outputSchemas');
+const { getProviderConfig } = require('./src/services/llmClient');
+const { getOrCompute, normalizeText } = require('./src/services/responseCache');
 
 /**
- * Analyzes a job posting using Groq AI and extracts structured information
+ * Version of the analysis prompt. Bump it whenever the prompt changes so cached
+ * analyses produced by the old prompt are no longer served.
+ * @type {string}
+ */
+const PROMPT_VERSION = '1';
+
+/**
+ * Analyzes a job posting using the configured LLM provider and extracts structured information.
+ * Results are cached by normalized posting text, provider/model and prompt version.
  * @param {string} jobPostingText - The full text of the job posting
+ * @param {Object} [options] - Options
+ * @param {string} [options.cache='default'] - 'bypass' skips the cache lookup and refreshes the entry
+ * @param {Function} [options.onCacheStatus] - Receives the cache result ({status, key, age})
  * @returns {Promise<Object>} - Object containing extracted job information
  */
-async function analyzeJobPosting(jobPostingText) {
+async function analyzeJobPosting(jobPostingText, options = {}) {
   // Validation
   if (!jobPostingText || typeof jobPostingText !== 'string') {
     throw new Error('jobPostingText must be a non-empty string');
@@ -16,19 +30,45 @@ async function analyzeJobPosting(jobPostingText) {
     throw new Error('jobPostingText cannot be empty');
   }
 
-  // Check for API key
-  const apiKey = process.env.GROQ_API_KEY;
-  if (!apiKey) {
-    throw new Error('GROQ_API_KEY environment variable is not set');
-  }
+  const postingText = normalizeText(jobPostingText);
+  const { provider, model } = getProviderConfig('jobAnalyzer');
 
-  // Get model name from environment or use default
-  const modelName = process.env.GROQ_MODEL || 'llama-3.3-70b-versatile';
+  try {
+    const { value, ...cacheResult } = await getOrCompute(
+      {
+        namespace: 'jobAnalysis',
+        input: postingText,
+        model: `${provider}:${model}`,
+        promptVersion: PROMPT_VERSION,
+        mode: options.cache,
+      },
+      () => requestAnalysis(postingText)
+    );
 
-  // Groq API endpoint
-  const apiUrl = 'https://api.groq.com/openai/v1/chat/completions';
+    if (options.onCacheStatus) {
+      options.onCacheStatus(cacheResult);
+    }
 
-  // Construct the prompt for Groq
+    return value;
+  } catch (error) {
+    // Provider, configuration and invalid-output errors are already descriptive
+    if (error.status || error.message.includes('API error') || error.message.includes('environment variable')) {
+      throw error;
+    } else if (error.message.includes('parse') || error.message.includes('JSON')) {
+      throw error;
+    } else {
+      throw new Error(`Error analyzing job posting: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Asks the model to analyze a job posting
+ * @param {string} jobPostingText - The (normalized) job posting text
+ * @returns {Promise<Object>} - The validated job analysis
+ */
+async function requestAnalysis(jobPostingText) {
+  // Construct the prompt
   const prompt = `Analyze the following job posting and extract structured information. Return ONLY valid JSON without any markdown formatting or code blocks.
 
 Job Posting:
@@ -59,74 +99,25 @@ Guidelines:
 
 Return ONLY the JSON object, no additional text or explanation.`;
 
-  try {
-    // Call Groq API
-    const response = await axios.post(
-      apiUrl,
+  // Request, parse and validate the analysis (repairing or re-asking if needed)
+  return generateStructured({
+    service: 'jobAnalyzer',
+    messages: [
       {
-        model: modelName,
-        messages: [
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
-        max_tokens: 4000,
-        temperature: 0.3,
+        role: 'user',
+        content: prompt,
       },
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
-
-    // Extract the response text
-    const responseText = response.data.choices[0].message.content.trim();
-
-    // Parse JSON response
-    let parsedResponse;
-    try {
-      // Remove markdown code blocks if present
-      const jsonText = responseText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-      parsedResponse = JSON.parse(jsonText);
-    } catch (parseError) {
-      throw new Error(`Failed to parse Groq response as JSON: ${parseError.message}. Response: ${responseText.substring(0, 200)}`);
-    }
-
-    // Validate the structure of the response
-    validateResponse(parsedResponse);
-
-    return parsedResponse;
-  } catch (error) {
-    // Handle API errors
-    if (error.response) {
-      // API responded with error status
-      const errorDetails = error.response.data?.error || error.response.data;
-      const errorMessage = errorDetails?.message || errorDetails || error.message;
-      const errorStatus = error.response.status;
-      
-      // Log full error for debugging
-      console.error('\n🔍 Groq API Error Details:');
-      console.error('Status:', errorStatus);
-      console.error('Status Text:', error.response.statusText);
-      console.error('Response Data:', JSON.stringify(error.response.data, null, 2));
-      console.error('Request URL:', apiUrl);
-      console.error('Model:', modelName);
-      console.error('API Key (first 10 chars):', apiKey ? apiKey.substring(0, 10) + '...' : 'NOT SET');
-      
-      throw new Error(`Groq API error: ${errorMessage} (status: ${errorStatus})`);
-    } else if (error.message.includes('parse') || error.message.includes('JSON')) {
-      throw error;
-    } else {
-      throw new Error(`Error analyzing job posting: ${error.message}`);
-    }
-  }
+    ],
+    schema: jobAnalysisSchema,
+    label: 'job analysis',
+    validate: validateResponse,
+    maxTokens: 4000,
+    temperature: 0.3,
+  });
 }
 
 /**
- * Validates the structure of the response from Groq
+ * Validates the structure of the job analysis returned by the model
  * @param {Object} response - The parsed response object
  * @throws {Error} If the response structure is invalid
  */
@@ -0,0 +1,75 @@
+/**
+ * ATS Vendor Emulation Profiles
+ * How the applicant tracking systems our candidates apply through parse and
+ * match resumes, as far as their documented behaviour and recruiter reports
+ * go. atsVendorEmulator uses them to rescore a resume the way each system
+ * would read it. These are approximations, not the vendors' actual code.
+ *
+ * Each vendor sets:
+ * - matching: 'exact' (the keyword as written) or 'stemmed' (word variants
+ *   such as "deploy", "deployed" and "deployment" match each other)
+ * - matchesSynonyms: whether acronyms and synonyms from src/config/skillSynonyms.js
+ *   match each other ("AWS" and "Amazon Web Services", "Postgres" and "PostgreSQL")
+ * - readsTables: whether text in tables or multi-column layouts is read
+ * - standardHeadersOnly: whether sections under headings it does not know are
+ *   left out of the parsed profile
+ */
+
+/**
+ * @type {Object<string, Object>}
+ */
+const ATS_VENDORS = {
+  workday: {
+    name: 'Workday',
+    matching: 'exact',
+    matchesSynonyms: false,
+    readsTables: false,
+    standardHeadersOnly: true,
+  },
+  greenhouse: {
+    name: 'Greenhouse',
+    matching: 'exact',
+    matchesSynonyms: false,
+    readsTables: true,
+    standardHeadersOnly: false,
+  },
+  lever: {
+    name: 'Lever',
+    matching: 'stemmed',
+    matchesSynonyms: false,
+    readsTables: true,
+    standardHeadersOnly: false,
+  },
+  icims: {
+    name: 'iCIMS',
+    matching: 'stemmed',
+    matchesSynonyms: true,
+    readsTables: false,
+    standardHeadersOnly: true,
+  },
+  taleo: {
+    name: 'Taleo',
+    matching: 'exact',
+    matchesSynonyms: false,
+    readsTables: false,
+    standardHeadersOnly: true,
+  },
+};
+
+/**
+ * Additional section headings every vendor recognizes (lowercase). Summary,
+ * experience, skills and education are always recognized: the exporters
+ * write them with standard headings.
+ * @type {Array<string>}
+ */
+const STANDARD_SECTION_HEADINGS = [
+  'projects', 'key projects', 'certifications', 'certificates', 'licenses', 'licenses and certifications',
+  'awards', 'honors', 'honors and awards', 'achievements', 'key achievements', 'publications',
+  'volunteer', 'volunteer experience', 'volunteering', 'languages', 'training', 'courses',
+  'professional development', 'activities', 'leadership', 'interests', 'references',
+];
+
+module.exports = {
+  ATS_VENDORS,
+  STANDARD_SECTION_HEADINGS,
+};
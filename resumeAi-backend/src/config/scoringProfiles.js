@@ -0,0 +1,92 @@
+/**
+ * ATS Scoring Profiles
+ * Named settings for scoreResume. Each profile sets:
+ * - weights: share of the overall score for keyword match, skills coverage and
+ *   content quality (they add up to 1)
+ * - keywordOccurrenceCap: occurrences of a keyword that count towards the
+ *   keyword match (1 means repeating a keyword cannot make up for a missing one)
+ * - stuffingThreshold: occurrences above which a keyword is flagged as stuffed
+ * - sectionWeights: what one keyword occurrence is worth in each section
+ *   (experience > summary > skills > other; education and additional
+ *   sections count as other)
+ * - contentQuality: point budget of each content quality factor; the score is
+ *   the share of the total budget earned
+ * - capSkillsBudget: stop the skills organization factor at its budget. A full
+ *   skills section earns half as much again, which lifts content quality above
+ *   100 when uncapped; `balanced` keeps the original, uncapped scoring
+ *
+ * The default profile is `ATS_SCORING_PROFILE`, or `balanced` when unset.
+ */
+
+/**
+ * @type {Object<string, Object>}
+ */
+const SCORING_PROFILES = {
+  // Tuned for keyword-driven parsers: coverage of every keyword matters most
+  'strict-keyword': {
+    description: 'Keyword-driven ATS: every keyword must appear, repetition does not compensate for missing ones',
+    weights: { keywordMatch: 0.65, skillsCoverage: 0.30, contentQuality: 0.05 },
+    keywordOccurrenceCap: 1,
+    stuffingThreshold: 6,
+    sectionWeights: { experience: 1, summary: 0.9, skills: 0.8, other: 0.6 },
+    contentQuality: {
+      summary: 20,
+      metrics: 15,
+      actionVerbs: 10,
+      multipleRoles: 5,
+      skills: 35,
+      education: 10,
+      additionalSections: 5,
+    },
+    capSkillsBudget: true,
+  },
+
+  // The original scoring, plus section weights
+  balanced: {
+    description: 'Even mix of keyword match, skills coverage and content quality',
+    weights: { keywordMatch: 0.50, skillsCoverage: 0.30, contentQuality: 0.20 },
+    keywordOccurrenceCap: 3,
+    stuffingThreshold: 5,
+    sectionWeights: { experience: 1, summary: 0.8, skills: 0.6, other: 0.4 },
+    contentQuality: {
+      summary: 25,
+      metrics: 20,
+      actionVerbs: 15,
+      multipleRoles: 5,
+      skills: 20,
+      education: 10,
+      additionalSections: 5,
+    },
+    capSkillsBudget: false,
+  },
+
+  // Tuned for a recruiter reading the resume: quantified, well-written bullets matter most
+  'human-reviewer': {
+    description: 'Recruiter read-through: quantified, action-led bullets weigh most and repetition is penalized early',
+    weights: { keywordMatch: 0.25, skillsCoverage: 0.25, contentQuality: 0.50 },
+    keywordOccurrenceCap: 2,
+    stuffingThreshold: 3,
+    sectionWeights: { experience: 1, summary: 0.7, skills: 0.4, other: 0.3 },
+    contentQuality: {
+      summary: 20,
+      metrics: 30,
+      actionVerbs: 20,
+      multipleRoles: 5,
+      skills: 10,
+      education: 10,
+      additionalSections: 5,
+    },
+    capSkillsBudget: true,
+  },
+};
+
+/**
+ * Profile used when neither the request nor ATS_SCORING_PROFILE picks one
+ * @type {string}
+ */
+const DEFAULT_SCORING_PROFILE = 'balanced';
+
+module.exports = {
+  DEFAULT_SCORING_PROFILE,
+  SCORING_PROFILES,
+};
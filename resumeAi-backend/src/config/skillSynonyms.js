@@ -0,0 +1,64 @@
+/**
+ * Skill Synonyms
+ * The dictionary behind keyword matching (keywordMatcher) and the skills gap
+ * analysis (skillsGapAnalyzer). Keys and variants are lowercase.
+ *
+ * - SYNONYMS: different ways of writing the same thing, including acronyms. A
+ *   resume that uses any of them counts as using the keyword.
+ * - RELATED_SKILLS: broader families (e.g. MySQL for SQL). They are good enough
+ *   for the skills gap analysis, but an ATS would not count them as the keyword.
+ */
+
+/**
+ * @type {Object<string, Array<string>>}
+ */
+const SYNONYMS = {
+  react: ['reactjs', 'react.js'],
+  node: ['nodejs', 'node.js'],
+  javascript: ['js', 'es6', 'es2015', 'ecmascript'],
+  typescript: ['ts'],
+  python: ['py', 'python3'],
+  postgresql: ['postgres', 'psql'],
+  mongodb: ['mongo'],
+  kubernetes: ['k8s'],
+  aws: ['amazon web services', 'amazon-web-services'],
+  gcp: ['google cloud', 'google cloud platform'],
+  azure: ['microsoft azure'],
+  'ci/cd': ['cicd', 'continuous integration', 'continuous deployment', 'continuous delivery'],
+  rest: ['restful', 'rest api', 'restful api'],
+  graphql: ['gql'],
+  sql: ['structured query language'],
+  ml: ['machine learning'],
+  ai: ['artificial intelligence'],
+  nlp: ['natural language processing'],
+  qa: ['quality assurance'],
+  ui: ['user interface'],
+  ux: ['user experience'],
+  api: ['application programming interface'],
+  oop: ['object oriented programming', 'object-oriented programming'],
+  tdd: ['test driven development', 'test-driven development'],
+  saas: ['software as a service'],
+  crm: ['customer relationship management'],
+  seo: ['search engine optimization'],
+  etl: ['extract transform load'],
+  sre: ['site reliability engineering'],
+  kpi: ['key performance indicator'],
+  roi: ['return on investment'],
+};
+
+/**
+ * @type {Object<string, Array<string>>}
+ */
+const RELATED_SKILLS = {
+  react: ['react native', 'reactnative'],
+  docker: ['containers', 'containerization'],
+  sql: ['mysql', 'postgresql', 'sqlite', 'mssql'],
+  nosql: ['mongodb', 'dynamodb', 'cassandra'],
+  git: ['github', 'gitlab', 'bitbucket'],
+  agile: ['scrum', 'kanban'],
+};
+
+module.exports = {
+  RELATED_SKILLS,
+  SYNONYMS,
+};
@@ -0,0 +1,243 @@
+const express = require('express');
+const router = express.Router();
+const {
+  addContact,
+  addEvent,
+  addNote,
+  changeStatus,
+  createApplication,
+  deleteApplication,
+  getApplication,
+  listApplications,
+  removeEntry,
+  updateApplication,
+} = require('../services/applicationTracker');
+
+/**
+ * Sends the error response for a failed application request. Validation and
+ * lookup errors carry their status (400/404); anything else is a 500.
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the tracker
+ * @param {string} action - What failed, for the 500 message (e.g. 'update application')
+ */
+function sendError(res, error, action) {
+  if (error.status === 400 || error.status === 404) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  console.error(`Error trying to ${action}:`, error);
+  return res.status(500).json({
+    success: false,
+    error: `Failed to ${action}: ${error.message}`,
+  });
+}
+
+/**
+ * POST /applications
+ * Creates an application, optionally linked to stored pipeline records
+ *
+ * @route POST /applications
+ * @param {Object} req.body - {company, role, status?, location?, jobUrl?, date?, notes?, contacts?,
+ *   analysisId?, resumeId?, coverLetterId?, atsScoreId?, salaryInsightId?}
+ * @returns {Object} 201 - Success response with the application
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 404 - Linked record not found
+ * @returns {Object} 500 - Server error
+ */
+router.post('/', (req, res) => {
+  try {
+    const application = createApplication(req.body);
+    return res.status(201).json({ success: true, application });
+  } catch (error) {
+    return sendError(res, error, 'create application');
+  }
+});
+
+/**
+ * GET /applications
+ * Lists applications
+ *
+ * @route GET /applications
+ * @param {string} [req.query.status] - Comma-separated statuses (e.g. applied,screening)
+ * @param {string} [req.query.company] - Company name contains
+ * @param {string} [req.query.from] - Application date on or after (YYYY-MM-DD)
+ * @param {string} [req.query.to] - Application date on or before (YYYY-MM-DD)
+ * @param {number} [req.query.minAtsScore] - Minimum ATS score
+ * @param {number} [req.query.maxAtsScore] - Maximum ATS score
+ * @param {string} [req.query.sort] - createdAt, updatedAt, appliedAt, company, status or atsScore
+ * @param {string} [req.query.order] - asc or desc
+ * @returns {Object} 200 - Success response with the matching applications
+ * @returns {Object} 400 - Invalid filter
+ * @returns {Object} 500 - Server error
+ */
+router.get('/', (req, res) => {
+  try {
+    const applications = listApplications(req.query);
+    return res.status(200).json({ success: true, count: applications.length, applications });
+  } catch (error) {
+    return sendError(res, error, 'list applications');
+  }
+});
+
+/**
+ * GET /applications/:id
+ * Returns an application with its linked analysis, resume, cover letter, ATS score and salary insight
+ *
+ * @route GET /applications/:id
+ * @returns {Object} 200 - Success response with the application
+ * @returns {Object} 404 - Application not found
+ * @returns {Object} 500 - Server error
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const application = getApplication(req.params.id);
+    return res.status(200).json({ success: true, application });
+  } catch (error) {
+    return sendError(res, error, 'load application');
+  }
+});
+
+/**
+ * PATCH /applications/:id
+ * Updates an application's details and linked records
+ *
+ * @route PATCH /applications/:id
+ * @param {Object} req.body - Any of {company, role, location, jobUrl, analysisId, resumeId,
+ *   coverLetterId, atsScoreId, salaryInsightId}
+ * @returns {Object} 200 - Success response with the application
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 404 - Application or linked record not found
+ * @returns {Object} 500 - Server error
+ */
+router.patch('/:id', (req, res) => {
+  try {
+    const application = updateApplication(req.params.id, req.body);
+    return res.status(200).json({ success: true, application });
+  } catch (error) {
+    return sendError(res, error, 'update application');
+  }
+});
+
+/**
+ * DELETE /applications/:id
+ * Deletes an application (linked records are kept)
+ *
+ * @route DELETE /applications/:id
+ * @returns {Object} 200 - Success response
+ * @returns {Object} 404 - Application not found
+ * @returns {Object} 500 - Server error
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    deleteApplication(req.params.id);
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    return sendError(res, error, 'delete application');
+  }
+});
+
+/**
+ * POST /applications/:id/status
+ * Moves an application through the pipeline and records the change in its history
+ *
+ * @route POST /applications/:id/status
+ * @param {Object} req.body - {status, date?, note?}
+ * @returns {Object} 200 - Success response with the application
+ * @returns {Object} 400 - Invalid status or transition
+ * @returns {Object} 404 - Application not found
+ * @returns {Object} 500 - Server error
+ */
+router.post('/:id/status', (req, res) => {
+  try {
+    const application = changeStatus(req.params.id, req.body);
+    return res.status(200).json({ success: true, application });
+  } catch (error) {
+    return sendError(res, error, 'change application status');
+  }
+});
+
+/**
+ * POST /applications/:id/events
+ * Adds a dated event such as an interview or follow-up
+ *
+ * @route POST /applications/:id/events
+ * @param {Object} req.body - {type, date?, note?}
+ * @returns {Object} 201 - Success response with the application
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 404 - Application not found
+ * @returns {Object} 500 - Server error
+ */
+router.post('/:id/events', (req, res) => {
+  try {
+    const application = addEvent(req.params.id, req.body);
+    return res.status(201).json({ success: true, application });
+  } catch (error) {
+    return sendError(res, error, 'add event');
+  }
+});
+
+/**
+ * POST /applications/:id/notes
+ * Adds a note
+ *
+ * @route POST /applications/:id/notes
+ * @param {Object} req.body - {text}
+ * @returns {Object} 201 - Success response with the application
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 404 - Application not found
+ * @returns {Object} 500 - Server error
+ */
+router.post('/:id/notes', (req, res) => {
+  try {
+    const application = addNote(req.params.id, (req.body || {}).text);
+    return res.status(201).json({ success: true, application });
+  } catch (error) {
+    return sendError(res, error, 'add note');
+  }
+});
+
+/**
+ * POST /applications/:id/contacts
+ * Adds a contact (recruiter, hiring manager, referral...)
+ *
+ * @route POST /applications/:id/contacts
+ * @param {Object} req.body - {name, email?, phone?, role?, notes?}
+ * @returns {Object} 201 - Success response with the application
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 404 - Application not found
+ * @returns {Object} 500 - Server error
+ */
+router.post('/:id/contacts', (req, res) => {
+  try {
+    const application = addContact(req.params.id, req.body);
+    return res.status(201).json({ success: true, application });
+  } catch (error) {
+    return sendError(res, error, 'add contact');
+  }
+});
+
+/**
+ * DELETE /applications/:id/{events|notes|contacts}/:entryId
+ * Removes an event, note or contact. Status history cannot be removed.
+ *
+ * @route DELETE /applications/:id/{events|notes|contacts}/:entryId
+ * @returns {Object} 200 - Success response with the application
+ * @returns {Object} 400 - Entry is part of the status history
+ * @returns {Object} 404 - Application or entry not found
+ * @returns {Object} 500 - Server error
+ */
+['events', 'notes', 'contacts'].forEach((listName) => {
+  router.delete(`/:id/${listName}/:entryId`, (req, res) => {
+    try {
+      const application = removeEntry(req.params.id, listName, req.params.entryId);
+      return res.status(200).json({ success: true, application });
+    } catch (error) {
+      return sendError(res, error, `remove ${listName.replace(/s$/, '')}`);
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createProfile,
+  deleteProfile,
+  getProfile,
+  listProfiles,
+  updateProfile,
+} = require('../services/careerProfile');
+
+/**
+ * Sends the error response for a failed profile request. Validation and
+ * lookup errors carry their status (400/404); anything else is a 500.
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the profile service
+ * @param {string} action - What failed, for the 500 message (e.g. 'update profile')
+ */
+function sendError(res, error, action) {
+  if (error.status === 400 || error.status === 404) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  console.error(`Error trying to ${action}:`, error);
+  return res.status(500).json({
+    success: false,
+    error: `Failed to ${action}: ${error.message}`,
+  });
+}
+
+/**
+ * POST /profiles
+ * Creates a master career profile
+ *
+ * @route POST /profiles
+ * @param {Object} req.body - {contact: {fullName, email, phone, linkedinUrl?, location?}, headline?, skills?,
+ *   employment?, projects?, education?, certifications?, achievements?}
+ * @returns {Object} 201 - Success response with the profile
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 500 - Server error
+ */
+router.post('/', (req, res) => {
+  try {
+    const profile = createProfile(req.body);
+    return res.status(201).json({ success: true, profile });
+  } catch (error) {
+    return sendError(res, error, 'create profile');
+  }
+});
+
+/**
+ * GET /profiles
+ * Lists career profiles
+ *
+ * @route GET /profiles
+ * @returns {Object} 200 - Success response with the profiles
+ * @returns {Object} 500 - Server error
+ */
+router.get('/', (req, res) => {
+  try {
+    const profiles = listProfiles();
+    return res.status(200).json({ success: true, count: profiles.length, profiles });
+  } catch (error) {
+    return sendError(res, error, 'list profiles');
+  }
+});
+
+/**
+ * GET /profiles/:id
+ * Returns a career profile
+ *
+ * @route GET /profiles/:id
+ * @returns {Object} 200 - Success response with the profile
+ * @returns {Object} 404 - Profile not found
+ * @returns {Object} 500 - Server error
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const profile = getProfile(req.params.id);
+    return res.status(200).json({ success: true, profile });
+  } catch (error) {
+    return sendError(res, error, 'load profile');
+  }
+});
+
+/**
+ * PATCH /profiles/:id
+ * Updates a career profile. Contact fields are merged; any other section sent replaces the stored one.
+ *
+ * @route PATCH /profiles/:id
+ * @param {Object} req.body - Any of {contact, headline, skills, employment, projects, education,
+ *   certifications, achievements}
+ * @returns {Object} 200 - Success response with the profile
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 404 - Profile not found
+ * @returns {Object} 500 - Server error
+ */
+router.patch('/:id', (req, res) => {
+  try {
+    const profile = updateProfile(req.params.id, req.body);
+    return res.status(200).json({ success: true, profile });
+  } catch (error) {
+    return sendError(res, error, 'update profile');
+  }
+});
+
+/**
+ * DELETE /profiles/:id
+ * Deletes a career profile (resumes generated from it are kept)
+ *
+ * @route DELETE /profiles/:id
+ * @returns {Object} 200 - Success response
+ * @returns {Object} 404 - Profile not found
+ * @returns {Object} 500 - Server error
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    deleteProfile(req.params.id);
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    return sendError(res, error, 'delete profile');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,105 @@
+const express = require('express');
+const router = express.Router();
+const { findRecord, getRepository } = require('../storage');
+
+/**
+ * URL path segment for each stored collection
+ * @type {Object<string, string>}
+ */
+const RECORD_PATHS = {
+  analyses: 'analyses',
+  questionnaires: 'questionnaires',
+  answers: 'answerSets',
+  resumes: 'resumes',
+  'ats-scores': 'atsScores',
+  'skills-gaps': 'skillsGaps',
+  'cover-letters': 'coverLetters',
+  'salary-insights': 'salaryInsights',
+};
+
+/**
+ * POST /answers
+ * Stores a questionnaire answer set so later routes can reference it by ID
+ *
+ * @route POST /answers
+ * @param {Object} req.body - Request body
+ * @param {Object} req.body.answers - Answers keyed by question ID
+ * @param {string} [req.body.questionnaireId] - Questionnaire the answers belong to
+ * @returns {Object} 201 - Success response with the stored answer set ID
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 404 - Referenced questionnaire not found
+ * @returns {Object} 500 - Server error
+ */
+router.post('/answers', (req, res) => {
+  try {
+    const { answers, questionnaireId } = req.body || {};
+
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+      return res.status(400).json({
+        success: false,
+        error: 'answers is required and must be an object',
+      });
+    }
+
+    if (questionnaireId !== undefined) {
+      findRecord('questionnaires', questionnaireId);
+    }
+
+    const record = getRepository().insert('answerSets', answers, { questionnaireId: questionnaireId || null });
+
+    return res.status(201).json({
+      success: true,
+      ids: { answersId: record.id },
+    });
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error('Error in /answers:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to store answers: ' + error.message,
+    });
+  }
+});
+
+/**
+ * GET /:collection/:id
+ * Returns a stored record, e.g. GET /resumes/:id or GET /ats-scores/:id
+ *
+ * @route GET /{analyses|questionnaires|answers|resumes|ats-scores|skills-gaps|cover-letters|salary-insights}/:id
+ * @returns {Object} 200 - Success response with the record ({id, data, refs, createdAt, updatedAt})
+ * @returns {Object} 404 - Record not found
+ * @returns {Object} 500 - Server error
+ */
+Object.entries(RECORD_PATHS).forEach(([segment, collection]) => {
+  router.get(`/${segment}/:id`, (req, res) => {
+    try {
+      const { id, data, refs, createdAt, updatedAt } = findRecord(collection, req.params.id);
+
+      return res.status(200).json({
+        success: true,
+        record: { id, data, refs, createdAt, updatedAt },
+      });
+    } catch (error) {
+      if (error.status === 404) {
+        return res.status(404).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      console.error(`Error in GET /${segment}/:id:`, error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to load record: ' + error.message,
+      });
+    }
+  });
+});
+
+module.exports = router;
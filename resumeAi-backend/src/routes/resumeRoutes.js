@@ -1,11 +1,152 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const { analyzeJobPosting } = require('../../jobAnalyzer');
-const { generateQuestions } = require('../services/questionGenerator');
-const { generateResumeContent } = require('../services/resumeGenerator');
-const { scoreResume } = require('../services/atsScorer');
+const { BASE_QUESTIONS, generateQuestions } = require('../services/questionGenerator');
+const { generateResumeContent, RESUME_MODES } = require('../services/resumeGenerator');
+const { generateResumeVariants } = require('../services/resumeVariants');
+const { resolveScoringProfile, scoreResume } = require('../services/atsScorer');
+const { emulateVendors, resolveVendors } = require('../services/atsVendorEmulator');
+const { checkParseBack } = require('../services/parseBackChecker');
+const { lintResume } = require('../services/resumeLinter');
 const { exportResume } = require('../services/documentExporter');
 const { analyzeSkillsGap } = require('../services/skillsGapAnalyzer');
+const { importResume, SUPPORTED_TYPES } = require('../services/resumeImporter');
+const { regenerateSection } = require('../services/sectionRegenerator');
+const { mapProvenance } = require('../services/provenanceMapper');
+const { rewriteBullet } = require('../services/bulletRewriter');
+const { profileAnswers, profileToResume, selectProfileEntries } = require('../services/careerProfile');
+const { answerQuestion } = require('../services/questionnaireSession');
+const { evaluateAnswers } = require('../services/answerEvaluator');
+const { describeErrors, validateAnswers } = require('../services/answerValidator');
+const { CACHE_MODES } = require('../services/responseCache');
+const { findRecord, getRepository } = require('../storage');
+
+/**
+ * Largest resume file accepted by /import-resume
+ * @type {number}
+ */
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Keeps uploaded resumes in memory; they are parsed and then discarded
+ */
+const resumeUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_BYTES, files: 1 },
+}).single('file');
+
+/**
+ * Sends a 429/502/503 response when an LLM provider is rate limiting us, keeps
+ * returning invalid output, or is unavailable
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by a service
+ * @returns {boolean} - True if a response was sent
+ */
+function handleUpstreamError(res, error) {
+  if (![429, 502, 503].includes(error.status)) {
+    return false;
+  }
+
+  if (error.retryAfter !== undefined) {
+    res.setHeader('Retry-After', String(error.retryAfter));
+  }
+
+  res.status(error.status).json({
+    success: false,
+    error: error.message,
+    retryAfter: error.retryAfter !== undefined ? error.retryAfter : null,
+  });
+  return true;
+}
+
+/**
+ * Sends a 404 response when a request refers to a stored record that does not exist
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown while resolving the request
+ * @returns {boolean} - True if a response was sent
+ */
+function handleNotFoundError(res, error) {
+  if (error.status !== 404) {
+    return false;
+  }
+
+  res.status(404).json({
+    success: false,
+    error: error.message,
+  });
+  return true;
+}
+
+/**
+ * Resolves an input that may be passed inline or as the ID of a stored record,
+ * e.g. `jobAnalysis` or `analysisId`. The inline value wins when both are given.
+ * @param {Object} body - Request body
+ * @param {string} field - Inline field name
+ * @param {string} idField - ID field name
+ * @param {string} collection - Storage collection of the record
+ * @returns {*} - The inline value, the stored data, or undefined if neither was given
+ * @throws {Error} With status 404 if the ID does not exist
+ */
+function resolveInput(body, field, idField, collection) {
+  if (body[field] !== undefined && body[field] !== null) {
+    return body[field];
+  }
+  if (body[idField] !== undefined && body[idField] !== null) {
+    return findRecord(collection, body[idField]).data;
+  }
+  return undefined;
+}
+
+/**
+ * Lists the questions of a stored questionnaire, including follow-up and gap
+ * questions added by an adaptive session
+ * @param {Object} record - Questionnaire record
+ * @returns {Array<Object>} - Question objects
+ */
+function questionnaireQuestions(record) {
+  return record.data.session ? record.data.session.questions : record.data.questions || [];
+}
+
+/**
+ * Returns a callback that reports a response cache result as headers:
+ * X-Cache (HIT, MISS, BYPASS or OFF), X-Cache-Key and, on hits, Age
+ * @param {Object} res - Express response
+ * @returns {Function} - Receives the cache result ({status, key, age})
+ */
+function setCacheHeaders(res) {
+  return ({ status, key, age }) => {
+    res.setHeader('X-Cache', status);
+    res.setHeader('X-Cache-Key', key.substring(0, 16));
+    if (age !== null) {
+      res.setHeader('Age', String(age));
+    }
+  };
+}
+
+/**
+ * Stores a job analysis, reusing the record an identical earlier analysis created.
+ * Records carry the response cache key as their `cacheKey` ref, so a cache hit
+ * maps back to the newest record stored for that key.
+ * @param {Object} analysis - Job analysis
+ * @param {Object|null} cacheResult - Cache result from analyzeJobPosting ({status, key})
+ * @returns {Object} - The analyses record
+ */
+function storeAnalysis(analysis, cacheResult) {
+  const repository = getRepository();
+  if (!cacheResult) {
+    return repository.insert('analyses', analysis);
+  }
+
+  const refs = { cacheKey: cacheResult.key };
+  if (cacheResult.status === 'HIT') {
+    const [existing] = repository.list('analyses', { refs });
+    if (existing) {
+      return existing;
+    }
+  }
+  return repository.insert('analyses', analysis, refs);
+}
 
 /**
  * POST /analyze-job
@@ -14,9 +155,14 @@ const { analyzeSkillsGap } = require('../services/skillsGapAnalyzer');
  * @route POST /analyze-job
  * @param {Object} req.body - Request body
  * @param {string} req.body.jobPosting - The job posting text to analyze
- * @returns {Object} 200 - Success response with job analysis
+ * @param {string} [req.body.cache] - 'bypass' to skip the response cache and refresh the entry
+ * @returns {Object} 200 - Success response with job analysis and its stored ID, which is reused on a cache hit
+ *   (X-Cache header reports HIT/MISS/BYPASS)
  * @returns {Object} 400 - Validation error
+ * @returns {Object} 429 - LLM provider rate limited
  * @returns {Object} 500 - Server error
+ * @returns {Object} 502 - LLM output still invalid after correction attempts
+ * @returns {Object} 503 - LLM provider unavailable
  */
 router.post('/analyze-job', async (req, res) => {
   try {
@@ -28,7 +174,7 @@ router.post('/analyze-job', async (req, res) => {
       });
     }
 
-    const { jobPosting } = req.body;
+    const { jobPosting, cache } = req.body;
 
     if (!jobPosting || typeof jobPosting !== 'string') {
       return res.status(400).json({
@@ -44,15 +190,37 @@ router.post('/analyze-job', async (req, res) => {
       });
     }
 
-    // Call job analyzer
-    const analysis = await analyzeJobPosting(jobPosting);
+    if (cache !== undefined && !CACHE_MODES.includes(cache)) {
+      return res.status(400).json({
+        success: false,
+        error: `cache must be one of: ${CACHE_MODES.join(', ')}`,
+      });
+    }
+
+    // Call job analyzer (served from the response cache when possible)
+    let cacheResult = null;
+    const sendCacheHeaders = setCacheHeaders(res);
+    const analysis = await analyzeJobPosting(jobPosting, {
+      cache,
+      onCacheStatus: (result) => {
+        cacheResult = result;
+        sendCacheHeaders(result);
+      },
+    });
+    const analysisRecord = storeAnalysis(analysis, cacheResult);
 
     // Return success response
     return res.status(200).json({
       success: true,
+      ids: { analysisId: analysisRecord.id },
       data: analysis,
     });
   } catch (error) {
+    // Handle upstream rate limits and outages
+    if (handleUpstreamError(res, error)) {
+      return;
+    }
+
     // Handle validation errors (from jobAnalyzer)
     if (error.message.includes('must be') || error.message.includes('required') || error.message.includes('cannot be empty')) {
       return res.status(400).json({
@@ -61,8 +229,8 @@ router.post('/analyze-job', async (req, res) => {
       });
     }
 
-    // Handle API key errors
-    if (error.message.includes('GROQ_API_KEY')) {
+    // Handle LLM provider configuration errors
+    if (error.message.includes('environment variable') || error.message.includes('Unknown LLM provider')) {
       return res.status(500).json({
         success: false,
         error: 'API configuration error: ' + error.message,
@@ -85,9 +253,17 @@ router.post('/analyze-job', async (req, res) => {
  * @route POST /generate-questions
  * @param {Object} req.body - Request body
  * @param {Object} req.body.jobAnalysis - The job analysis object from analyzeJobPosting
- * @returns {Object} 200 - Success response with questions array
+ * @param {string} req.body.analysisId - ID of a stored job analysis (alternative to jobAnalysis)
+ * @param {string} [req.body.cache] - 'bypass' to skip the response cache and refresh the entry
+ * @param {string} [req.body.profileId] - Career profile; questions it already answers are left out
+ * @returns {Object} 200 - Success response with questions array and the stored questionnaire ID (X-Cache header reports HIT/MISS/BYPASS);
+ *   with a profile, also `profileAnswers`, the answers taken from it
  * @returns {Object} 400 - Validation error
+ * @returns {Object} 404 - Referenced analysis or profile not found
+ * @returns {Object} 429 - LLM provider rate limited
  * @returns {Object} 500 - Server error
+ * @returns {Object} 502 - LLM output still invalid after correction attempts
+ * @returns {Object} 503 - LLM provider unavailable
  */
 router.post('/generate-questions', async (req, res) => {
   try {
@@ -99,12 +275,20 @@ router.post('/generate-questions', async (req, res) => {
       });
     }
 
-    const { jobAnalysis } = req.body;
+    const { cache } = req.body;
+    const jobAnalysis = resolveInput(req.body, 'jobAnalysis', 'analysisId', 'analyses');
 
     if (!jobAnalysis || typeof jobAnalysis !== 'object') {
       return res.status(400).json({
         success: false,
-        error: 'jobAnalysis is required and must be an object',
+        error: 'jobAnalysis (or analysisId) is required and must be an object',
+      });
+    }
+
+    if (cache !== undefined && !CACHE_MODES.includes(cache)) {
+      return res.status(400).json({
+        success: false,
+        error: `cache must be one of: ${CACHE_MODES.join(', ')}`,
       });
     }
 
@@ -123,15 +307,34 @@ router.post('/generate-questions', async (req, res) => {
       });
     }
 
+    const profile = req.body.profileId !== undefined ? findRecord('profiles', req.body.profileId).data : null;
+
     // Call question generator
-    const questions = await generateQuestions(jobAnalysis);
+    const questions = await generateQuestions(jobAnalysis, { cache, onCacheStatus: setCacheHeaders(res), profile });
+    const questionnaireRecord = getRepository().insert(
+      'questionnaires',
+      { questions },
+      { analysisId: req.body.analysisId || null, profileId: req.body.profileId || null }
+    );
 
     // Return success response
     return res.status(200).json({
       success: true,
+      ids: { questionnaireId: questionnaireRecord.id },
       questions: questions,
+      ...(profile && { profileAnswers: profileAnswers(profile, jobAnalysis) }),
     });
   } catch (error) {
+    // Handle references to records that do not exist
+    if (handleNotFoundError(res, error)) {
+      return;
+    }
+
+    // Handle upstream rate limits and outages
+    if (handleUpstreamError(res, error)) {
+      return;
+    }
+
     // Handle validation errors
     if (error.message.includes('must be') || error.message.includes('required')) {
       return res.status(400).json({
@@ -140,8 +343,8 @@ router.post('/generate-questions', async (req, res) => {
       });
     }
 
-    // Handle API key errors
-    if (error.message.includes('GROQ_API_KEY')) {
+    // Handle LLM provider configuration errors
+    if (error.message.includes('environment variable') || error.message.includes('Unknown LLM provider')) {
       return res.status(500).json({
         success: false,
         error: 'API configuration error: ' + error.message,
@@ -157,6 +360,226 @@ router.post('/generate-questions', async (req, res) => {
   }
 });
 
+/**
+ * POST /questionnaire/:id/answer
+ * Answers one question of a stored questionnaire and returns the next one.
+ * Answers that lack a metric, mention a required skill no question has explored
+ * yet, or are too short to support a resume bullet get a follow-up question.
+ * Once the answers cover enough of the job's required skills and key
+ * responsibilities, only required questions are still asked. When nothing is
+ * left, the answers are stored as an answer set for /generate-resume.
+ *
+ * @route POST /questionnaire/:id/answer
+ * @param {string} req.params.id - ID of a stored questionnaire (from /generate-questions)
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.questionId - The question being answered
+ * @param {string|number|Array<string>} [req.body.answer] - The answer (required unless skipping)
+ * @param {boolean} [req.body.skip] - Skip an optional question
+ * @param {Object} [req.body.jobAnalysis] - Job analysis, for questionnaires not linked to a stored one
+ * @param {string} [req.body.analysisId] - ID of a stored job analysis (alternative to jobAnalysis)
+ * @returns {Object} 200 - Success response with the next question (null when done), whether it is a
+ *   follow-up, the coverage so far, the answers and, once done, `ids.answersId`
+ * @returns {Object} 400 - Validation error (with `errors` when the answer fails its question's checks),
+ *   question not pending, or questionnaire already complete
+ * @returns {Object} 404 - Questionnaire or referenced analysis not found
+ * @returns {Object} 500 - Server error
+ */
+router.post('/questionnaire/:id/answer', (req, res) => {
+  try {
+    const body = req.body || {};
+    const repository = getRepository();
+    const record = findRecord('questionnaires', req.params.id);
+
+    let analysisId = record.refs.analysisId || body.analysisId || null;
+    const jobAnalysis = record.refs.analysisId
+      ? findRecord('analyses', analysisId).data
+      : resolveInput(body, 'jobAnalysis', 'analysisId', 'analyses');
+    if (!jobAnalysis || typeof jobAnalysis !== 'object' || !Array.isArray(jobAnalysis.requiredSkills)) {
+      return res.status(400).json({
+        success: false,
+        error: 'jobAnalysis (or analysisId) is required because the questionnaire is not linked to a job analysis',
+      });
+    }
+
+    // Link the questionnaire to its analysis so later answers need not send it again
+    if (!record.refs.analysisId) {
+      analysisId = body.jobAnalysis ? repository.insert('analyses', jobAnalysis).id : analysisId;
+      repository.update('questionnaires', record.id, record.data, { analysisId });
+    }
+
+    const profileRecord = record.refs.profileId ? repository.get('profiles', record.refs.profileId) : null;
+    const prefilled = profileRecord ? profileAnswers(profileRecord.data, jobAnalysis) : {};
+
+    const result = answerQuestion(record.id, body, { jobAnalysis, prefilled });
+
+    return res.status(200).json({
+      success: true,
+      ids: { questionnaireId: record.id, analysisId, answersId: result.answersId },
+      next: result.next,
+      followUp: result.followUp,
+      done: result.done,
+      coverage: result.coverage,
+      answers: result.answers,
+    });
+  } catch (error) {
+    // Handle references to records that do not exist
+    if (handleNotFoundError(res, error)) {
+      return;
+    }
+
+    // Handle validation errors (answers failing their question's checks come with a field-keyed map)
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        ...(error.errors ? { errors: error.errors } : {}),
+      });
+    }
+
+    // Handle other errors
+    console.error('Error in /questionnaire/:id/answer:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to record answer: ' + error.message,
+    });
+  }
+});
+
+/**
+ * POST /evaluate-answers
+ * Grades questionnaire answers before a resume is generated from them: each
+ * narrative answer is checked for quantified results, specificity, STAR
+ * structure and the required skills its question asks about
+ *
+ * @route POST /evaluate-answers
+ * @param {Object} req.body - Request body
+ * @param {Object} req.body.answers - Answers keyed by question ID
+ * @param {string} req.body.answersId - ID of a stored answer set (alternative to answers)
+ * @param {Array<Object>} req.body.questions - The questions that were answered
+ * @param {string} req.body.questionnaireId - ID of a stored questionnaire (alternative to questions;
+ *   defaults to the answer set's questionnaire)
+ * @param {Object} [req.body.jobAnalysis] - Job analysis, for the skill checks
+ * @param {string} [req.body.analysisId] - ID of a stored job analysis (alternative to jobAnalysis;
+ *   defaults to the questionnaire's analysis)
+ * @returns {Object} 200 - Success response with the readiness score and per-answer feedback
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 404 - Referenced answer set, questionnaire or analysis not found
+ * @returns {Object} 500 - Server error
+ */
+router.post('/evaluate-answers', (req, res) => {
+  try {
+    const body = req.body || {};
+    const answerSet = body.answers === undefined && body.answersId !== undefined
+      ? findRecord('answerSets', body.answersId)
+      : null;
+    const answers = answerSet ? answerSet.data : body.answers;
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+      return res.status(400).json({
+        success: false,
+        error: 'answers (or answersId) is required and must be an object',
+      });
+    }
+
+    // Questions and analysis default to the records the answers were collected for
+    const questionnaireId = body.questionnaireId || (answerSet && answerSet.refs.questionnaireId) || null;
+    const questionnaire = body.questions === undefined && questionnaireId
+      ? findRecord('questionnaires', questionnaireId)
+      : null;
+    const questions = questionnaire ? questionnaireQuestions(questionnaire) : body.questions;
+    if (!Array.isArray(questions) || questions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'questions (or questionnaireId) is required and must be a non-empty array',
+      });
+    }
+
+    const analysisId = body.analysisId || (questionnaire && questionnaire.refs.analysisId) || undefined;
+    const jobAnalysis = resolveInput({ ...body, analysisId }, 'jobAnalysis', 'analysisId', 'analyses') || null;
+
+    const evaluation = evaluateAnswers(questions, answers, jobAnalysis);
+
+    return res.status(200).json({
+      success: true,
+      readiness: evaluation.readiness,
+      answers: evaluation.answers,
+      unanswered: evaluation.unanswered,
+    });
+  } catch (error) {
+    // Handle references to records that do not exist
+    if (handleNotFoundError(res, error)) {
+      return;
+    }
+
+    // Handle validation errors
+    if (error.message.includes('must be')) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    // Handle other errors
+    console.error('Error in /evaluate-answers:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to evaluate answers: ' + error.message,
+    });
+  }
+});
+
+/**
+ * Stores the inputs and outputs of a resume generation run. Inputs passed by ID
+ * are linked rather than stored again.
+ * @param {Object} body - Request body (for analysisId, answersId, questionnaireId, sourceResumeId and profileId)
+ * @param {Object} run - {jobAnalysis, answers, resume, score, skillsGap, salaryInsights}
+ * @returns {Object} - IDs of the stored records
+ */
+function persistResumeRun(body, { jobAnalysis, answers, resume, score, skillsGap, salaryInsights }) {
+  const repository = getRepository();
+
+  const analysisId = body.jobAnalysis || !body.analysisId
+    ? repository.insert('analyses', jobAnalysis).id
+    : body.analysisId;
+  const answersId = body.answers || !body.answersId
+    ? repository.insert('answerSets', answers, { questionnaireId: body.questionnaireId || null }).id
+    : body.answersId;
+
+  const resumeId = repository.insert('resumes', resume, {
+    analysisId,
+    answersId,
+    sourceResumeId: body.sourceResume ? null : body.sourceResumeId || null,
+    profileId: body.profileId || null,
+  }).id;
+  const atsScoreId = repository.insert('atsScores', score, { resumeId, analysisId }).id;
+  const skillsGapId = repository.insert('skillsGaps', skillsGap, { resumeId, analysisId }).id;
+  const salaryInsightId = repository.insert('salaryInsights', salaryInsights, { resumeId, analysisId }).id;
+
+  return { analysisId, answersId, resumeId, atsScoreId, skillsGapId, salaryInsightId };
+}
+
+/**
+ * Stores a runner-up resume variant, linked to the inputs persistResumeRun stored for the best one
+ * @param {Object} body - Request body (for sourceResumeId and profileId)
+ * @param {Object} ids - IDs returned by persistResumeRun for the best variant
+ * @param {Object} variant - {resume, score, skillsGap}
+ * @returns {Object} - IDs of the stored records
+ */
+function persistResumeVariant(body, ids, { resume, score, skillsGap }) {
+  const repository = getRepository();
+  const { analysisId, answersId } = ids;
+
+  const resumeId = repository.insert('resumes', resume, {
+    analysisId,
+    answersId,
+    sourceResumeId: body.sourceResume ? null : body.sourceResumeId || null,
+    profileId: body.profileId || null,
+  }).id;
+  const atsScoreId = repository.insert('atsScores', score, { resumeId, analysisId }).id;
+  const skillsGapId = repository.insert('skillsGaps', skillsGap, { resumeId, analysisId }).id;
+
+  return { analysisId, answersId, resumeId, atsScoreId, skillsGapId };
+}
+
 /**
  * POST /generate-resume
  * Generates resume content and calculates ATS score
@@ -164,10 +587,34 @@ router.post('/generate-questions', async (req, res) => {
  * @route POST /generate-resume
  * @param {Object} req.body - Request body
  * @param {Object} req.body.jobAnalysis - The job analysis object from analyzeJobPosting
+ * @param {string} req.body.analysisId - ID of a stored job analysis (alternative to jobAnalysis)
  * @param {Object} req.body.answers - User answers to the generated questions
- * @returns {Object} 200 - Success response with resume content and ATS score
- * @returns {Object} 400 - Validation error
+ * @param {string} req.body.answersId - ID of a stored answer set (alternative to answers)
+ * @param {string} [req.body.profileId] - Career profile: fills in answers it covers (answers sent win) and
+ *   supplies the candidate's real history, from which the entries most relevant to the job are used
+ * @param {string} [req.body.questionnaireId] - Questionnaire the answers belong to; answers are checked
+ *   against its questions (and the base questions) for required fields, formats, ranges and options
+ * @param {string} [req.body.mode] - 'standard' (default) or 'grounded': only use employers, titles, dates
+ *   and numbers found in the answers or source resume, and remove anything that cannot be traced to them
+ * @param {Object} [req.body.sourceResume] - Existing resume to draw facts from (e.g. from /import-resume)
+ * @param {string} [req.body.sourceResumeId] - ID of a stored resume (alternative to sourceResume)
+ * @param {number|Array<string>|boolean} [req.body.variants] - Generate several versions with different
+ *   emphasis: a count (2-4), a list of emphases ('leadership', 'technical-depth', 'keyword-max', 'impact')
+ *   or true for the first three. Each version is stored; the top-level fields describe the best one.
+ * @param {string} [req.body.scoringProfile] - ATS scoring profile: 'strict-keyword', 'balanced' or
+ *   'human-reviewer' (default: ATS_SCORING_PROFILE, then 'balanced'); reported as `score.scoringProfile`
+ * @param {Array<string>} [req.body.vendors] - ATS vendors to emulate for `vendorScores`: 'workday',
+ *   'greenhouse', 'lever', 'icims', 'taleo' (default: all)
+ * @returns {Object} 200 - Success response with resume content, ATS score, per-vendor scores and warnings,
+ *   the stored IDs, the provenance map and, in grounded mode, the grounding report listing every flagged
+ *   or removed entry. With `variants`, also a `variants` array ranked by ATS score, each with its IDs and
+ *   score breakdown.
+ * @returns {Object} 400 - Validation error; invalid answers also come with `errors`, keyed by question ID
+ * @returns {Object} 404 - Referenced analysis, answer set, questionnaire, source resume or profile not found
+ * @returns {Object} 429 - LLM provider rate limited
  * @returns {Object} 500 - Server error
+ * @returns {Object} 502 - LLM output still invalid after correction attempts
+ * @returns {Object} 503 - LLM provider unavailable
  */
 router.post('/generate-resume', async (req, res) => {
   try {
@@ -179,93 +626,180 @@ router.post('/generate-resume', async (req, res) => {
       });
     }
 
-    const { jobAnalysis, answers } = req.body;
+    const jobAnalysis = resolveInput(req.body, 'jobAnalysis', 'analysisId', 'analyses');
+    const sourceResume = resolveInput(req.body, 'sourceResume', 'sourceResumeId', 'resumes');
+    const profile = req.body.profileId !== undefined ? findRecord('profiles', req.body.profileId).data : null;
+    const mode = req.body.mode || 'standard';
+    let answers = resolveInput(req.body, 'answers', 'answersId', 'answerSets');
+    const submittedAnswers = answers;
 
     if (!jobAnalysis || typeof jobAnalysis !== 'object') {
       return res.status(400).json({
         success: false,
-        error: 'jobAnalysis is required and must be an object',
+        error: 'jobAnalysis (or analysisId) is required and must be an object',
       });
     }
 
+    if (profile && (answers === undefined || (answers && typeof answers === 'object'))) {
+      // Answers given for this application take precedence over the profile
+      answers = { ...profileAnswers(profile, jobAnalysis), ...answers };
+    }
+
     if (!answers || typeof answers !== 'object') {
       return res.status(400).json({
         success: false,
-        error: 'answers is required and must be an object',
+        error: 'answers (or answersId or profileId) is required and must be an object',
       });
     }
 
-    // Validate required fields in jobAnalysis
-    if (!Array.isArray(jobAnalysis.requiredSkills)) {
+    if (!RESUME_MODES.includes(mode)) {
       return res.status(400).json({
         success: false,
-        error: 'jobAnalysis.requiredSkills must be an array',
+        error: `mode must be one of: ${RESUME_MODES.join(', ')}`,
       });
     }
 
-    if (!Array.isArray(jobAnalysis.keyResponsibilities)) {
+    if (sourceResume !== undefined && (!sourceResume || typeof sourceResume !== 'object')) {
       return res.status(400).json({
         success: false,
-        error: 'jobAnalysis.keyResponsibilities must be an array',
+        error: 'sourceResume must be an object',
       });
     }
 
-    // Validate required user answers
-    if (!answers.full_name || typeof answers.full_name !== 'string' || answers.full_name.trim().length === 0) {
+    // Resolve the scoring profile and vendors up front so an unknown name fails before any generation
+    const { name: scoringProfile } = resolveScoringProfile(req.body.scoringProfile);
+    const vendors = resolveVendors(req.body.vendors);
+
+    // Validate required fields in jobAnalysis
+    if (!Array.isArray(jobAnalysis.requiredSkills)) {
       return res.status(400).json({
         success: false,
-        error: 'answers.full_name is required and must be a non-empty string',
+        error: 'jobAnalysis.requiredSkills must be an array',
       });
     }
 
-    if (!answers.email || typeof answers.email !== 'string' || answers.email.trim().length === 0) {
+    if (!Array.isArray(jobAnalysis.keyResponsibilities)) {
       return res.status(400).json({
         success: false,
-        error: 'answers.email is required and must be a non-empty string',
+        error: 'jobAnalysis.keyResponsibilities must be an array',
       });
     }
 
-    if (!answers.phone || typeof answers.phone !== 'string' || answers.phone.trim().length === 0) {
+    // Validate the answers against the base questions and those of their questionnaire. Values taken
+    // from the career profile were checked when it was saved, so only their presence counts here.
+    const questionnaireId = req.body.questionnaireId
+      || (req.body.answers === undefined && req.body.answersId !== undefined
+        ? findRecord('answerSets', req.body.answersId).refs.questionnaireId
+        : null);
+    const askedQuestions = questionnaireId ? questionnaireQuestions(findRecord('questionnaires', questionnaireId)) : [];
+    const questions = [...BASE_QUESTIONS, ...askedQuestions.filter(q => !BASE_QUESTIONS.some(base => base.id === q.id))];
+    const fromProfile = id => profile && answers[id] !== undefined && !(submittedAnswers && id in submittedAnswers);
+    const errors = Object.fromEntries(Object.entries(validateAnswers(questions, answers).errors)
+      .filter(([id]) => !fromProfile(id)));
+
+    if (Object.keys(errors).length > 0) {
       return res.status(400).json({
         success: false,
-        error: 'answers.phone is required and must be a non-empty string',
+        error: `answers are invalid: ${describeErrors(errors)}`,
+        errors,
       });
     }
 
-    // Generate resume content
-    const resumeContent = await generateResumeContent(jobAnalysis, answers);
+    // Generate resume content (grounded mode has already removed anything it could not trace).
+    // In variants mode each version is already scored and the best one comes first.
+    const generationOptions = { mode, sourceResume: sourceResume || null, profile };
+    const variants = req.body.variants === undefined
+      ? null
+      : await generateResumeVariants(jobAnalysis, answers, { ...generationOptions, variants: req.body.variants, scoringProfile });
+    const { resume: resumeContent, provenance, grounding } = variants
+      ? variants[0]
+      : await generateResumeContent(jobAnalysis, answers, generationOptions);
 
     // Add personal info to resume content for export
+    const personalInfo = {
+      name: answers.full_name,
+      email: answers.email,
+      phone: answers.phone,
+      linkedin: answers.linkedin_url || answers.linkedin || null,
+    };
     const resumeWithPersonalInfo = {
       ...resumeContent,
-      personalInfo: {
-        name: answers.full_name,
-        email: answers.email,
-        phone: answers.phone,
-        linkedin: answers.linkedin_url || answers.linkedin || null,
-      },
+      personalInfo,
       userAnswers: answers,
     };
 
     // Calculate ATS score
-    const scoreData = scoreResume(resumeContent, jobAnalysis);
+    const scoreData = variants
+      ? variants[0].score
+      : scoreResume(resumeContent, jobAnalysis, { scoringProfile, yearsOfExperience: answers.years_of_experience });
+
+    // Rescore as each ATS vendor would parse the resume
+    const vendorScores = emulateVendors(resumeContent, jobAnalysis, { vendors, scoringProfile });
 
     // Analyze skills gap
-    const skillsGapData = analyzeSkillsGap(jobAnalysis, resumeContent, answers);
+    const skillsGapData = variants ? variants[0].skillsGap : analyzeSkillsGap(jobAnalysis, resumeContent, answers);
 
     // Estimate salary
     const { estimateSalary } = require('../services/salaryEstimator');
     const salaryData = await estimateSalary(jobAnalysis, resumeContent, scoreData, answers);
 
+    // Persist everything under IDs; inline inputs are stored too so later calls can reference them
+    const ids = persistResumeRun(req.body, {
+      jobAnalysis,
+      answers,
+      resume: {
+        ...resumeWithPersonalInfo,
+        provenance,
+        grounding,
+        ...(variants && { variant: { emphasis: variants[0].emphasis, rank: 1 } }),
+      },
+      score: scoreData,
+      skillsGap: skillsGapData,
+      salaryInsights: salaryData,
+    });
+
+    // Store the runner-up variants too, so any of them can be exported or regenerated later
+    const rankedVariants = variants && variants.map((variant) => {
+      const resume = { ...variant.resume, personalInfo, userAnswers: answers };
+      const variantIds = variant.rank === 1
+        ? ids
+        : persistResumeVariant(req.body, ids, {
+          resume: {
+            ...resume,
+            provenance: variant.provenance,
+            grounding: variant.grounding,
+            variant: { emphasis: variant.emphasis, rank: variant.rank },
+          },
+          score: variant.score,
+          skillsGap: variant.skillsGap,
+        });
+      return { ...variant, ids: variantIds, resume };
+    });
+
     // Return success response
     return res.status(200).json({
       success: true,
+      ids,
       resume: resumeWithPersonalInfo,
       score: scoreData,
+      vendorScores,
       skillsGap: skillsGapData,
       salaryInsights: salaryData,
+      provenance,
+      grounding,
+      ...(rankedVariants && { variants: rankedVariants }),
     });
   } catch (error) {
+    // Handle references to records that do not exist
+    if (handleNotFoundError(res, error)) {
+      return;
+    }
+
+    // Handle upstream rate limits and outages
+    if (handleUpstreamError(res, error)) {
+      return;
+    }
+
     // Handle validation errors
     if (error.message.includes('must be') || error.message.includes('required') || error.message.includes('cannot be empty')) {
       return res.status(400).json({
@@ -274,8 +808,8 @@ router.post('/generate-resume', async (req, res) => {
       });
     }
 
-    // Handle API key errors
-    if (error.message.includes('GROQ_API_KEY')) {
+    // Handle LLM provider configuration errors
+    if (error.message.includes('environment variable') || error.message.includes('Unknown LLM provider')) {
       return res.status(500).json({
         success: false,
         error: 'API configuration error: ' + error.message,
@@ -291,6 +825,454 @@ router.post('/generate-resume', async (req, res) => {
   }
 });
 
+/**
+ * POST /resume/:id/regenerate
+ * Rewrites one part of a stored resume and leaves the rest untouched. The ATS
+ * score and skills gap are recomputed for the updated resume; salary insights
+ * are not affected and are left as they are.
+ *
+ * @route POST /resume/:id/regenerate
+ * @param {string} req.params.id - ID of a stored resume
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.target - 'summary', 'skills', 'experience[i]' or 'experience[i].bullets[j]'
+ * @param {string} [req.body.guidance] - What to change (e.g. "emphasize the Kubernetes migration")
+ * @param {Object} [req.body.jobAnalysis] - Job analysis (defaults to the one the resume was generated for)
+ * @param {string} [req.body.analysisId] - ID of a stored job analysis (alternative to jobAnalysis)
+ * @param {string} [req.body.scoringProfile] - ATS scoring profile (default: the one the resume was last
+ *   scored with); the score before the rewrite is recomputed when it was scored with another profile
+ * @returns {Object} 200 - Success response with the target's previous and updated content, the updated
+ *   resume, its new ATS score, skills gap and provenance map, the overall score before and after,
+ *   and (for grounded resumes) what the verifier flagged in the rewrite
+ * @returns {Object} 400 - Validation error or target not found in the resume
+ * @returns {Object} 404 - Resume or referenced analysis not found
+ * @returns {Object} 429 - LLM provider rate limited
+ * @returns {Object} 500 - Server error
+ * @returns {Object} 502 - LLM output still invalid after correction attempts
+ * @returns {Object} 503 - LLM provider unavailable
+ */
+router.post('/resume/:id/regenerate', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { target, guidance } = body;
+
+    if (!target || typeof target !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'target is required and must be a string',
+      });
+    }
+
+    if (guidance !== undefined && typeof guidance !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'guidance must be a string',
+      });
+    }
+
+    const repository = getRepository();
+    const record = findRecord('resumes', req.params.id);
+    const { personalInfo, userAnswers, provenance, grounding, variant, ...resumeContent } = record.data;
+
+    const analysisId = body.jobAnalysis ? null : body.analysisId || record.refs.analysisId || null;
+    const jobAnalysis = body.jobAnalysis || (analysisId ? findRecord('analyses', analysisId).data : null);
+    if (!jobAnalysis || typeof jobAnalysis !== 'object' || !Array.isArray(jobAnalysis.requiredSkills)) {
+      return res.status(400).json({
+        success: false,
+        error: 'jobAnalysis (or analysisId) is required because the resume is not linked to a job analysis',
+      });
+    }
+
+    const answers = userAnswers || (record.refs.answersId ? findRecord('answerSets', record.refs.answersId).data : {});
+    const sourceResumeRecord = record.refs.sourceResumeId ? repository.get('resumes', record.refs.sourceResumeId) : null;
+    const sourceResume = sourceResumeRecord ? sourceResumeRecord.data : null;
+    const profileRecord = record.refs.profileId ? repository.get('profiles', record.refs.profileId) : null;
+    const profile = profileRecord ? profileToResume(selectProfileEntries(profileRecord.data, jobAnalysis), profileRecord.data) : null;
+    const sources = { answers, sourceResume, profile };
+
+    const [latestScore] = repository.list('atsScores', { refs: { resumeId: record.id } });
+    const { name: scoringProfile } = resolveScoringProfile(
+      body.scoringProfile !== undefined ? body.scoringProfile : (latestScore && latestScore.data.scoringProfile)
+    );
+
+    // Resumes generated in grounded mode stay grounded
+    const regenerated = await regenerateSection(resumeContent, target, {
+      jobAnalysis,
+      answers,
+      guidance,
+      grounded: Boolean(grounding),
+      sourceResume,
+      profile,
+    });
+
+    // Compare like with like: the stored score only counts as "before" if it used the same profile
+    const previousScore = latestScore && latestScore.data.scoringProfile === scoringProfile
+      ? latestScore.data
+      : scoreResume(resumeContent, jobAnalysis, { scoringProfile, yearsOfExperience: answers.years_of_experience });
+    const scoreData = scoreResume(regenerated.resume, jobAnalysis, { scoringProfile, yearsOfExperience: answers.years_of_experience });
+    const skillsGapData = analyzeSkillsGap(jobAnalysis, regenerated.resume, answers);
+    const updatedProvenance = mapProvenance(regenerated.resume, sources);
+    const updatedGrounding = grounding
+      ? { ...grounding, flagged: [...grounding.flagged, ...regenerated.flagged], removed: grounding.removed + regenerated.flagged.filter(flag => flag.action === 'removed').length }
+      : null;
+
+    const resume = {
+      ...regenerated.resume,
+      personalInfo,
+      userAnswers,
+      provenance: updatedProvenance,
+      grounding: updatedGrounding,
+      ...(variant && { variant }),
+    };
+    // A resume scored against a job for the first time (e.g. an imported one) is linked to it
+    repository.update('resumes', record.id, resume, analysisId && !record.refs.analysisId ? { analysisId } : undefined);
+    const ids = {
+      resumeId: record.id,
+      atsScoreId: repository.insert('atsScores', scoreData, { resumeId: record.id, analysisId }).id,
+      skillsGapId: repository.insert('skillsGaps', skillsGapData, { resumeId: record.id, analysisId }).id,
+    };
+
+    return res.status(200).json({
+      success: true,
+      ids,
+      target: regenerated.target,
+      previous: regenerated.previous,
+      updated: regenerated.updated,
+      resume,
+      score: scoreData,
+      scoreChange: { before: previousScore.overallScore, after: scoreData.overallScore },
+      skillsGap: skillsGapData,
+      provenance: updatedProvenance,
+      flagged: regenerated.flagged,
+    });
+  } catch (error) {
+    // Handle references to records that do not exist
+    if (handleNotFoundError(res, error)) {
+      return;
+    }
+
+    // Handle upstream rate limits and outages
+    if (handleUpstreamError(res, error)) {
+      return;
+    }
+
+    // Handle invalid or missing targets
+    if (error.message.includes('target') || error.message.includes('must be')) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    // Handle LLM provider configuration errors
+    if (error.message.includes('environment variable') || error.message.includes('Unknown LLM provider')) {
+      return res.status(500).json({
+        success: false,
+        error: 'API configuration error: ' + error.message,
+      });
+    }
+
+    // Handle other errors
+    console.error('Error in /resume/:id/regenerate:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to regenerate resume section: ' + error.message,
+    });
+  }
+});
+
+/**
+ * POST /score-resume
+ * Scores a resume against a job analysis without generating or storing
+ * anything: the generic ATS score plus a score and warnings for each ATS vendor
+ * it is emulated for
+ *
+ * @route POST /score-resume
+ * @param {Object} req.body - Request body
+ * @param {Object} req.body.resume - Resume content (as returned by /generate-resume or /import-resume)
+ * @param {string} req.body.resumeId - ID of a stored resume (alternative to resume)
+ * @param {Object} req.body.jobAnalysis - The job analysis object from analyzeJobPosting
+ * @param {string} req.body.analysisId - ID of a stored job analysis (alternative to jobAnalysis; defaults
+ *   to the analysis the stored resume was generated for)
+ * @param {string} [req.body.scoringProfile] - ATS scoring profile (see /generate-resume)
+ * @param {Array<string>} [req.body.vendors] - ATS vendors to emulate (see /generate-resume; default: all)
+ * @param {Object} [req.body.layout] - How the submitted document is laid out
+ * @param {string} [req.body.layout.skills] - 'list' (default), 'table' or 'columns'; vendors that do not
+ *   read tables or columns miss the skills in the last two
+ * @returns {Object} 200 - Success response with the ATS score and per-vendor scores and warnings
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 404 - Referenced resume or analysis not found
+ * @returns {Object} 500 - Server error
+ */
+router.post('/score-resume', (req, res) => {
+  try {
+    const body = req.body || {};
+    const resumeRecord = body.resume === undefined && body.resumeId !== undefined
+      ? findRecord('resumes', body.resumeId)
+      : null;
+    const resume = resumeRecord ? resumeRecord.data : body.resume;
+    if (!resume || typeof resume !== 'object' || Array.isArray(resume)) {
+      return res.status(400).json({
+        success: false,
+        error: 'resume (or resumeId) is required and must be an object',
+      });
+    }
+
+    const analysisId = body.analysisId || (resumeRecord && resumeRecord.refs.analysisId) || undefined;
+    const jobAnalysis = resolveInput({ ...body, analysisId }, 'jobAnalysis', 'analysisId', 'analyses');
+    if (!jobAnalysis || typeof jobAnalysis !== 'object' || !Array.isArray(jobAnalysis.requiredSkills)) {
+      return res.status(400).json({
+        success: false,
+        error: 'jobAnalysis (or analysisId) is required and must be an object with a requiredSkills array',
+      });
+    }
+
+    const { name: scoringProfile } = resolveScoringProfile(body.scoringProfile);
+    const vendorScores = emulateVendors(resume, jobAnalysis, { vendors: body.vendors, layout: body.layout, scoringProfile });
+
+    return res.status(200).json({
+      success: true,
+      score: scoreResume(resume, jobAnalysis, { scoringProfile }),
+      vendorScores,
+    });
+  } catch (error) {
+    // Handle references to records that do not exist
+    if (handleNotFoundError(res, error)) {
+      return;
+    }
+
+    // Handle validation errors
+    if (error.message.includes('must be')) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    // Handle other errors
+    console.error('Error in /score-resume:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to score resume: ' + error.message,
+    });
+  }
+});
+
+/**
+ * POST /lint-resume
+ * Checks the writing of a resume: tense, passive voice, first-person
+ * pronouns, buzzwords, repeated opening verbs, long bullets and inconsistent
+ * date formats. Nothing is stored.
+ *
+ * @route POST /lint-resume
+ * @param {Object} req.body - Request body
+ * @param {Object} req.body.resume - Resume content (as returned by /generate-resume or /import-resume)
+ * @param {string} req.body.resumeId - ID of a stored resume (alternative to resume)
+ * @returns {Object} 200 - Success response with the findings ({rule, severity, path, text, message})
+ *   and their counts per rule
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 404 - Referenced resume not found
+ * @returns {Object} 500 - Server error
+ */
+router.post('/lint-resume', (req, res) => {
+  try {
+    const resume = resolveInput(req.body || {}, 'resume', 'resumeId', 'resumes');
+    if (!resume || typeof resume !== 'object' || Array.isArray(resume)) {
+      return res.status(400).json({
+        success: false,
+        error: 'resume (or resumeId) is required and must be an object',
+      });
+    }
+
+    const { findings, counts } = lintResume(resume);
+
+    return res.status(200).json({
+      success: true,
+      findings,
+      counts,
+    });
+  } catch (error) {
+    // Handle references to records that do not exist
+    if (handleNotFoundError(res, error)) {
+      return;
+    }
+
+    // Handle other errors
+    console.error('Error in /lint-resume:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to lint resume: ' + error.message,
+    });
+  }
+});
+
+/**
+ * POST /parse-back-check
+ * Exports a resume, extracts the text of each file the way an ATS parser
+ * would, and scores what was read back. Reports content lost or reordered in
+ * the round trip. Nothing is stored.
+ *
+ * @route POST /parse-back-check
+ * @param {Object} req.body - Request body
+ * @param {Object} req.body.resume - Resume content (as returned by /generate-resume or /import-resume)
+ * @param {string} req.body.resumeId - ID of a stored resume (alternative to resume)
+ * @param {Object} req.body.jobAnalysis - The job analysis object from analyzeJobPosting
+ * @param {string} req.body.analysisId - ID of a stored job analysis (alternative to jobAnalysis; defaults
+ *   to the analysis the stored resume was generated for)
+ * @param {Array<string>} [req.body.formats] - Formats to check: 'pdf', 'docx', 'txt' (default: pdf and docx)
+ * @param {string} [req.body.scoringProfile] - ATS scoring profile (see /generate-resume)
+ * @returns {Object} 200 - Success response with the original score and, per format, the score of the
+ *   parsed-back resume, its issues (missing, merged, reordered, broken_characters, unreadable_heading)
+ *   and the parsed resume
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 404 - Referenced resume or analysis not found
+ * @returns {Object} 500 - Server error
+ */
+router.post('/parse-back-check', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const resumeRecord = body.resume === undefined && body.resumeId !== undefined
+      ? findRecord('resumes', body.resumeId)
+      : null;
+    const resume = resumeRecord ? resumeRecord.data : body.resume;
+    if (!resume || typeof resume !== 'object' || Array.isArray(resume)) {
+      return res.status(400).json({
+        success: false,
+        error: 'resume (or resumeId) is required and must be an object',
+      });
+    }
+
+    const analysisId = body.analysisId || (resumeRecord && resumeRecord.refs.analysisId) || undefined;
+    const jobAnalysis = resolveInput({ ...body, analysisId }, 'jobAnalysis', 'analysisId', 'analyses');
+    if (!jobAnalysis || typeof jobAnalysis !== 'object' || !Array.isArray(jobAnalysis.requiredSkills)) {
+      return res.status(400).json({
+        success: false,
+        error: 'jobAnalysis (or analysisId) is required and must be an object with a requiredSkills array',
+      });
+    }
+
+    const { name: scoringProfile } = resolveScoringProfile(body.scoringProfile);
+    const report = await checkParseBack(resume, jobAnalysis, { formats: body.formats, scoringProfile });
+
+    return res.status(200).json({
+      success: true,
+      passed: report.passed,
+      score: report.score,
+      formats: report.formats,
+    });
+  } catch (error) {
+    // Handle references to records that do not exist
+    if (handleNotFoundError(res, error)) {
+      return;
+    }
+
+    // Handle validation errors
+    if (error.message.includes('must be')) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    // Handle other errors
+    console.error('Error in /parse-back-check:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to check exported resume: ' + error.message,
+    });
+  }
+});
+
+/**
+ * POST /rewrite-bullet
+ * Rewrites one experience bullet in 3-5 styles and scores each rewrite with the
+ * ATS scorer's action-verb and metric heuristics
+ *
+ * @route POST /rewrite-bullet
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.bullet - The bullet to rewrite
+ * @param {Object} req.body.jobAnalysis - The job analysis object from analyzeJobPosting
+ * @param {string} req.body.analysisId - ID of a stored job analysis (alternative to jobAnalysis)
+ * @param {Array<string>} [req.body.styles] - 3-5 of: metric-led, action-verb-led, concise, keyword-dense,
+ *   challenge-action-result (default: the first four)
+ * @param {string} [req.body.context] - Where the bullet comes from (e.g. "Backend Engineer at Initech")
+ * @returns {Object} 200 - Success response with the original bullet's analysis, the scored rewrites
+ *   (with the ATS keywords each adds) and the best style
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 404 - Referenced analysis not found
+ * @returns {Object} 429 - LLM provider rate limited
+ * @returns {Object} 500 - Server error
+ * @returns {Object} 502 - LLM output still invalid after correction attempts
+ * @returns {Object} 503 - LLM provider unavailable
+ */
+router.post('/rewrite-bullet', async (req, res) => {
+  try {
+    // Validate input
+    if (!req.body || typeof req.body !== 'object') {
+      return res.status(400).json({
+        success: false,
+        error: 'Request body is required',
+      });
+    }
+
+    const { bullet, styles, context } = req.body;
+    const jobAnalysis = resolveInput(req.body, 'jobAnalysis', 'analysisId', 'analyses');
+
+    if (!bullet || typeof bullet !== 'string' || bullet.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'bullet is required and must be a non-empty string',
+      });
+    }
+
+    if (!jobAnalysis || typeof jobAnalysis !== 'object') {
+      return res.status(400).json({
+        success: false,
+        error: 'jobAnalysis (or analysisId) is required and must be an object',
+      });
+    }
+
+    const result = await rewriteBullet(bullet, jobAnalysis, { styles, context });
+
+    return res.status(200).json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    // Handle references to records that do not exist
+    if (handleNotFoundError(res, error)) {
+      return;
+    }
+
+    // Handle upstream rate limits and outages
+    if (handleUpstreamError(res, error)) {
+      return;
+    }
+
+    // Handle validation errors
+    if (error.message.includes('must be') || error.message.includes('required')) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    // Handle LLM provider configuration errors
+    if (error.message.includes('environment variable') || error.message.includes('Unknown LLM provider')) {
+      return res.status(500).json({
+        success: false,
+        error: 'API configuration error: ' + error.message,
+      });
+    }
+
+    // Handle other errors
+    console.error('Error in /rewrite-bullet:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to rewrite bullet: ' + error.message,
+    });
+  }
+});
+
 /**
  * POST /export-resume
  * Exports resume in specified format (PDF, DOCX, or TXT)
@@ -298,10 +1280,12 @@ router.post('/generate-resume', async (req, res) => {
  * @route POST /export-resume
  * @param {Object} req.body - Request body
  * @param {Object} req.body.resume - The resume content object
- * @param {Object} req.body.userAnswers - User answers for personal info
+ * @param {string} req.body.resumeId - ID of a stored resume (alternative to resume)
+ * @param {Object} req.body.userAnswers - User answers for personal info (defaults to the stored resume's answers)
  * @param {string} req.body.format - Export format: 'pdf', 'docx', or 'txt'
  * @returns {Buffer|string} 200 - Exported file (binary for PDF/DOCX, text for TXT)
  * @returns {Object} 400 - Validation error
+ * @returns {Object} 404 - Referenced resume not found
  * @returns {Object} 500 - Server error
  */
 router.post('/export-resume', async (req, res) => {
@@ -314,12 +1298,14 @@ router.post('/export-resume', async (req, res) => {
       });
     }
 
-    const { resume, userAnswers, format } = req.body;
+    const { format } = req.body;
+    const resume = resolveInput(req.body, 'resume', 'resumeId', 'resumes');
+    const userAnswers = req.body.userAnswers || (resume && resume.userAnswers);
 
     if (!resume || typeof resume !== 'object') {
       return res.status(400).json({
         success: false,
-        error: 'resume is required and must be an object',
+        error: 'resume (or resumeId) is required and must be an object',
       });
     }
 
@@ -364,6 +1350,11 @@ router.post('/export-resume', async (req, res) => {
       return res.status(200).send(exportedContent);
     }
   } catch (error) {
+    // Handle references to records that do not exist
+    if (handleNotFoundError(res, error)) {
+      return;
+    }
+
     // Handle validation errors
     if (error.message.includes('Unsupported format') || error.message.includes('Invalid format')) {
       return res.status(400).json({
@@ -388,11 +1379,18 @@ router.post('/export-resume', async (req, res) => {
  * @route POST /generate-cover-letter
  * @param {Object} req.body - Request body
  * @param {Object} req.body.jobAnalysis - The job analysis object
+ * @param {string} req.body.analysisId - ID of a stored job analysis (alternative to jobAnalysis)
  * @param {Object} req.body.answers - User answers from questionnaire
+ * @param {string} req.body.answersId - ID of a stored answer set (alternative to answers)
  * @param {Object} req.body.resumeContent - Optional resume content for reference
- * @returns {Object} 200 - Success response with cover letter
+ * @param {string} req.body.resumeId - Optional ID of a stored resume (alternative to resumeContent)
+ * @returns {Object} 200 - Success response with cover letter and its stored ID
  * @returns {Object} 400 - Validation error
+ * @returns {Object} 404 - Referenced record not found
+ * @returns {Object} 429 - LLM provider rate limited
  * @returns {Object} 500 - Server error
+ * @returns {Object} 502 - LLM output still invalid after correction attempts
+ * @returns {Object} 503 - LLM provider unavailable
  */
 router.post('/generate-cover-letter', async (req, res) => {
   try {
@@ -404,19 +1402,21 @@ router.post('/generate-cover-letter', async (req, res) => {
       });
     }
 
-    const { jobAnalysis, answers, resumeContent } = req.body;
+    const jobAnalysis = resolveInput(req.body, 'jobAnalysis', 'analysisId', 'analyses');
+    const answers = resolveInput(req.body, 'answers', 'answersId', 'answerSets');
+    const resumeContent = resolveInput(req.body, 'resumeContent', 'resumeId', 'resumes');
 
     if (!jobAnalysis || typeof jobAnalysis !== 'object') {
       return res.status(400).json({
         success: false,
-        error: 'jobAnalysis is required and must be an object',
+        error: 'jobAnalysis (or analysisId) is required and must be an object',
       });
     }
 
     if (!answers || typeof answers !== 'object') {
       return res.status(400).json({
         success: false,
-        error: 'answers is required and must be an object',
+        error: 'answers (or answersId) is required and must be an object',
       });
     }
 
@@ -433,13 +1433,29 @@ router.post('/generate-cover-letter', async (req, res) => {
 
     // Generate cover letter
     const coverLetter = await generateCoverLetter(jobAnalysis, answers, resumeContent || null);
+    const coverLetterRecord = getRepository().insert('coverLetters', coverLetter, {
+      analysisId: req.body.analysisId || null,
+      answersId: req.body.answersId || null,
+      resumeId: req.body.resumeId || null,
+    });
 
     // Return success response
     return res.status(200).json({
       success: true,
+      ids: { coverLetterId: coverLetterRecord.id },
       coverLetter: coverLetter,
     });
   } catch (error) {
+    // Handle references to records that do not exist
+    if (handleNotFoundError(res, error)) {
+      return;
+    }
+
+    // Handle upstream rate limits and outages
+    if (handleUpstreamError(res, error)) {
+      return;
+    }
+
     // Handle validation errors
     if (error.message.includes('must be') || error.message.includes('required')) {
       return res.status(400).json({
@@ -448,8 +1464,8 @@ router.post('/generate-cover-letter', async (req, res) => {
       });
     }
 
-    // Handle API key errors
-    if (error.message.includes('GROQ_API_KEY')) {
+    // Handle LLM provider configuration errors
+    if (error.message.includes('environment variable') || error.message.includes('Unknown LLM provider')) {
       return res.status(500).json({
         success: false,
         error: 'API configuration error: ' + error.message,
@@ -465,6 +1481,130 @@ router.post('/generate-cover-letter', async (req, res) => {
   }
 });
 
+/**
+ * POST /import-resume
+ * Imports an existing resume into the structured resume model. When a job
+ * analysis is given, the imported resume is also scored against it.
+ *
+ * @route POST /import-resume
+ * @param {File} req.file - multipart/form-data upload in the `file` field (PDF, DOCX or TXT, up to 5 MB)
+ * @param {Object} req.body - Request body (form fields, or JSON when sending text)
+ * @param {string} [req.body.text] - Plain-text resume (alternative to uploading a file)
+ * @param {Object} [req.body.jobAnalysis] - Job analysis to score the resume against
+ * @param {string} [req.body.analysisId] - ID of a stored job analysis (alternative to jobAnalysis)
+ * @param {string} [req.body.scoringProfile] - ATS scoring profile for the score (see /generate-resume)
+ * @returns {Object} 200 - Success response with the imported resume, parser warnings, the stored IDs and, with a job analysis, its ATS score and skills gap
+ * @returns {Object} 400 - Validation error, unsupported file type or unreadable file
+ * @returns {Object} 404 - Referenced analysis not found
+ * @returns {Object} 413 - File too large
+ * @returns {Object} 500 - Server error
+ */
+router.post('/import-resume', (req, res, next) => {
+  // Run the upload middleware here so its errors get the API's JSON responses
+  resumeUpload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        error: `Resume file must be at most ${MAX_IMPORT_BYTES / (1024 * 1024)} MB`,
+      });
+    }
+    return res.status(400).json({
+      success: false,
+      error: error.code === 'LIMIT_UNEXPECTED_FILE'
+        ? 'Upload the resume in the "file" field'
+        : error.message,
+    });
+  });
+}, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { text } = body;
+
+    if (!req.file && (typeof text !== 'string' || text.trim().length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: `A resume file (${SUPPORTED_TYPES.join(', ')}) or text is required`,
+      });
+    }
+
+    // Form fields arrive as strings, so a jobAnalysis sent alongside a file is JSON
+    let jobAnalysis = resolveInput(body, 'jobAnalysis', 'analysisId', 'analyses');
+    if (typeof jobAnalysis === 'string') {
+      try {
+        jobAnalysis = JSON.parse(jobAnalysis);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          error: 'jobAnalysis must be an object',
+        });
+      }
+    }
+
+    if (jobAnalysis !== undefined && (!jobAnalysis || typeof jobAnalysis !== 'object' || !Array.isArray(jobAnalysis.requiredSkills))) {
+      return res.status(400).json({
+        success: false,
+        error: 'jobAnalysis must be an object with a requiredSkills array',
+      });
+    }
+
+    if (body.scoringProfile !== undefined) {
+      resolveScoringProfile(body.scoringProfile);
+    }
+
+    const imported = req.file
+      ? await importResume(req.file.buffer, { filename: req.file.originalname, mimeType: req.file.mimetype })
+      : await importResume(Buffer.from(text, 'utf8'), { filename: 'resume.txt' });
+
+    const resume = { ...imported.resume, personalInfo: imported.personalInfo };
+    const repository = getRepository();
+    const analysisId = jobAnalysis && !body.jobAnalysis ? body.analysisId : null;
+    const ids = {
+      resumeId: repository.insert('resumes', resume, { source: 'import', analysisId }).id,
+    };
+
+    const response = {
+      success: true,
+      ids,
+      fileType: imported.fileType,
+      resume,
+      warnings: imported.warnings,
+    };
+
+    if (jobAnalysis) {
+      response.score = scoreResume(imported.resume, jobAnalysis, { scoringProfile: body.scoringProfile });
+      response.skillsGap = analyzeSkillsGap(jobAnalysis, imported.resume, {});
+      ids.atsScoreId = repository.insert('atsScores', response.score, { resumeId: ids.resumeId, analysisId }).id;
+      ids.skillsGapId = repository.insert('skillsGaps', response.skillsGap, { resumeId: ids.resumeId, analysisId }).id;
+    }
+
+    return res.status(200).json(response);
+  } catch (error) {
+    // Handle references to records that do not exist
+    if (handleNotFoundError(res, error)) {
+      return;
+    }
+
+    // Handle unsupported, unreadable or empty files and invalid options
+    if (error.message.includes('Unsupported file type') || error.message.includes('Failed to read')
+      || error.message.includes('No text found') || error.message.includes('required') || error.message.includes('must be')) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    // Handle other errors
+    console.error('Error in /import-resume:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to import resume: ' + error.message,
+    });
+  }
+});
+
 module.exports = router;
 
 
@@ -2,13 +2,16 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const resumeRoutes = require('./routes/resumeRoutes');
+const recordRoutes = require('./routes/recordRoutes');
+const applicationRoutes = require('./routes/applicationRoutes');
+const profileRoutes = require('./routes/profileRoutes');
 
 // Create Express app
 const app = express();
 
 // Middleware
 app.use(express.json()); // Parse JSON request bodies
-app.use(cors()); // Enable CORS for all routes
+app.use(cors({ exposedHeaders: ['X-Cache', 'X-Cache-Key', 'Age', 'Retry-After'] })); // Enable CORS for all routes
 
 // Health check route
 app.get('/health', (req, res) => {
@@ -20,6 +23,9 @@ app.get('/health', (req, res) => {
 
 // API routes
 app.use('/api', resumeRoutes);
+app.use('/api', recordRoutes);
+app.use('/api/applications', applicationRoutes);
+app.use('/api/profiles', profileRoutes);
 
 // 404 handler for undefined routes
 app.use((req, res) => {
@@ -0,0 +1,259 @@
+/**
+ * Answer Evaluator Service
+ * Grades questionnaire answers before resume generation, so candidates can
+ * strengthen thin answers instead of getting a generic resume. Heuristic, like
+ * atsScorer: no API calls.
+ *
+ * Narrative answers (free-text answers to experience, achievements, projects
+ * and skills questions) are checked for:
+ * - Quantified results (atsScorer's metric detection)
+ * - Specificity: enough detail, named tools, no filler phrases
+ * - STAR structure: situation, task, action and result
+ * - The required skills the question was generated for
+ * Other answers (contact details, numbers, selections) only need to be present.
+ */
+
+const { countKeywordOccurrences, hasActionVerb, hasMetrics } = require('./atsScorer');
+const { SKILL_CATEGORIES } = require('./skillCatalog');
+
+/**
+ * Points for each check of a narrative answer (total 100)
+ * @type {Object<string, number>}
+ */
+const CHECK_WEIGHTS = {
+  metrics: 30,
+  specificity: 25,
+  star: 25,
+  skills: 20,
+};
+
+/**
+ * Word counts for a specific answer: below `min` it is too thin, from `full` on it gets full credit
+ * @type {{min: number, full: number}}
+ */
+const DETAIL_WORDS = { min: 12, full: 30 };
+
+/**
+ * Phrases that stand in for detail
+ * @type {Array<string>}
+ */
+const VAGUE_PHRASES = [
+  'various', 'stuff', 'things', 'etc', 'and so on', 'helped with', 'worked on', 'was involved in',
+  'responsible for', 'many projects', 'a lot of', 'some projects',
+];
+
+/**
+ * Cues for each part of a STAR answer (besides the action, found by hasActionVerb)
+ * @type {Object<string, RegExp>}
+ */
+const STAR_CUES = {
+  situation: /\b(when|while|at the time|our|the team|the company|the client|faced|because|problem|issue|legacy|slow|manual)\b/i,
+  task: /\b(needed|had to|goal|tasked|asked to|my role|responsible for|in charge of|objective|to fix|to improve|to reduce)\b/i,
+  result: /\b(result(ed|ing)?|which|so that|leading to|led to|outcome|saving|saved|reduc(ed|ing)|increas(ed|ing)|improv(ed|ing)|cut|grew|achiev(ed|ing))\b/i,
+};
+
+/**
+ * "I" followed by a past-tense verb, e.g. "I migrated" or "I rewrote"
+ * @type {RegExp}
+ */
+const FIRST_PERSON_ACTION = /\bI\s+(\w+ed|built|wrote|rewrote|led|ran|made|drove|grew|cut|set up|took|chose|found|taught|won|began|brought)\b/;
+
+/**
+ * Readiness levels by minimum score
+ * @type {Array<{min: number, level: string}>}
+ */
+const READINESS_LEVELS = [
+  { min: 75, level: 'ready' },
+  { min: 50, level: 'needs work' },
+  { min: 0, level: 'not ready' },
+];
+
+/**
+ * Question categories whose answers become resume content
+ * @type {Array<string>}
+ */
+const NARRATIVE_CATEGORIES = ['skills', 'experience', 'achievements', 'projects'];
+
+/**
+ * Flattens an answer (text, number or multiselect list) to text
+ * @param {*} answer - Answer value
+ * @returns {string} - Answer text
+ */
+function answerText(answer) {
+  return Array.isArray(answer) ? answer.join(', ') : String(answer === undefined || answer === null ? '' : answer).trim();
+}
+
+/**
+ * Lists the required skills a question was generated for: those named in its text or placeholder
+ * @param {Object} question - Question object
+ * @param {Array<string>} requiredSkills - Job analysis required skills
+ * @returns {Array<string>} - Skills the question targets
+ */
+function targetSkills(question, requiredSkills) {
+  const text = `${question.question} ${question.placeholder || ''}`;
+  return requiredSkills.filter(skill => countKeywordOccurrences(text, skill) > 0);
+}
+
+/**
+ * Checks how specific an answer is
+ * @param {string} text - Answer text
+ * @param {Array<string>} requiredSkills - Job analysis required skills
+ * @returns {{score: number, wordCount: number, namedTools: Array<string>, vague: Array<string>}} - score from 0 to 1
+ */
+function checkSpecificity(text, requiredSkills) {
+  const wordCount = text.split(/\s+/).filter(Boolean).length;
+  const knownTools = [...requiredSkills, ...Object.values(SKILL_CATEGORIES).flat()];
+  const namedTools = [...new Set(knownTools.filter(tool => countKeywordOccurrences(text, tool) > 0))];
+  const vague = VAGUE_PHRASES.filter(phrase => countKeywordOccurrences(text, phrase) > 0);
+
+  let score = Math.min(1, Math.max(0, (wordCount - DETAIL_WORDS.min / 2) / (DETAIL_WORDS.full - DETAIL_WORDS.min / 2)));
+  if (namedTools.length > 0) {
+    score = Math.min(1, score + 0.25);
+  }
+  score = Math.max(0, score - vague.length * 0.15);
+
+  return { score: Math.round(score * 100) / 100, wordCount, namedTools, vague };
+}
+
+/**
+ * Finds the STAR components in an answer
+ * @param {string} text - Answer text
+ * @returns {{situation: boolean, task: boolean, action: boolean, result: boolean}}
+ */
+function checkStar(text) {
+  return {
+    situation: STAR_CUES.situation.test(text),
+    task: STAR_CUES.task.test(text),
+    action: hasActionVerb(text) || FIRST_PERSON_ACTION.test(text),
+    result: STAR_CUES.result.test(text) || hasMetrics(text),
+  };
+}
+
+/**
+ * Grades one narrative answer
+ * @param {Object} question - Question object
+ * @param {string} text - Answer text
+ * @param {Array<string>} requiredSkills - Job analysis required skills
+ * @returns {Object} - {score, checks, feedback}
+ */
+function gradeNarrative(question, text, requiredSkills) {
+  const quantified = hasMetrics(text);
+  const specificity = checkSpecificity(text, requiredSkills);
+  const star = checkStar(text);
+  const starParts = Object.values(star).filter(Boolean).length;
+  const targets = targetSkills(question, requiredSkills);
+  const mentioned = targets.filter(skill => countKeywordOccurrences(text, skill) > 0);
+  const skillShare = targets.length > 0 ? mentioned.length / targets.length : 1;
+
+  const score = Math.round(
+    (quantified ? CHECK_WEIGHTS.metrics : 0)
+    + specificity.score * CHECK_WEIGHTS.specificity
+    + (starParts / 4) * CHECK_WEIGHTS.star
+    + skillShare * CHECK_WEIGHTS.skills
+  );
+
+  const feedback = [];
+  if (!quantified) {
+    feedback.push('Add a measurable result: a percentage, time or money saved, users served or team size.');
+  }
+  if (specificity.wordCount < DETAIL_WORDS.min) {
+    feedback.push(`Add detail: ${specificity.wordCount} words is too short to become a resume bullet. Say what you did, how, and what changed.`);
+  }
+  if (specificity.vague.length > 0) {
+    feedback.push(`Replace vague wording (${specificity.vague.map(phrase => `"${phrase}"`).join(', ')}) with what you actually did.`);
+  }
+  if (specificity.namedTools.length === 0 && specificity.wordCount >= DETAIL_WORDS.min) {
+    feedback.push('Name the tools, languages or systems you used.');
+  }
+  const missingStar = Object.entries(star).filter(([, present]) => !present).map(([part]) => part);
+  if (missingStar.length > 0 && specificity.wordCount >= DETAIL_WORDS.min) {
+    feedback.push(`Cover the full story (situation, task, action, result); missing: ${missingStar.join(', ')}.`);
+  }
+  const missingSkills = targets.filter(skill => !mentioned.includes(skill));
+  if (missingSkills.length > 0) {
+    feedback.push(`This question is about ${missingSkills.join(', ')}; say how you used ${missingSkills.length === 1 ? 'it' : 'them'}.`);
+  }
+
+  return {
+    score,
+    checks: {
+      quantified,
+      specificity,
+      star,
+      skills: { targeted: targets, mentioned, missing: missingSkills },
+    },
+    feedback,
+  };
+}
+
+/**
+ * Grades questionnaire answers and scores how ready they are for resume generation
+ * @param {Array<Object>} questions - Questions from generateQuestions
+ * @param {Object} answers - Answers keyed by question ID
+ * @param {Object} [jobAnalysis] - Job analysis the questions were generated from (for skill checks)
+ * @returns {Object} - {readiness: {score, level, summary}, answers: [{questionId, question, category,
+ *   answered, narrative, score, checks, feedback}], unanswered: [question IDs]}
+ * @throws {Error} If questions or answers are invalid
+ *
+ * @example
+ * const { readiness, answers: graded } = evaluateAnswers(questions, answers, jobAnalysis);
+ * graded.filter(a => a.score < 60).forEach(a => console.log(a.questionId, a.feedback));
+ */
+function evaluateAnswers(questions, answers, jobAnalysis = null) {
+  if (!Array.isArray(questions) || questions.length === 0) {
+    throw new Error('questions must be a non-empty array');
+  }
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    throw new Error('answers must be an object');
+  }
+
+  const requiredSkills = jobAnalysis && Array.isArray(jobAnalysis.requiredSkills) ? jobAnalysis.requiredSkills : [];
+
+  const graded = questions.map((question) => {
+    const text = answerText(answers[question.id]);
+    const narrative = NARRATIVE_CATEGORIES.includes(question.category) && question.type === 'textarea';
+    const base = { questionId: question.id, question: question.question, category: question.category, answered: text.length > 0, narrative };
+
+    if (!text) {
+      return {
+        ...base,
+        score: 0,
+        checks: null,
+        feedback: [question.required ? 'This question is required. Answer it before generating a resume.' : 'Optional, but answering it gives the resume more to work with.'],
+      };
+    }
+    if (!narrative) {
+      return { ...base, score: 100, checks: null, feedback: [] };
+    }
+    return { ...base, ...gradeNarrative(question, text, requiredSkills) };
+  });
+
+  // Narrative answers carry the readiness score; every unanswered required question costs 10 points
+  const narratives = graded.filter(answer => answer.narrative && (answer.answered || questions.find(q => q.id === answer.questionId).required));
+  const unansweredRequired = graded.filter(answer => !answer.answered && questions.find(q => q.id === answer.questionId).required);
+  const base = narratives.length > 0
+    ? narratives.reduce((sum, answer) => sum + answer.score, 0) / narratives.length
+    : (unansweredRequired.length === 0 ? 100 : 0);
+  const score = Math.max(0, Math.round(base - unansweredRequired.filter(answer => !answer.narrative).length * 10));
+  const { level } = READINESS_LEVELS.find(entry => score >= entry.min);
+
+  const weakest = graded
+    .filter(answer => answer.narrative && answer.answered && answer.score < 60)
+    .sort((a, b) => a.score - b.score)
+    .map(answer => answer.questionId);
+  const summary = [
+    unansweredRequired.length > 0 ? `${unansweredRequired.length} required question(s) unanswered.` : null,
+    weakest.length > 0 ? `Strengthen these answers first: ${weakest.join(', ')}.` : null,
+    level === 'ready' ? 'The answers give the generator enough specific, quantified material.' : null,
+  ].filter(Boolean).join(' ');
+
+  return {
+    readiness: { score, level, summary },
+    answers: graded,
+    unanswered: graded.filter(answer => !answer.answered).map(answer => answer.questionId),
+  };
+}
+
+module.exports = {
+  evaluateAnswers,
+};
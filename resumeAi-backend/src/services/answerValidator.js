@@ -0,0 +1,148 @@
+/**
+ * Answer Validator Service
+ * Checks submitted answers against the question definitions from
+ * generateQuestions: required flags, email/phone/URL formats, number ranges
+ * and select/multiselect options. Errors are keyed by question ID so clients
+ * can show them next to the field.
+ */
+
+/**
+ * Loose email check: something@domain.tld, no spaces
+ * @type {RegExp}
+ */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Characters a phone number may contain besides digits, e.g. "+1 (555) 123-4567 ext. 89"
+ * @type {RegExp}
+ */
+const PHONE_PATTERN = /^\+?[\d\s().\-]+((ext\.?|x)\s*\d+)?$/i;
+
+/**
+ * Number of digits in a valid phone number (E.164 allows up to 15, local numbers have at least 7)
+ * @type {{min: number, max: number}}
+ */
+const PHONE_DIGITS = { min: 7, max: 15 };
+
+/**
+ * Whether an answer counts as not given
+ * @param {*} value - Answer value
+ * @returns {boolean}
+ */
+function isEmpty(value) {
+  return value === undefined || value === null
+    || (typeof value === 'string' && value.trim().length === 0)
+    || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Checks that a URL has an http(s) scheme (added when missing) and a dotted host
+ * @param {string} value - URL text
+ * @returns {boolean}
+ */
+function isValidUrl(value) {
+  try {
+    const url = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(value) ? value : `https://${value}`);
+    return ['http:', 'https:'].includes(url.protocol) && url.hostname.includes('.');
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Checks one answer against its question
+ * @param {Object} question - Question object ({id, type, required, options?, min?, max?})
+ * @param {*} value - The submitted answer
+ * @returns {string|null} - What is wrong with the answer, or null if it is valid
+ */
+function validateAnswer(question, value) {
+  if (isEmpty(value)) {
+    return question.required ? 'is required' : null;
+  }
+
+  const options = Array.isArray(question.options) ? question.options : null;
+
+  switch (question.type) {
+    case 'email':
+      return typeof value === 'string' && EMAIL_PATTERN.test(value.trim()) ? null : 'must be a valid email address';
+
+    case 'tel': {
+      const digits = typeof value === 'string' ? value.replace(/\D/g, '').length : 0;
+      return typeof value === 'string' && PHONE_PATTERN.test(value.trim()) && digits >= PHONE_DIGITS.min && digits <= PHONE_DIGITS.max
+        ? null
+        : `must be a valid phone number (${PHONE_DIGITS.min}-${PHONE_DIGITS.max} digits)`;
+    }
+
+    case 'url':
+      return typeof value === 'string' && isValidUrl(value.trim()) ? null : 'must be a valid URL';
+
+    case 'number': {
+      const number = typeof value === 'string' ? Number(value.trim()) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return 'must be a number';
+      }
+      if (typeof question.min === 'number' && number < question.min) {
+        return `must be at least ${question.min}`;
+      }
+      if (typeof question.max === 'number' && number > question.max) {
+        return `must be at most ${question.max}`;
+      }
+      return null;
+    }
+
+    case 'select':
+      if (typeof value !== 'string') {
+        return 'must be a string';
+      }
+      return !options || options.includes(value) ? null : `must be one of: ${options.join(', ')}`;
+
+    case 'multiselect':
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        return 'must be an array of strings';
+      }
+      return !options || value.every(item => options.includes(item)) ? null : `must only contain: ${options.join(', ')}`;
+
+    default:
+      // text and textarea
+      return typeof value === 'string' || typeof value === 'number' ? null : 'must be a string';
+  }
+}
+
+/**
+ * Checks submitted answers against their question definitions. Answers to
+ * questions not in the list are not checked.
+ * @param {Array<Object>} questions - Question objects (e.g. from generateQuestions)
+ * @param {Object} answers - Answers keyed by question ID
+ * @returns {{valid: boolean, errors: Object<string, string>}} - errors maps each question ID to what is wrong
+ *
+ * @example
+ * const { valid, errors } = validateAnswers(questions, { email: 'nope' });
+ * // errors: { full_name: 'is required', email: 'must be a valid email address', ... }
+ */
+function validateAnswers(questions, answers) {
+  const errors = {};
+
+  questions.forEach((question) => {
+    const error = validateAnswer(question, answers[question.id]);
+    if (error) {
+      errors[question.id] = error;
+    }
+  });
+
+  return { valid: Object.keys(errors).length === 0, errors };
+}
+
+/**
+ * Turns a field-keyed error map into one message, e.g. "email must be a valid email address; phone is required"
+ * @param {Object<string, string>} errors - Errors from validateAnswers
+ * @returns {string}
+ */
+function describeErrors(errors) {
+  return Object.entries(errors).map(([field, error]) => `${field} ${error}`).join('; ');
+}
+
+module.exports = {
+  describeErrors,
+  validateAnswer,
+  validateAnswers,
+};
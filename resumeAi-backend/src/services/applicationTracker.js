@@ -0,0 +1,516 @@
+/**
+ * Application Tracker Service
+ * Tracks job applications through a status pipeline, linking each one to the
+ * stored job analysis, tailored resume, cover letter, ATS score and salary insight.
+ * Every status change and milestone is kept as a dated event.
+ */
+
+const crypto = require('crypto');
+const { findRecord, getRepository } = require('../storage');
+
+/**
+ * Pipeline statuses in order. 'rejected' and 'withdrawn' end the pipeline.
+ * @type {Array<string>}
+ */
+const APPLICATION_STATUSES = ['saved', 'applied', 'screening', 'interviewing', 'offer', 'rejected', 'withdrawn'];
+
+/**
+ * Statuses an application cannot leave
+ * @type {Array<string>}
+ */
+const TERMINAL_STATUSES = ['rejected', 'withdrawn'];
+
+/**
+ * Fields applications can be sorted by
+ * @type {Array<string>}
+ */
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'appliedAt', 'company', 'status', 'atsScore'];
+
+/**
+ * Linkable records: request field -> storage collection
+ * @type {Object<string, string>}
+ */
+const LINKS = {
+  analysisId: 'analyses',
+  resumeId: 'resumes',
+  coverLetterId: 'coverLetters',
+  atsScoreId: 'atsScores',
+  salaryInsightId: 'salaryInsights',
+};
+
+/**
+ * Creates an error carrying an HTTP status
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Error}
+ */
+function statusError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Validates an optional date and returns it as an ISO string
+ * @param {*} value - Date string from the request
+ * @param {string} field - Field name for error messages
+ * @returns {string} - ISO date (now when value is not given)
+ * @throws {Error} With status 400 if the date is invalid
+ */
+function toISODate(value, field) {
+  if (value === undefined || value === null || value === '') {
+    return new Date().toISOString();
+  }
+  const time = typeof value === 'string' ? Date.parse(value) : NaN;
+  if (Number.isNaN(time)) {
+    throw statusError(`${field} must be a valid date (e.g. 2024-05-01)`);
+  }
+  return new Date(time).toISOString();
+}
+
+/**
+ * Validates an optional non-empty string field
+ * @param {Object} input - Request fields
+ * @param {string} field - Field name
+ * @param {boolean} required - Whether the field is required
+ * @returns {string|null} - Trimmed value or null
+ * @throws {Error} With status 400 if invalid
+ */
+function readString(input, field, required = false) {
+  const value = input[field];
+  if (value === undefined || value === null) {
+    if (required) {
+      throw statusError(`${field} is required and must be a non-empty string`);
+    }
+    return null;
+  }
+  if (typeof value !== 'string' || (required && value.trim().length === 0)) {
+    throw statusError(`${field} must be a non-empty string`);
+  }
+  return value.trim();
+}
+
+/**
+ * Validates the linked record IDs in a request and resolves the ATS score.
+ * When a resume is linked without a score, the score stored for that resume is used.
+ * @param {Object} input - Request fields
+ * @param {Object} current - Current links (for updates)
+ * @returns {{links: Object, atsScore: number|null}}
+ * @throws {Error} With status 404 if a linked record does not exist
+ */
+function resolveLinks(input, current = {}) {
+  const links = { ...current };
+
+  Object.entries(LINKS).forEach(([field, collection]) => {
+    if (input[field] === undefined) {
+      return;
+    }
+    if (input[field] !== null) {
+      findRecord(collection, input[field]);
+    }
+    links[field] = input[field];
+  });
+
+  if (input.resumeId && input.atsScoreId === undefined) {
+    const [score] = getRepository().list('atsScores', { refs: { resumeId: input.resumeId } });
+    links.atsScoreId = score ? score.id : links.atsScoreId || null;
+  }
+
+  const atsScore = links.atsScoreId ? findRecord('atsScores', links.atsScoreId).data.overallScore : null;
+  return { links, atsScore: typeof atsScore === 'number' ? atsScore : null };
+}
+
+/**
+ * Builds a contact entry from request fields
+ * @param {Object} input - {name, email?, phone?, role?, notes?}
+ * @returns {Object} - Contact with an ID
+ * @throws {Error} With status 400 if the name is missing
+ */
+function buildContact(input) {
+  if (!input || typeof input !== 'object') {
+    throw statusError('contact must be an object');
+  }
+  return {
+    id: crypto.randomUUID(),
+    name: readString(input, 'name', true),
+    email: readString(input, 'email'),
+    phone: readString(input, 'phone'),
+    role: readString(input, 'role'),
+    notes: readString(input, 'notes'),
+  };
+}
+
+/**
+ * Builds a note entry
+ * @param {string} text - Note text
+ * @returns {Object} - Note with an ID and timestamp
+ * @throws {Error} With status 400 if the text is empty
+ */
+function buildNote(text) {
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    throw statusError('note text must be a non-empty string');
+  }
+  return { id: crypto.randomUUID(), text: text.trim(), createdAt: new Date().toISOString() };
+}
+
+/**
+ * Builds an event entry
+ * @param {string} type - Event type (e.g. 'status_change', 'interview', 'follow_up')
+ * @param {Object} details - {date?, note?, status?, previousStatus?}
+ * @returns {Object} - Event with an ID
+ */
+function buildEvent(type, { date, note, status, previousStatus } = {}) {
+  return {
+    id: crypto.randomUUID(),
+    type,
+    date: toISODate(date, 'date'),
+    ...(status && { status }),
+    ...(previousStatus && { previousStatus }),
+    note: typeof note === 'string' && note.trim() ? note.trim() : null,
+  };
+}
+
+/**
+ * Checks whether an application may move from one status to another.
+ * Applications move forward through the pipeline (skipping steps is fine) and
+ * can be rejected or withdrawn at any point until they reach one of those.
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  if (from === to || TERMINAL_STATUSES.includes(from)) {
+    return false;
+  }
+  if (TERMINAL_STATUSES.includes(to)) {
+    return true;
+  }
+  return APPLICATION_STATUSES.indexOf(to) > APPLICATION_STATUSES.indexOf(from);
+}
+
+/**
+ * Converts a stored record into an application
+ * @param {Object} record - Storage record
+ * @returns {Object} - Application
+ */
+function toApplication(record) {
+  return { id: record.id, ...record.data, createdAt: record.createdAt, updatedAt: record.updatedAt };
+}
+
+/**
+ * Loads an application record
+ * @param {string} id - Application ID
+ * @returns {Object} - Storage record
+ * @throws {Error} With status 404 if it does not exist
+ */
+function loadApplication(id) {
+  return findRecord('applications', id);
+}
+
+/**
+ * Saves application data and returns the updated application
+ * @param {string} id - Application ID
+ * @param {Object} data - Application data
+ * @returns {Object} - Application
+ */
+function saveApplication(id, data) {
+  const { links } = data;
+  return toApplication(getRepository().update('applications', id, data, links));
+}
+
+/**
+ * Creates an application
+ * @param {Object} input - Request fields
+ * @param {string} input.company - Company name
+ * @param {string} input.role - Job title
+ * @param {string} [input.status='saved'] - Initial pipeline status
+ * @param {string} [input.location] - Job location
+ * @param {string} [input.jobUrl] - Posting URL
+ * @param {string} [input.analysisId] - Stored job analysis
+ * @param {string} [input.resumeId] - Stored tailored resume
+ * @param {string} [input.coverLetterId] - Stored cover letter
+ * @param {string} [input.atsScoreId] - Stored ATS score (defaults to the resume's score)
+ * @param {string} [input.salaryInsightId] - Stored salary insight
+ * @param {string} [input.date] - Date of the initial status (defaults to now)
+ * @param {string|Array<string>} [input.notes] - Initial notes
+ * @param {Array<Object>} [input.contacts] - Initial contacts
+ * @returns {Object} - The created application
+ * @throws {Error} With status 400 on invalid input or 404 on unknown linked records
+ */
+function createApplication(input) {
+  if (!input || typeof input !== 'object') {
+    throw statusError('Request body is required');
+  }
+
+  const status = input.status === undefined ? 'saved' : input.status;
+  if (!APPLICATION_STATUSES.includes(status)) {
+    throw statusError(`status must be one of: ${APPLICATION_STATUSES.join(', ')}`);
+  }
+
+  const notes = input.notes === undefined ? [] : [].concat(input.notes).map(buildNote);
+  if (input.contacts !== undefined && !Array.isArray(input.contacts)) {
+    throw statusError('contacts must be an array');
+  }
+
+  const { links, atsScore } = resolveLinks(input);
+  const createdEvent = buildEvent('created', { date: input.date, status });
+
+  const data = {
+    company: readString(input, 'company', true),
+    role: readString(input, 'role', true),
+    location: readString(input, 'location'),
+    jobUrl: readString(input, 'jobUrl'),
+    status,
+    appliedAt: status !== 'saved' && !TERMINAL_STATUSES.includes(status) ? createdEvent.date : null,
+    atsScore,
+    links,
+    events: [createdEvent],
+    notes,
+    contacts: (input.contacts || []).map(buildContact),
+  };
+
+  return toApplication(getRepository().insert('applications', data, links));
+}
+
+/**
+ * Returns an application with its linked records expanded
+ * @param {string} id - Application ID
+ * @returns {Object} - Application plus `linked` ({analysis, resume, coverLetter, atsScore, salaryInsight})
+ * @throws {Error} With status 404 if it does not exist
+ */
+function getApplication(id) {
+  const application = toApplication(loadApplication(id));
+  const repository = getRepository();
+
+  const linked = {};
+  Object.entries(LINKS).forEach(([field, collection]) => {
+    const linkedId = application.links[field];
+    const record = linkedId ? repository.get(collection, linkedId) : null;
+    linked[field.replace(/Id$/, '')] = record ? record.data : null;
+  });
+
+  return { ...application, linked };
+}
+
+/**
+ * Lists applications with filtering and sorting
+ * @param {Object} query - Query parameters
+ * @param {string} [query.status] - Comma-separated statuses to include
+ * @param {string} [query.company] - Case-insensitive company name substring
+ * @param {string} [query.from] - Only applications dated on or after this date
+ * @param {string} [query.to] - Only applications dated on or before this date.
+ *   An application's date is when it was applied to, or when it was saved if not yet applied.
+ * @param {string} [query.minAtsScore] - Minimum ATS score
+ * @param {string} [query.maxAtsScore] - Maximum ATS score
+ * @param {string} [query.sort='updatedAt'] - One of SORT_FIELDS
+ * @param {string} [query.order] - 'asc' or 'desc' (default desc, asc for company)
+ * @returns {Array<Object>} - Matching applications
+ * @throws {Error} With status 400 on invalid filters
+ */
+function listApplications(query = {}) {
+  const statuses = query.status ? String(query.status).split(',').map(s => s.trim()).filter(Boolean) : null;
+  const unknownStatus = (statuses || []).find(s => !APPLICATION_STATUSES.includes(s));
+  if (unknownStatus) {
+    throw statusError(`status must be one of: ${APPLICATION_STATUSES.join(', ')}`);
+  }
+
+  const sort = query.sort || 'updatedAt';
+  if (!SORT_FIELDS.includes(sort)) {
+    throw statusError(`sort must be one of: ${SORT_FIELDS.join(', ')}`);
+  }
+
+  const order = query.order || (sort === 'company' ? 'asc' : 'desc');
+  if (!['asc', 'desc'].includes(order)) {
+    throw statusError('order must be one of: asc, desc');
+  }
+
+  const from = query.from ? toISODate(query.from, 'from') : null;
+  let to = query.to ? toISODate(query.to, 'to') : null;
+  // A bare end date includes the whole day
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+    to = to.replace(/T.*$/, 'T23:59:59.999Z');
+  }
+  const minScore = query.minAtsScore !== undefined ? Number(query.minAtsScore) : null;
+  const maxScore = query.maxAtsScore !== undefined ? Number(query.maxAtsScore) : null;
+  if (Number.isNaN(minScore) || Number.isNaN(maxScore)) {
+    throw statusError('minAtsScore and maxAtsScore must be numbers');
+  }
+  const company = query.company ? String(query.company).toLowerCase() : null;
+
+  const applications = getRepository()
+    .list('applications')
+    .map(toApplication)
+    .filter((app) => {
+      if (statuses && !statuses.includes(app.status)) return false;
+      if (company && !app.company.toLowerCase().includes(company)) return false;
+      const date = app.appliedAt || app.events[0].date;
+      if (from && date < from) return false;
+      if (to && date > to) return false;
+      if (minScore !== null && (app.atsScore === null || app.atsScore < minScore)) return false;
+      if (maxScore !== null && (app.atsScore === null || app.atsScore > maxScore)) return false;
+      return true;
+    });
+
+  const sortValue = (app) => (sort === 'status' ? APPLICATION_STATUSES.indexOf(app.status) : app[sort]);
+  const direction = order === 'asc' ? 1 : -1;
+
+  return applications.sort((a, b) => {
+    const left = sortValue(a);
+    const right = sortValue(b);
+    // Missing values (no ATS score, never applied) always sort last
+    if (left === null || left === undefined) return right === null || right === undefined ? 0 : 1;
+    if (right === null || right === undefined) return -1;
+    if (typeof left === 'string') return left.localeCompare(right, undefined, { sensitivity: 'base' }) * direction;
+    return (left - right) * direction;
+  });
+}
+
+/**
+ * Updates an application's details and links. Status changes go through changeStatus.
+ * @param {string} id - Application ID
+ * @param {Object} input - Fields to update (company, role, location, jobUrl and link IDs)
+ * @returns {Object} - The updated application
+ * @throws {Error} With status 400 on invalid input or 404 on unknown records
+ */
+function updateApplication(id, input) {
+  if (!input || typeof input !== 'object') {
+    throw statusError('Request body is required');
+  }
+  if (input.status !== undefined) {
+    throw statusError('status cannot be updated directly; use POST /applications/:id/status');
+  }
+
+  const data = loadApplication(id).data;
+
+  ['company', 'role'].forEach((field) => {
+    if (input[field] !== undefined) data[field] = readString(input, field, true);
+  });
+  ['location', 'jobUrl'].forEach((field) => {
+    if (input[field] !== undefined) data[field] = readString(input, field);
+  });
+
+  const { links, atsScore } = resolveLinks(input, data.links);
+  data.links = links;
+  data.atsScore = atsScore;
+
+  return saveApplication(id, data);
+}
+
+/**
+ * Moves an application to a new pipeline status and records the change as an event
+ * @param {string} id - Application ID
+ * @param {Object} input - {status, date?, note?}
+ * @returns {Object} - The updated application
+ * @throws {Error} With status 400 on an invalid or disallowed transition, 404 if not found
+ */
+function changeStatus(id, input = {}) {
+  const { status, date, note } = input;
+  if (!APPLICATION_STATUSES.includes(status)) {
+    throw statusError(`status must be one of: ${APPLICATION_STATUSES.join(', ')}`);
+  }
+
+  const data = loadApplication(id).data;
+  if (!canTransition(data.status, status)) {
+    throw statusError(`Cannot move application from '${data.status}' to '${status}'`);
+  }
+
+  const event = buildEvent('status_change', { date, note, status, previousStatus: data.status });
+  data.events.push(event);
+  data.events.sort((a, b) => a.date.localeCompare(b.date));
+  data.status = status;
+  if (!data.appliedAt && status !== 'saved' && !TERMINAL_STATUSES.includes(status)) {
+    data.appliedAt = event.date;
+  }
+
+  return saveApplication(id, data);
+}
+
+/**
+ * Adds a dated event (interview, follow-up, offer call...) to an application
+ * @param {string} id - Application ID
+ * @param {Object} input - {type, date?, note?}
+ * @returns {Object} - The updated application
+ * @throws {Error} With status 400 if the type is missing, 404 if not found
+ */
+function addEvent(id, input = {}) {
+  const type = readString(input, 'type', true);
+  if (type === 'status_change' || type === 'created') {
+    throw statusError(`'${type}' events are recorded automatically`);
+  }
+
+  const data = loadApplication(id).data;
+  data.events.push(buildEvent(type, input));
+  data.events.sort((a, b) => a.date.localeCompare(b.date));
+  return saveApplication(id, data);
+}
+
+/**
+ * Adds a note to an application
+ * @param {string} id - Application ID
+ * @param {string} text - Note text
+ * @returns {Object} - The updated application
+ */
+function addNote(id, text) {
+  const data = loadApplication(id).data;
+  data.notes.push(buildNote(text));
+  return saveApplication(id, data);
+}
+
+/**
+ * Adds a contact to an application
+ * @param {string} id - Application ID
+ * @param {Object} input - {name, email?, phone?, role?, notes?}
+ * @returns {Object} - The updated application
+ */
+function addContact(id, input) {
+  const data = loadApplication(id).data;
+  data.contacts.push(buildContact(input));
+  return saveApplication(id, data);
+}
+
+/**
+ * Removes a note, contact or event from an application
+ * @param {string} id - Application ID
+ * @param {string} listName - 'notes', 'contacts' or 'events'
+ * @param {string} entryId - Entry ID
+ * @returns {Object} - The updated application
+ * @throws {Error} With status 404 if the application or entry does not exist
+ */
+function removeEntry(id, listName, entryId) {
+  const data = loadApplication(id).data;
+  const index = data[listName].findIndex(entry => entry.id === entryId);
+  if (index === -1) {
+    throw statusError(`${listName.replace(/s$/, '')} '${entryId}' not found`, 404);
+  }
+  if (listName === 'events' && ['created', 'status_change'].includes(data.events[index].type)) {
+    throw statusError('Status history events cannot be removed');
+  }
+
+  data[listName].splice(index, 1);
+  return saveApplication(id, data);
+}
+
+/**
+ * Deletes an application. Linked resumes, cover letters and analyses are kept.
+ * @param {string} id - Application ID
+ * @throws {Error} With status 404 if it does not exist
+ */
+function deleteApplication(id) {
+  loadApplication(id);
+  getRepository().remove('applications', id);
+}
+
+module.exports = {
+  APPLICATION_STATUSES,
+  SORT_FIELDS,
+  addContact,
+  addEvent,
+  addNote,
+  changeStatus,
+  createApplication,
+  deleteApplication,
+  getApplication,
+  listApplications,
+  removeEntry,
+  updateApplication,
+};
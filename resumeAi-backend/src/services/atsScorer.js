@@ -1,25 +1,35 @@
+const { DEFAULT_SCORING_PROFILE, SCORING_PROFILES } = require('../config/scoringProfiles');
+const { canonicalKeyword, matchKeyword } = require('./keywordMatcher');
+const { lintResume } = require('./resumeLinter');
+const { analyzeTimeline } = require('./employmentTimeline');
+
 /**
- * Extracts all text content from resume for analysis
+ * Resume sections keyword hits are tracked in, in the order extractResumeText reads them.
+ * Education and additional sections count as 'other'.
+ * @type {Array<string>}
+ */
+const KEYWORD_SECTIONS = ['summary', 'experience', 'skills', 'other'];
+
+/**
+ * Extracts the text of each resume section for analysis
  * @param {Object} resumeContent - The resume content object
- * @returns {string} - Combined text from all resume sections
+ * @returns {Object<string, string>} - Lowercase text keyed by section (see KEYWORD_SECTIONS)
  */
-function extractResumeText(resumeContent) {
-  let text = '';
+function extractSectionTexts(resumeContent) {
+  const parts = { summary: [], experience: [], skills: [], other: [] };
 
   // Add summary
   if (resumeContent.summary && typeof resumeContent.summary === 'string') {
-    text += resumeContent.summary + ' ';
+    parts.summary.push(resumeContent.summary);
   }
 
   // Add experience
   if (Array.isArray(resumeContent.experience)) {
     resumeContent.experience.forEach((exp) => {
-      if (exp.company) text += exp.company + ' ';
-      if (exp.role) text += exp.role + ' ';
+      if (exp.company) parts.experience.push(exp.company);
+      if (exp.role) parts.experience.push(exp.role);
       if (Array.isArray(exp.bullets)) {
-        exp.bullets.forEach((bullet) => {
-          text += bullet + ' ';
-        });
+        parts.experience.push(...exp.bullets);
       }
     });
   }
@@ -29,7 +39,7 @@ function extractResumeText(resumeContent) {
     const skillCategories = ['languages', 'frameworks', 'databases', 'cloud', 'tools'];
     skillCategories.forEach(category => {
       if (Array.isArray(resumeContent.skills[category])) {
-        text += resumeContent.skills[category].join(' ') + ' ';
+        parts.skills.push(...resumeContent.skills[category]);
       }
     });
   }
@@ -37,23 +47,81 @@ function extractResumeText(resumeContent) {
   // Add education
   if (Array.isArray(resumeContent.education)) {
     resumeContent.education.forEach((edu) => {
-      if (edu.degree) text += edu.degree + ' ';
-      if (edu.institution) text += edu.institution + ' ';
-      if (edu.details) text += edu.details + ' ';
+      if (edu.degree) parts.other.push(edu.degree);
+      if (edu.institution) parts.other.push(edu.institution);
+      if (edu.details) parts.other.push(edu.details);
     });
   }
 
   // Add additional sections
   if (Array.isArray(resumeContent.additionalSections)) {
     resumeContent.additionalSections.forEach((section) => {
-      if (section.title) text += section.title + ' ';
+      if (section.title) parts.other.push(section.title);
       if (Array.isArray(section.items)) {
-        text += section.items.join(' ') + ' ';
+        parts.other.push(...section.items);
       }
     });
   }
 
-  return text.toLowerCase().trim();
+  return Object.fromEntries(KEYWORD_SECTIONS.map(section => [section, parts[section].join(' ').toLowerCase().trim()]));
+}
+
+/**
+ * Extracts all text content from resume for analysis
+ * @param {Object} resumeContent - The resume content object
+ * @returns {string} - Combined text from all resume sections
+ */
+function extractResumeText(resumeContent) {
+  const sectionTexts = extractSectionTexts(resumeContent);
+  return KEYWORD_SECTIONS.map(section => sectionTexts[section]).filter(Boolean).join(' ');
+}
+
+/**
+ * Counts a keyword in each resume section
+ * @param {Object<string, string>} sectionTexts - Text of each section (from extractSectionTexts)
+ * @param {string} keyword - The keyword to search for
+ * @param {Object} [matching] - keywordMatcher options ({stemming, synonyms}; both on by default)
+ * @returns {{count: number, variants: Object<string, number>, sections: Object<string, number>}} - Total
+ *   occurrences, how often each way of writing it was found, and occurrences per section
+ */
+function countKeywordBySection(sectionTexts, keyword, matching = {}) {
+  const result = { count: 0, variants: {}, sections: {} };
+  KEYWORD_SECTIONS.forEach((section) => {
+    const match = matchKeyword(sectionTexts[section], keyword, matching);
+    result.sections[section] = match.count;
+    result.count += match.count;
+    Object.entries(match.variants).forEach(([variant, count]) => {
+      result.variants[variant] = (result.variants[variant] || 0) + count;
+    });
+  });
+  return result;
+}
+
+/**
+ * Merges job keywords that match the same text, such as "React" and "React.js",
+ * so each is counted, scored and checked for stuffing once. A merged keyword
+ * keeps the form listed first and adds up the frequencies.
+ * @param {Array<Object>} atsKeywords - Array of {keyword: string, frequency: number}
+ * @param {Object} [matching] - keywordMatcher options ({stemming, synonyms}; both on by default)
+ * @returns {Array<Object>} - {keyword, frequency, aliases}; aliases are the other forms merged into it
+ */
+function groupKeywords(atsKeywords, matching = {}) {
+  if (!Array.isArray(atsKeywords)) {
+    return [];
+  }
+
+  const groups = new Map();
+  atsKeywords.forEach((kwObj) => {
+    const key = canonicalKeyword(kwObj.keyword, matching);
+    const group = groups.get(key);
+    if (group) {
+      group.frequency += kwObj.frequency || 1;
+      group.aliases.push(kwObj.keyword);
+    } else {
+      groups.set(key, { keyword: kwObj.keyword, frequency: kwObj.frequency || 1, aliases: [] });
+    }
+  });
+  return [...groups.values()];
 }
 
 /**
@@ -66,44 +134,176 @@ function normalizeKeyword(keyword) {
 }
 
 /**
- * Counts occurrences of a keyword in text (case-insensitive, whole word matching)
+ * Counts occurrences of a keyword in text (case-insensitive, whole words, tolerant of
+ * spacing and punctuation, word forms, synonyms and acronyms; see keywordMatcher)
  * @param {string} text - The text to search in
  * @param {string} keyword - The keyword to search for
  * @returns {number} - Number of occurrences
  */
 function countKeywordOccurrences(text, keyword) {
-  const normalizedText = normalizeKeyword(text);
-  const normalizedKeyword = normalizeKeyword(keyword);
-  
-  // Use word boundary regex to match whole words
-  const regex = new RegExp(`\\b${normalizedKeyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'gi');
-  const matches = normalizedText.match(regex);
-  
-  return matches ? matches.length : 0;
+  return matchKeyword(text, keyword).count;
 }
 
 /**
- * Calculates keyword match score based on ATS keywords
- * @param {string} resumeText - The extracted resume text
- * @param {Array<Object>} atsKeywords - Array of {keyword: string, frequency: number}
- * @returns {Object} - {score: number, missingKeywords: Array<string>, keywordCounts: Object}
+ * Verbs that count as a strong bullet opening
+ * @type {Array<string>}
+ */
+const ACTION_VERBS = [
+  'developed', 'implemented', 'created', 'designed', 'built', 'led', 'managed',
+  'optimized', 'improved', 'increased', 'reduced', 'achieved', 'delivered',
+  'executed', 'launched', 'established', 'transformed', 'enhanced', 'streamlined'
+];
+
+/**
+ * Points a single bullet earns for metrics and for an action verb in scoreBullet
+ * (the balanced profile's content quality budgets)
+ * @type {{metrics: number, actionVerbs: number}}
+ */
+const BULLET_POINTS = {
+  metrics: SCORING_PROFILES.balanced.contentQuality.metrics,
+  actionVerbs: SCORING_PROFILES.balanced.contentQuality.actionVerbs,
+};
+
+/**
+ * Looks up a scoring profile by name
+ * @param {string} [name] - Profile name; defaults to ATS_SCORING_PROFILE, then 'balanced'
+ * @returns {Object} - The profile settings plus its `name`
+ * @throws {Error} If no profile has that name
+ */
+function resolveScoringProfile(name) {
+  const fromEnv = name === undefined || name === null;
+  const selected = fromEnv ? process.env.ATS_SCORING_PROFILE || DEFAULT_SCORING_PROFILE : name;
+
+  if (typeof selected !== 'string' || !SCORING_PROFILES[selected]) {
+    const field = fromEnv ? 'ATS_SCORING_PROFILE' : 'scoringProfile';
+    throw new Error(`${field} must be one of: ${Object.keys(SCORING_PROFILES).join(', ')}`);
+  }
+
+  return { name: selected, ...SCORING_PROFILES[selected] };
+}
+
+/**
+ * Checks a bullet for metrics (numbers, percentages, dollar signs) or result wording
+ * @param {string} bullet - Experience bullet
+ * @returns {boolean} - True if the bullet reads as quantified
+ */
+function hasMetrics(bullet) {
+  return /\d+%|\$\d+|\d+\s*(million|thousand|k|m|b)|increased|decreased|reduced|improved|by\s+\d+/i.test(bullet);
+}
+
+/**
+ * Checks a bullet for an action verb
+ * @param {string} bullet - Experience bullet
+ * @returns {boolean} - True if the bullet uses an action verb
+ */
+function hasActionVerb(bullet) {
+  const bulletLower = bullet.toLowerCase();
+  return ACTION_VERBS.some(verb => bulletLower.startsWith(verb) || bulletLower.includes(` ${verb}`));
+}
+
+/**
+ * Scores a single bullet with the content quality heuristics
+ * @param {string} bullet - Experience bullet
+ * @returns {{hasMetrics: boolean, hasActionVerb: boolean, score: number}} - Checks and a 0-100 score
+ *   (the bullet's share of the content quality points a bullet can earn)
+ */
+function scoreBullet(bullet) {
+  const metrics = hasMetrics(bullet);
+  const actionVerb = hasActionVerb(bullet);
+  const points = (metrics ? BULLET_POINTS.metrics : 0) + (actionVerb ? BULLET_POINTS.actionVerbs : 0);
+  return {
+    hasMetrics: metrics,
+    hasActionVerb: actionVerb,
+    score: Math.round((points / (BULLET_POINTS.metrics + BULLET_POINTS.actionVerbs)) * 100),
+  };
+}
+
+/**
+ * Rounds points to two decimal places
+ * @param {number} points - Points
+ * @returns {number}
+ */
+function roundPoints(points) {
+  return Math.round(points * 100) / 100;
+}
+
+/**
+ * Builds one rule of the score explanation
+ * @param {string} id - Rule ID (e.g. 'content.bullets.metrics'); suggestions refer to it
+ * @param {string} description - What the rule checks
+ * @param {number} earned - Points earned, on the 0-100 scale of the rule's component
+ * @param {number} possible - Points the rule can earn
+ * @param {Array<Object>} [details] - The bullets, keywords or skills involved, each with a `message` and
+ *   the `points` it earned (positive) or cost (negative)
+ * @returns {Object} - {id, description, earned, possible, details}
+ */
+function buildRule(id, description, earned, possible, details = []) {
+  return {
+    id,
+    description,
+    earned: roundPoints(earned),
+    possible: roundPoints(possible),
+    details: details.map(detail => ({ ...detail, points: roundPoints(detail.points) })),
+  };
+}
+
+/**
+ * Formats points for a detail message, with their sign
+ * @param {number} points - Points
+ * @returns {string} - e.g. "+2.5" or "-1.33"
  */
-function calculateKeywordMatch(resumeText, atsKeywords) {
+function formatPoints(points) {
+  const rounded = roundPoints(points);
+  return rounded < 0 ? `${rounded}` : `+${rounded}`;
+}
+
+/**
+ * Calculates keyword match score based on ATS keywords. Each occurrence counts
+ * by the weight of the section it is in, so a keyword shown in experience
+ * bullets is worth more than one that is only listed under skills.
+ * @param {Object<string, string>} sectionTexts - Text of each section (from extractSectionTexts)
+ * @param {Array<Object>} atsKeywords - Array of {keyword: string, frequency: number, aliases?}, grouped
+ *   by groupKeywords
+ * @param {Object} profile - Scoring profile (for keywordOccurrenceCap and sectionWeights)
+ * @param {Object} [matching] - keywordMatcher options ({stemming, synonyms}; both on by default)
+ * @returns {Object} - {score: number, missingKeywords: Array<string>, keywordCounts: Object,
+ *   keywordSections: Object, rules: Array<Object>}; keywordCounts maps each keyword to {count, variants},
+ *   where variants counts each way it was written (plus aliases for a merged keyword), and keywordSections
+ *   to its occurrences per section.
+ *   rules explain the score: keywords.coverage (the first occurrence of each keyword) and
+ *   keywords.repetition (further occurrences, up to the cap)
+ */
+function calculateKeywordMatch(sectionTexts, atsKeywords, profile, matching = {}) {
   if (!Array.isArray(atsKeywords) || atsKeywords.length === 0) {
-    return { score: 0, missingKeywords: [], keywordCounts: {} };
+    return {
+      score: 0,
+      missingKeywords: [],
+      keywordCounts: {},
+      keywordSections: {},
+      rules: [
+        buildRule('keywords.coverage', 'Each ATS keyword from the job posting appears in the resume', 0, 100, [
+          { message: 'the job analysis has no ATS keywords', points: -100 },
+        ]),
+        buildRule('keywords.repetition', 'Further occurrences of a keyword', 0, 0),
+      ],
+    };
   }
 
   const keywordCounts = {};
+  const keywordSections = {};
   const foundKeywords = [];
   const missingKeywords = [];
 
   // Count occurrences of each keyword
   atsKeywords.forEach((kwObj) => {
     const keyword = kwObj.keyword;
-    const count = countKeywordOccurrences(resumeText, keyword);
-    keywordCounts[keyword] = count;
+    const match = countKeywordBySection(sectionTexts, keyword, matching);
+    keywordCounts[keyword] = kwObj.aliases && kwObj.aliases.length > 0
+      ? { count: match.count, variants: match.variants, aliases: kwObj.aliases }
+      : { count: match.count, variants: match.variants };
+    keywordSections[keyword] = match.sections;
 
-    if (count > 0) {
+    if (match.count > 0) {
       foundKeywords.push(keyword);
     } else {
       missingKeywords.push(keyword);
@@ -112,29 +312,70 @@ function calculateKeywordMatch(resumeText, atsKeywords) {
 
   // Calculate weighted score based on keyword frequency
   // Higher frequency keywords are more important
-  let totalWeight = 0;
-  let matchedWeight = 0;
+  const totalWeight = atsKeywords.reduce((sum, kwObj) => sum + (kwObj.frequency || 1), 0);
+  let coveragePoints = 0;
+  let repetitionPoints = 0;
+  const coverageDetails = [];
+  const repetitionDetails = [];
 
   atsKeywords.forEach((kwObj) => {
     const keyword = kwObj.keyword;
     const frequency = kwObj.frequency || 1;
-    const count = keywordCounts[keyword] || 0;
-    
-    totalWeight += frequency;
-    if (count > 0) {
-      // Bonus for keywords that appear multiple times (but not too many)
-      const matchWeight = Math.min(count, 3) * frequency; // Cap at 3 occurrences
-      matchedWeight += matchWeight;
+    const share = (frequency / totalWeight) * 100;
+    const sections = keywordSections[keyword];
+
+    // Bonus for keywords that appear multiple times (but not too many); the
+    // occurrences in the best-weighted sections count first
+    const hits = KEYWORD_SECTIONS
+      .flatMap(section => Array(sections[section]).fill(profile.sectionWeights[section]))
+      .sort((a, b) => b - a)
+      .slice(0, profile.keywordOccurrenceCap);
+
+    const found = KEYWORD_SECTIONS.filter(section => sections[section] > 0);
+    const where = found.map(section => `${section} (x${sections[section]})`).join(', ');
+    if (hits.length === 0) {
+      coverageDetails.push({ keyword, sections, message: `"${keyword}": missing, ${formatPoints(-share)}`, points: -share });
+    } else if (hits[0] < 1) {
+      const lost = share * (1 - hits[0]);
+      coverageDetails.push({ keyword, sections, message: `"${keyword}": only in ${where}, not in experience, ${formatPoints(-lost)}`, points: -lost });
+    } else {
+      coverageDetails.push({ keyword, sections, message: `"${keyword}": in ${where}, ${formatPoints(share)}`, points: share });
     }
+    coveragePoints += (hits[0] || 0) * share;
+
+    const extra = hits.slice(1).reduce((sum, weight) => sum + weight, 0) * share;
+    if (extra > 0) {
+      repetitionDetails.push({ keyword, sections, message: `"${keyword}": ${hits.length} counted occurrences, ${formatPoints(extra)}`, points: extra });
+    }
+    repetitionPoints += extra;
   });
 
-  // Calculate score: weighted percentage
-  const score = totalWeight > 0 ? (matchedWeight / totalWeight) * 100 : 0;
+  // Calculate score: weighted percentage. Repetition only makes up for points
+  // missing from coverage, since the score is capped at 100.
+  const repetitionRoom = 100 - coveragePoints;
+  const score = coveragePoints + Math.min(repetitionPoints, repetitionRoom);
 
   return {
     score: Math.min(100, Math.round(score * 100) / 100), // Cap at 100, round to 2 decimal places
     missingKeywords,
     keywordCounts,
+    keywordSections,
+    rules: [
+      buildRule(
+        'keywords.coverage',
+        'Each ATS keyword from the job posting appears in the resume, worth its frequency share; an occurrence counts by its section weight',
+        coveragePoints,
+        100,
+        coverageDetails
+      ),
+      buildRule(
+        'keywords.repetition',
+        `Further occurrences of a keyword, up to ${profile.keywordOccurrenceCap} in total, make up for points coverage missed`,
+        Math.min(repetitionPoints, repetitionRoom),
+        repetitionRoom,
+        repetitionDetails
+      ),
+    ],
   };
 }
 
@@ -142,11 +383,21 @@ function calculateKeywordMatch(resumeText, atsKeywords) {
  * Calculates skills coverage score
  * @param {Object} resumeContent - The resume content object
  * @param {Array<string>} requiredSkills - Array of required skills
- * @returns {Object} - {score: number, missingSkills: Array<string>, foundSkills: Array<string>}
+ * @param {Object} [matching] - keywordMatcher options ({stemming, synonyms}); when given, only the
+ *   matcher decides and the skills-list check below is skipped (used to emulate a specific ATS)
+ * @returns {Object} - {score: number, missingSkills: Array<string>, foundSkills: Array<string>,
+ *   rules: Array<Object>}; the skills.coverage rule gives each required skill an equal share
  */
-function calculateSkillsCoverage(resumeContent, requiredSkills) {
+function calculateSkillsCoverage(resumeContent, requiredSkills, matching = null) {
   if (!Array.isArray(requiredSkills) || requiredSkills.length === 0) {
-    return { score: 100, missingSkills: [], foundSkills: [] };
+    return {
+      score: 100,
+      missingSkills: [],
+      foundSkills: [],
+      rules: [buildRule('skills.coverage', 'Each required skill from the job posting appears in the resume', 100, 100, [
+        { message: 'the job analysis lists no required skills', points: 100 },
+      ])],
+    };
   }
 
   const resumeText = extractResumeText(resumeContent);
@@ -155,17 +406,16 @@ function calculateSkillsCoverage(resumeContent, requiredSkills) {
 
   // Check each required skill
   requiredSkills.forEach((skill) => {
+    if (matching) {
+      (matchKeyword(resumeText, skill, matching).count > 0 ? foundSkills : missingSkills).push(skill);
+      return;
+    }
+
     const normalizedSkill = normalizeKeyword(skill);
-    const normalizedResumeText = normalizeKeyword(resumeText);
-    
-    // Check if skill appears in resume text (flexible matching)
-    // Also check in skills arrays
-    let found = false;
 
-    // Check in resume text
-    if (normalizedResumeText.includes(normalizedSkill)) {
-      found = true;
-    }
+    // Check if skill appears in resume text (synonym and stem-aware matching)
+    // Also check in skills arrays
+    let found = countKeywordOccurrences(resumeText, skill) > 0;
 
     // Check in all skills categories
     if (!found && resumeContent.skills) {
@@ -189,158 +439,155 @@ function calculateSkillsCoverage(resumeContent, requiredSkills) {
 
   // Calculate score: percentage of required skills found
   const score = (foundSkills.length / requiredSkills.length) * 100;
+  const share = 100 / requiredSkills.length;
+  const details = requiredSkills.map(skill => (foundSkills.includes(skill)
+    ? { skill, message: `"${skill}": found, ${formatPoints(share)}`, points: share }
+    : { skill, message: `"${skill}": missing, ${formatPoints(-share)}`, points: -share }));
 
   return {
     score: Math.round(score * 100) / 100,
     missingSkills,
     foundSkills,
+    rules: [buildRule('skills.coverage', 'Each required skill from the job posting appears in the resume, worth an equal share', score, 100, details)],
   };
 }
 
 /**
  * Calculates content quality score based on various factors
  * @param {Object} resumeContent - The resume content object
- * @returns {number} - Content quality score (0-100)
+ * @param {Object} budgets - Points for each factor (a scoring profile's `contentQuality`)
+ * @param {boolean} [capSkillsBudget=true] - Stop the skills organization factor at its budget (a scoring
+ *   profile's `capSkillsBudget`); uncapped, a full skills section can lift the score above 100
+ * @returns {{score: number, rules: Array<Object>}} - Content quality score (0-100, up to 110 uncapped), and
+ *   the rules it is made of, with their points scaled to the same scale
  */
-function calculateContentQuality(resumeContent) {
+function calculateContentQuality(resumeContent, budgets, capSkillsBudget = true) {
+  // Maximum possible score is the total budget (100 in every built-in profile)
+  const maxPossibleScore = Object.values(budgets).reduce((sum, points) => sum + points, 0);
+  const scale = 100 / maxPossibleScore;
+  const rules = [];
   let score = 0;
-  let factors = 0;
-
-  // Factor 1: Summary quality (0-25 points)
-  if (resumeContent.summary && typeof resumeContent.summary === 'string') {
-    const summary = resumeContent.summary;
-    let summaryScore = 0;
-    
-    // Length check (2-3 sentences ideal)
-    const sentenceCount = (summary.match(/[.!?]+/g) || []).length;
-    if (sentenceCount >= 2 && sentenceCount <= 3) {
-      summaryScore += 10;
-    } else if (sentenceCount >= 1 && sentenceCount <= 4) {
-      summaryScore += 5;
-    }
+  const addRule = (id, description, earned, possible, details = []) => {
+    score += earned * scale;
+    rules.push(buildRule(id, description, earned * scale, possible * scale,
+      details.map(detail => ({ ...detail, message: `${detail.message}, ${formatPoints(detail.points * scale)}`, points: detail.points * scale }))));
+  };
 
-    // Keyword presence
-    if (summary.length > 50) {
-      summaryScore += 10;
+  // Factor 1: Summary quality (0-25 points, scaled to the summary budget)
+  const summary = typeof resumeContent.summary === 'string' ? resumeContent.summary : '';
+  const summaryScale = budgets.summary / 25;
+  const noSummary = [{ path: 'summary', message: 'no summary' }];
+
+  // Length check (2-3 sentences ideal)
+  const sentenceCount = (summary.match(/[.!?]+/g) || []).length;
+  const sentencePoints = sentenceCount >= 2 && sentenceCount <= 3 ? 10 : sentenceCount >= 1 && sentenceCount <= 4 ? 5 : 0;
+  addRule('content.summary.sentences', 'Summary is 2-3 sentences (1 or 4 earn half)', sentencePoints * summaryScale, 10 * summaryScale,
+    sentencePoints === 10 ? [] : (summary ? [{ path: 'summary', message: `summary has ${sentenceCount} sentences` }] : noSummary)
+      .map(detail => ({ ...detail, points: (sentencePoints - 10) * summaryScale })));
+
+  // Keyword presence
+  const lengthPoints = summary.length > 50 ? 10 : 0;
+  addRule('content.summary.length', 'Summary is longer than 50 characters', lengthPoints * summaryScale, 10 * summaryScale,
+    lengthPoints ? [] : (summary ? [{ path: 'summary', message: `summary is ${summary.length} characters` }] : noSummary)
+      .map(detail => ({ ...detail, points: -10 * summaryScale })));
+
+  // Professional tone indicators
+  const professionalWords = ['experienced', 'skilled', 'proven', 'expertise', 'proficient', 'accomplished'];
+  const hasProfessionalWords = professionalWords.some(word => summary.toLowerCase().includes(word));
+  addRule('content.summary.tone', `Summary uses a professional word (${professionalWords.join(', ')})`,
+    hasProfessionalWords ? 5 * summaryScale : 0, 5 * summaryScale,
+    hasProfessionalWords ? [] : (summary ? [{ path: 'summary', message: 'summary has no professional wording' }] : noSummary)
+      .map(detail => ({ ...detail, points: -5 * summaryScale })));
+
+  // Factor 2: Experience bullets quality (metrics, action verbs and multiple roles budgets)
+  const experience = Array.isArray(resumeContent.experience) ? resumeContent.experience : [];
+  const bullets = [];
+  experience.forEach((exp, i) => {
+    if (Array.isArray(exp.bullets)) {
+      const role = exp.company || exp.role || `entry ${i + 1}`;
+      exp.bullets.forEach((bullet, j) => {
+        bullets.push({ path: `experience[${i}].bullets[${j}]`, text: bullet, label: `bullet ${j + 1} in ${role} role` });
+      });
     }
+  });
 
-    // Professional tone indicators
-    const professionalWords = ['experienced', 'skilled', 'proven', 'expertise', 'proficient', 'accomplished'];
-    const hasProfessionalWords = professionalWords.some(word => summary.toLowerCase().includes(word));
-    if (hasProfessionalWords) {
-      summaryScore += 5;
+  const noBullets = [{ path: 'experience', message: 'no experience bullets' }];
+  [
+    ['content.bullets.metrics', 'Experience bullets are quantified (numbers, percentages, amounts or results)', budgets.metrics, hasMetrics, 'no metric'],
+    ['content.bullets.actionVerbs', 'Experience bullets use an action verb', budgets.actionVerbs, hasActionVerb, 'no action verb'],
+  ].forEach(([id, description, budget, check, problem]) => {
+    if (bullets.length === 0) {
+      addRule(id, description, 0, budget, noBullets.map(detail => ({ ...detail, points: -budget })));
+      return;
     }
+    // Each bullet is worth an equal share of the budget
+    const perBullet = budget / bullets.length;
+    const failing = bullets.filter(bullet => !check(bullet.text));
+    addRule(id, description, (bullets.length - failing.length) * perBullet, budget,
+      failing.map(bullet => ({ path: bullet.path, text: bullet.text, message: `${bullet.label}: ${problem}`, points: -perBullet })));
+  });
 
-    score += summaryScore;
-    factors++;
-  }
-
-  // Factor 2: Experience bullets quality (0-40 points)
-  if (Array.isArray(resumeContent.experience) && resumeContent.experience.length > 0) {
-    let experienceScore = 0;
-    let totalBullets = 0;
-    let bulletsWithMetrics = 0;
-    let bulletsWithActionVerbs = 0;
-
-    const actionVerbs = [
-      'developed', 'implemented', 'created', 'designed', 'built', 'led', 'managed',
-      'optimized', 'improved', 'increased', 'reduced', 'achieved', 'delivered',
-      'executed', 'launched', 'established', 'transformed', 'enhanced', 'streamlined'
-    ];
-
-    resumeContent.experience.forEach((exp) => {
-      if (Array.isArray(exp.bullets)) {
-        exp.bullets.forEach((bullet) => {
-          totalBullets++;
-          const bulletLower = bullet.toLowerCase();
-
-          // Check for metrics (numbers, percentages, dollar signs)
-          const hasMetrics = /\d+%|\$\d+|\d+\s*(million|thousand|k|m|b)|increased|decreased|reduced|improved|by\s+\d+/i.test(bullet);
-          if (hasMetrics) {
-            bulletsWithMetrics++;
-          }
-
-          // Check for action verbs
-          const hasActionVerb = actionVerbs.some(verb => bulletLower.startsWith(verb) || bulletLower.includes(` ${verb}`));
-          if (hasActionVerb) {
-            bulletsWithActionVerbs++;
-          }
-        });
-      }
-    });
-
-    if (totalBullets > 0) {
-      const metricsRatio = bulletsWithMetrics / totalBullets;
-      const actionVerbRatio = bulletsWithActionVerbs / totalBullets;
-      
-      experienceScore += metricsRatio * 20; // Up to 20 points for metrics
-      experienceScore += actionVerbRatio * 15; // Up to 15 points for action verbs
-      
-      // Bonus for having multiple experience entries
-      if (resumeContent.experience.length >= 2) {
-        experienceScore += 5;
-      }
-    }
-
-    score += experienceScore;
-    factors++;
-  }
-
-  // Factor 3: Skills organization (0-20 points)
+  // Bonus for having multiple experience entries
+  const multipleRoles = bullets.length > 0 && experience.length >= 2;
+  addRule('content.experience.multipleRoles', 'Two or more experience entries with bullets',
+    multipleRoles ? budgets.multipleRoles : 0, budgets.multipleRoles,
+    multipleRoles ? [] : (bullets.length === 0 ? noBullets : [{ path: 'experience', message: `${experience.length} experience entry` }])
+      .map(detail => ({ ...detail, points: -budgets.multipleRoles })));
+
+  // Factor 3: Skills organization (0-20 points, scaled to the skills budget)
+  const skillsScale = budgets.skills / 20;
+  const skillCategories = ['languages', 'frameworks', 'databases', 'cloud', 'tools'];
+  const skillsDetails = [];
+  let skillsScore = 0;
   if (resumeContent.skills) {
-    let skillsScore = 0;
-    
-    const skillCategories = ['languages', 'frameworks', 'databases', 'cloud', 'tools'];
     let totalSkillsCount = 0;
-    
+
     skillCategories.forEach(category => {
       const count = Array.isArray(resumeContent.skills[category]) ? resumeContent.skills[category].length : 0;
       totalSkillsCount += count;
-      
+
       // Score based on category presence and count
-      if (count >= 3) skillsScore += 5;
-      else if (count >= 1) skillsScore += 2;
+      const points = count >= 3 ? 5 : count >= 1 ? 2 : 0;
+      skillsScore += points;
+      skillsDetails.push({ path: `skills.${category}`, message: `${category}: ${count} skills`, points: points * skillsScale });
     });
 
     // Bonus for good overall skills distribution
-    if (totalSkillsCount >= 15) skillsScore += 5;
-    else if (totalSkillsCount >= 10) skillsScore += 3;
-
-    score += skillsScore;
-    factors++;
-  }
-
-  // Factor 4: Education presence (0-10 points)
-  if (Array.isArray(resumeContent.education) && resumeContent.education.length > 0) {
-    score += 10;
-    factors++;
-  }
-
-  // Factor 5: Additional sections (0-5 points)
-  if (Array.isArray(resumeContent.additionalSections) && resumeContent.additionalSections.length > 0) {
-    score += 5;
-    factors++;
-  }
-
-  // Normalize to 0-100 scale
-  if (factors > 0) {
-    // Maximum possible score is 100 (25 + 40 + 20 + 10 + 5)
-    // But we calculate based on actual factors present
-    const maxPossibleScore = 100;
-    const normalizedScore = (score / maxPossibleScore) * 100;
-    return Math.round(normalizedScore * 100) / 100;
+    const bonus = totalSkillsCount >= 15 ? 5 : totalSkillsCount >= 10 ? 3 : 0;
+    skillsScore += bonus;
+    skillsDetails.push({ path: 'skills', message: `${totalSkillsCount} skills in total`, points: bonus * skillsScale });
+  } else {
+    skillsDetails.push({ path: 'skills', message: 'no skills section', points: -budgets.skills });
   }
-
-  return 0;
+  // Five full categories plus the bonus add up to 30, more than the factor's 20; capped profiles stop at
+  // the budget, the others can earn all 30
+  const skillsPossible = capSkillsBudget ? 20 : skillCategories.length * 5 + 5;
+  addRule('content.skills.organization', `Skills are spread over categories (${skillCategories.join(', ')}), 3 or more each, 10 or more in total`,
+    Math.min(skillsScore, skillsPossible) * skillsScale, skillsPossible * skillsScale, skillsDetails);
+
+  // Factor 4: Education presence
+  const hasEducation = Array.isArray(resumeContent.education) && resumeContent.education.length > 0;
+  addRule('content.education', 'Education is listed', hasEducation ? budgets.education : 0, budgets.education,
+    hasEducation ? [] : [{ path: 'education', message: 'no education entries', points: -budgets.education }]);
+
+  // Factor 5: Additional sections
+  const hasAdditional = Array.isArray(resumeContent.additionalSections) && resumeContent.additionalSections.length > 0;
+  addRule('content.additionalSections', 'Additional sections (projects, certifications, ...) are present',
+    hasAdditional ? budgets.additionalSections : 0, budgets.additionalSections,
+    hasAdditional ? [] : [{ path: 'additionalSections', message: 'no additional sections', points: -budgets.additionalSections }]);
+
+  return { score: roundPoints(score), rules };
 }
 
 /**
  * Detects keyword stuffing in resume
  * @param {string} resumeText - The extracted resume text
- * @param {Array<Object>} atsKeywords - Array of ATS keywords
- * @returns {Array<string>} - Array of keywords that appear more than 5 times
+ * @param {Array<Object>} atsKeywords - Array of ATS keywords, grouped by groupKeywords
+ * @param {number} threshold - Occurrences above which a keyword counts as stuffed
+ * @param {Object} [matching] - keywordMatcher options ({stemming, synonyms}; both on by default)
+ * @returns {Array<string>} - Array of keywords that appear more than `threshold` times
  */
-function detectKeywordStuffing(resumeText, atsKeywords) {
+function detectKeywordStuffing(resumeText, atsKeywords, threshold, matching = {}) {
   const stuffedKeywords = [];
 
   if (!Array.isArray(atsKeywords)) {
@@ -349,9 +596,9 @@ function detectKeywordStuffing(resumeText, atsKeywords) {
 
   atsKeywords.forEach((kwObj) => {
     const keyword = kwObj.keyword;
-    const count = countKeywordOccurrences(resumeText, keyword);
+    const { count } = matchKeyword(resumeText, keyword, matching);
     
-    if (count > 5) {
+    if (count > threshold) {
       stuffedKeywords.push(keyword);
     }
   });
@@ -364,7 +611,8 @@ function detectKeywordStuffing(resumeText, atsKeywords) {
  * @param {Object} scores - The scoring results
  * @param {Object} resumeContent - The resume content object
  * @param {Object} jobAnalysis - The job analysis object
- * @returns {Array<string>} - Array of suggestion strings
+ * @returns {Array<Object>} - Array of {text, ruleIds}: the suggestion, and the IDs of the explanation
+ *   rules it addresses
  */
 function generateSuggestions(scores, resumeContent, jobAnalysis) {
   const suggestions = [];
@@ -373,13 +621,13 @@ function generateSuggestions(scores, resumeContent, jobAnalysis) {
   if (scores.keywordMatchScore < 75) {
     if (scores.missingKeywords.length > 0) {
       const topMissing = scores.missingKeywords.slice(0, 8);
-      suggestions.push(`CRITICAL: Add these high-priority keywords to your resume: ${topMissing.join(', ')}. Include them in your summary and experience bullets.`);
+      suggestions.push({ text: `CRITICAL: Add these high-priority keywords to your resume: ${topMissing.join(', ')}. Include them in your summary and experience bullets.`, ruleIds: ['keywords.coverage'] });
     }
-    suggestions.push('Incorporate more ATS keywords naturally throughout your resume. Focus on the summary (5-8 keywords) and experience bullets (2-3 keywords per bullet).');
+    suggestions.push({ text: 'Incorporate more ATS keywords naturally throughout your resume. Focus on the summary (5-8 keywords) and experience bullets (2-3 keywords per bullet).', ruleIds: ['keywords.coverage', 'keywords.repetition'] });
   } else if (scores.keywordMatchScore < 85) {
     if (scores.missingKeywords.length > 0) {
       const topMissing = scores.missingKeywords.slice(0, 3);
-      suggestions.push(`Add these remaining keywords to improve your score: ${topMissing.join(', ')}`);
+      suggestions.push({ text: `Add these remaining keywords to improve your score: ${topMissing.join(', ')}`, ruleIds: ['keywords.coverage'] });
     }
   }
 
@@ -387,13 +635,13 @@ function generateSuggestions(scores, resumeContent, jobAnalysis) {
   if (scores.skillsCoverageScore < 75) {
     if (scores.missingSkills.length > 0) {
       const topMissing = scores.missingSkills.slice(0, 8);
-      suggestions.push(`IMPORTANT: Add these required skills to your resume: ${topMissing.join(', ')}. List them in your skills section AND demonstrate them in your experience bullets with specific achievements.`);
+      suggestions.push({ text: `IMPORTANT: Add these required skills to your resume: ${topMissing.join(', ')}. List them in your skills section AND demonstrate them in your experience bullets with specific achievements.`, ruleIds: ['skills.coverage'] });
     }
-    suggestions.push('Ensure ALL required skills from the job posting appear in both your skills section and are demonstrated in your experience bullets.');
+    suggestions.push({ text: 'Ensure ALL required skills from the job posting appear in both your skills section and are demonstrated in your experience bullets.', ruleIds: ['skills.coverage'] });
   } else if (scores.skillsCoverageScore < 90) {
     if (scores.missingSkills.length > 0) {
       const topMissing = scores.missingSkills.slice(0, 3);
-      suggestions.push(`Consider adding these skills to improve coverage: ${topMissing.join(', ')}`);
+      suggestions.push({ text: `Consider adding these skills to improve coverage: ${topMissing.join(', ')}`, ruleIds: ['skills.coverage'] });
     }
   }
 
@@ -415,28 +663,51 @@ function generateSuggestions(scores, resumeContent, jobAnalysis) {
     }
     
     if (bulletsWithoutMetrics > 0 && totalBullets > 0) {
-      suggestions.push(`CRITICAL: ${bulletsWithoutMetrics} out of ${totalBullets} experience bullets lack quantified metrics. Add specific numbers, percentages, dollar amounts, or scale indicators to EVERY bullet point.`);
+      suggestions.push({ text: `CRITICAL: ${bulletsWithoutMetrics} out of ${totalBullets} experience bullets lack quantified metrics. Add specific numbers, percentages, dollar amounts, or scale indicators to EVERY bullet point.`, ruleIds: ['content.bullets.metrics'] });
     }
     
-    suggestions.push('Start EVERY experience bullet with a strong action verb (Developed, Implemented, Led, Optimized, Designed, Built, Achieved, etc.).');
+    suggestions.push({ text: 'Start EVERY experience bullet with a strong action verb (Developed, Implemented, Led, Optimized, Designed, Built, Achieved, etc.).', ruleIds: ['content.bullets.actionVerbs'] });
     
     if (!resumeContent.summary || resumeContent.summary.length < 100) {
-      suggestions.push('Expand your professional summary to 2-3 sentences (100-150 words) that include ATS keywords and highlight your most relevant experience and skills.');
+      suggestions.push({ text: 'Expand your professional summary to 2-3 sentences (100-150 words) that include ATS keywords and highlight your most relevant experience and skills.', ruleIds: ['content.summary.sentences', 'content.summary.length'] });
     }
   }
 
+  // Keywords the experience section never backs up
+  if (scores.skillsOnlyKeywords && scores.skillsOnlyKeywords.length > 0) {
+    suggestions.push({ text: `Show these skills in your experience bullets, not just the skills list: ${scores.skillsOnlyKeywords.slice(0, 8).join(', ')}. ATS systems weigh keywords used in experience higher.`, ruleIds: ['keywords.coverage'] });
+  }
+
   // Keyword stuffing warnings
   if (scores.stuffedKeywords && scores.stuffedKeywords.length > 0) {
-    suggestions.push(`Warning: These keywords appear too frequently and may be flagged as keyword stuffing: ${scores.stuffedKeywords.join(', ')}. Use them more naturally.`);
+    suggestions.push({ text: `Warning: These keywords appear too frequently and may be flagged as keyword stuffing: ${scores.stuffedKeywords.join(', ')}. Use them more naturally.`, ruleIds: ['keywords.stuffing'] });
   }
 
+  // Employment timeline: one suggestion per kind of problem
+  const timelineFindings = scores.timelineFindings || [];
+  const timelineMessages = type => timelineFindings.filter(finding => finding.type === type).map(finding => finding.message);
+  const timelineSuggestions = [
+    ['unparsed_date', messages => `Write experience dates as MM/YYYY - MM/YYYY (or Present) so ATS systems can read them: ${messages.join('; ')}.`],
+    ['invalid_range', messages => `Fix experience dates that end before they start: ${messages.join('; ')}.`],
+    ['future_date', messages => `Fix experience dates in the future: ${messages.join('; ')}.`],
+    ['overlap', messages => `Check the dates of overlapping roles, or mark concurrent roles as part-time or contract: ${messages.join('; ')}.`],
+    ['gap', messages => `Account for employment gaps with freelance work, study or projects, or a short note in your summary or cover letter: ${messages.join('; ')}.`],
+    ['tenure_mismatch', messages => `Make your experience dates and stated years of experience agree: ${messages.join('; ')}.`],
+  ];
+  timelineSuggestions.forEach(([type, build]) => {
+    const messages = timelineMessages(type);
+    if (messages.length > 0) {
+      suggestions.push({ text: build(messages), ruleIds: ['content.experience.timeline'] });
+    }
+  });
+
   // General suggestions
   if (scores.overallScore < 60) {
-    suggestions.push('Consider restructuring your resume to better match the job requirements. Focus on aligning your experience with the key responsibilities listed in the job posting.');
+    suggestions.push({ text: 'Consider restructuring your resume to better match the job requirements. Focus on aligning your experience with the key responsibilities listed in the job posting.', ruleIds: ['keywords.coverage', 'skills.coverage'] });
   } else if (scores.overallScore < 80) {
-    suggestions.push('Your resume is good but could be improved. Focus on the missing keywords and skills to increase your ATS score.');
+    suggestions.push({ text: 'Your resume is good but could be improved. Focus on the missing keywords and skills to increase your ATS score.', ruleIds: ['keywords.coverage', 'skills.coverage'] });
   } else {
-    suggestions.push('Great job! Your resume is well-optimized for ATS. Continue to refine based on the specific job requirements.');
+    suggestions.push({ text: 'Great job! Your resume is well-optimized for ATS. Continue to refine based on the specific job requirements.', ruleIds: [] });
   }
 
   // Skills section suggestions
@@ -450,7 +721,7 @@ function generateSuggestions(scores, resumeContent, jobAnalysis) {
     });
     
     if (totalSkillsCount < 10) {
-      suggestions.push('Consider adding more technical skills across different categories (languages, frameworks, databases, cloud, tools) to better match the job requirements.');
+      suggestions.push({ text: 'Consider adding more technical skills across different categories (languages, frameworks, databases, cloud, tools) to better match the job requirements.', ruleIds: ['content.skills.organization'] });
     }
   }
 
@@ -469,6 +740,13 @@ function generateSuggestions(scores, resumeContent, jobAnalysis) {
  * @param {Array<Object>} jobAnalysis.atsKeywords - Array of {keyword: string, frequency: number}
  * @param {Array<string>} jobAnalysis.requiredSkills - Array of required skills
  * @param {Array<string>} jobAnalysis.keyResponsibilities - Array of key responsibilities
+ * @param {Object} [options] - Options
+ * @param {string} [options.scoringProfile] - Scoring profile from src/config/scoringProfiles.js
+ *   ('strict-keyword', 'balanced' or 'human-reviewer'); defaults to ATS_SCORING_PROFILE, then 'balanced'
+ * @param {Object} [options.matching] - keywordMatcher options for keywords and skills: {stemming, synonyms}
+ *   (both on by default); set to emulate a stricter ATS (see atsVendorEmulator)
+ * @param {number|string} [options.yearsOfExperience] - Stated years of experience, checked against the
+ *   employment timeline; defaults to the resume's userAnswers.years_of_experience
  * @returns {Object} - Scoring results object
  * @returns {number} returns.overallScore - Overall ATS score (0-100)
  * @returns {number} returns.keywordMatchScore - Keyword match score (0-100)
@@ -476,14 +754,33 @@ function generateSuggestions(scores, resumeContent, jobAnalysis) {
  * @returns {number} returns.contentQualityScore - Content quality score (0-100)
  * @returns {Array<string>} returns.missingKeywords - Array of missing ATS keywords
  * @returns {Array<string>} returns.missingSkills - Array of missing required skills
+ * @returns {Object} returns.keywordCounts - Each ATS keyword's {count, variants}: occurrences, and how often
+ *   each way of writing it (e.g. "k8s" for Kubernetes) was found. Keywords the posting lists in several
+ *   forms ("React", "React.js") appear once, under the first, with the others as `aliases`
+ * @returns {Object} returns.keywordSections - Occurrences of each ATS keyword and required skill per
+ *   section: {summary, experience, skills, other}
+ * @returns {Array<string>} returns.skillsOnlyKeywords - Keywords and required skills listed under skills
+ *   but never shown in experience
  * @returns {Array<string>} returns.suggestions - Array of improvement suggestions
+ * @returns {string} returns.scoringProfile - Name of the scoring profile used
+ * @returns {Object} returns.explanation - How the score was reached:
+ *   - components: {keywordMatch, skillsCoverage, contentQuality}, each {score, weight, points}; the points
+ *     add up to the overall score before rounding
+ *   - rules: every rule of the three components, {id, component, description, earned, possible, details};
+ *     a component's earned points add up to its score. Details name the bullets, keywords or skills
+ *     involved, e.g. "bullet 3 in Acme role: no metric, -1.33"
+ *   - suggestions: the suggestions as {text, ruleIds}, linked to the rules they address
+ * @returns {Object} returns.lint - Writing-quality findings from resumeLinter: {findings, counts}; they do
+ *   not change the score
+ * @returns {Object} returns.timeline - Employment timeline from employmentTimeline: parsed dates, total
+ *   tenure, and gaps, overlaps and date problems as findings; they add suggestions but do not change the score
  * 
  * @example
- * const resumeContent = await generateResumeContent(jobAnalysis, userAnswers);
+ * const { resume: resumeContent } = await generateResumeContent(jobAnalysis, userAnswers);
  * const scores = scoreResume(resumeContent, jobAnalysis);
  * console.log(scores.overallScore); // Overall ATS score
  */
-function scoreResume(resumeContent, jobAnalysis) {
+function scoreResume(resumeContent, jobAnalysis, options = {}) {
   // Validation
   if (!resumeContent || typeof resumeContent !== 'object') {
     throw new Error('resumeContent must be a valid object');
@@ -493,36 +790,92 @@ function scoreResume(resumeContent, jobAnalysis) {
     throw new Error('jobAnalysis must be a valid object');
   }
 
+  const profile = resolveScoringProfile(options.scoringProfile);
+
+  // Synonymous keywords ("React", "React.js") match the same text, so they are counted once
+  const atsKeywords = groupKeywords(jobAnalysis.atsKeywords, options.matching);
+
   // Extract resume text for analysis
+  const sectionTexts = extractSectionTexts(resumeContent);
   const resumeText = extractResumeText(resumeContent);
 
-  // Calculate keyword match score (40% weight)
+  // Calculate keyword match score
   const keywordMatch = calculateKeywordMatch(
-    resumeText,
-    jobAnalysis.atsKeywords || []
+    sectionTexts,
+    atsKeywords,
+    profile,
+    options.matching
   );
 
-  // Calculate skills coverage score (35% weight)
+  // Where each keyword and required skill appears, and which are only listed under skills
+  const keywordSections = { ...keywordMatch.keywordSections };
+  const listed = new Set(atsKeywords.map(kwObj => canonicalKeyword(kwObj.keyword, options.matching)));
+  (jobAnalysis.requiredSkills || []).forEach((skill) => {
+    const key = canonicalKeyword(skill, options.matching);
+    if (!listed.has(key)) {
+      listed.add(key);
+      keywordSections[skill] = countKeywordBySection(sectionTexts, skill, options.matching).sections;
+    }
+  });
+  const skillsOnlyKeywords = Object.keys(keywordSections)
+    .filter(keyword => keywordSections[keyword].skills > 0 && keywordSections[keyword].experience === 0);
+
+  // Calculate skills coverage score
   const skillsCoverage = calculateSkillsCoverage(
     resumeContent,
-    jobAnalysis.requiredSkills || []
+    jobAnalysis.requiredSkills || [],
+    options.matching
   );
 
-  // Calculate content quality score (25% weight)
-  const contentQualityScore = calculateContentQuality(resumeContent);
+  // Calculate content quality score
+  const contentQuality = calculateContentQuality(resumeContent, profile.contentQuality, profile.capSkillsBudget);
+  const contentQualityScore = contentQuality.score;
 
   // Detect keyword stuffing
   const stuffedKeywords = detectKeywordStuffing(
     resumeText,
-    jobAnalysis.atsKeywords || []
+    atsKeywords,
+    profile.stuffingThreshold,
+    options.matching
+  );
+
+  // Stuffing costs no points, but is listed so the warning can refer to it
+  const stuffingRule = buildRule(
+    'keywords.stuffing',
+    `Keywords used more than ${profile.stuffingThreshold} times may be flagged as stuffing (warning only)`,
+    0,
+    0,
+    stuffedKeywords.map(keyword => ({
+      keyword,
+      message: `"${keyword}": ${keywordMatch.keywordCounts[keyword].count} occurrences`,
+      points: 0,
+    }))
   );
 
-  // Calculate overall score with improved weights
-  // Keyword match is most important (50%), then skills (30%), then content quality (20%)
+  // Employment gaps, overlaps and date problems cost no points either
+  const yearsOfExperience = options.yearsOfExperience !== undefined
+    ? options.yearsOfExperience
+    : resumeContent.userAnswers && resumeContent.userAnswers.years_of_experience;
+  const timeline = analyzeTimeline(resumeContent, { yearsOfExperience });
+  const timelineRule = buildRule(
+    'content.experience.timeline',
+    'Experience dates can be read and form a consistent timeline (warning only)',
+    0,
+    0,
+    timeline.findings.map(finding => ({ paths: finding.paths, message: finding.message, points: 0 }))
+  );
+
+  // Calculate overall score with the profile's weights
+  // (balanced: keyword match 50%, skills 30%, content quality 20%)
+  const components = {
+    keywordMatch: keywordMatch.score,
+    skillsCoverage: skillsCoverage.score,
+    contentQuality: contentQualityScore,
+  };
   const overallScore = Math.round(
-    (keywordMatch.score * 0.50) +
-    (skillsCoverage.score * 0.30) +
-    (contentQualityScore * 0.20)
+    (components.keywordMatch * profile.weights.keywordMatch) +
+    (components.skillsCoverage * profile.weights.skillsCoverage) +
+    (components.contentQuality * profile.weights.contentQuality)
   );
 
   // Generate suggestions
@@ -535,6 +888,8 @@ function scoreResume(resumeContent, jobAnalysis) {
       missingKeywords: keywordMatch.missingKeywords,
       missingSkills: skillsCoverage.missingSkills,
       stuffedKeywords: stuffedKeywords,
+      skillsOnlyKeywords: skillsOnlyKeywords,
+      timelineFindings: timeline.findings,
     },
     resumeContent,
     jobAnalysis
@@ -547,11 +902,38 @@ function scoreResume(resumeContent, jobAnalysis) {
     contentQualityScore: contentQualityScore,
     missingKeywords: keywordMatch.missingKeywords,
     missingSkills: skillsCoverage.missingSkills,
-    suggestions: suggestions,
+    keywordCounts: keywordMatch.keywordCounts,
+    keywordSections: keywordSections,
+    skillsOnlyKeywords: skillsOnlyKeywords,
+    suggestions: suggestions.map(suggestion => suggestion.text),
+    scoringProfile: profile.name,
+    explanation: {
+      components: Object.fromEntries(Object.entries(components).map(([component, score]) => [component, {
+        score,
+        weight: profile.weights[component],
+        points: roundPoints(score * profile.weights[component]),
+      }])),
+      rules: [
+        ...keywordMatch.rules.map(rule => ({ component: 'keywordMatch', ...rule })),
+        { component: 'keywordMatch', ...stuffingRule },
+        ...skillsCoverage.rules.map(rule => ({ component: 'skillsCoverage', ...rule })),
+        ...contentQuality.rules.map(rule => ({ component: 'contentQuality', ...rule })),
+        { component: 'contentQuality', ...timelineRule },
+      ],
+      suggestions,
+    },
+    lint: lintResume(resumeContent),
+    timeline: timeline,
   };
 }
 
 module.exports = {
+  countKeywordOccurrences,
+  extractResumeText,
+  hasActionVerb,
+  hasMetrics,
+  resolveScoringProfile,
+  scoreBullet,
   scoreResume,
 };
 
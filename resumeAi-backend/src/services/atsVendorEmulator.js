@@ -0,0 +1,167 @@
+/**
+ * ATS Vendor Emulator
+ * Rescores a resume the way specific applicant tracking systems (Workday,
+ * Greenhouse, Lever, iCIMS, Taleo) would read it: sections their parser skips
+ * are left out, and keywords are matched exactly or by word stem, with or
+ * without synonyms and acronyms (see src/config/atsVendors.js). Each vendor gets
+ * its own score plus warnings about what it would miss.
+ */
+
+const { ATS_VENDORS, STANDARD_SECTION_HEADINGS } = require('../config/atsVendors');
+const { extractResumeText, scoreResume } = require('./atsScorer');
+const { matchKeyword } = require('./keywordMatcher');
+
+/**
+ * Ways the skills section can be laid out in the submitted document
+ * @type {Array<string>}
+ */
+const SKILLS_LAYOUTS = ['list', 'table', 'columns'];
+
+/**
+ * Builds the keywordMatcher options a vendor matches with
+ * @param {Object} vendor - Vendor profile
+ * @returns {{stemming: boolean, synonyms: boolean}}
+ */
+function vendorMatching(vendor) {
+  return { stemming: vendor.matching === 'stemmed', synonyms: vendor.matchesSynonyms };
+}
+
+/**
+ * Normalizes a section title for comparison with the standard headings
+ * @param {string} title - Section title
+ * @returns {string} - Lowercase title without punctuation
+ */
+function headingKey(title) {
+  return String(title || '').toLowerCase().replace(/&/g, 'and').replace(/[^a-z\s]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Builds the resume as a vendor's parser sees it
+ * @param {Object} resumeContent - Resume content
+ * @param {Object} vendor - Vendor profile
+ * @param {string} skillsLayout - How the skills section is laid out ('list', 'table' or 'columns')
+ * @returns {Object} - {view, unreadSections, warnings}
+ */
+function parseAsVendor(resumeContent, vendor, skillsLayout) {
+  const view = { ...resumeContent };
+  const unreadSections = [];
+  const warnings = [];
+
+  const hasSkills = resumeContent.skills && Object.values(resumeContent.skills).some(list => Array.isArray(list) && list.length > 0);
+  if (!vendor.readsTables && skillsLayout !== 'list' && hasSkills) {
+    view.skills = {};
+    unreadSections.push('Skills');
+    warnings.push(`${vendor.name} does not read text in ${skillsLayout === 'table' ? 'tables' : 'columns'}, so it will miss the skills section. List skills as plain text.`);
+  }
+
+  if (vendor.standardHeadersOnly && Array.isArray(resumeContent.additionalSections)) {
+    const unknown = resumeContent.additionalSections.filter(section => !STANDARD_SECTION_HEADINGS.includes(headingKey(section.title)));
+    if (unknown.length > 0) {
+      view.additionalSections = resumeContent.additionalSections.filter(section => !unknown.includes(section));
+      unreadSections.push(...unknown.map(section => section.title));
+      warnings.push(`${vendor.name} only recognizes standard section headings, so ${unknown.map(section => `"${section.title}"`).join(', ')} will not be indexed. Use a heading such as "Projects", "Certifications" or "Achievements".`);
+    }
+  }
+
+  return { view, unreadSections, warnings };
+}
+
+/**
+ * Lists keywords a vendor misses although the resume has them in another form
+ * @param {Array<string>} missing - Keywords and skills the vendor did not match
+ * @param {string} text - Text of the parsed resume
+ * @param {Object} vendor - Vendor profile
+ * @returns {{variants: Array<string>, synonyms: Array<string>}} - Missed because of word form, and
+ *   because the resume only uses a synonym or acronym (described with the form it uses)
+ */
+function findNearMisses(missing, text, vendor) {
+  const variants = vendor.matching === 'exact'
+    ? missing.filter(keyword => matchKeyword(text, keyword, { stemming: true, synonyms: false }).count > 0)
+    : [];
+  const synonyms = vendor.matchesSynonyms
+    ? []
+    : missing
+      .filter(keyword => !variants.includes(keyword))
+      .map(keyword => ({ keyword, written: Object.keys(matchKeyword(text, keyword).variants) }))
+      .filter(({ written }) => written.length > 0)
+      .map(({ keyword, written }) => `${keyword} (written as "${written[0]}")`);
+  return { variants, synonyms };
+}
+
+/**
+ * Checks a list of vendors to emulate
+ * @param {Array<string>} [vendors] - Keys of ATS_VENDORS; all vendors when omitted
+ * @returns {Array<string>} - Vendor keys, without duplicates
+ * @throws {Error} If the list is empty or names an unknown vendor
+ */
+function resolveVendors(vendors) {
+  const vendorKeys = Object.keys(ATS_VENDORS);
+  if (vendors === undefined || vendors === null) {
+    return vendorKeys;
+  }
+  if (!Array.isArray(vendors) || vendors.length === 0 || vendors.some(vendor => !ATS_VENDORS[vendor])) {
+    throw new Error(`vendors must be a non-empty list of: ${vendorKeys.join(', ')}`);
+  }
+  return [...new Set(vendors)];
+}
+
+/**
+ * Scores a resume as each ATS vendor would
+ * @param {Object} resumeContent - Resume content (as from generateResumeContent or importResume)
+ * @param {Object} jobAnalysis - The job analysis object from analyzeJobPosting
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.vendors] - Vendors to emulate (keys of ATS_VENDORS; default: all)
+ * @param {Object} [options.layout] - How the submitted document is laid out
+ * @param {string} [options.layout.skills='list'] - 'list', 'table' or 'columns'. Resumes exported by
+ *   this service list skills as plain text; imported ones may not.
+ * @param {string} [options.scoringProfile] - ATS scoring profile, passed to scoreResume
+ * @returns {Array<Object>} - One entry per vendor: {vendor, name, overallScore, keywordMatchScore,
+ *   skillsCoverageScore, contentQualityScore, missingKeywords, missingSkills, unreadSections, warnings}
+ * @throws {Error} If the options are invalid
+ *
+ * @example
+ * const vendorScores = emulateVendors(resume, jobAnalysis, { vendors: ['workday', 'taleo'] });
+ * vendorScores.forEach(v => console.log(v.name, v.overallScore, v.warnings));
+ */
+function emulateVendors(resumeContent, jobAnalysis, options = {}) {
+  const { layout = {}, scoringProfile } = options;
+  const vendors = resolveVendors(options.vendors);
+
+  const skillsLayout = layout && layout.skills !== undefined ? layout.skills : 'list';
+  if (!SKILLS_LAYOUTS.includes(skillsLayout)) {
+    throw new Error(`layout.skills must be one of: ${SKILLS_LAYOUTS.join(', ')}`);
+  }
+
+  return vendors.map((key) => {
+    const vendor = ATS_VENDORS[key];
+    const { view, unreadSections, warnings } = parseAsVendor(resumeContent, vendor, skillsLayout);
+    const score = scoreResume(view, jobAnalysis, { scoringProfile, matching: vendorMatching(vendor) });
+
+    const missing = [...new Set([...score.missingKeywords, ...score.missingSkills])];
+    const { variants, synonyms } = findNearMisses(missing, extractResumeText(view), vendor);
+    if (variants.length > 0) {
+      warnings.push(`${vendor.name} matches keywords exactly, and the resume uses a different form of: ${variants.join(', ')}. Use the wording from the posting.`);
+    }
+    if (synonyms.length > 0) {
+      warnings.push(`${vendor.name} does not match acronyms or synonyms. Write the posting's form too, e.g. "Amazon Web Services (AWS)", for: ${synonyms.join(', ')}.`);
+    }
+
+    return {
+      vendor: key,
+      name: vendor.name,
+      overallScore: score.overallScore,
+      keywordMatchScore: score.keywordMatchScore,
+      skillsCoverageScore: score.skillsCoverageScore,
+      contentQualityScore: score.contentQualityScore,
+      missingKeywords: score.missingKeywords,
+      missingSkills: score.missingSkills,
+      unreadSections,
+      warnings,
+    };
+  });
+}
+
+module.exports = {
+  emulateVendors,
+  resolveVendors,
+};
@@ -0,0 +1,182 @@
+require('dotenv').config();
+const { generateStructured } = require('./structuredOutput');
+const { bulletRewritesSchema } = require('./outputSchemas');
+const { countKeywordOccurrences, scoreBullet } = require('./atsScorer');
+
+/**
+ * Rewrite styles and the instruction the model gets for each
+ * @type {Object<string, string>}
+ */
+const BULLET_STYLES = {
+  'metric-led': 'Open with the measurable result (number, percentage, money, scale), then say how it was achieved.',
+  'action-verb-led': 'Open with a strong past-tense action verb, then the action and its outcome.',
+  concise: 'At most 15 words. Keep only the action and the most important result.',
+  'keyword-dense': 'Work in as many of the job\'s ATS keywords as the original work honestly supports, still reading naturally.',
+  'challenge-action-result': 'One sentence covering the problem, what the candidate did, and the result.',
+};
+
+/**
+ * Styles used when the caller does not pick any
+ * @type {Array<string>}
+ */
+const DEFAULT_STYLES = ['metric-led', 'action-verb-led', 'concise', 'keyword-dense'];
+
+/**
+ * Placeholders the model uses for figures it does not know, e.g. "[X%]"
+ * @type {RegExp}
+ */
+const PLACEHOLDER_PATTERN = /\[[^\]]*\]/g;
+
+/**
+ * Scores a bullet with atsScorer's content quality heuristics and lists the ATS keywords it contains
+ * @param {string} text - Bullet text
+ * @param {Array<Object>} atsKeywords - Job analysis ATS keywords ({keyword, frequency})
+ * @returns {Object} - {text, hasMetrics, hasActionVerb, score, keywords, wordCount}
+ */
+function analyzeBullet(text, atsKeywords) {
+  return {
+    text,
+    ...scoreBullet(text),
+    keywords: atsKeywords
+      .map(kw => kw.keyword)
+      .filter(keyword => countKeywordOccurrences(text, keyword) > 0),
+    wordCount: text.split(/\s+/).filter(Boolean).length,
+  };
+}
+
+/**
+ * Checks that the model gave exactly one rewrite per requested style
+ * @param {Object} generated - Rewrites from the model
+ * @param {Array<string>} styles - Requested styles
+ * @throws {Error} If a style is missing, repeated or was not requested
+ */
+function validateRewriteStyles(generated, styles) {
+  const given = generated.rewrites.map(rewrite => rewrite.style);
+  const problems = [
+    ...styles.filter(style => !given.includes(style)).map(style => `missing style '${style}'`),
+    ...given.filter((style, i) => given.indexOf(style) !== i).map(style => `repeated style '${style}'`),
+    ...given.filter(style => !styles.includes(style)).map(style => `style '${style}' was not requested`),
+  ];
+  if (problems.length > 0) {
+    throw new Error(`$.rewrites: expected exactly one rewrite per style (${styles.join(', ')}): ${problems.join(', ')}`);
+  }
+}
+
+/**
+ * Rewrites one experience bullet in several styles and scores each rewrite
+ * against the original
+ * @param {string} bullet - The bullet to rewrite
+ * @param {Object} jobAnalysis - The job analysis the bullet should target
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.styles] - 3-5 styles from BULLET_STYLES (default: metric-led,
+ *   action-verb-led, concise, keyword-dense)
+ * @param {string} [options.context] - Where the bullet comes from (e.g. "Backend Engineer at Initech")
+ * @returns {Promise<Object>} - {original, rewrites, bestStyle}: the original's analysis, one analysis per
+ *   rewrite (with `style`, `addedKeywords`, `placeholders` and `scoreChange`), and the highest-scoring style
+ * @throws {Error} If the input is invalid or the API call fails
+ *
+ * @example
+ * const { rewrites, bestStyle } = await rewriteBullet('Worked on the payments API', jobAnalysis);
+ */
+async function rewriteBullet(bullet, jobAnalysis, options = {}) {
+  const { styles = DEFAULT_STYLES, context = '' } = options;
+
+  if (!bullet || typeof bullet !== 'string' || bullet.trim().length === 0) {
+    throw new Error('bullet is required and must be a non-empty string');
+  }
+
+  if (!jobAnalysis || typeof jobAnalysis !== 'object' || !Array.isArray(jobAnalysis.requiredSkills)) {
+    throw new Error('jobAnalysis must be a valid object');
+  }
+
+  if (!Array.isArray(styles) || styles.length < 3 || styles.length > 5
+    || new Set(styles).size !== styles.length || styles.some(style => !BULLET_STYLES[style])) {
+    throw new Error(`styles must be 3-5 distinct values from: ${Object.keys(BULLET_STYLES).join(', ')}`);
+  }
+
+  if (typeof context !== 'string') {
+    throw new Error('context must be a string');
+  }
+
+  const atsKeywords = Array.isArray(jobAnalysis.atsKeywords) ? jobAnalysis.atsKeywords : [];
+  const topAtsKeywords = [...atsKeywords]
+    .sort((a, b) => b.frequency - a.frequency)
+    .slice(0, 15)
+    .map(kw => kw.keyword)
+    .join(', ');
+
+  const systemPrompt = `You are an expert resume writer and ATS optimization specialist. You rewrite a single experience bullet in several styles so the candidate can pick the best one.
+
+RULES:
+- Keep the facts of the original bullet. Do not add employers, tools or achievements it does not mention or clearly imply.
+- Never invent numbers. When a style calls for a figure the original does not give, use a bracketed placeholder the candidate can fill in, such as [X%] or [N users].
+- Use the job's ATS keywords only where the original work supports them.
+- Write each bullet as one line without a leading bullet character.
+
+Return ONLY valid JSON without any markdown formatting or code blocks.`;
+
+  const userPrompt = `Rewrite this experience bullet for the job below.
+
+JOB REQUIREMENTS:
+- Required Skills: ${jobAnalysis.requiredSkills.join(', ')}
+- Key Responsibilities: ${(jobAnalysis.keyResponsibilities || []).join('; ')}
+- Top ATS Keywords: ${topAtsKeywords}
+- Job Level: ${jobAnalysis.jobLevel || 'mid'}
+
+BULLET:
+${bullet.trim()}
+
+CONTEXT: ${context.trim() || 'None'}
+
+STYLES (one rewrite per style, in this order):
+${styles.map(style => `- ${style}: ${BULLET_STYLES[style]}`).join('\n')}
+
+Return ONLY a JSON object with this structure:
+{ "rewrites": [ { "style": "${styles[0]}", "text": "..." } ] }`;
+
+  let generated;
+  try {
+    generated = await generateStructured({
+      service: 'bulletRewriter',
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt },
+      ],
+      schema: bulletRewritesSchema,
+      label: 'bullet rewrites',
+      validate: value => validateRewriteStyles(value, styles),
+      maxTokens: 1000,
+      temperature: 0.7, // Higher for more varied alternatives
+    });
+  } catch (error) {
+    // Provider, configuration and invalid-output errors are already descriptive
+    if (error.status || error.message.includes('API error') || error.message.includes('environment variable')) {
+      throw error;
+    }
+    throw new Error(`Error rewriting bullet: ${error.message}`);
+  }
+
+  const original = analyzeBullet(bullet.trim(), atsKeywords);
+  const rewrites = generated.rewrites.map((rewrite) => {
+    const analysis = analyzeBullet(rewrite.text.trim(), atsKeywords);
+    return {
+      style: rewrite.style,
+      ...analysis,
+      addedKeywords: analysis.keywords.filter(keyword => !original.keywords.includes(keyword)),
+      placeholders: rewrite.text.match(PLACEHOLDER_PATTERN) || [],
+      scoreChange: analysis.score - original.score,
+    };
+  });
+
+  // Best: highest score, then most keywords added, then shortest
+  const best = [...rewrites].sort((a, b) => (
+    b.score - a.score || b.addedKeywords.length - a.addedKeywords.length || a.wordCount - b.wordCount
+  ))[0];
+
+  return { original, rewrites, bestStyle: best ? best.style : null };
+}
+
+module.exports = {
+  BULLET_STYLES,
+  rewriteBullet,
+};
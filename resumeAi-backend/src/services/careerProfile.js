@@ -0,0 +1,495 @@
+/**
+ * Career Profile Service
+ * A master profile the candidate maintains once and reuses for every
+ * application: contact details, the full employment history with real dates,
+ * projects, education, certifications, skills and a library of achievement
+ * stories. Questionnaires skip what the profile already answers, and resume
+ * generation draws on the entries most relevant to each posting.
+ */
+
+const crypto = require('crypto');
+const { findRecord, getRepository } = require('../storage');
+const { countKeywordOccurrences } = require('./atsScorer');
+const { countYearsOfExperience } = require('./employmentTimeline');
+const { categorizeSkill } = require('./skillCatalog');
+const { validateAnswer } = require('./answerValidator');
+
+/**
+ * Most entries of each kind passed to resume generation
+ * @type {Object<string, number>}
+ */
+const SELECTION_LIMITS = {
+  employment: 4,
+  highlightsPerRole: 5,
+  projects: 3,
+  achievements: 5,
+  certifications: 5,
+};
+
+/**
+ * Profile dates: 'YYYY-MM' or 'YYYY'
+ * @type {RegExp}
+ */
+const PROFILE_DATE_PATTERN = /^\d{4}(-(0[1-9]|1[0-2]))?$/;
+
+/**
+ * Contact fields and the question type whose format they must match
+ * @type {Object<string, string>}
+ */
+const CONTACT_FORMATS = { email: 'email', phone: 'tel', linkedinUrl: 'url' };
+
+/**
+ * Creates an error carrying an HTTP status
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Error}
+ */
+function statusError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Validates an optional string field
+ * @param {Object} input - Request fields
+ * @param {string} field - Field name
+ * @param {string} label - Field path for error messages (e.g. 'employment[0].company')
+ * @param {boolean} required - Whether the field is required
+ * @returns {string|null} - Trimmed value or null
+ * @throws {Error} With status 400 if invalid
+ */
+function readString(input, field, label, required = false) {
+  const value = input[field];
+  if (value === undefined || value === null || value === '') {
+    if (required) {
+      throw statusError(`${label} is required and must be a non-empty string`);
+    }
+    return null;
+  }
+  if (typeof value !== 'string' || value.trim().length === 0) {
+    throw statusError(`${label} must be a non-empty string`);
+  }
+  return value.trim();
+}
+
+/**
+ * Validates an optional list of strings
+ * @param {Object} input - Request fields
+ * @param {string} field - Field name
+ * @param {string} label - Field path for error messages
+ * @returns {Array<string>} - Trimmed, non-empty values
+ * @throws {Error} With status 400 if invalid
+ */
+function readStringList(input, field, label) {
+  const value = input[field];
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+    throw statusError(`${label} must be an array of strings`);
+  }
+  return value.map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Validates an optional profile date
+ * @param {Object} input - Request fields
+ * @param {string} field - Field name
+ * @param {string} label - Field path for error messages
+ * @param {boolean} required - Whether the field is required
+ * @returns {string|null} - 'YYYY-MM' or 'YYYY', or null
+ * @throws {Error} With status 400 if invalid
+ */
+function readDate(input, field, label, required = false) {
+  const value = readString(input, field, label, required);
+  if (value !== null && !PROFILE_DATE_PATTERN.test(value)) {
+    throw statusError(`${label} must be a date in the form YYYY-MM or YYYY`);
+  }
+  return value;
+}
+
+/**
+ * Validates a list of profile entries, giving new entries an ID and keeping existing ones
+ * @param {*} value - Entries from the request
+ * @param {string} section - Section name for error messages
+ * @param {Function} build - Builds an entry from (input, label)
+ * @returns {Array<Object>} - Entries with IDs
+ * @throws {Error} With status 400 if invalid
+ */
+function readEntries(value, section, build) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    throw statusError(`${section} must be an array`);
+  }
+  return value.map((input, i) => {
+    const label = `${section}[${i}]`;
+    if (!input || typeof input !== 'object') {
+      throw statusError(`${label} must be an object`);
+    }
+    return { id: typeof input.id === 'string' && input.id ? input.id : crypto.randomUUID(), ...build(input, label) };
+  });
+}
+
+/**
+ * Entry builders for each list section of a profile
+ * @type {Object<string, Function>}
+ */
+const SECTION_BUILDERS = {
+  employment: (input, label) => {
+    const entry = {
+      company: readString(input, 'company', `${label}.company`, true),
+      role: readString(input, 'role', `${label}.role`, true),
+      startDate: readDate(input, 'startDate', `${label}.startDate`, true),
+      endDate: readDate(input, 'endDate', `${label}.endDate`),
+      location: readString(input, 'location', `${label}.location`),
+      highlights: readStringList(input, 'highlights', `${label}.highlights`),
+      skills: readStringList(input, 'skills', `${label}.skills`),
+    };
+    if (entry.endDate && entry.endDate < entry.startDate) {
+      throw statusError(`${label}.endDate must not be before startDate`);
+    }
+    return entry;
+  },
+  projects: (input, label) => ({
+    name: readString(input, 'name', `${label}.name`, true),
+    description: readString(input, 'description', `${label}.description`),
+    skills: readStringList(input, 'skills', `${label}.skills`),
+    url: readString(input, 'url', `${label}.url`),
+  }),
+  education: (input, label) => ({
+    institution: readString(input, 'institution', `${label}.institution`, true),
+    degree: readString(input, 'degree', `${label}.degree`, true),
+    field: readString(input, 'field', `${label}.field`),
+    year: readDate(input, 'year', `${label}.year`),
+    details: readString(input, 'details', `${label}.details`),
+  }),
+  certifications: (input, label) => ({
+    name: readString(input, 'name', `${label}.name`, true),
+    issuer: readString(input, 'issuer', `${label}.issuer`),
+    year: readDate(input, 'year', `${label}.year`),
+  }),
+  achievements: (input, label) => ({
+    title: readString(input, 'title', `${label}.title`, true),
+    story: readString(input, 'story', `${label}.story`, true),
+    skills: readStringList(input, 'skills', `${label}.skills`),
+    employmentId: readString(input, 'employmentId', `${label}.employmentId`),
+  }),
+};
+
+/**
+ * Validates contact details
+ * @param {*} input - Contact from the request
+ * @returns {Object} - {fullName, email, phone, linkedinUrl, location}
+ * @throws {Error} With status 400 if invalid
+ */
+function readContact(input) {
+  if (!input || typeof input !== 'object') {
+    throw statusError('contact is required and must be an object');
+  }
+  const contact = {
+    fullName: readString(input, 'fullName', 'contact.fullName', true),
+    email: readString(input, 'email', 'contact.email', true),
+    phone: readString(input, 'phone', 'contact.phone', true),
+    linkedinUrl: readString(input, 'linkedinUrl', 'contact.linkedinUrl'),
+    location: readString(input, 'location', 'contact.location'),
+  };
+
+  // Same format checks as the questionnaire answers these fields fill in
+  for (const [field, type] of Object.entries(CONTACT_FORMATS)) {
+    const invalid = validateAnswer({ type, required: false }, contact[field]);
+    if (invalid) {
+      throw statusError(`contact.${field} ${invalid}`);
+    }
+  }
+
+  return contact;
+}
+
+/**
+ * Validates the sections present in a request and merges them into a profile.
+ * Each section given replaces the stored one as a whole.
+ * @param {Object} input - Request fields
+ * @param {Object} [current] - Stored profile data (for updates)
+ * @returns {Object} - Profile data
+ * @throws {Error} With status 400 if invalid
+ */
+function buildProfile(input, current = null) {
+  const data = current ? { ...current } : {
+    contact: readContact(input.contact),
+    headline: null,
+    skills: [],
+    ...Object.fromEntries(Object.keys(SECTION_BUILDERS).map(section => [section, []])),
+  };
+
+  if (current && input.contact !== undefined) {
+    data.contact = readContact({ ...current.contact, ...input.contact });
+  }
+  if (input.headline !== undefined) {
+    data.headline = readString(input, 'headline', 'headline');
+  }
+  if (input.skills !== undefined) {
+    data.skills = readStringList(input, 'skills', 'skills');
+  }
+  Object.entries(SECTION_BUILDERS).forEach(([section, build]) => {
+    if (input[section] !== undefined) {
+      data[section] = readEntries(input[section], section, build);
+    }
+  });
+
+  const employmentIds = new Set(data.employment.map(job => job.id));
+  const orphan = data.achievements.find(story => story.employmentId && !employmentIds.has(story.employmentId));
+  if (orphan) {
+    throw statusError(`achievement '${orphan.title}' refers to employment '${orphan.employmentId}', which is not in the profile`);
+  }
+
+  // Most recent role first
+  data.employment.sort((a, b) => (b.endDate || '9999').localeCompare(a.endDate || '9999') || b.startDate.localeCompare(a.startDate));
+  return data;
+}
+
+/**
+ * Converts a stored record into a profile
+ * @param {Object} record - Storage record
+ * @returns {Object} - Profile
+ */
+function toProfile(record) {
+  return { id: record.id, ...record.data, createdAt: record.createdAt, updatedAt: record.updatedAt };
+}
+
+/**
+ * Creates a career profile
+ * @param {Object} input - {contact: {fullName, email, phone, linkedinUrl?, location?}, headline?, skills?,
+ *   employment?, projects?, education?, certifications?, achievements?}
+ * @returns {Object} - The created profile
+ * @throws {Error} With status 400 on invalid input
+ */
+function createProfile(input) {
+  if (!input || typeof input !== 'object') {
+    throw statusError('Request body is required');
+  }
+  return toProfile(getRepository().insert('profiles', buildProfile(input)));
+}
+
+/**
+ * Returns a career profile
+ * @param {string} id - Profile ID
+ * @returns {Object} - Profile
+ * @throws {Error} With status 404 if it does not exist
+ */
+function getProfile(id) {
+  return toProfile(findRecord('profiles', id));
+}
+
+/**
+ * Lists career profiles, most recently created first
+ * @returns {Array<Object>} - Profiles
+ */
+function listProfiles() {
+  return getRepository().list('profiles').map(toProfile);
+}
+
+/**
+ * Updates a career profile. Contact fields are merged; any other section given
+ * replaces the stored one (entries keep their IDs when the request includes them).
+ * @param {string} id - Profile ID
+ * @param {Object} input - Sections to update
+ * @returns {Object} - The updated profile
+ * @throws {Error} With status 400 on invalid input or 404 if not found
+ */
+function updateProfile(id, input) {
+  if (!input || typeof input !== 'object') {
+    throw statusError('Request body is required');
+  }
+  const data = buildProfile(input, findRecord('profiles', id).data);
+  return toProfile(getRepository().update('profiles', id, data));
+}
+
+/**
+ * Deletes a career profile. Resumes generated from it are kept.
+ * @param {string} id - Profile ID
+ * @throws {Error} With status 404 if it does not exist
+ */
+function deleteProfile(id) {
+  findRecord('profiles', id);
+  getRepository().remove('profiles', id);
+}
+
+/**
+ * Formats a profile date range the way resumes show it: "MM/YYYY - Present"
+ * @param {Object} job - Employment entry
+ * @returns {string} - Duration
+ */
+function formatDuration(job) {
+  const format = date => (date.includes('-') ? `${date.slice(5)}/${date.slice(0, 4)}` : date);
+  return `${format(job.startDate)} - ${job.endDate ? format(job.endDate) : 'Present'}`;
+}
+
+/**
+ * Scores how relevant a piece of profile text is to a job: required skills
+ * count double, ATS keywords once
+ * @param {string} text - Entry text
+ * @param {Object} jobAnalysis - Job analysis
+ * @returns {number} - Relevance score
+ */
+function scoreRelevance(text, jobAnalysis) {
+  const required = (jobAnalysis.requiredSkills || [])
+    .filter(skill => countKeywordOccurrences(text, skill) > 0).length;
+  const keywords = (jobAnalysis.atsKeywords || [])
+    .filter(kw => countKeywordOccurrences(text, kw.keyword) > 0).length;
+  return required * 2 + keywords;
+}
+
+/**
+ * Picks the highest-scoring items, keeping the original order among them
+ * @param {Array<Object>} items - Items
+ * @param {Function} score - Scores an item
+ * @param {number} limit - Most items to keep
+ * @returns {Array<Object>} - Kept items
+ */
+function pickTop(items, score, limit) {
+  return items
+    .map((item, index) => ({ item, index, score: score(item) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .sort((a, b) => a.index - b.index)
+    .map(entry => entry.item);
+}
+
+/**
+ * Picks the profile entries most relevant to a job: the current role and the
+ * most relevant earlier roles (each with its most relevant highlights and
+ * achievement stories), plus the most relevant projects, unlinked stories and
+ * certifications. Education is always kept.
+ * @param {Object} profile - Career profile
+ * @param {Object} jobAnalysis - Job analysis
+ * @returns {Object} - {employment, projects, achievements, certifications, education, skills}, where each
+ *   employment entry has its linked stories under `achievements`
+ */
+function selectProfileEntries(profile, jobAnalysis) {
+  const relevance = value => scoreRelevance(JSON.stringify(value), jobAnalysis);
+  const stories = profile.achievements || [];
+
+  const employment = pickTop(
+    profile.employment || [],
+    // The most recent role is always shown; earlier ones compete on relevance
+    job => (job === profile.employment[0] ? Infinity : relevance(job) + relevance(stories.filter(s => s.employmentId === job.id))),
+    SELECTION_LIMITS.employment
+  ).map(job => ({
+    ...job,
+    highlights: pickTop(job.highlights, relevance, SELECTION_LIMITS.highlightsPerRole),
+    achievements: pickTop(stories.filter(story => story.employmentId === job.id), relevance, SELECTION_LIMITS.highlightsPerRole),
+  }));
+
+  return {
+    employment,
+    projects: pickTop(profile.projects || [], relevance, SELECTION_LIMITS.projects),
+    achievements: pickTop(stories.filter(story => !story.employmentId), relevance, SELECTION_LIMITS.achievements),
+    certifications: pickTop(profile.certifications || [], relevance, SELECTION_LIMITS.certifications),
+    education: profile.education || [],
+    skills: profile.skills || [],
+  };
+}
+
+/**
+ * Lays out selected profile entries as a resume, so generation, the grounding
+ * verifier and the provenance map can treat the profile like a source resume
+ * @param {Object} selection - Result of selectProfileEntries
+ * @param {Object} [profile] - The profile (for the headline)
+ * @returns {Object} - {summary, experience, skills, education, additionalSections}
+ */
+function profileToResume(selection, profile = {}) {
+  const skills = { languages: [], frameworks: [], databases: [], cloud: [], tools: [] };
+  const allSkills = [
+    ...selection.skills,
+    ...selection.employment.flatMap(job => job.skills),
+    ...selection.projects.flatMap(project => project.skills),
+  ];
+  [...new Set(allSkills)].forEach((skill) => {
+    skills[categorizeSkill(skill) || 'tools'].push(skill);
+  });
+
+  const additionalSections = [
+    {
+      title: 'Projects',
+      items: selection.projects.map(project => (project.description ? `${project.name}: ${project.description}` : project.name)),
+    },
+    {
+      title: 'Key Achievements',
+      items: selection.achievements.map(story => `${story.title}: ${story.story}`),
+    },
+    {
+      title: 'Certifications',
+      items: selection.certifications.map(cert => [cert.name, cert.issuer, cert.year].filter(Boolean).join(', ')),
+    },
+  ].filter(section => section.items.length > 0);
+
+  return {
+    summary: profile.headline || '',
+    experience: selection.employment.map(job => ({
+      company: job.company,
+      role: job.role,
+      duration: formatDuration(job),
+      bullets: [...job.achievements.map(story => story.story), ...job.highlights],
+    })),
+    skills,
+    education: selection.education.map(edu => ({
+      degree: edu.field ? `${edu.degree} in ${edu.field}` : edu.degree,
+      institution: edu.institution,
+      year: edu.year || '',
+      details: edu.details || '',
+    })),
+    additionalSections,
+  };
+}
+
+/**
+ * Answers questionnaire questions from a profile, keyed by question ID. With a
+ * job analysis, job-specific answers (achievements, projects, skills) are
+ * filled from the entries most relevant to that job.
+ * @param {Object} profile - Career profile
+ * @param {Object} [jobAnalysis] - Job analysis
+ * @returns {Object<string, string>} - Answers; questions the profile cannot answer are absent
+ */
+function profileAnswers(profile, jobAnalysis = null) {
+  const { contact } = profile;
+  const current = (profile.employment || [])[0];
+  const answers = {
+    full_name: contact.fullName,
+    email: contact.email,
+    phone: contact.phone,
+    linkedin_url: contact.linkedinUrl,
+    years_of_experience: profile.employment.length > 0 ? String(countYearsOfExperience(profile.employment)) : null,
+    current_role: current ? `${current.role} at ${current.company}` : null,
+    education: (profile.education || [])
+      .map(edu => [edu.field ? `${edu.degree} in ${edu.field}` : edu.degree, edu.institution, edu.year].filter(Boolean).join(', '))
+      .join('; ') || null,
+  };
+
+  if (jobAnalysis) {
+    const selection = selectProfileEntries(profile, jobAnalysis);
+    const stories = [...selection.employment.flatMap(job => job.achievements), ...selection.achievements];
+    const relevantSkills = [...new Set([...selection.skills, ...selection.employment.flatMap(job => job.skills)])]
+      .filter(skill => scoreRelevance(skill, jobAnalysis) > 0);
+    answers.key_achievements = stories.map(story => story.story).join('\n') || null;
+    answers.relevant_project = selection.projects
+      .map(project => (project.description ? `${project.name}: ${project.description}` : project.name))
+      .join('\n') || null;
+    answers.relevant_skills = relevantSkills.join(', ') || null;
+  }
+
+  return Object.fromEntries(Object.entries(answers).filter(([, value]) => value));
+}
+
+module.exports = {
+  createProfile,
+  deleteProfile,
+  getProfile,
+  listProfiles,
+  profileAnswers,
+  profileToResume,
+  selectProfileEntries,
+  updateProfile,
+};
@@ -1,8 +1,9 @@
 require('dotenv').config();
-const axios = require('axios');
+const { generateStructured } = require('./structuredOutput');
+const { coverLetterSchema } = require('./outputSchemas');
 
 /**
- * Generates a cover letter using Groq AI based on job analysis and user profile
+ * Generates a cover letter using the configured LLM provider based on job analysis and user profile
  * @param {Object} jobAnalysis - The job analysis object from analyzeJobPosting
  * @param {Object} userAnswers - User's answers from the questionnaire
  * @param {Object} resumeContent - Optional: Generated resume content for consistency
@@ -23,18 +24,6 @@ async function generateCoverLetter(jobAnalysis, userAnswers, resumeContent = nul
         throw new Error('userAnswers.full_name is required');
     }
 
-    // Check for API key
-    const apiKey = process.env.GROQ_API_KEY;
-    if (!apiKey) {
-        throw new Error('GROQ_API_KEY environment variable is not set');
-    }
-
-    // Get model name from environment or use default
-    const modelName = process.env.GROQ_MODEL || 'llama-3.3-70b-versatile';
-
-    // Groq API endpoint
-    const apiUrl = 'https://api.groq.com/openai/v1/chat/completions';
-
     // Extract key information
     const requiredSkills = jobAnalysis.requiredSkills || [];
     const keyResponsibilities = jobAnalysis.keyResponsibilities || [];
@@ -107,58 +96,30 @@ Generate a cover letter and return ONLY a JSON object with the following structu
 
 Return ONLY the JSON object, no additional text or explanation.`;
 
-    try {
-        const response = await axios.post(
-            apiUrl,
-            {
-                model: modelName,
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: userPrompt },
-                ],
-                max_tokens: 2000,
-                temperature: 0.7, // Slightly higher for more natural writing
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Content-Type': 'application/json',
-                },
-            }
-        );
-
-        // Extract and parse response
-        const responseText = response.data.choices[0].message.content.trim();
-
-        let parsedCoverLetter;
-        try {
-            const jsonText = responseText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-            parsedCoverLetter = JSON.parse(jsonText);
-        } catch (parseError) {
-            throw new Error(`Failed to parse cover letter response as JSON: ${parseError.message}`);
-        }
-
-        // Validate required fields
-        validateCoverLetterStructure(parsedCoverLetter);
-
-        // Add metadata
-        return {
-            ...parsedCoverLetter,
-            metadata: {
-                generatedAt: new Date().toISOString(),
-                targetCompany: companyName,
-                targetRole: currentRole || 'Position',
-                industry: industry,
-            },
-        };
-    } catch (error) {
-        if (error.response) {
-            const errorDetails = error.response.data?.error || error.response.data || {};
-            const errorMessage = errorDetails?.message || JSON.stringify(errorDetails) || error.message;
-            throw new Error(`Groq API error: ${errorMessage} (status: ${error.response.status})`);
-        }
-        throw error;
-    }
+    // Request, parse and validate the cover letter (repairing or re-asking if needed)
+    const parsedCoverLetter = await generateStructured({
+        service: 'coverLetterGenerator',
+        messages: [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: userPrompt },
+        ],
+        schema: coverLetterSchema,
+        label: 'cover letter',
+        validate: validateCoverLetterStructure,
+        maxTokens: 2000,
+        temperature: 0.7, // Slightly higher for more natural writing
+    });
+
+    // Add metadata
+    return {
+        ...parsedCoverLetter,
+        metadata: {
+            generatedAt: new Date().toISOString(),
+            targetCompany: companyName,
+            targetRole: currentRole || 'Position',
+            industry: industry,
+        },
+    };
 }
 
 /**
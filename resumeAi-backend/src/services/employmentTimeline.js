@@ -0,0 +1,318 @@
+/**
+ * Employment Timeline
+ * Reads the free-form `duration` of each experience entry ("MM/YYYY - Present",
+ * "Jan 2019 - Mar 2021", "2016 - 2018") into profile-style dates ('YYYY-MM' or
+ * 'YYYY') and checks the timeline they make up:
+ * - gap: no role for GAP_MONTHS months or more, between roles or since the last one
+ * - overlap: two roles sharing more than OVERLAP_TOLERANCE_MONTHS months, or more
+ *   than YEAR_OVERLAP_TOLERANCE_MONTHS where the overlap starts or ends at a bare year
+ * - future_date: a role starting or ending after the current month
+ * - invalid_range: a role ending before it starts
+ * - unparsed_date: a duration with no date that can be read
+ * - tenure_mismatch: the roles add up to more than TENURE_TOLERANCE_YEARS away from
+ *   the stated years of experience
+ *
+ * Date arithmetic works on month indexes (months since year 0), as career
+ * profiles do; a bare year starts in January and ends in December. A duration
+ * with a single date is a role within that month or year, unless it only gives
+ * a start ("Since 2022", "From Mar 2021", "2022 -"), which makes it ongoing.
+ */
+
+/**
+ * Months without a role that count as an employment gap
+ * @type {number}
+ */
+const GAP_MONTHS = 6;
+
+/**
+ * Months two roles may share without being flagged (a handover month)
+ * @type {number}
+ */
+const OVERLAP_TOLERANCE_MONTHS = 1;
+
+/**
+ * Months two roles may share where the overlap starts or ends at a bare year:
+ * "2016 - 2019" followed by "2019 - 2022" reads as a change of job during 2019
+ * @type {number}
+ */
+const YEAR_OVERLAP_TOLERANCE_MONTHS = 12;
+
+/**
+ * Years the roles may differ from the stated years of experience
+ * @type {number}
+ */
+const TENURE_TOLERANCE_YEARS = 1;
+
+/**
+ * Dates in a duration, in the order they appear: "Jan 2020", "January 2020",
+ * "01/2020", "2020-01", "2020", or a word for an ongoing role
+ * @type {RegExp}
+ */
+const DURATION_DATE_PATTERN = /\b(?:(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+((?:19|20)\d{2})|(\d{1,2})\/((?:19|20)\d{2})|((?:19|20)\d{2})-(\d{2})(?!\d)|((?:19|20)\d{2})|(present|current|now|today))\b/gi;
+
+/**
+ * A duration that only gives a start: "Since 2022", "From Mar 2021", "2022 -"
+ * @type {RegExp}
+ */
+const OPEN_ENDED_PATTERN = /^\s*(?:since|from)\b|[-–—]\s*$/i;
+
+/**
+ * Month abbreviations in calendar order
+ * @type {Array<string>}
+ */
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Converts a profile date to a month index for arithmetic
+ * @param {string|null} date - 'YYYY-MM', 'YYYY' or null (now)
+ * @param {boolean} [end=false] - Treat a bare year as December rather than January
+ * @param {Date} [now] - Current date, for null
+ * @returns {number} - Months since year 0
+ */
+function toMonthIndex(date, end = false, now = new Date()) {
+  if (!date) {
+    return now.getFullYear() * 12 + now.getMonth();
+  }
+  const [year, month] = date.split('-').map(Number);
+  return year * 12 + (month ? month - 1 : end ? 11 : 0);
+}
+
+/**
+ * Checks whether a profile date is a bare year, with no month
+ * @param {string|null} date - 'YYYY-MM', 'YYYY' or null
+ * @returns {boolean}
+ */
+function isBareYear(date) {
+  return /^\d{4}$/.test(date || '');
+}
+
+/**
+ * Formats a month index as a profile date
+ * @param {number} index - Months since year 0
+ * @returns {string} - 'YYYY-MM'
+ */
+function fromMonthIndex(index) {
+  return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+}
+
+/**
+ * The months a role covers, as [first month, month after the last)
+ * @param {Object} job - Entry with startDate and endDate (null while ongoing)
+ * @param {Date} [now] - Current date
+ * @returns {Array<number>} - [start, end) month indexes
+ */
+function toMonthRange(job, now = new Date()) {
+  return [toMonthIndex(job.startDate, false, now), toMonthIndex(job.endDate, true, now) + (job.endDate ? 1 : 0)];
+}
+
+/**
+ * Counts months of employment, without counting overlapping roles twice
+ * @param {Array<Object>} employment - Entries with startDate and endDate
+ * @param {Date} [now] - Current date
+ * @returns {number} - Months
+ */
+function countMonths(employment, now = new Date()) {
+  const ranges = employment.map(job => toMonthRange(job, now)).sort((a, b) => a[0] - b[0]);
+
+  let months = 0;
+  let coveredUntil = -Infinity;
+  ranges.forEach(([start, end]) => {
+    months += Math.max(0, end - Math.max(start, coveredUntil));
+    coveredUntil = Math.max(coveredUntil, end);
+  });
+  return months;
+}
+
+/**
+ * Counts whole years of employment, without counting overlapping roles twice
+ * @param {Array<Object>} employment - Entries with startDate and endDate
+ * @returns {number} - Years of experience
+ */
+function countYearsOfExperience(employment) {
+  return Math.floor(countMonths(employment) / 12);
+}
+
+/**
+ * Reads a resume duration into profile dates
+ * @param {string} duration - e.g. "03/2021 - Present", "Jan 2019 - Mar 2021", "2016 - 2018" or "Since 2022"
+ * @returns {{startDate: string, endDate: string|null, current: boolean}|null} - Dates as 'YYYY-MM' or
+ *   'YYYY', endDate null while the role is ongoing; null when no start date can be read
+ *
+ * @example
+ * parseDuration('03/2021 - Present'); // { startDate: '2021-03', endDate: null, current: true }
+ * parseDuration('Since 2022'); // { startDate: '2022', endDate: null, current: true }
+ * parseDuration('2019'); // { startDate: '2019', endDate: '2019', current: false }
+ */
+function parseDuration(duration) {
+  const dates = [...String(duration || '').matchAll(DURATION_DATE_PATTERN)].map((match) => {
+    if (match[8]) return null;
+    if (match[1]) return `${match[2]}-${String(MONTHS.indexOf(match[1].toLowerCase()) + 1).padStart(2, '0')}`;
+    if (match[3]) return Number(match[3]) >= 1 && Number(match[3]) <= 12 ? `${match[4]}-${match[3].padStart(2, '0')}` : match[4];
+    if (match[5]) return `${match[5]}-${match[6]}`;
+    return match[7];
+  });
+
+  if (dates.length === 0 || dates[0] === null) {
+    return null;
+  }
+  // A single date is a role that started and ended within it, unless only the start was given
+  const current = dates.length > 1 ? dates[1] === null : OPEN_ENDED_PATTERN.test(String(duration));
+  return {
+    startDate: dates[0],
+    endDate: current ? null : dates[1] || dates[0],
+    current,
+  };
+}
+
+/**
+ * Names an experience entry in messages
+ * @param {Object} entry - Timeline entry
+ * @returns {string} - e.g. "Engineer at Acme"
+ */
+function describe(entry) {
+  if (entry.role && entry.company) return `${entry.role} at ${entry.company}`;
+  return entry.company || entry.role || entry.path;
+}
+
+/**
+ * Analyzes the employment timeline of a resume
+ * @param {Object} resumeContent - Resume content (as from generateResumeContent or importResume)
+ * @param {Object} [options] - Options
+ * @param {number|string} [options.yearsOfExperience] - Stated years of experience (the
+ *   years_of_experience answer); the tenure check is skipped without it
+ * @param {Date} [options.now] - Current date (default: today)
+ * @returns {Object} - {entries, totalMonths, totalYears, findings, counts}: each entry's
+ *   {path, company, role, duration, startDate, endDate, current} (dates null if unreadable), months of
+ *   employment without double-counting overlaps, and findings as {type, severity, paths, message, ...}
+ *   with their counts per type
+ *
+ * @example
+ * const { findings } = analyzeTimeline(resume, { yearsOfExperience: 6 });
+ * findings.forEach(f => console.log(f.type, f.message));
+ */
+function analyzeTimeline(resumeContent, options = {}) {
+  const now = options.now || new Date();
+  const nowIndex = toMonthIndex(null, false, now);
+  const findings = [];
+
+  const entries = (Array.isArray(resumeContent && resumeContent.experience) ? resumeContent.experience : [])
+    .map((exp, i) => {
+      const parsed = parseDuration(exp.duration);
+      return {
+        path: `experience[${i}]`,
+        company: exp.company || '',
+        role: exp.role || '',
+        duration: exp.duration || '',
+        startDate: parsed ? parsed.startDate : null,
+        endDate: parsed ? parsed.endDate : null,
+        current: parsed ? parsed.current : false,
+      };
+    });
+
+  entries.filter(entry => !entry.startDate).forEach((entry) => {
+    findings.push({
+      type: 'unparsed_date',
+      severity: 'warning',
+      paths: [entry.path],
+      message: `${describe(entry)}: no dates can be read from "${entry.duration}"`,
+    });
+  });
+
+  const dated = entries
+    .filter(entry => entry.startDate)
+    .map(entry => ({ entry, range: toMonthRange(entry, now) }));
+
+  dated.forEach(({ entry, range: [start, end] }) => {
+    if (!entry.current && end <= start) {
+      findings.push({ type: 'invalid_range', severity: 'warning', paths: [entry.path], message: `${describe(entry)}: ends before it starts ("${entry.duration}")` });
+    }
+    if (start > nowIndex) {
+      findings.push({ type: 'future_date', severity: 'warning', paths: [entry.path], message: `${describe(entry)}: starts ${entry.startDate}, which is in the future` });
+    } else if (!entry.current && toMonthIndex(entry.endDate, false, now) > nowIndex) {
+      findings.push({ type: 'future_date', severity: 'warning', paths: [entry.path], message: `${describe(entry)}: ends ${entry.endDate}, which is in the future; use "Present" for a current role` });
+    }
+  });
+
+  // Ranges that run backwards or start in the future are already reported and would distort the rest
+  const valid = dated.filter(({ entry, range: [start, end] }) => (entry.current || end > start) && start <= nowIndex);
+
+  for (let i = 0; i < valid.length; i++) {
+    for (let j = i + 1; j < valid.length; j++) {
+      const [a, b] = [valid[i], valid[j]];
+      const months = Math.min(a.range[1], b.range[1]) - Math.max(a.range[0], b.range[0]);
+      // The overlap runs from the later start to the earlier end; a bare year there hides the month
+      const startsLater = a.range[0] >= b.range[0] ? a : b;
+      const endsFirst = a.range[1] <= b.range[1] ? a : b;
+      const tolerance = isBareYear(startsLater.entry.startDate) || isBareYear(endsFirst.entry.endDate)
+        ? YEAR_OVERLAP_TOLERANCE_MONTHS
+        : OVERLAP_TOLERANCE_MONTHS;
+      if (months > tolerance) {
+        findings.push({
+          type: 'overlap',
+          severity: 'warning',
+          paths: [a.entry.path, b.entry.path],
+          months,
+          message: `${describe(a.entry)} and ${describe(b.entry)} overlap by ${months} months`,
+        });
+      }
+    }
+  }
+
+  const sorted = [...valid].sort((a, b) => a.range[0] - b.range[0]);
+  let coveredUntil = null;
+  let last = null;
+  sorted.forEach(({ entry, range: [start, end] }) => {
+    if (coveredUntil !== null && start - coveredUntil >= GAP_MONTHS) {
+      findings.push({
+        type: 'gap',
+        severity: 'warning',
+        paths: [last.path, entry.path],
+        from: fromMonthIndex(coveredUntil),
+        to: fromMonthIndex(start - 1),
+        months: start - coveredUntil,
+        message: `${start - coveredUntil}-month gap between ${describe(last)} and ${describe(entry)} (${fromMonthIndex(coveredUntil)} to ${fromMonthIndex(start - 1)})`,
+      });
+    }
+    if (coveredUntil === null || end >= coveredUntil) {
+      coveredUntil = end;
+      last = entry;
+    }
+  });
+  if (coveredUntil !== null && nowIndex + 1 - coveredUntil >= GAP_MONTHS) {
+    findings.push({
+      type: 'gap',
+      severity: 'warning',
+      paths: [last.path],
+      from: fromMonthIndex(coveredUntil),
+      to: null,
+      months: nowIndex + 1 - coveredUntil,
+      message: `No role since ${describe(last)} ended (${fromMonthIndex(coveredUntil)} to now, ${nowIndex + 1 - coveredUntil} months)`,
+    });
+  }
+
+  const totalMonths = countMonths(valid.map(({ entry }) => entry), now);
+  const totalYears = Math.round((totalMonths / 12) * 10) / 10;
+
+  const stated = parseFloat(options.yearsOfExperience);
+  if (Number.isFinite(stated) && valid.length > 0 && Math.abs(totalYears - stated) > TENURE_TOLERANCE_YEARS) {
+    findings.push({
+      type: 'tenure_mismatch',
+      severity: 'warning',
+      paths: valid.map(({ entry }) => entry.path),
+      statedYears: stated,
+      totalYears,
+      message: `The roles add up to ${totalYears} years, but the stated experience is ${stated} years`,
+    });
+  }
+
+  const counts = findings.reduce((totals, finding) => ({ ...totals, [finding.type]: (totals[finding.type] || 0) + 1 }), {});
+
+  return { entries, totalMonths, totalYears, findings, counts };
+}
+
+module.exports = {
+  analyzeTimeline,
+  countYearsOfExperience,
+  parseDuration,
+  toMonthIndex,
+};
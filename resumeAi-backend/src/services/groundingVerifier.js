@@ -0,0 +1,367 @@
+/**
+ * Grounding Verifier
+ * Checks a generated resume against the facts the candidate supplied (their
+ * questionnaire answers and any imported resume) and reports every employer,
+ * job title, date, institution and number it cannot trace back to them.
+ *
+ * In strip mode untraceable content is removed: experience entries and
+ * education with an unknown employer or institution, and bullets, summary
+ * sentences and section items containing an unknown number. An untraceable
+ * title, duration, degree or graduation year is replaced with the value the
+ * sources give for the same employer or institution, or cleared when they give none.
+ */
+
+/**
+ * Legal-form words that may be added or dropped without changing a name
+ * ("Acme Corp" and "Acme" are the same employer)
+ * @type {Set<string>}
+ */
+const LEGAL_SUFFIXES = new Set(['inc', 'llc', 'ltd', 'limited', 'co', 'corp', 'corporation', 'company', 'plc', 'gmbh']);
+
+/**
+ * Keys (lowercase) holding contact details. Phone digits, email handles and URL slugs
+ * are not facts about the candidate's work, so they never back a name or a metric.
+ * @type {Set<string>}
+ */
+const CONTACT_FIELDS = new Set([
+  'contact', 'personalinfo', 'email', 'phone', 'linkedin', 'linkedin_url', 'linkedinurl',
+  'github', 'github_url', 'website', 'portfolio', 'portfolio_url', 'address',
+]);
+
+/**
+ * Values a model uses for "unknown"; these are not claims and are never flagged
+ * @type {Set<string>}
+ */
+const PLACEHOLDERS = new Set(['', 'n a', 'na', 'none', 'not specified', 'unknown']);
+
+/**
+ * Numbers written in prose: "45%", "$1.2M", "10,000+", "3x", "500K"
+ * @type {RegExp}
+ */
+const NUMBER_PATTERN = /(?<![\w.])\$?(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?\s?(k|m|mm|b|bn|thousand|million|billion)?(?:%|\+|x)?(?!\w)/gi;
+
+/**
+ * Multipliers for number suffixes
+ * @type {Object<string, number>}
+ */
+const MULTIPLIERS = {
+  k: 1e3, thousand: 1e3, m: 1e6, mm: 1e6, million: 1e6, b: 1e9, bn: 1e9, billion: 1e9,
+};
+
+/**
+ * Dates: "2020", "03/2020", "Mar 2020" or "March 2020"
+ * @type {RegExp}
+ */
+const DATE_PATTERN = /\b(?:(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+|(\d{1,2})\/)?((?:19|20)\d{2})\b/gi;
+
+/**
+ * Month abbreviations in calendar order
+ * @type {Array<string>}
+ */
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Lowercases text and reduces it to space-separated words
+ * @param {string} text - Text to normalize
+ * @returns {string} - Normalized text
+ */
+function normalize(text) {
+  return String(text).normalize('NFKC').toLowerCase().replace(/[^a-z0-9+#]+/g, ' ').trim();
+}
+
+/**
+ * Reduces a name to the phrase compared against the sources: normalized words
+ * without legal-form words or a leading "the"
+ * @param {string} text - Name or source text
+ * @returns {string} - Space-separated words
+ */
+function toPhrase(text) {
+  const words = normalize(text).split(' ').filter(word => word && !LEGAL_SUFFIXES.has(word));
+  if (words[0] === 'the') {
+    words.shift();
+  }
+  return words.join(' ');
+}
+
+/**
+ * Collects every string and number in a value, however deeply nested
+ * @param {*} value - Answers, resume or any JSON value
+ * @param {Array<string>} [out] - Accumulator
+ * @returns {Array<string>} - The strings found
+ */
+function collectStrings(value, out = []) {
+  if (typeof value === 'string' || typeof value === 'number') {
+    out.push(String(value));
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectStrings(item, out));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectStrings(item, out));
+  }
+  return out;
+}
+
+/**
+ * Copies a value without its contact details (see CONTACT_FIELDS), however deeply nested
+ * @param {*} value - Answers, resume or any JSON value
+ * @returns {*} - The value without contact fields
+ */
+function omitContactDetails(value) {
+  if (Array.isArray(value)) {
+    return value.map(omitContactDetails);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([key]) => !CONTACT_FIELDS.has(key.toLowerCase()))
+      .map(([key, item]) => [key, omitContactDetails(item)]));
+  }
+  return value;
+}
+
+/**
+ * Extracts the numeric values mentioned in text, with suffixes applied
+ * ("$1.2M" and "1,200,000" are both 1200000)
+ * @param {string} text - Text to scan
+ * @returns {Array<{text: string, value: number}>} - Numbers found
+ */
+function extractNumbers(text) {
+  const numbers = [];
+  for (const match of String(text).matchAll(NUMBER_PATTERN)) {
+    const [raw, whole, fraction, suffix] = match;
+    const base = parseFloat(`${whole.replace(/,/g, '')}${fraction ? `.${fraction}` : ''}`);
+    const value = suffix ? base * MULTIPLIERS[suffix.toLowerCase()] : base;
+    numbers.push({ text: raw.trim(), value: Math.round(value * 1000) / 1000 });
+  }
+  return numbers;
+}
+
+/**
+ * Extracts the dates mentioned in text as keys: "2020" for a bare year, "2020-03" with a month
+ * @param {string} text - Text to scan
+ * @returns {Array<{text: string, key: string}>} - Dates found
+ */
+function extractDates(text) {
+  const dates = [];
+  for (const match of String(text).matchAll(DATE_PATTERN)) {
+    const [raw, monthName, monthNumber, year] = match;
+    let month = null;
+    if (monthName) {
+      month = MONTHS.indexOf(monthName.toLowerCase()) + 1;
+    } else if (monthNumber && Number(monthNumber) >= 1 && Number(monthNumber) <= 12) {
+      month = Number(monthNumber);
+    }
+    dates.push({ text: raw.trim(), key: month ? `${year}-${String(month).padStart(2, '0')}` : year });
+  }
+  return dates;
+}
+
+/**
+ * Indexes the candidate's sources for lookups
+ * @param {Object} sources - {answers, sourceResume, profile}
+ * @returns {Object} - {phrases, numbers, dates, experience, education}, where phrases holds each
+ *   source string as a padded phrase, so a name never matches across two fields, and experience
+ *   and education list the structured entries the sources give
+ */
+function buildSourceIndex({ answers, sourceResume, profile }) {
+  // A stored resume's grounding report and provenance map quote generated content
+  const { grounding, provenance, ...source } = sourceResume || {};
+  const strings = collectStrings(omitContactDetails([answers || {}, source, profile || {}]));
+
+  const entries = field => [source, profile || {}]
+    .flatMap(resume => (Array.isArray(resume[field]) ? resume[field] : []))
+    .filter(entry => entry && typeof entry === 'object');
+  const experience = entries('experience');
+  // The current_role answer reads "<title> at <employer>"
+  const [currentTitle, currentCompany] = String((answers || {}).current_role || '').split(/\s+at\s+/i);
+  if (currentTitle && currentCompany) {
+    experience.push({ company: currentCompany.trim(), role: currentTitle.trim() });
+  }
+  const phrases = strings.map(value => ` ${toPhrase(value)} `);
+
+  const numbers = new Set();
+  const dates = new Set();
+  strings.forEach((value) => {
+    extractNumbers(value).forEach(number => numbers.add(number.value));
+    extractDates(value).forEach((date) => {
+      dates.add(date.key);
+      dates.add(date.key.slice(0, 4));
+    });
+  });
+
+  return { phrases, numbers, dates, experience, education: entries('education') };
+}
+
+/**
+ * Finds the source entry for the same employer or institution as a generated entry,
+ * preferring one whose other fields also match (e.g. the same dates or title, when the
+ * candidate held several roles at one employer)
+ * @param {Array<Object>} entries - Source entries (index.experience or index.education)
+ * @param {string} nameField - 'company' or 'institution'
+ * @param {Object} generated - Generated entry
+ * @param {Array<string>} tieFields - Fields used, in order, to choose between entries with the same name
+ * @returns {Object|null} - The source entry
+ */
+function findSourceEntry(entries, nameField, generated, tieFields) {
+  const name = toPhrase(generated[nameField] || '');
+  const sameName = entries.filter(entry => name && toPhrase(entry[nameField] || '') === name);
+  const tied = tieFields
+    .map(field => sameName.find(entry => normalize(String(entry[field] || '')) === normalize(String(generated[field] || ''))))
+    .find(Boolean);
+  return tied || sameName[0] || null;
+}
+
+/**
+ * Checks whether a name (employer, title, institution...) appears in one of the
+ * sources as a contiguous phrase, ignoring case, punctuation and legal-form words.
+ * Having the same words scattered around is not enough: "Global Tech Solutions"
+ * is not traced by "built tech solutions for global customers".
+ * @param {string} value - Name to look up
+ * @param {Object} index - Source index
+ * @returns {boolean} - True if traced (or a placeholder such as "Not specified")
+ */
+function isNameTraced(value, index) {
+  if (PLACEHOLDERS.has(normalize(value))) {
+    return true;
+  }
+  const phrase = toPhrase(value);
+  return phrase.length > 0 && index.phrases.some(source => source.includes(` ${phrase} `));
+}
+
+/**
+ * Lists the numbers in text that do not appear in the sources
+ * @param {string} text - Generated text
+ * @param {Object} index - Source index
+ * @returns {Array<string>} - Reasons, one per untraced number
+ */
+function findUntracedNumbers(text, index) {
+  return extractNumbers(text)
+    .filter(number => !index.numbers.has(number.value))
+    .map(number => `number "${number.text}" not found in the candidate's sources`);
+}
+
+/**
+ * Lists the dates in text that do not appear in the sources
+ * @param {string} text - Generated duration
+ * @param {Object} index - Source index
+ * @returns {Array<string>} - Reasons, one per untraced date
+ */
+function findUntracedDates(text, index) {
+  return extractDates(text)
+    .filter(date => !index.dates.has(date.key))
+    .map(date => `date "${date.text}" not found in the candidate's sources`);
+}
+
+/**
+ * Verifies a generated resume against the candidate's own information
+ * @param {Object} resume - Generated resume content
+ * @param {Object} sources - What the candidate supplied
+ * @param {Object} [sources.answers] - Questionnaire answers
+ * @param {Object} [sources.sourceResume] - Imported or previously stored resume
+ * @param {Object} [sources.profile] - Career profile entries, as laid out by profileToResume
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.strip=false] - Remove or replace untraceable content instead of only flagging it
+ * @returns {{resume: Object, flagged: Array<Object>, removed: number}} - The (possibly stripped)
+ *   resume and one flag per problem, where `path` points into the resume as generated
+ *   (e.g. 'experience[0].bullets[2]') and `action` is 'removed', 'replaced' (with the source's
+ *   value as `replacement`) or 'kept'
+ *
+ * @example
+ * const { resume, flagged } = verifyResume(generated, { answers, sourceResume }, { strip: true });
+ */
+function verifyResume(resume, sources = {}, { strip = false } = {}) {
+  if (!resume || typeof resume !== 'object') {
+    throw new Error('resume must be a valid object');
+  }
+
+  const index = buildSourceIndex(sources);
+  const flagged = [];
+  let removed = 0;
+
+  // Records a problem and says whether the content should be dropped
+  const flag = (path, text, reasons, removable) => {
+    if (reasons.length === 0) {
+      return false;
+    }
+    const drop = strip && removable;
+    flagged.push({ path, text, reasons, action: drop ? 'removed' : 'kept' });
+    if (drop) removed++;
+    return drop;
+  };
+
+  // Records a problem with a field and returns the value to use: the source's value when
+  // there is one, otherwise nothing
+  const correct = (path, text, reasons, replacement) => {
+    if (reasons.length === 0 || !strip) {
+      flag(path, text, reasons, false);
+      return text;
+    }
+    if (replacement) {
+      flagged.push({ path, text, reasons, action: 'replaced', replacement });
+      return replacement;
+    }
+    flag(path, text, reasons, true);
+    return '';
+  };
+
+  // Summary: sentence by sentence, so one invented metric does not cost the whole summary
+  const sentences = String(resume.summary || '').split(/(?<=[.!?])\s+/).filter(Boolean);
+  const summary = sentences
+    .filter((sentence, i) => !flag(`summary.sentences[${i}]`, sentence, findUntracedNumbers(sentence, index), true))
+    .join(' ');
+
+  const experience = [];
+  (resume.experience || []).forEach((job, i) => {
+    const path = `experience[${i}]`;
+    if (!isNameTraced(job.company || '', index)
+      && flag(`${path}.company`, job.company, [`employer "${job.company}" not found in the candidate's sources`], true)) {
+      return;
+    }
+    const source = findSourceEntry(index.experience, 'company', job, ['duration', 'role']) || {};
+    const titleReasons = isNameTraced(job.role || '', index) ? [] : [`job title "${job.role}" not found in the candidate's sources`];
+    const role = correct(`${path}.role`, job.role, titleReasons, source.role);
+    const duration = correct(`${path}.duration`, job.duration, findUntracedDates(job.duration || '', index), source.duration);
+
+    const bullets = (job.bullets || []).filter((bullet, b) => (
+      !flag(`${path}.bullets[${b}]`, bullet, findUntracedNumbers(bullet, index), true)
+    ));
+    experience.push({ ...job, role, duration, bullets });
+  });
+
+  const education = [];
+  (resume.education || []).forEach((edu, i) => {
+    const path = `education[${i}]`;
+    if (!isNameTraced(edu.institution || '', index)
+      && flag(`${path}.institution`, edu.institution, [`institution "${edu.institution}" not found in the candidate's sources`], true)) {
+      return;
+    }
+    const source = findSourceEntry(index.education, 'institution', edu, ['degree', 'year']) || {};
+    const degreeReasons = isNameTraced(edu.degree || '', index) ? [] : [`degree "${edu.degree}" not found in the candidate's sources`];
+    const degree = correct(`${path}.degree`, edu.degree, degreeReasons, source.degree);
+    const year = edu.year
+      ? correct(`${path}.year`, String(edu.year), findUntracedDates(String(edu.year), index), source.year && String(source.year))
+      : edu.year;
+    education.push({ ...edu, degree, year });
+  });
+
+  const additionalSections = (resume.additionalSections || [])
+    .map((section, s) => ({
+      ...section,
+      items: (section.items || []).filter((item, i) => (
+        !flag(`additionalSections[${s}].items[${i}]`, item, findUntracedNumbers(item, index), true)
+      )),
+    }))
+    .filter(section => !strip || section.items.length > 0);
+
+  return {
+    resume: strip ? { ...resume, summary, experience, education, additionalSections } : resume,
+    flagged,
+    removed,
+  };
+}
+
+module.exports = {
+  collectStrings,
+  extractNumbers,
+  normalize,
+  omitContactDetails,
+  verifyResume,
+};
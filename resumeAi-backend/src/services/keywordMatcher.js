@@ -0,0 +1,178 @@
+/**
+ * Keyword Matcher
+ * Finds a keyword in resume text the way a forgiving ATS would:
+ * - spacing and punctuation inside a term do not matter ("Node.js", "node js"
+ *   and "NodeJS" are the same, as are "CI/CD" and "CICD")
+ * - word forms match by stem ("managed" and "management")
+ * - synonyms and acronyms from src/config/skillSynonyms.js match each other
+ *   ("Kubernetes" and "k8s", "CI/CD" and "continuous integration")
+ *
+ * Stemming and synonyms can be switched off to emulate stricter systems.
+ */
+
+const { SYNONYMS } = require('../config/skillSynonyms');
+
+/**
+ * Suffixes stripped by the stemmer, longest first
+ * @type {Array<string>}
+ */
+const SUFFIXES = ['ations', 'ation', 'ments', 'ment', 'ings', 'ing', 'ers', 'er', 'ed', 'es', 'ly', 's'];
+
+/**
+ * A term in text: letters, digits, + and # (C++, C#), joined by inner dots,
+ * hyphens or apostrophes (node.js, object-oriented)
+ * @type {RegExp}
+ */
+const TOKEN_PATTERN = /[a-z0-9+#]+(?:[.'-][a-z0-9+#]+)*/g;
+
+/**
+ * Reduces a word to a rough stem, so "deploy", "deployed", "deploying" and "deployment" compare equal
+ * @param {string} word - Lowercase word
+ * @returns {string} - Stem
+ */
+function stem(word) {
+  if (/[^a-z]/.test(word)) {
+    return word;
+  }
+  const suffix = SUFFIXES.find(ending => word.endsWith(ending) && word.length - ending.length >= 3
+    && !(ending === 's' && word.endsWith('ss')));
+  const base = suffix ? word.slice(0, -suffix.length) : word;
+  return base.length > 3 && base.endsWith('e') ? base.slice(0, -1) : base;
+}
+
+/**
+ * Removes the punctuation inside a term
+ * @param {string} term - Lowercase term
+ * @returns {string}
+ */
+function compact(term) {
+  return term.replace(/[^a-z0-9+#]/g, '');
+}
+
+/**
+ * Splits text into terms, keeping where each starts and ends
+ * @param {string} text - Text
+ * @returns {Array<Object>} - {compact, stem, start, end}
+ */
+function tokenize(text) {
+  return [...String(text).toLowerCase().matchAll(TOKEN_PATTERN)].map((match) => {
+    const term = compact(match[0]);
+    return { compact: term, stem: stem(term), start: match.index, end: match.index + match[0].length };
+  });
+}
+
+/**
+ * Synonym groups (the key and its variants), looked up by the compacted form of any member
+ * @type {Map<string, Array<string>>}
+ */
+const SYNONYM_GROUPS = new Map();
+Object.entries(SYNONYMS).forEach(([key, variants]) => {
+  const group = [key, ...variants];
+  group.forEach(term => SYNONYM_GROUPS.set(tokenize(term).map(token => token.compact).join(''), group));
+});
+
+/**
+ * Lists the ways a keyword may be written: the keyword itself first, then its synonyms
+ * @param {string} keyword - Keyword
+ * @returns {Array<string>}
+ */
+function keywordVariants(keyword) {
+  const group = SYNONYM_GROUPS.get(tokenize(keyword).map(token => token.compact).join('')) || [];
+  return [keyword, ...group.filter(term => compact(term) !== compact(String(keyword).toLowerCase()))];
+}
+
+/**
+ * Reduces a keyword to a form shared by every keyword that matches the same
+ * text: the first term of its synonym group, or the keyword itself, both
+ * without spacing and punctuation ("React.js" and "React" give "react")
+ * @param {string} keyword - Keyword
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.synonyms=true] - Whether synonyms and acronyms match each other
+ * @returns {string}
+ */
+function canonicalKeyword(keyword, options = {}) {
+  const { synonyms = true } = options;
+  const compacted = tokenize(keyword).map(token => token.compact).join('');
+  const group = synonyms ? SYNONYM_GROUPS.get(compacted) : null;
+  return group ? compact(group[0]) : compacted;
+}
+
+/**
+ * Finds where a term occurs in tokenized text
+ * @param {Array<Object>} tokens - Tokenized text
+ * @param {string} term - Term to find (one or more words)
+ * @param {boolean} stemming - Whether word forms match by stem
+ * @returns {Array<Array<number>>} - [first, last] token index of each occurrence
+ */
+function findSpans(tokens, term, stemming) {
+  const termTokens = tokenize(term);
+  const target = termTokens.map(token => token.compact).join('');
+  const spans = [];
+  if (!target) {
+    return spans;
+  }
+
+  for (let i = 0; i < tokens.length; i++) {
+    // Spacing and punctuation: the terms starting here spell out the keyword
+    let joined = '';
+    let j = i;
+    while (j < tokens.length && joined.length < target.length) {
+      joined += tokens[j].compact;
+      j++;
+    }
+    if (joined === target) {
+      spans.push([i, j - 1]);
+    } else if (stemming && i + termTokens.length <= tokens.length
+      && termTokens.every((token, k) => tokens[i + k].stem === token.stem)) {
+      spans.push([i, i + termTokens.length - 1]);
+    }
+  }
+  return spans;
+}
+
+/**
+ * Counts a keyword in text and records how it was written each time
+ * @param {string} text - Text to search
+ * @param {string} keyword - Keyword (one or more words)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.stemming=true] - Match other forms of the same word
+ * @param {boolean} [options.synonyms=true] - Match synonyms and acronyms of the keyword
+ * @returns {{count: number, variants: Object<string, number>}} - Occurrences, and how often each
+ *   variant (as written in the text, lowercase) occurred
+ *
+ * @example
+ * matchKeyword('Deployed k8s clusters; Kubernetes on-call', 'Kubernetes');
+ * // { count: 2, variants: { k8s: 1, kubernetes: 1 } }
+ */
+function matchKeyword(text, keyword, options = {}) {
+  const { stemming = true, synonyms = true } = options;
+  const source = String(text || '');
+  const tokens = tokenize(source);
+
+  // Longer matches win where variants overlap ("react.js" over "react")
+  const spans = (synonyms ? keywordVariants(keyword) : [keyword])
+    .flatMap(term => findSpans(tokens, term, stemming))
+    .sort((a, b) => (b[1] - b[0]) - (a[1] - a[0]) || a[0] - b[0]);
+
+  const taken = [];
+  spans.forEach(([first, last]) => {
+    if (!taken.some(([f, l]) => first <= l && last >= f)) {
+      taken.push([first, last]);
+    }
+  });
+
+  const variants = {};
+  taken.forEach(([first, last]) => {
+    const written = source.slice(tokens[first].start, tokens[last].end).toLowerCase();
+    variants[written] = (variants[written] || 0) + 1;
+  });
+
+  return { count: taken.length, variants };
+}
+
+module.exports = {
+  canonicalKeyword,
+  keywordVariants,
+  matchKeyword,
+  stem,
+};
@@ -0,0 +1,281 @@
+/**
+ * LLM Client Service
+ * Single entry point for every chat-completion call made by the backend.
+ * Provider adapters translate a common request shape into each vendor's API.
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+const { mockComplete } = require('./mockLLM');
+const { getFixtureMode, loadFixture, saveFixture } = require('./llmFixtures');
+const { withRetry, toUpstreamError } = require('./retryPolicy');
+
+/**
+ * Default provider when neither a per-service nor a global override is set
+ * @type {string}
+ */
+const DEFAULT_PROVIDER = 'groq';
+
+/**
+ * Services that call the LLM, keyed by the name passed to `complete`
+ * @type {Array<string>}
+ */
+const SERVICES = ['jobAnalyzer', 'questionGenerator', 'resumeGenerator', 'sectionRegenerator', 'bulletRewriter', 'coverLetterGenerator'];
+
+/**
+ * Converts a service name to its env var suffix (resumeGenerator -> RESUME_GENERATOR)
+ * @param {string} service - Service name
+ * @returns {string} - Upper snake case suffix
+ */
+function toEnvSuffix(service) {
+  return service.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+/**
+ * Resolves which provider and model a service should use.
+ * Lookup order: LLM_PROVIDER_<SERVICE>, LLM_PROVIDER, then the default (groq).
+ * Model lookup order: LLM_MODEL_<SERVICE>, LLM_MODEL, then the provider's own default.
+ * @param {string} service - Service name (e.g. 'resumeGenerator')
+ * @returns {{provider: string, model: string}} - Resolved provider config
+ */
+function getProviderConfig(service) {
+  const suffix = service ? toEnvSuffix(service) : '';
+  const providerName = (
+    (suffix && process.env[`LLM_PROVIDER_${suffix}`]) ||
+    process.env.LLM_PROVIDER ||
+    DEFAULT_PROVIDER
+  ).toLowerCase();
+
+  const provider = PROVIDERS[providerName];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider '${providerName}'. Supported providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  const model =
+    (suffix && process.env[`LLM_MODEL_${suffix}`]) ||
+    process.env.LLM_MODEL ||
+    provider.defaultModel();
+
+  return { provider: providerName, model };
+}
+
+/**
+ * Groq adapter (OpenAI-compatible chat completions hosted by Groq)
+ */
+const groqProvider = {
+  label: 'Groq',
+  defaultModel: () => process.env.GROQ_MODEL || 'llama-3.3-70b-versatile',
+  async send({ model, messages, maxTokens, temperature, timeout }) {
+    const apiKey = process.env.GROQ_API_KEY;
+    if (!apiKey) {
+      throw new Error('GROQ_API_KEY environment variable is not set');
+    }
+
+    return sendOpenAICompatible({
+      apiUrl: 'https://api.groq.com/openai/v1/chat/completions',
+      apiKey,
+      model,
+      messages,
+      maxTokens,
+      temperature,
+      timeout,
+    });
+  },
+};
+
+/**
+ * Generic OpenAI-compatible adapter, e.g. OpenAI itself, a llama.cpp server or Ollama
+ */
+const openAICompatibleProvider = {
+  label: 'OpenAI-compatible',
+  defaultModel: () => process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  async send({ model, messages, maxTokens, temperature, timeout }) {
+    const baseUrl = process.env.OPENAI_BASE_URL;
+    if (!baseUrl) {
+      throw new Error('OPENAI_BASE_URL environment variable is not set');
+    }
+
+    return sendOpenAICompatible({
+      apiUrl: `${baseUrl.replace(/\/+$/, '')}/chat/completions`,
+      // Local model servers usually don't need a key
+      apiKey: process.env.OPENAI_API_KEY || null,
+      model,
+      messages,
+      maxTokens,
+      temperature,
+      timeout,
+    });
+  },
+};
+
+/**
+ * Anthropic Messages API adapter
+ */
+const anthropicProvider = {
+  label: 'Anthropic',
+  defaultModel: () => process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest',
+  async send({ model, messages, maxTokens, temperature, timeout }) {
+    const apiKey = process.env.ANTHROPIC_API_KEY;
+    if (!apiKey) {
+      throw new Error('ANTHROPIC_API_KEY environment variable is not set');
+    }
+
+    // Anthropic takes the system prompt as a top-level field, not a message
+    const system = messages
+      .filter(m => m.role === 'system')
+      .map(m => m.content)
+      .join('\n\n');
+    const conversation = messages.filter(m => m.role !== 'system');
+
+    const response = await axios.post(
+      'https://api.anthropic.com/v1/messages',
+      {
+        model,
+        ...(system && { system }),
+        messages: conversation,
+        max_tokens: maxTokens,
+        temperature,
+      },
+      {
+        headers: {
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01',
+          'Content-Type': 'application/json',
+        },
+        timeout,
+      }
+    );
+
+    return (response.data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('')
+      .trim();
+  },
+};
+
+/**
+ * Deterministic offline adapter. Delegates to the rule-based mock so the
+ * pipeline can run without network access or an API key.
+ */
+const offlineProvider = {
+  label: 'Offline',
+  defaultModel: () => 'offline',
+  async send({ service, messages }) {
+    return mockComplete(service, messages);
+  },
+};
+
+/**
+ * Provider registry
+ * @type {Object<string, Object>}
+ */
+const PROVIDERS = {
+  groq: groqProvider,
+  openai: openAICompatibleProvider,
+  anthropic: anthropicProvider,
+  offline: offlineProvider,
+};
+
+/**
+ * Sends a chat completion request to an OpenAI-compatible endpoint
+ * @param {Object} options - Request options
+ * @returns {Promise<string>} - The assistant message text
+ */
+async function sendOpenAICompatible({ apiUrl, apiKey, model, messages, maxTokens, temperature, timeout }) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  const response = await axios.post(
+    apiUrl,
+    {
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+    },
+    { headers, timeout }
+  );
+
+  return response.data.choices[0].message.content.trim();
+}
+
+/**
+ * Sends a chat completion through the provider configured for a service
+ * @param {Object} options - Completion options
+ * @param {string} options.service - Calling service name, used to pick the provider
+ * @param {Array<Object>} options.messages - Chat messages ({role, content})
+ * @param {number} [options.maxTokens=2000] - Maximum tokens to generate
+ * @param {number} [options.temperature=0.3] - Sampling temperature
+ * @returns {Promise<string>} - The raw response text
+ * @throws {Error} If the provider is misconfigured or the upstream call fails. Rate limits
+ *   carry `status` 429 and outages/timeouts `status` 503, with `retryAfter` (seconds) when known.
+ *
+ * @example
+ * const text = await complete({
+ *   service: 'jobAnalyzer',
+ *   messages: [{ role: 'user', content: prompt }],
+ *   maxTokens: 4000,
+ * });
+ */
+async function complete({ service, messages, maxTokens = 2000, temperature = 0.3 }) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new Error('messages must be a non-empty array');
+  }
+
+  // Replay mode never touches a provider, so it works without any credentials
+  const fixtureMode = getFixtureMode();
+  if (fixtureMode === 'replay') {
+    return loadFixture(service, messages);
+  }
+
+  const { provider: providerName, model } = getProviderConfig(service);
+  const provider = PROVIDERS[providerName];
+
+  try {
+    // Timeouts, retries and the circuit breaker are applied per provider
+    const responseText = await withRetry(
+      ({ timeout }) => provider.send({ service, model, messages, maxTokens, temperature, timeout }),
+      { key: providerName, label: provider.label }
+    );
+
+    if (fixtureMode === 'record') {
+      saveFixture(service, messages, responseText, { provider: providerName, model });
+    }
+
+    return responseText;
+  } catch (error) {
+    // Rate limits, outages and timeouts become 429/503 errors the routes can surface
+    const upstreamError = toUpstreamError(error, provider.label);
+    if (upstreamError.status === 429 || upstreamError.status === 503) {
+      console.error(`\n🔍 ${provider.label} upstream failure (${service}): ${upstreamError.message}`);
+      throw upstreamError;
+    }
+
+    if (error.response) {
+      // API responded with error status
+      const errorDetails = error.response.data?.error || error.response.data || {};
+      const errorMessage = errorDetails?.message || errorDetails?.type || JSON.stringify(errorDetails) || error.message;
+      const errorStatus = error.response.status;
+
+      // Log full error for debugging
+      console.error(`\n🔍 ${provider.label} API Error Details (${service}):`);
+      console.error('Status:', errorStatus);
+      console.error('Model:', model);
+      console.error('Response Data:', JSON.stringify(error.response.data, null, 2));
+
+      const apiError = new Error(`${provider.label} API error: ${errorMessage} (status: ${errorStatus})`);
+      apiError.upstreamStatus = errorStatus;
+      throw apiError;
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  SERVICES,
+  complete,
+  getProviderConfig,
+};
@@ -0,0 +1,124 @@
+/**
+ * LLM Fixture Recorder
+ * Records prompt/response pairs to disk and replays them by prompt hash,
+ * so the pipeline can be exercised offline against real model output.
+ *
+ * Controlled by:
+ * - LLM_FIXTURE_MODE: 'record' | 'replay' | unset (disabled)
+ * - LLM_FIXTURE_DIR: fixture directory (default: <backend>/fixtures/llm)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', '..', 'fixtures', 'llm');
+
+/**
+ * Returns the active fixture mode
+ * @returns {string|null} - 'record', 'replay' or null when disabled
+ */
+function getFixtureMode() {
+  const mode = (process.env.LLM_FIXTURE_MODE || '').toLowerCase();
+  if (!mode || mode === 'off') {
+    return null;
+  }
+  if (mode !== 'record' && mode !== 'replay') {
+    throw new Error(`Invalid LLM_FIXTURE_MODE '${mode}'. Supported modes: record, replay, off`);
+  }
+  return mode;
+}
+
+/**
+ * Returns the directory fixtures are read from and written to
+ * @returns {string} - Absolute fixture directory
+ */
+function getFixtureDir() {
+  return process.env.LLM_FIXTURE_DIR ? path.resolve(process.env.LLM_FIXTURE_DIR) : DEFAULT_FIXTURE_DIR;
+}
+
+/**
+ * Hashes a prompt so that identical requests map to the same fixture.
+ * Only the service and messages are hashed, so fixtures recorded against one
+ * provider can be replayed regardless of which provider is configured.
+ * @param {string} service - Calling service name
+ * @param {Array<Object>} messages - Chat messages
+ * @returns {string} - Hex digest
+ */
+function hashPrompt(service, messages) {
+  const normalized = messages.map(m => ({ role: m.role, content: m.content }));
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ service, messages: normalized }))
+    .digest('hex');
+}
+
+/**
+ * Builds the fixture file path for a prompt
+ * @param {string} service - Calling service name
+ * @param {string} hash - Prompt hash
+ * @returns {string} - Fixture file path
+ */
+function fixturePath(service, hash) {
+  return path.join(getFixtureDir(), `${service}-${hash.substring(0, 16)}.json`);
+}
+
+/**
+ * Loads a recorded response for a prompt
+ * @param {string} service - Calling service name
+ * @param {Array<Object>} messages - Chat messages
+ * @returns {string} - The recorded response text
+ * @throws {Error} If no fixture exists for the prompt
+ */
+function loadFixture(service, messages) {
+  const hash = hashPrompt(service, messages);
+  const filePath = fixturePath(service, hash);
+
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`No recorded LLM fixture for ${service} (hash ${hash.substring(0, 16)}). Re-run with LLM_FIXTURE_MODE=record to capture it.`);
+  }
+
+  const fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return fixture.response;
+}
+
+/**
+ * Saves a prompt and its response as a fixture
+ * @param {string} service - Calling service name
+ * @param {Array<Object>} messages - Chat messages
+ * @param {string} response - Raw response text
+ * @param {Object} meta - Extra metadata (provider, model)
+ * @returns {string} - Path of the written fixture
+ */
+function saveFixture(service, messages, response, meta = {}) {
+  const hash = hashPrompt(service, messages);
+  const filePath = fixturePath(service, hash);
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(
+    filePath,
+    JSON.stringify(
+      {
+        service,
+        hash,
+        provider: meta.provider || null,
+        model: meta.model || null,
+        recordedAt: new Date().toISOString(),
+        messages,
+        response,
+      },
+      null,
+      2
+    ),
+    'utf8'
+  );
+
+  return filePath;
+}
+
+module.exports = {
+  getFixtureMode,
+  hashPrompt,
+  loadFixture,
+  saveFixture,
+};
@@ -0,0 +1,676 @@
+/**
+ * Mock LLM Service
+ * Rule-based stand-in for the model used by the offline provider.
+ * Reads the same prompts the real services send and returns deterministic,
+ * schema-valid JSON so every route can run end to end without network access.
+ */
+
+const { SKILL_CATALOG, categorizeSkill } = require('./skillCatalog');
+
+/**
+ * Phrases that signal company culture in a posting
+ * @type {Array<string>}
+ */
+const CULTURE_PHRASES = [
+  'collaborative', 'collaboration', 'innovation', 'innovative', 'work-life balance', 'inclusive',
+  'diversity', 'remote', 'flexible', 'fast-paced', 'mentorship', 'transparency', 'accountability',
+  'continuous learning', 'professional growth', 'results-driven', 'supportive', 'ownership',
+];
+
+/**
+ * Industry detection rules, checked in order
+ * @type {Array<{industry: string, pattern: RegExp}>}
+ */
+const INDUSTRY_RULES = [
+  { industry: 'Marketing', pattern: /\bmarketing|seo\b|campaigns?\b/i },
+  { industry: 'Healthcare', pattern: /\bhealth|clinical|patient|medical/i },
+  { industry: 'Finance', pattern: /\bfinanc|banking|fintech|trading/i },
+  { industry: 'Data Analytics', pattern: /\bdata analy|business intelligence|analytics team/i },
+  { industry: 'Software Development', pattern: /\bsoftware|engineer|developer|saas|web application/i },
+];
+
+/**
+ * Action verbs used to open generated bullets
+ * @type {Array<string>}
+ */
+const ACTION_VERBS = ['Developed', 'Implemented', 'Designed', 'Optimized', 'Led', 'Built', 'Improved', 'Delivered'];
+
+/**
+ * Opening verbs for resume variants, by emphasis; other emphases use ACTION_VERBS
+ * @type {Object<string, Array<string>>}
+ */
+const EMPHASIS_VERBS = {
+  leadership: ['Led', 'Mentored', 'Coordinated', 'Directed', 'Managed', 'Spearheaded'],
+  'technical-depth': ['Architected', 'Designed', 'Engineered', 'Optimized', 'Built', 'Implemented'],
+};
+
+/**
+ * Metrics appended to generated bullets, cycled deterministically
+ * @type {Array<string>}
+ */
+const METRICS = [
+  'improving performance by 35%',
+  'reducing manual effort by 20 hours per week',
+  'serving 50K+ monthly users',
+  'cutting release time by 40%',
+  'increasing test coverage to 85%',
+  'saving $120K annually',
+];
+
+/**
+ * Escapes a string for use in a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} - Escaped string
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Counts whole-phrase occurrences of a term in text
+ * @param {string} text - Text to search
+ * @param {string} term - Term to count
+ * @param {boolean} caseSensitive - Match case exactly (skill names like "Go" or "Express" are also plain words)
+ * @returns {number} - Occurrence count
+ */
+function countTerm(text, term, caseSensitive = false) {
+  const regex = new RegExp(`(^|[^\\w])${escapeRegExp(term)}(?![\\w])`, caseSensitive ? 'g' : 'gi');
+  return (text.match(regex) || []).length;
+}
+
+/**
+ * Reads a "- Label: value" line from a prompt
+ * @param {string} prompt - Prompt text
+ * @param {string} label - Line label
+ * @returns {string} - The value, or an empty string
+ */
+function readPromptLine(prompt, label) {
+  const match = prompt.match(new RegExp(`^- ${escapeRegExp(label)}: ?(.*)$`, 'm'));
+  return match ? match[1].trim() : '';
+}
+
+/**
+ * Reads a comma or semicolon separated list from a prompt line
+ * @param {string} prompt - Prompt text
+ * @param {string} label - Line label
+ * @param {string} separator - List separator
+ * @returns {Array<string>} - List items
+ */
+function readPromptList(prompt, label, separator = ',') {
+  return readPromptLine(prompt, label)
+    .split(separator)
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Converts text to a snake_case identifier
+ * @param {string} text - Source text
+ * @returns {string} - snake_case id
+ */
+function toSnakeCase(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Splits a job posting into sections keyed by their heading
+ * @param {string} posting - Job posting text
+ * @returns {Array<{heading: string, lines: Array<string>}>} - Sections in order
+ */
+function splitSections(posting) {
+  const sections = [{ heading: '', lines: [] }];
+
+  posting.split('\n').forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    // A short line ending in a colon is treated as a heading
+    if (/^[A-Za-z][\w\s'/&-]{1,60}:$/.test(line)) {
+      sections.push({ heading: line.slice(0, -1).toLowerCase(), lines: [] });
+    } else {
+      sections[sections.length - 1].lines.push(line);
+    }
+  });
+
+  return sections;
+}
+
+/**
+ * Strips list markers from a bullet line
+ * @param {string} line - Line text
+ * @returns {string|null} - Bullet text, or null when the line is not a bullet
+ */
+function bulletText(line) {
+  const match = line.match(/^(?:[-•*]|\d+[.)])\s+(.+)$/);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Builds a job analysis from the posting embedded in the analyzer prompt
+ * @param {string} prompt - The jobAnalyzer prompt
+ * @returns {Object} - Job analysis object
+ */
+function mockJobAnalysis(prompt) {
+  const postingMatch = prompt.match(/Job Posting:\n([\s\S]*?)\n\nExtract and return/);
+  const posting = postingMatch ? postingMatch[1] : prompt;
+  const sections = splitSections(posting);
+
+  const sectionText = (pattern) => sections
+    .filter(s => pattern.test(s.heading))
+    .map(s => s.lines.join('\n'))
+    .join('\n');
+
+  const preferredText = sectionText(/preferred|nice to have|bonus|plus/);
+  const allSkills = Object.values(SKILL_CATALOG).flat();
+
+  // Skills mentioned only in the preferred section are not required
+  const mentionedSkills = allSkills.filter(skill => countTerm(posting, skill, true) > 0);
+  const requiredSkills = mentionedSkills.filter(skill => countTerm(posting, skill, true) > countTerm(preferredText, skill, true));
+
+  const preferredQualifications = sections
+    .filter(s => /preferred|nice to have|bonus|plus/.test(s.heading))
+    .flatMap(s => s.lines.map(bulletText).filter(Boolean));
+
+  let keyResponsibilities = sections
+    .filter(s => /responsibilit|duties|what you.ll do|role/.test(s.heading))
+    .flatMap(s => s.lines.map(bulletText).filter(Boolean));
+  if (keyResponsibilities.length === 0) {
+    keyResponsibilities = sections.flatMap(s => s.lines.map(bulletText).filter(Boolean));
+  }
+  if (keyResponsibilities.length === 0) {
+    keyResponsibilities = ['Deliver high-quality work aligned with team goals'];
+  }
+
+  const atsKeywords = mentionedSkills
+    .map(skill => ({ keyword: skill, frequency: countTerm(posting, skill, true) }))
+    .sort((a, b) => b.frequency - a.frequency);
+
+  let jobLevel = 'mid';
+  if (/\b(senior|sr\.|lead|principal|staff)\b|\b([5-9]|\d{2})\+?\s*years/i.test(posting)) {
+    jobLevel = 'senior';
+  } else if (/\b(entry[- ]level|junior|graduate|intern(ship)?)\b/i.test(posting)) {
+    jobLevel = 'entry';
+  }
+
+  const industryRule = INDUSTRY_RULES.find(rule => rule.pattern.test(posting));
+
+  return {
+    requiredSkills,
+    preferredQualifications,
+    keyResponsibilities: keyResponsibilities.slice(0, 8),
+    atsKeywords,
+    jobLevel,
+    industry: industryRule ? industryRule.industry : 'Technology',
+    companyCultureIndicators: CULTURE_PHRASES.filter(phrase => countTerm(posting, phrase) > 0),
+  };
+}
+
+/**
+ * Builds 5-8 questions from the requirements listed in the question prompt
+ * @param {string} prompt - The questionGenerator prompt
+ * @returns {Array<Object>} - Question objects
+ */
+function mockQuestions(prompt) {
+  const requiredSkills = readPromptList(prompt, 'Required Skills');
+  const responsibilities = readPromptList(prompt, 'Key Responsibilities', ';');
+
+  const questions = [
+    {
+      id: 'current_role',
+      question: 'What is your current or most recent job title and employer?',
+      type: 'text',
+      category: 'experience',
+      required: true,
+      placeholder: 'Software Engineer at Acme Corp',
+    },
+    {
+      id: 'key_achievements',
+      question: 'Describe two or three achievements you are proud of, with numbers where possible.',
+      type: 'textarea',
+      category: 'achievements',
+      required: true,
+      placeholder: 'Reduced checkout latency by 40% by introducing caching',
+    },
+    {
+      id: 'relevant_project',
+      question: 'Describe a recent project that is relevant to this role.',
+      type: 'textarea',
+      category: 'projects',
+      required: true,
+      placeholder: 'What you built, the tech stack, and the outcome',
+    },
+  ];
+
+  if (requiredSkills.length > 0) {
+    questions.push({
+      id: 'relevant_skills',
+      question: 'Which of the required skills have you used professionally?',
+      type: 'multiselect',
+      category: 'skills',
+      required: true,
+      placeholder: 'Select all that apply',
+      options: requiredSkills,
+    });
+  }
+
+  requiredSkills.slice(0, 2).forEach((skill) => {
+    questions.push({
+      id: `experience_${toSnakeCase(skill)}`,
+      question: `Describe your experience with ${skill}, including the scale of what you worked on.`,
+      type: 'textarea',
+      category: 'skills',
+      required: false,
+      placeholder: `How you used ${skill} and the measurable result`,
+    });
+  });
+
+  if (responsibilities.length > 0) {
+    questions.push({
+      id: 'responsibility_example',
+      question: `Give an example of when you had to: ${responsibilities[0]}`,
+      type: 'textarea',
+      category: 'experience',
+      required: false,
+      placeholder: 'Situation, what you did, and the result',
+    });
+  }
+
+  questions.push({
+    id: 'team_size',
+    question: 'How many people were on the largest team you worked in?',
+    type: 'number',
+    category: 'experience',
+    required: false,
+    placeholder: '6',
+    min: 1,
+    max: 10000,
+  });
+
+  return questions.slice(0, 8);
+}
+
+/**
+ * Formats a month/year pair as MM/YYYY
+ * @param {Date} date - Date to format
+ * @returns {string} - MM/YYYY
+ */
+function formatMonthYear(date) {
+  return `${String(date.getMonth() + 1).padStart(2, '0')}/${date.getFullYear()}`;
+}
+
+/**
+ * Builds a resume from the requirements and candidate JSON in the resume prompt
+ * @param {string} prompt - The resumeGenerator user prompt
+ * @returns {Object} - Resume content object
+ */
+function mockResume(prompt) {
+  const requiredSkills = readPromptList(prompt, 'Required Skills');
+  const responsibilities = readPromptList(prompt, 'Key Responsibilities', ';');
+  const jobLevel = readPromptLine(prompt, 'Job Level') || 'mid';
+  const industry = readPromptLine(prompt, 'Industry') || 'Technology';
+
+  let answers = {};
+  const answersMatch = prompt.match(/CANDIDATE INFORMATION:\n([\s\S]*?)\n\n(?:CRITICAL|Generate|SOURCE RESUME|CAREER PROFILE)/);
+  if (answersMatch) {
+    try {
+      answers = JSON.parse(answersMatch[1]);
+    } catch (error) {
+      answers = {};
+    }
+  }
+
+  // Career profile entries arrive laid out as a resume
+  let profile = null;
+  const profileMatch = prompt.match(/CAREER PROFILE[^\n]*:\n([\s\S]*?)\n\n/);
+  if (profileMatch) {
+    try {
+      profile = JSON.parse(profileMatch[1]);
+    } catch (error) {
+      profile = null;
+    }
+  }
+
+  // Grounded prompts carry a SOURCE RESUME block and must not invent anything
+  const sourceMatch = prompt.match(/SOURCE RESUME:\n([\s\S]*?)\n\nReturn ONLY/);
+  if (sourceMatch) {
+    let sourceResume = null;
+    try {
+      sourceResume = JSON.parse(sourceMatch[1]);
+    } catch (error) {
+      sourceResume = null;
+    }
+    return mockGroundedResume(answers, sourceResume || profile, requiredSkills, jobLevel, industry);
+  }
+
+  // Resume variants: the emphasis changes bullet openings and, for keyword-max, the summary
+  const emphasisMatch = prompt.match(/^EMPHASIS: (\S+)$/m);
+  const emphasis = emphasisMatch ? emphasisMatch[1] : null;
+  const verbs = EMPHASIS_VERBS[emphasis] || ACTION_VERBS;
+  const atsKeywords = readPromptList(prompt, 'Top ATS Keywords');
+
+  const jobsMatch = prompt.match(/EXACTLY (\d+) work experience entries/);
+  const numberOfJobs = jobsMatch ? parseInt(jobsMatch[1], 10) : 1;
+  const yearsOfExperience = parseInt(answers.years_of_experience, 10) || numberOfJobs;
+
+  // "Title at Company" in current_role seeds the most recent job
+  const [currentTitle, currentCompany] = String(answers.current_role || '').split(/\s+at\s+/i);
+
+  const skillPool = requiredSkills.length > 0 ? requiredSkills : ['cross-functional projects'];
+  const responsibilityPool = responsibilities.length > 0 ? responsibilities : ['deliver projects on schedule'];
+  const yearsPerJob = Math.max(1, Math.floor(yearsOfExperience / numberOfJobs));
+  const now = new Date();
+
+  const experience = [];
+  let bulletIndex = 0;
+  for (let i = 0; i < numberOfJobs; i++) {
+    const end = new Date(now.getFullYear() - i * yearsPerJob, now.getMonth(), 1);
+    const start = new Date(end.getFullYear() - yearsPerJob, end.getMonth(), 1);
+    const bulletCount = i === 0 ? 4 : 2;
+    const bullets = [];
+
+    for (let b = 0; b < bulletCount; b++) {
+      const verb = verbs[bulletIndex % verbs.length];
+      const skill = skillPool[bulletIndex % skillPool.length];
+      const responsibility = responsibilityPool[bulletIndex % responsibilityPool.length];
+      const metric = METRICS[bulletIndex % METRICS.length];
+      bullets.push(`${verb} ${skill} solutions to ${responsibility.charAt(0).toLowerCase()}${responsibility.slice(1)}, ${metric}`);
+      bulletIndex++;
+    }
+
+    // Profile roles keep their employer, title and dates, and lead with their own bullets
+    const profileJob = profile && profile.experience ? profile.experience[i] : null;
+    if (profileJob) {
+      experience.push({
+        company: profileJob.company,
+        role: profileJob.role,
+        duration: profileJob.duration,
+        bullets: [...profileJob.bullets, ...bullets].slice(0, Math.max(bulletCount, profileJob.bullets.length)),
+      });
+      continue;
+    }
+
+    if (i === 0 && typeof answers.key_achievements === 'string' && answers.key_achievements.trim()) {
+      bullets[0] = answers.key_achievements.trim();
+    }
+
+    experience.push({
+      company: i === 0 && currentCompany ? currentCompany.trim() : `${industry} Company ${String.fromCharCode(65 + i)}`,
+      role: i === 0 && currentTitle && currentCompany ? currentTitle.trim() : (i === 0 && jobLevel === 'senior' ? 'Senior Engineer' : 'Engineer'),
+      duration: `${formatMonthYear(start)} - ${i === 0 ? 'Present' : formatMonthYear(end)}`,
+      bullets,
+    });
+  }
+
+  const skills = { languages: [], frameworks: [], databases: [], cloud: [], tools: [] };
+  requiredSkills.forEach((skill) => {
+    skills[categorizeSkill(skill) || 'tools'].push(skill);
+  });
+
+  if (profile && profile.skills) {
+    Object.keys(skills).forEach((category) => {
+      (profile.skills[category] || [])
+        .filter(skill => !skills[category].includes(skill))
+        .forEach(skill => skills[category].push(skill));
+    });
+  }
+
+  let education = typeof answers.education === 'string' && answers.education.trim()
+    ? [{ degree: answers.education.trim(), institution: 'Not specified', year: '', details: '' }]
+    : [];
+  if (profile && Array.isArray(profile.education) && profile.education.length > 0) {
+    education = profile.education;
+  }
+
+  let summary = `${jobLevel.charAt(0).toUpperCase() + jobLevel.slice(1)}-level professional with ${yearsOfExperience} years of experience in ${industry}. Skilled in ${skillPool.slice(0, 4).join(', ')}.`;
+  if (emphasis === 'keyword-max') {
+    const extra = [...new Set([...skillPool, ...atsKeywords])].slice(4);
+    summary += extra.length > 0 ? ` Hands-on with ${extra.slice(0, 10).join(', ')}.` : '';
+  } else if (emphasis === 'leadership') {
+    summary += ' Leads teams through delivery and mentors engineers.';
+  }
+
+  return {
+    summary,
+    experience,
+    skills,
+    education,
+    additionalSections: profile && Array.isArray(profile.additionalSections) ? profile.additionalSections : [],
+  };
+}
+
+/**
+ * Builds a grounded resume: the source resume's entries as given, or the
+ * current role from the answers, with no generated metrics or dates
+ * @param {Object} answers - Candidate answers
+ * @param {Object|null} sourceResume - Source resume from the prompt
+ * @param {Array<string>} requiredSkills - Required skills from the job
+ * @param {string} jobLevel - Job level
+ * @param {string} industry - Industry
+ * @returns {Object} - Resume content object
+ */
+function mockGroundedResume(answers, sourceResume, requiredSkills, jobLevel, industry) {
+  const source = sourceResume || {};
+  let experience = Array.isArray(source.experience)
+    ? source.experience.filter(job => job && job.company && job.role && job.duration)
+    : [];
+
+  const [currentTitle, currentCompany] = String(answers.current_role || '').split(/\s+at\s+/i);
+  if (experience.length === 0 && currentTitle && currentCompany) {
+    const achievement = typeof answers.key_achievements === 'string' ? answers.key_achievements.trim() : '';
+    experience = [{
+      company: currentCompany.trim(),
+      role: currentTitle.trim(),
+      duration: 'Present',
+      bullets: achievement ? [achievement] : [],
+    }];
+  }
+
+  // Keep the source's skills, plus required skills the candidate mentions
+  const candidateText = JSON.stringify([answers, source]).toLowerCase();
+  const skills = { languages: [], frameworks: [], databases: [], cloud: [], tools: [] };
+  Object.keys(skills).forEach((category) => {
+    const listed = source.skills && Array.isArray(source.skills[category]) ? source.skills[category] : [];
+    skills[category].push(...listed);
+  });
+  requiredSkills
+    .filter(skill => candidateText.includes(skill.toLowerCase()))
+    .forEach((skill) => {
+      const category = categorizeSkill(skill) || 'tools';
+      if (!skills[category].some(s => s.toLowerCase() === skill.toLowerCase())) {
+        skills[category].push(skill);
+      }
+    });
+
+  const matched = Object.values(skills).flat().slice(0, 4);
+  const latestRole = experience.length > 0 ? experience[0].role : `${jobLevel}-level ${industry} professional`;
+
+  return {
+    summary: `${latestRole.charAt(0).toUpperCase() + latestRole.slice(1)}${matched.length > 0 ? ` skilled in ${matched.join(', ')}` : ''}.`,
+    experience,
+    skills,
+    education: Array.isArray(source.education) ? source.education : [],
+    additionalSections: Array.isArray(source.additionalSections) ? source.additionalSections : [],
+  };
+}
+
+/**
+ * Builds a cover letter from the candidate and job details in the cover letter prompt
+ * @param {string} prompt - The coverLetterGenerator user prompt
+ * @returns {Object} - Cover letter object
+ */
+function mockCoverLetter(prompt) {
+  const name = readPromptLine(prompt, 'Name') || 'Candidate';
+  const companyName = readPromptLine(prompt, 'Company Name') || 'your company';
+  const requiredSkills = readPromptList(prompt, 'Required Skills');
+  const achievements = readPromptLine(prompt, 'Key Achievements');
+  const industry = readPromptLine(prompt, 'Industry') || 'your industry';
+
+  const greeting = 'Dear Hiring Manager,';
+  const opening = `The opening at ${companyName} lines up closely with the work I have been doing in ${industry}.`;
+  const body = requiredSkills.length > 0
+    ? `My day-to-day work draws on ${requiredSkills.slice(0, 3).join(', ')}.${achievements ? ` Most recently: ${achievements}.` : ''}`
+    : `My background has prepared me for the responsibilities described in the posting.${achievements ? ` Most recently: ${achievements}.` : ''}`;
+  const closing = 'I would welcome the chance to discuss how this experience could help your team.';
+  const signoff = `Best regards,\n${name}`;
+
+  return {
+    greeting,
+    opening,
+    body,
+    closing,
+    signoff,
+    fullText: [greeting, opening, body, closing, signoff].join('\n\n'),
+  };
+}
+
+/**
+ * Rewrites the target of a section regeneration prompt from the job's skills,
+ * following the guidance text when there is one
+ * @param {string} prompt - The sectionRegenerator user prompt
+ * @returns {Object} - {summary}, {experience}, {bullet} or {skills}
+ */
+function mockSection(prompt) {
+  const requiredSkills = readPromptList(prompt, 'Required Skills');
+  const jobLevel = readPromptLine(prompt, 'Job Level') || 'mid';
+  const industry = readPromptLine(prompt, 'Industry') || 'Technology';
+  const target = (prompt.match(/^TARGET: (.*)$/m) || [])[1] || 'summary';
+  const guidance = (prompt.match(/^GUIDANCE: (.*)$/m) || [])[1] || '';
+  const focus = /^None\./.test(guidance) ? '' : guidance.replace(/\.$/, '');
+
+  let current = null;
+  const currentMatch = prompt.match(/CURRENT CONTENT:\n([\s\S]*?)\n\nGUIDANCE:/);
+  if (currentMatch) {
+    try {
+      current = JSON.parse(currentMatch[1]);
+    } catch (error) {
+      current = null;
+    }
+  }
+
+  const skillPool = requiredSkills.length > 0 ? requiredSkills : ['cross-functional projects'];
+  const rewriteBullet = (bullet, i) => {
+    let text = String(bullet || '').trim();
+    // Keep a past-tense opening verb, otherwise lead with one
+    if (!/^[A-Z][a-z]+ed\b/.test(text) && !ACTION_VERBS.includes(text.split(' ')[0])) {
+      text = `${ACTION_VERBS[(i + 1) % ACTION_VERBS.length]} ${text.charAt(0).toLowerCase()}${text.slice(1)}`;
+    }
+    const skill = skillPool[i % skillPool.length];
+    const withSkill = text.toLowerCase().includes(skill.toLowerCase()) ? text : `${text.replace(/[.\s]+$/, '')} using ${skill}`;
+    return `${withSkill}${focus && i === 0 ? ` (${focus})` : ''}`;
+  };
+
+  if (target === 'summary') {
+    return {
+      summary: `${jobLevel.charAt(0).toUpperCase() + jobLevel.slice(1)}-level ${industry} professional skilled in ${skillPool.slice(0, 4).join(', ')}.${focus ? ` Focused on ${focus}.` : ''}`,
+    };
+  }
+
+  if (target === 'skills') {
+    const skills = { languages: [], frameworks: [], databases: [], cloud: [], tools: [] };
+    Object.keys(skills).forEach((category) => {
+      skills[category] = current && Array.isArray(current[category]) ? [...current[category]] : [];
+    });
+    requiredSkills.forEach((skill) => {
+      const category = categorizeSkill(skill) || 'tools';
+      if (!skills[category].some(s => s.toLowerCase() === skill.toLowerCase())) {
+        skills[category].push(skill);
+      }
+    });
+    return { skills };
+  }
+
+  if (/\.bullets\[\d+\]$/.test(target)) {
+    return { bullet: rewriteBullet(typeof current === 'string' ? current : '', 0) };
+  }
+
+  const job = current && typeof current === 'object' ? current : {};
+  return {
+    experience: {
+      company: job.company || 'Company',
+      role: job.role || 'Engineer',
+      duration: job.duration || 'Present',
+      bullets: (Array.isArray(job.bullets) && job.bullets.length > 0 ? job.bullets : ['Delivered projects']).map(rewriteBullet),
+    },
+  };
+}
+
+/**
+ * Rewrites the bullet in a rewrite prompt once per requested style, using
+ * placeholders instead of numbers the bullet does not give
+ * @param {string} prompt - The bulletRewriter user prompt
+ * @returns {Object} - {rewrites: [{style, text}]}
+ */
+function mockBulletRewrites(prompt) {
+  const keywords = readPromptList(prompt, 'Top ATS Keywords');
+  const bullet = ((prompt.match(/BULLET:\n(.*)/) || [])[1] || '').trim();
+  const styles = [...prompt.matchAll(/^- ([a-z-]+): /gm)]
+    .map(match => match[1])
+    .filter(style => ['metric-led', 'action-verb-led', 'concise', 'keyword-dense', 'challenge-action-result'].includes(style));
+
+  // Split off the opening verb; weak openings ("Worked on") are replaced
+  let verb = 'Delivered';
+  let body = bullet.replace(/[.\s]+$/, '');
+  const weakOpening = body.match(/^(?:worked on|helped with|helped|responsible for|assisted with|involved in)\s+/i);
+  const strongOpening = body.match(/^([A-Z][a-z]+ed|Led|Built|Ran|Wrote)\s+/);
+  if (weakOpening) {
+    body = body.slice(weakOpening[0].length);
+  } else if (strongOpening) {
+    verb = strongOpening[1];
+    body = body.slice(strongOpening[0].length);
+  }
+
+  const metric = ((bullet.match(/\$?\d[\d,.]*\s*(?:%|k|m|million|thousand)?/i) || [])[0] || '').trim();
+  const withoutMetric = body.replace(/\s*by\s+\$?\d[\d,.]*\s*%?/i, '');
+  const gerund = { Led: 'leading', Built: 'building', Ran: 'running', Wrote: 'writing' }[verb]
+    || verb.toLowerCase().replace(/ed$/, 'ing');
+  const missing = keywords.filter(keyword => !bullet.toLowerCase().includes(keyword.toLowerCase())).slice(0, 3);
+
+  const texts = {
+    'metric-led': `Achieved ${metric || '[X%]'} improvement by ${gerund} ${withoutMetric}`,
+    'action-verb-led': `${verb} ${body}${metric ? '' : ', improving [metric] by [X%]'}`,
+    concise: `${verb} ${body}`.split(/\s+/).slice(0, 15).join(' '),
+    'keyword-dense': `${verb} ${body}${missing.length > 0 ? ` using ${missing.join(', ')}` : ''}`,
+    'challenge-action-result': `Addressed [challenge] by ${gerund} ${withoutMetric}, resulting in ${metric ? `a ${metric} improvement` : '[result]'}`,
+  };
+
+  return { rewrites: styles.map(style => ({ style, text: texts[style] })) };
+}
+
+/**
+ * Mock responders keyed by service name
+ * @type {Object<string, Function>}
+ */
+const RESPONDERS = {
+  jobAnalyzer: mockJobAnalysis,
+  questionGenerator: mockQuestions,
+  resumeGenerator: mockResume,
+  sectionRegenerator: mockSection,
+  bulletRewriter: mockBulletRewrites,
+  coverLetterGenerator: mockCoverLetter,
+};
+
+/**
+ * Produces a deterministic JSON response for a service's prompt
+ * @param {string} service - Calling service name
+ * @param {Array<Object>} messages - Chat messages sent by the service
+ * @returns {string} - JSON response text
+ * @throws {Error} If there is no mock responder for the service
+ */
+function mockComplete(service, messages) {
+  const responder = RESPONDERS[service];
+  if (!responder) {
+    throw new Error(`Mock LLM has no responder for service '${service}'`);
+  }
+
+  // The rules only need the user prompt; the system prompt carries style guidance
+  const userPrompt = messages
+    .filter(m => m.role === 'user')
+    .map(m => m.content)
+    .join('\n\n');
+
+  return JSON.stringify(responder(userPrompt));
+}
+
+module.exports = {
+  mockComplete,
+};
@@ -0,0 +1,217 @@
+/**
+ * Output Schemas
+ * JSON Schemas for every artifact the LLM produces. Used by structuredOutput to
+ * validate model output and to tell the model what to fix when it is wrong.
+ */
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+const stringArray = { type: 'array', items: { type: 'string' } };
+
+/**
+ * Job analysis returned by analyzeJobPosting
+ * @type {Object}
+ */
+const jobAnalysisSchema = {
+  type: 'object',
+  required: [
+    'requiredSkills',
+    'preferredQualifications',
+    'keyResponsibilities',
+    'atsKeywords',
+    'jobLevel',
+    'industry',
+    'companyCultureIndicators',
+  ],
+  properties: {
+    requiredSkills: stringArray,
+    preferredQualifications: stringArray,
+    keyResponsibilities: stringArray,
+    atsKeywords: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['keyword', 'frequency'],
+        properties: {
+          keyword: nonEmptyString,
+          frequency: { type: 'number', minimum: 0 },
+        },
+      },
+    },
+    jobLevel: { type: 'string', enum: ['entry', 'mid', 'senior'] },
+    industry: nonEmptyString,
+    companyCultureIndicators: stringArray,
+  },
+};
+
+/**
+ * AI-generated questions returned by generateAdditionalQuestions
+ * @type {Object}
+ */
+const questionsSchema = {
+  type: 'array',
+  minItems: 5,
+  items: {
+    type: 'object',
+    required: ['id', 'question', 'type', 'category', 'required', 'placeholder'],
+    properties: {
+      id: nonEmptyString,
+      question: nonEmptyString,
+      type: { type: 'string', enum: ['text', 'textarea', 'number', 'select', 'multiselect', 'email', 'tel', 'url'] },
+      category: { type: 'string', enum: ['skills', 'experience', 'achievements', 'projects', 'personal'] },
+      required: { type: 'boolean' },
+      placeholder: { type: 'string' },
+      options: { type: 'array', minItems: 1, items: nonEmptyString },
+      min: { type: 'number' },
+      max: { type: 'number' },
+    },
+  },
+};
+
+/**
+ * One resume experience entry
+ * @type {Object}
+ */
+const experienceEntrySchema = {
+  type: 'object',
+  required: ['company', 'role', 'duration', 'bullets'],
+  properties: {
+    company: nonEmptyString,
+    role: nonEmptyString,
+    duration: nonEmptyString,
+    bullets: { type: 'array', items: nonEmptyString },
+  },
+};
+
+/**
+ * Resume skills by category
+ * @type {Object}
+ */
+const skillsSchema = {
+  type: 'object',
+  required: ['languages', 'frameworks', 'databases', 'cloud', 'tools'],
+  properties: {
+    languages: stringArray,
+    frameworks: stringArray,
+    databases: stringArray,
+    cloud: stringArray,
+    tools: stringArray,
+  },
+};
+
+/**
+ * Resume content returned by generateResumeContent
+ * @type {Object}
+ */
+const resumeSchema = {
+  type: 'object',
+  required: ['summary', 'experience', 'skills', 'education', 'additionalSections'],
+  properties: {
+    summary: nonEmptyString,
+    experience: {
+      type: 'array',
+      items: experienceEntrySchema,
+    },
+    skills: skillsSchema,
+    education: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['degree', 'institution'],
+        properties: {
+          degree: nonEmptyString,
+          institution: nonEmptyString,
+          year: { type: ['string', 'number'] },
+          details: { type: ['string', 'null'] },
+        },
+      },
+    },
+    additionalSections: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['title', 'items'],
+        properties: {
+          title: nonEmptyString,
+          items: stringArray,
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Single resume sections returned by regenerateSection, keyed by target kind
+ * @type {Object<string, Object>}
+ */
+const resumeSectionSchemas = {
+  summary: {
+    type: 'object',
+    required: ['summary'],
+    properties: { summary: nonEmptyString },
+  },
+  experience: {
+    type: 'object',
+    required: ['experience'],
+    properties: { experience: experienceEntrySchema },
+  },
+  bullet: {
+    type: 'object',
+    required: ['bullet'],
+    properties: { bullet: nonEmptyString },
+  },
+  skills: {
+    type: 'object',
+    required: ['skills'],
+    properties: { skills: skillsSchema },
+  },
+};
+
+/**
+ * Alternative bullets returned by rewriteBullet
+ * @type {Object}
+ */
+const bulletRewritesSchema = {
+  type: 'object',
+  required: ['rewrites'],
+  properties: {
+    rewrites: {
+      type: 'array',
+      minItems: 3,
+      maxItems: 5,
+      items: {
+        type: 'object',
+        required: ['style', 'text'],
+        properties: {
+          style: { type: 'string', enum: ['metric-led', 'action-verb-led', 'concise', 'keyword-dense', 'challenge-action-result'] },
+          text: nonEmptyString,
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Cover letter returned by generateCoverLetter
+ * @type {Object}
+ */
+const coverLetterSchema = {
+  type: 'object',
+  required: ['greeting', 'opening', 'body', 'closing', 'signoff', 'fullText'],
+  properties: {
+    greeting: nonEmptyString,
+    opening: nonEmptyString,
+    body: nonEmptyString,
+    closing: nonEmptyString,
+    signoff: nonEmptyString,
+    fullText: nonEmptyString,
+  },
+};
+
+module.exports = {
+  jobAnalysisSchema,
+  questionsSchema,
+  resumeSchema,
+  resumeSectionSchemas,
+  bulletRewritesSchema,
+  coverLetterSchema,
+};
@@ -0,0 +1,255 @@
+/**
+ * Parse-Back Checker Service
+ * Checks what an ATS would actually read from an exported resume: the resume
+ * is exported with documentExporter, its text is extracted and parsed back the
+ * way resumeImporter reads uploads, and the result is scored again and compared
+ * with the original. Each difference is reported as an issue:
+ * - missing: the text is not in the parsed resume at all
+ * - merged: the text was joined with another line
+ * - reordered: the text ended up in another entry, field or position
+ * - broken_characters: the text is there, but characters were lost or garbled
+ * - unreadable_heading: a section heading was not recognized, so its items were
+ *   read as part of another section
+ */
+
+const { exportResume } = require('./documentExporter');
+const { importResume } = require('./resumeImporter');
+const { scoreResume } = require('./atsScorer');
+
+/**
+ * Formats that can be checked
+ * @type {Array<string>}
+ */
+const PARSE_BACK_FORMATS = ['pdf', 'docx', 'txt'];
+
+/**
+ * Formats checked when none are given
+ * @type {Array<string>}
+ */
+const DEFAULT_FORMATS = ['pdf', 'docx'];
+
+/**
+ * Compares text ignoring case and spacing
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function normalize(text) {
+  return String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Reduces text to its ASCII letters and digits, so text that only lost or
+ * garbled symbols still compares equal
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function skeleton(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Lists the checkable text of a resume, each with where it sits
+ * @param {Object} resume - Resume content
+ * @returns {Array<Object>} - {path, container, index, text}; index is the position
+ *   within the container for list items and null for fields
+ */
+function collectItems(resume) {
+  const items = [];
+  const add = (path, container, index, text) => {
+    if (typeof text === 'string' && text.trim()) {
+      items.push({ path, container, index, text: text.trim() });
+    }
+  };
+
+  add('summary', 'summary', null, resume.summary);
+  (resume.experience || []).forEach((exp, i) => {
+    ['role', 'company', 'duration'].forEach(field => add(`experience[${i}].${field}`, `experience[${i}]`, null, exp[field]));
+    (exp.bullets || []).forEach((bullet, j) => add(`experience[${i}].bullets[${j}]`, `experience[${i}].bullets`, j, bullet));
+  });
+  (resume.education || []).forEach((edu, i) => {
+    ['degree', 'institution', 'year', 'details'].forEach(field => add(`education[${i}].${field}`, `education[${i}]`, null, edu[field]));
+  });
+  (resume.additionalSections || []).forEach((section, i) => {
+    // Sections are matched by title, since the parser may add sections of its own
+    (section.items || []).forEach((item, j) => add(`additionalSections[${i}].items[${j}]`, `section:${normalize(section.title)}`, j, item));
+  });
+  return items;
+}
+
+/**
+ * Lists every skill of a resume, whatever its category
+ * @param {Object} resume - Resume content
+ * @returns {Array<Object>} - {path, text}
+ */
+function collectSkills(resume) {
+  return Object.entries(resume.skills || {})
+    .filter(([, list]) => Array.isArray(list))
+    .flatMap(([category, list]) => list.map((skill, i) => ({ path: `skills.${category}[${i}]`, text: String(skill).trim() })))
+    .filter(skill => skill.text);
+}
+
+/**
+ * Characters of the original text that the parsed text does not contain
+ * @param {string} original - Original text
+ * @param {string} parsed - Parsed text
+ * @returns {Array<string>}
+ */
+function lostCharacters(original, parsed) {
+  return [...new Set([...original].filter(char => /[^\x20-\x7e]/.test(char) && !parsed.includes(char)))];
+}
+
+/**
+ * Finds where an original item ended up in the parsed resume
+ * @param {Object} item - Original item ({path, container, index, text})
+ * @param {Array<Object>} parsedItems - Parsed items
+ * @returns {Object|null} - {match, kind}: 'exact', 'broken' or 'merged'; null if nowhere
+ */
+function locate(item, parsedItems) {
+  const text = normalize(item.text);
+  const bare = skeleton(item.text);
+  const rank = candidate => (candidate.container === item.container ? 0 : 1);
+  const byPlace = (a, b) => rank(a) - rank(b) || (a.path === item.path ? -1 : b.path === item.path ? 1 : 0);
+
+  const exact = parsedItems.filter(candidate => normalize(candidate.text) === text).sort(byPlace);
+  if (exact.length > 0) {
+    return { match: exact[0], kind: 'exact' };
+  }
+  if (!bare) {
+    return null;
+  }
+  const broken = parsedItems.filter(candidate => skeleton(candidate.text) === bare).sort(byPlace);
+  if (broken.length > 0) {
+    return { match: broken[0], kind: 'broken' };
+  }
+  const merged = parsedItems.filter(candidate => skeleton(candidate.text).includes(bare)).sort(byPlace);
+  return merged.length > 0 ? { match: merged[0], kind: 'merged' } : null;
+}
+
+/**
+ * Compares the original resume with what was parsed back from its export
+ * @param {Object} original - Resume content that was exported
+ * @param {Object} parsed - Resume parsed from the exported file
+ * @returns {Array<Object>} - Issues: {type, path, text, foundAt?, foundText?, characters?}
+ */
+function compareResumes(original, parsed) {
+  const issues = [];
+  const parsedItems = collectItems(parsed);
+  const placed = [];
+
+  // Headings first: items under an unrecognized heading are expected to turn up elsewhere
+  const parsedTitles = (parsed.additionalSections || []).map(section => normalize(section.title));
+  const unreadTitles = new Set();
+  (original.additionalSections || []).forEach((section, i) => {
+    if (Array.isArray(section.items) && section.items.length > 0 && !parsedTitles.includes(normalize(section.title))) {
+      unreadTitles.add(normalize(section.title));
+      issues.push({ type: 'unreadable_heading', path: `additionalSections[${i}].title`, text: section.title });
+    }
+  });
+
+  collectItems(original).forEach((item) => {
+    const found = locate(item, parsedItems);
+    if (!found) {
+      issues.push({ type: 'missing', path: item.path, text: item.text });
+      return;
+    }
+
+    const { match, kind } = found;
+    const where = { foundAt: match.path, foundText: match.text };
+    if (kind === 'broken') {
+      issues.push({ type: 'broken_characters', path: item.path, text: item.text, ...where, characters: lostCharacters(item.text, match.text) });
+    } else if (kind === 'merged') {
+      issues.push({ type: 'merged', path: item.path, text: item.text, ...where });
+    } else if (match.container !== item.container && !unreadTitles.has(item.container.replace(/^section:/, ''))) {
+      issues.push({ type: 'reordered', path: item.path, text: item.text, ...where });
+    }
+    if (kind !== 'merged' && match.container === item.container && item.index !== null) {
+      placed.push({ item, match });
+    }
+  });
+
+  // Within an entry or section, list items must keep their order
+  const lastIndex = new Map();
+  placed.forEach(({ item, match }) => {
+    const previous = lastIndex.get(item.container);
+    if (previous !== undefined && match.index < previous) {
+      issues.push({ type: 'reordered', path: item.path, text: item.text, foundAt: match.path, foundText: match.text });
+    }
+    lastIndex.set(item.container, Math.max(match.index, previous === undefined ? -1 : previous));
+  });
+
+  // Skills may be filed under another category, so they only need to be there
+  const parsedSkills = collectSkills(parsed);
+  collectSkills(original).forEach((skill) => {
+    if (parsedSkills.some(candidate => normalize(candidate.text) === normalize(skill.text))) {
+      return;
+    }
+    const broken = parsedSkills.find(candidate => skeleton(candidate.text) && skeleton(candidate.text) === skeleton(skill.text));
+    if (broken) {
+      issues.push({ type: 'broken_characters', path: skill.path, text: skill.text, foundAt: broken.path, foundText: broken.text, characters: lostCharacters(skill.text, broken.text) });
+    } else {
+      issues.push({ type: 'missing', path: skill.path, text: skill.text });
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Exports a resume, parses each exported file back the way an ATS would, and
+ * reports how the score and content changed in the round trip
+ * @param {Object} resumeContent - Resume content, with personalInfo or userAnswers for the header
+ * @param {Object} jobAnalysis - The job analysis object from analyzeJobPosting
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.formats] - Formats to check: 'pdf', 'docx', 'txt' (default: pdf and docx)
+ * @param {string} [options.scoringProfile] - ATS scoring profile, passed to scoreResume
+ * @returns {Promise<Object>} - {passed, score, formats: [{format, passed, score, scoreChange: {before, after},
+ *   issues, counts, parserWarnings, parsed}]}; a format passes when it has no issues
+ * @throws {Error} If the formats are invalid
+ *
+ * @example
+ * const report = await checkParseBack(resume, jobAnalysis, { formats: ['pdf'] });
+ * report.formats[0].issues.forEach(issue => console.log(issue.type, issue.path));
+ */
+async function checkParseBack(resumeContent, jobAnalysis, options = {}) {
+  const formats = options.formats === undefined ? DEFAULT_FORMATS : options.formats;
+  if (!Array.isArray(formats) || formats.length === 0 || formats.some(format => !PARSE_BACK_FORMATS.includes(format))) {
+    throw new Error(`formats must be a non-empty list of: ${PARSE_BACK_FORMATS.join(', ')}`);
+  }
+
+  const { scoringProfile } = options;
+  const score = scoreResume(resumeContent, jobAnalysis, { scoringProfile });
+
+  const results = [];
+  for (const format of [...new Set(formats)]) {
+    // exportResume fills in personalInfo on the object it is given
+    const exported = await exportResume({ ...resumeContent }, format);
+    const buffer = Buffer.isBuffer(exported) ? exported : Buffer.from(exported, 'utf8');
+    const { resume: parsed, warnings } = await importResume(buffer, { filename: `resume.${format}` });
+
+    const parsedScore = scoreResume(parsed, jobAnalysis, { scoringProfile });
+    const issues = compareResumes(resumeContent, parsed);
+    const counts = issues.reduce((totals, issue) => ({ ...totals, [issue.type]: (totals[issue.type] || 0) + 1 }), {});
+
+    results.push({
+      format,
+      passed: issues.length === 0,
+      score: parsedScore,
+      scoreChange: { before: score.overallScore, after: parsedScore.overallScore },
+      issues,
+      counts,
+      parserWarnings: warnings,
+      parsed,
+    });
+  }
+
+  return {
+    passed: results.every(result => result.passed),
+    score,
+    formats: results,
+  };
+}
+
+module.exports = {
+  PARSE_BACK_FORMATS,
+  checkParseBack,
+};
@@ -0,0 +1,208 @@
+/**
+ * Provenance Mapper
+ * Links each summary sentence, experience bullet and skill of a generated
+ * resume back to the answers (by question ID) and source resume entries it
+ * was derived from, so unsupported claims can be highlighted before export.
+ *
+ * Attribution is by word overlap, so it is a guide rather than proof. Each
+ * item gets a status:
+ * - 'sourced': most of its wording comes from a source
+ * - 'inferred': it builds on a source but adds wording of its own
+ * - 'invented': nothing supports it, or it cites a number found in no source
+ */
+
+const { collectStrings, extractNumbers, normalize, omitContactDetails } = require('./groundingVerifier');
+const { SKILL_CATEGORIES } = require('./skillCatalog');
+
+/**
+ * Words that carry no meaning for attribution
+ * @type {Set<string>}
+ */
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'into', 'is', 'it',
+  'its', 'of', 'on', 'or', 'our', 'over', 'the', 'their', 'to', 'using', 'via', 'was', 'were', 'with',
+]);
+
+/**
+ * Share of an item's words a source must cover for the item to count as sourced
+ * @type {number}
+ */
+const SOURCED_COVERAGE = 0.5;
+
+/**
+ * Share of an item's words (or number of shared words) that links it to a source at all
+ * @type {{coverage: number, words: number}}
+ */
+const LINK_THRESHOLD = { coverage: 0.25, words: 2 };
+
+/**
+ * Most sources listed per item
+ * @type {number}
+ */
+const MAX_SOURCES = 3;
+
+/**
+ * Splits text into meaningful words, with a plural "s" dropped so "APIs" matches "API"
+ * @param {string} text - Text to split
+ * @returns {Set<string>} - Words
+ */
+function toWords(text) {
+  return new Set(normalize(text)
+    .split(' ')
+    .filter(word => word && !STOPWORDS.has(word))
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word)));
+}
+
+/**
+ * Builds the list of sources: one per answer, keyed by question ID, and one per
+ * entry of the source resume or career profile, keyed by its path (e.g.
+ * 'sourceResume.experience[0].bullets[1]' or 'profile.experience[0].bullets[1]')
+ * @param {Object} answers - Questionnaire answers
+ * @param {Object|null} sourceResume - Imported or stored resume
+ * @param {Object|null} profile - Career profile entries, as laid out by profileToResume
+ * @returns {Array<{id: string, text: string, words: Set<string>}>} - Sources
+ */
+function buildSources(answers, sourceResume, profile) {
+  const sources = [];
+  const add = (id, value) => {
+    const text = collectStrings(value).join(' ');
+    if (text.trim()) {
+      sources.push({ id, text: ` ${normalize(text)} `, words: toWords(text) });
+    }
+  };
+  const addResume = (prefix, resume) => {
+    add(`${prefix}.summary`, resume.summary);
+    (resume.experience || []).forEach((job, i) => {
+      add(`${prefix}.experience[${i}]`, [job.company, job.role, job.duration]);
+      (job.bullets || []).forEach((bullet, b) => add(`${prefix}.experience[${i}].bullets[${b}]`, bullet));
+    });
+    add(`${prefix}.skills`, resume.skills);
+    (resume.education || []).forEach((edu, i) => add(`${prefix}.education[${i}]`, edu));
+    (resume.additionalSections || []).forEach((section, i) => add(`${prefix}.additionalSections[${i}]`, section));
+  };
+
+  // Contact answers (phone, email...) support no claim, and their digits would link any number
+  Object.entries(omitContactDetails(answers || {})).forEach(([questionId, value]) => add(questionId, value));
+
+  if (sourceResume && typeof sourceResume === 'object') {
+    addResume('sourceResume', sourceResume);
+  }
+  if (profile && typeof profile === 'object') {
+    addResume('profile', profile);
+  }
+
+  return sources;
+}
+
+/**
+ * Attributes a sentence or bullet to the sources that share its wording
+ * @param {string} text - Summary sentence or bullet
+ * @param {Array<Object>} sources - Sources from buildSources
+ * @param {Set<number>} sourceNumbers - Every number found in the sources
+ * @returns {{status: string, sources: Array<string>, reasons: Array<string>}} - Attribution
+ */
+function attributeText(text, sources, sourceNumbers) {
+  const words = toWords(text);
+  const matches = sources
+    .map((source) => {
+      const shared = [...words].filter(word => source.words.has(word));
+      return {
+        id: source.id,
+        shared: shared.length,
+        // A figure taken from an answer (e.g. years_of_experience) links the item on its own
+        sharesNumber: shared.some(word => /^\d/.test(word)),
+        coverage: words.size > 0 ? shared.length / words.size : 0,
+      };
+    })
+    .filter(match => match.sharesNumber || match.coverage >= LINK_THRESHOLD.coverage || match.shared >= LINK_THRESHOLD.words)
+    .sort((a, b) => b.coverage - a.coverage);
+
+  const reasons = extractNumbers(text)
+    .filter(number => !sourceNumbers.has(number.value))
+    .map(number => `number "${number.text}" does not appear in any answer`);
+
+  let status = 'invented';
+  if (reasons.length === 0 && matches.length > 0) {
+    status = matches[0].coverage >= SOURCED_COVERAGE ? 'sourced' : 'inferred';
+  }
+
+  return { status, sources: matches.slice(0, MAX_SOURCES).map(match => match.id), reasons };
+}
+
+/**
+ * Attributes a skill to the sources that mention it
+ * @param {string} skill - Skill name
+ * @param {Array<Object>} sources - Sources from buildSources
+ * @returns {{status: string, sources: Array<string>, reasons: Array<string>}} - Attribution
+ */
+function attributeSkill(skill, sources) {
+  const normalized = normalize(skill);
+  const exact = sources.filter(source => normalized && source.text.includes(` ${normalized} `));
+  if (exact.length > 0) {
+    return { status: 'sourced', sources: exact.slice(0, MAX_SOURCES).map(source => source.id), reasons: [] };
+  }
+
+  // "AWS Lambda" when the candidate only mentioned "AWS"
+  const words = [...toWords(skill)];
+  const partial = sources.filter(source => words.some(word => source.words.has(word)));
+  if (partial.length > 0) {
+    return { status: 'inferred', sources: partial.slice(0, MAX_SOURCES).map(source => source.id), reasons: [] };
+  }
+
+  return { status: 'invented', sources: [], reasons: ['skill is not mentioned in any answer'] };
+}
+
+/**
+ * Maps every summary sentence, experience bullet and skill of a resume to its sources
+ * @param {Object} resume - Resume content
+ * @param {Object} sources - What the candidate supplied
+ * @param {Object} [sources.answers] - Questionnaire answers, keyed by question ID
+ * @param {Object} [sources.sourceResume] - Imported or previously stored resume
+ * @param {Object} [sources.profile] - Career profile entries, as laid out by profileToResume
+ * @returns {{items: Array<Object>, counts: Object}} - One item per sentence, bullet and skill
+ *   ({path, type, text, status, sources, reasons}) and the number of items per status
+ *
+ * @example
+ * const { items } = mapProvenance(resume, { answers });
+ * items.filter(item => item.status === 'invented'); // claims to review before export
+ */
+function mapProvenance(resume, { answers, sourceResume, profile } = {}) {
+  if (!resume || typeof resume !== 'object') {
+    throw new Error('resume must be a valid object');
+  }
+
+  // A stored resume's grounding report and provenance map quote generated content, so they are not sources
+  const { grounding, provenance, ...sourceContent } = sourceResume || {};
+  const sources = buildSources(answers, sourceResume ? sourceContent : null, profile || null);
+  const sourceNumbers = new Set();
+  collectStrings(omitContactDetails([answers || {}, sourceContent, profile || {}])).forEach(value => (
+    extractNumbers(value).forEach(number => sourceNumbers.add(number.value))
+  ));
+
+  const items = [];
+
+  String(resume.summary || '').split(/(?<=[.!?])\s+/).filter(Boolean).forEach((sentence, i) => {
+    items.push({ path: `summary.sentences[${i}]`, type: 'summary', text: sentence, ...attributeText(sentence, sources, sourceNumbers) });
+  });
+
+  (resume.experience || []).forEach((job, i) => {
+    (job.bullets || []).forEach((bullet, b) => {
+      items.push({ path: `experience[${i}].bullets[${b}]`, type: 'bullet', text: bullet, ...attributeText(bullet, sources, sourceNumbers) });
+    });
+  });
+
+  SKILL_CATEGORIES.forEach((category) => {
+    ((resume.skills || {})[category] || []).forEach((skill, k) => {
+      items.push({ path: `skills.${category}[${k}]`, type: 'skill', text: skill, ...attributeSkill(skill, sources) });
+    });
+  });
+
+  const counts = { sourced: 0, inferred: 0, invented: 0 };
+  items.forEach((item) => { counts[item.status]++; });
+
+  return { items, counts };
+}
+
+module.exports = {
+  mapProvenance,
+};
@@ -1,5 +1,16 @@
 require('dotenv').config();
-const axios = require('axios');
+const { generateStructured } = require('./structuredOutput');
+const { questionsSchema } = require('./outputSchemas');
+const { getProviderConfig } = require('./llmClient');
+const { getOrCompute } = require('./responseCache');
+const { profileAnswers } = require('./careerProfile');
+
+/**
+ * Version of the question prompt. Bump it whenever the prompt changes so cached
+ * question sets produced by the old prompt are no longer served.
+ * @type {string}
+ */
+const PROMPT_VERSION = '3';
 
 /**
  * Base questions that are always included in the questionnaire
@@ -45,35 +56,45 @@ const BASE_QUESTIONS = [
     category: 'experience',
     required: true,
     placeholder: '5',
+    min: 0,
+    max: 60,
   },
 ];
 
 /**
- * Generates additional questions based on job analysis using Groq API
- * @param {Object} jobAnalysis - The job analysis object from analyzeJobPosting
- * @returns {Promise<Array<Object>>} - Array of generated question objects
+ * Topics a career profile can answer, by the question ID the model must use for
+ * them, so questions the profile answers can be left out
+ * @type {Object<string, string>}
  */
-async function generateAdditionalQuestions(jobAnalysis) {
-  // Check for API key
-  const apiKey = process.env.GROQ_API_KEY;
-  if (!apiKey) {
-    throw new Error('GROQ_API_KEY environment variable is not set');
-  }
-
-  // Get model name from environment or use default
-  const modelName = process.env.GROQ_MODEL || 'llama-3.3-70b-versatile';
-
-  // Groq API endpoint
-  const apiUrl = 'https://api.groq.com/openai/v1/chat/completions';
+const PROFILE_TOPICS = {
+  current_role: 'current or most recent job title and employer',
+  education: 'education (degrees, institutions, years)',
+  key_achievements: 'achievements, with numbers where possible',
+  relevant_project: 'a past project relevant to the role',
+  relevant_skills: 'which of the required skills the candidate has used',
+};
 
+/**
+ * Builds the prompt for the generated questions
+ * @param {Object} jobAnalysis - The job analysis object from analyzeJobPosting
+ * @param {Array<string>} [answeredTopics] - PROFILE_TOPICS the candidate's profile already answers
+ * @returns {string} - Prompt text
+ */
+function buildQuestionPrompt(jobAnalysis, answeredTopics = []) {
   // Extract relevant information from job analysis
   const requiredSkills = jobAnalysis.requiredSkills || [];
   const keyResponsibilities = jobAnalysis.keyResponsibilities || [];
   const jobLevel = jobAnalysis.jobLevel || 'mid';
   const industry = jobAnalysis.industry || '';
 
-  // Construct the prompt for Groq
-  const prompt = `Generate 5-8 interview questions based on the following job requirements. Return ONLY valid JSON without any markdown formatting or code blocks.
+  const topicIds = Object.entries(PROFILE_TOPICS)
+    .map(([id, topic]) => `- "${id}": ${topic}`)
+    .join('\n');
+  const answered = answeredTopics.length > 0
+    ? `\n\nThe candidate's career profile already answers these topics. Do NOT ask about them, under any ID:\n${answeredTopics.map(id => `- ${PROFILE_TOPICS[id]}`).join('\n')}`
+    : '';
+
+  return `Generate 5-8 interview questions based on the following job requirements. Return ONLY valid JSON without any markdown formatting or code blocks.
 
 Job Requirements:
 - Required Skills: ${requiredSkills.join(', ')}
@@ -95,71 +116,56 @@ Return a JSON array of question objects. Each question object must have this exa
   "type": "text" | "textarea" | "number" | "select" | "multiselect",
   "category": "skills" | "experience" | "achievements" | "projects",
   "required": true | false,
-  "placeholder": "Example answer or hint text"
+  "placeholder": "Example answer or hint text",
+  "options": ["Option 1", "Option 2"],
+  "min": 0,
+  "max": 100
 }
 
 Guidelines:
 - Use "textarea" for questions requiring detailed answers (projects, achievements)
 - Use "text" for short answers
 - Use "number" for metrics or years
-- Use "select" or "multiselect" for questions with predefined options
+- Use "select" or "multiselect" for questions with predefined options, and list them in "options" (required for these types, omit it otherwise)
+- For "number" questions, add "min" and "max" when the answer has a sensible range (omit them otherwise)
 - Make most questions required (true), but some can be optional (false)
 - Include placeholders that guide the user on what to provide
 - Focus on skills, past projects, achievements with metrics, and relevant experience
 - Generate 5-8 questions total
 
+Questions on these topics must use exactly these IDs, one question per topic:
+${topicIds}${answered}
+
 Return ONLY the JSON array, no additional text or explanation.`;
+}
+
+/**
+ * Generates additional questions based on job analysis using the configured LLM provider
+ * @param {Object} jobAnalysis - The job analysis object from analyzeJobPosting
+ * @param {Array<string>} [answeredTopics] - PROFILE_TOPICS the candidate's profile already answers
+ * @returns {Promise<Array<Object>>} - Array of generated question objects
+ */
+async function generateAdditionalQuestions(jobAnalysis, answeredTopics = []) {
+  const prompt = buildQuestionPrompt(jobAnalysis, answeredTopics);
 
   try {
-    // Call Groq API
-    const response = await axios.post(
-      apiUrl,
-      {
-        model: modelName,
-        messages: [
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
-        max_tokens: 2000,
-        temperature: 0.3,
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
+    // Request, parse and validate the questions (repairing or re-asking if needed)
+    let parsedQuestions = await generateStructured({
+      service: 'questionGenerator',
+      messages: [
+        {
+          role: 'user',
+          content: prompt,
         },
-      }
-    );
-
-    // Extract the response text
-    const responseText = response.data.choices[0].message.content.trim();
-
-    // Parse JSON response
-    let parsedQuestions;
-    try {
-      // Remove markdown code blocks if present
-      const jsonText = responseText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-      parsedQuestions = JSON.parse(jsonText);
-    } catch (parseError) {
-      throw new Error(`Failed to parse Groq response as JSON: ${parseError.message}. Response: ${responseText.substring(0, 200)}`);
-    }
-
-    // Validate the structure of the response
-    if (!Array.isArray(parsedQuestions)) {
-      throw new Error('Invalid response: expected an array of questions');
-    }
-
-    // Validate each question object
-    parsedQuestions.forEach((question, index) => {
-      validateQuestion(question, index);
+      ],
+      schema: questionsSchema,
+      label: 'question list',
+      validate: (questions) => questions.forEach(validateQuestion),
+      maxTokens: 2000,
+      temperature: 0.3,
     });
 
-    // Ensure we have 5-8 questions
-    if (parsedQuestions.length < 5) {
-      throw new Error(`Invalid response: expected at least 5 questions, got ${parsedQuestions.length}`);
-    }
+    // The schema guarantees at least 5 questions; keep at most 8
     if (parsedQuestions.length > 8) {
       // Trim to 8 if more than 8
       parsedQuestions = parsedQuestions.slice(0, 8);
@@ -167,19 +173,9 @@ Return ONLY the JSON array, no additional text or explanation.`;
 
     return parsedQuestions;
   } catch (error) {
-    // Handle API errors
-    if (error.response) {
-      // API responded with error status
-      const errorDetails = error.response.data?.error || error.response.data || {};
-      const errorMessage = errorDetails?.message || errorDetails?.type || JSON.stringify(errorDetails) || error.message;
-      const errorStatus = error.response.status;
-      
-      // Log full error for debugging
-      console.error('\n🔍 Groq API Error Details (questionGenerator):');
-      console.error('Status:', errorStatus);
-      console.error('Response Data:', JSON.stringify(error.response.data, null, 2));
-      
-      throw new Error(`Groq API error: ${errorMessage} (status: ${errorStatus})`);
+    // Provider, configuration and invalid-output errors are already descriptive
+    if (error.status || error.message.includes('API error') || error.message.includes('environment variable')) {
+      throw error;
     } else if (error.message.includes('parse') || error.message.includes('JSON') || error.message.includes('Invalid response')) {
       throw error;
     } else {
@@ -232,6 +228,57 @@ function validateQuestion(question, index) {
   if (typeof question.placeholder !== 'string') {
     throw new Error(`Invalid question at index ${index}: 'placeholder' must be a string`);
   }
+
+  // Answers to select questions are checked against their options, so the options must be there
+  if (['select', 'multiselect'].includes(question.type)) {
+    if (!Array.isArray(question.options) || question.options.length === 0
+      || question.options.some(option => typeof option !== 'string' || option.trim().length === 0)) {
+      throw new Error(`Invalid question at index ${index}: '${question.type}' questions must have an 'options' array of non-empty strings`);
+    }
+  }
+
+  for (const bound of ['min', 'max']) {
+    if (bound in question && (question.type !== 'number' || typeof question[bound] !== 'number')) {
+      throw new Error(`Invalid question at index ${index}: '${bound}' must be a number and is only allowed on number questions`);
+    }
+  }
+  if (typeof question.min === 'number' && typeof question.max === 'number' && question.min > question.max) {
+    throw new Error(`Invalid question at index ${index}: 'min' must not be greater than 'max'`);
+  }
+}
+
+/**
+ * Generates additional questions through the response cache. Only the analysis
+ * fields that feed the prompt are part of the key.
+ * @param {Object} jobAnalysis - The job analysis object from analyzeJobPosting
+ * @param {Object} options - Cache options (see generateQuestions)
+ * @param {Array<string>} answeredTopics - PROFILE_TOPICS the candidate's profile already answers
+ * @returns {Promise<Array<Object>>} - Array of generated question objects
+ */
+async function generateAdditionalQuestionsCached(jobAnalysis, options, answeredTopics) {
+  const { provider, model } = getProviderConfig('questionGenerator');
+  const { value, ...cacheResult } = await getOrCompute(
+    {
+      namespace: 'questions',
+      input: {
+        requiredSkills: jobAnalysis.requiredSkills || [],
+        keyResponsibilities: jobAnalysis.keyResponsibilities || [],
+        jobLevel: jobAnalysis.jobLevel || 'mid',
+        industry: jobAnalysis.industry || '',
+        answeredTopics,
+      },
+      model: `${provider}:${model}`,
+      promptVersion: PROMPT_VERSION,
+      mode: options.cache,
+    },
+    () => generateAdditionalQuestions(jobAnalysis, answeredTopics)
+  );
+
+  if (options.onCacheStatus) {
+    options.onCacheStatus(cacheResult);
+  }
+
+  return value;
 }
 
 /**
@@ -241,6 +288,10 @@ function validateQuestion(question, index) {
  * @param {Object} jobAnalysis.keyResponsibilities - Array of key responsibilities
  * @param {Object} jobAnalysis.jobLevel - Job level (entry/mid/senior)
  * @param {Object} jobAnalysis.industry - Industry/domain
+ * @param {Object} [options] - Options
+ * @param {string} [options.cache='default'] - 'bypass' skips the cache lookup and refreshes the entry
+ * @param {Function} [options.onCacheStatus] - Receives the cache result ({status, key, age})
+ * @param {Object} [options.profile] - Career profile; questions it already answers are left out
  * @returns {Promise<Array<Object>>} - Array of all questions (base + generated)
  * @throws {Error} If jobAnalysis is invalid or API call fails
  * 
@@ -249,7 +300,7 @@ function validateQuestion(question, index) {
  * const questions = await generateQuestions(jobAnalysis);
  * console.log(questions); // Array of question objects
  */
-async function generateQuestions(jobAnalysis) {
+async function generateQuestions(jobAnalysis, options = {}) {
   // Validation
   if (!jobAnalysis || typeof jobAnalysis !== 'object') {
     throw new Error('jobAnalysis must be a valid object');
@@ -264,25 +315,39 @@ async function generateQuestions(jobAnalysis) {
     throw new Error('jobAnalysis.keyResponsibilities must be an array');
   }
 
+  // Questions the career profile answers are not asked again: the base ones are left out by ID, and
+  // the model is told which topics to skip, since it chooses its own IDs for anything else
+  const answered = options.profile ? profileAnswers(options.profile, jobAnalysis) : {};
+  const unanswered = questions => questions.filter(question => !(question.id in answered));
+  const answeredTopics = Object.keys(PROFILE_TOPICS).filter(id => id in answered);
+
   // Generate additional questions using Claude
   let additionalQuestions = [];
   try {
-    additionalQuestions = await generateAdditionalQuestions(jobAnalysis);
+    additionalQuestions = await generateAdditionalQuestionsCached(jobAnalysis, options, answeredTopics);
   } catch (error) {
+    // Rate limits and outages are surfaced so the client can retry later
+    if (error.status === 429 || error.status === 503) {
+      throw error;
+    }
+
     // If question generation fails, we can still return base questions
     // but log the error for debugging
     console.warn(`Warning: Failed to generate additional questions: ${error.message}`);
     // Return only base questions if generation fails
-    return [...BASE_QUESTIONS];
+    return unanswered(BASE_QUESTIONS);
   }
 
   // Combine base questions with generated questions
-  const allQuestions = [...BASE_QUESTIONS, ...additionalQuestions];
+  const allQuestions = unanswered([...BASE_QUESTIONS, ...additionalQuestions]);
 
   return allQuestions;
 }
 
 module.exports = {
+  BASE_QUESTIONS,
+  PROFILE_TOPICS,
+  buildQuestionPrompt,
   generateQuestions,
 };
 
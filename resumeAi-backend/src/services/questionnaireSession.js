@@ -0,0 +1,366 @@
+/**
+ * Questionnaire Session Service
+ * Runs a generated questionnaire one question at a time. Each answer is checked
+ * and, when it cannot support a strong resume bullet, the next question is a
+ * follow-up: for a missing metric, a required skill the answer mentions but no
+ * question has explored yet, or an answer too short to work with.
+ *
+ * The session tracks how much of the job's required skills and key
+ * responsibilities the answers cover. Once coverage passes COVERAGE_THRESHOLD,
+ * only required questions are still asked; when nothing is left, the answers
+ * are stored as an answer set for /generate-resume.
+ */
+
+const { findRecord, getRepository } = require('../storage');
+const { countKeywordOccurrences } = require('./atsScorer');
+const { extractNumbers, normalize } = require('./groundingVerifier');
+const { validateAnswer } = require('./answerValidator');
+
+/**
+ * Share of required skills and key responsibilities the answers must cover
+ * before optional questions are skipped
+ * @type {number}
+ */
+const COVERAGE_THRESHOLD = 0.8;
+
+/**
+ * Fewest words an answer needs to support an experience bullet
+ * @type {number}
+ */
+const MIN_BULLET_WORDS = 12;
+
+/**
+ * Limits that keep a session from asking forever
+ * @type {{perQuestion: number, followUps: number, gapQuestions: number}}
+ */
+const FOLLOW_UP_LIMITS = { perQuestion: 2, followUps: 8, gapQuestions: 3 };
+
+/**
+ * Categories whose answers become experience bullets and get follow-ups (for
+ * textarea questions; short text questions such as a job title are left alone)
+ * @type {Array<string>}
+ */
+const NARRATIVE_CATEGORIES = ['experience', 'achievements', 'projects'];
+
+/**
+ * Words ignored when matching answers against responsibilities
+ * @type {Set<string>}
+ */
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into', 'is', 'of', 'on', 'or',
+  'the', 'to', 'with', 'our', 'your', 'their', 'across', 'other', 'work', 'working', 'ensure', 'using',
+]);
+
+/**
+ * Creates an error carrying an HTTP status
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Error}
+ */
+function statusError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Converts text to a snake_case identifier
+ * @param {string} text - Source text
+ * @returns {string} - snake_case id
+ */
+function toSnakeCase(text) {
+  return normalize(text).replace(/\s+/g, '_').replace(/[^a-z0-9_]/g, '') || 'item';
+}
+
+/**
+ * Flattens an answer (text, number or multiselect list) to text
+ * @param {*} answer - Answer value
+ * @returns {string} - Answer text
+ */
+function answerText(answer) {
+  return Array.isArray(answer) ? answer.join(', ') : String(answer === undefined || answer === null ? '' : answer);
+}
+
+/**
+ * Splits text into content words, with a plural "s" dropped
+ * @param {string} text - Text to split
+ * @returns {Set<string>} - Words
+ */
+function contentWords(text) {
+  return new Set(normalize(text)
+    .split(' ')
+    .filter(word => word.length > 2 && !STOPWORDS.has(word))
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word)));
+}
+
+/**
+ * Measures how much of the job the answers cover. A skill is covered when an
+ * answer mentions it; a responsibility when the answers use at least half of its words.
+ * @param {Object} answers - Answers keyed by question ID
+ * @param {Object} jobAnalysis - Job analysis
+ * @returns {Object} - {score, skills: {covered, missing}, responsibilities: {covered, missing}}
+ */
+function measureCoverage(answers, jobAnalysis) {
+  const text = Object.values(answers).map(answerText).join('\n');
+  const words = contentWords(text);
+
+  const skills = { covered: [], missing: [] };
+  (jobAnalysis.requiredSkills || []).forEach((skill) => {
+    skills[countKeywordOccurrences(text, skill) > 0 ? 'covered' : 'missing'].push(skill);
+  });
+
+  const responsibilities = { covered: [], missing: [] };
+  (jobAnalysis.keyResponsibilities || []).forEach((responsibility) => {
+    const needed = [...contentWords(responsibility)];
+    const matched = needed.filter(word => words.has(word)).length;
+    responsibilities[needed.length > 0 && matched / needed.length >= 0.5 ? 'covered' : 'missing'].push(responsibility);
+  });
+
+  const total = skills.covered.length + skills.missing.length + responsibilities.covered.length + responsibilities.missing.length;
+  const covered = skills.covered.length + responsibilities.covered.length;
+  return {
+    score: total > 0 ? Math.round((covered / total) * 100) / 100 : 1,
+    threshold: COVERAGE_THRESHOLD,
+    skills,
+    responsibilities,
+  };
+}
+
+/**
+ * Decides whether an answer needs a follow-up and builds it
+ * @param {Object} question - The question answered
+ * @param {*} answer - The answer
+ * @param {Object} session - Session state
+ * @param {Object} jobAnalysis - Job analysis
+ * @returns {Object|null} - Follow-up question, or null
+ */
+function buildFollowUp(question, answer, session, jobAnalysis) {
+  const rootId = question.followUpOf || question.id;
+  const asked = session.questions.filter(q => q.followUpOf === rootId).length;
+  if (asked >= FOLLOW_UP_LIMITS.perQuestion || session.followUps >= FOLLOW_UP_LIMITS.followUps) {
+    return null;
+  }
+  if (!NARRATIVE_CATEGORIES.includes(question.category) || question.type !== 'textarea') {
+    return null;
+  }
+
+  const text = answerText(answer).trim();
+  if (!text) {
+    return null;
+  }
+  const base = { type: 'textarea', category: question.category, required: false, followUpOf: rootId };
+  const isNew = id => !session.questions.some(q => q.id === id);
+
+  const wordCount = text.split(/\s+/).length;
+  if (wordCount < MIN_BULLET_WORDS && isNew(`${rootId}_detail`)) {
+    return {
+      ...base,
+      id: `${rootId}_detail`,
+      question: 'Could you say a bit more: what was the situation, what did you do yourself, and what changed as a result?',
+      placeholder: 'The API was timing out under load, so I profiled it, added caching and cut p95 latency from 2s to 300ms',
+      reason: 'too_short',
+    };
+  }
+
+  if (extractNumbers(text).length === 0 && isNew(`${rootId}_metrics`)) {
+    return {
+      ...base,
+      id: `${rootId}_metrics`,
+      question: 'What measurable result did that have? Think time or money saved, percentage improvements, users served or team size.',
+      placeholder: 'Reduced build time by 40%, used by 3 teams, saved about 10 hours a week',
+      reason: 'missing_metrics',
+    };
+  }
+
+  // A required skill the candidate brings up that no question has asked about yet
+  const askedText = session.questions.map(q => q.question).join('\n');
+  const skill = (jobAnalysis.requiredSkills || []).find(s => (
+    countKeywordOccurrences(text, s) > 0 && countKeywordOccurrences(askedText, s) === 0
+  ));
+  if (skill && isNew(`skill_${toSnakeCase(skill)}`)) {
+    return {
+      ...base,
+      id: `skill_${toSnakeCase(skill)}`,
+      question: `You mentioned ${skill}. What did you build or run with it, at what scale, and what was the outcome?`,
+      placeholder: `Designed the ${skill} setup for ..., which ...`,
+      reason: 'unexplored_skill',
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Builds a question about a required skill or responsibility no answer covers yet
+ * @param {Object} coverage - Result of measureCoverage
+ * @param {Object} session - Session state
+ * @returns {Object|null} - Gap question, or null when nothing is left to ask
+ */
+function buildGapQuestion(coverage, session) {
+  const isNew = id => !session.questions.some(q => q.id === id);
+  const skill = coverage.skills.missing.find(s => isNew(`gap_skill_${toSnakeCase(s)}`));
+  if (skill) {
+    return {
+      id: `gap_skill_${toSnakeCase(skill)}`,
+      question: `The role requires ${skill}. Have you used it (or something close to it)? Describe where and what you achieved.`,
+      type: 'textarea',
+      category: 'skills',
+      required: false,
+      placeholder: `Used ${skill} at ... to ...`,
+      reason: 'coverage_gap',
+    };
+  }
+
+  const responsibility = coverage.responsibilities.missing.find(r => isNew(`gap_${toSnakeCase(r).slice(0, 40)}`));
+  if (responsibility) {
+    return {
+      id: `gap_${toSnakeCase(responsibility).slice(0, 40)}`,
+      question: `Tell us about a time you had to ${responsibility.charAt(0).toLowerCase()}${responsibility.slice(1)}. What did you do and what was the result?`,
+      type: 'textarea',
+      category: 'experience',
+      required: false,
+      placeholder: 'The situation, your part in it and the outcome',
+      reason: 'coverage_gap',
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Starts the session state for a questionnaire
+ * @param {Array<Object>} questions - The questionnaire's questions
+ * @param {Object} prefilled - Answers known up front (e.g. from a career profile)
+ * @returns {Object} - Session state
+ */
+function createSession(questions, prefilled) {
+  return {
+    questions: questions.map(question => ({ ...question })),
+    // Question IDs still to ask, in order; follow-ups are put at the front
+    queue: questions.map(question => question.id),
+    answers: { ...prefilled },
+    followUps: 0,
+    gapQuestions: 0,
+    done: false,
+    answersId: null,
+  };
+}
+
+/**
+ * Picks the next question, skipping optional ones once coverage is reached
+ * and adding gap questions when the list runs out first
+ * @param {Object} session - Session state
+ * @param {Object} coverage - Result of measureCoverage
+ * @returns {Object|null} - Next question, or null when the session is complete
+ */
+function nextQuestion(session, coverage) {
+  const covered = coverage.score >= COVERAGE_THRESHOLD;
+  session.queue = session.queue.filter((id) => {
+    const question = session.questions.find(q => q.id === id);
+    return !(id in session.answers) && (!covered || question.required);
+  });
+
+  if (session.queue.length === 0 && !covered && session.gapQuestions < FOLLOW_UP_LIMITS.gapQuestions) {
+    const gap = buildGapQuestion(coverage, session);
+    if (gap) {
+      session.questions.push(gap);
+      session.queue.push(gap.id);
+      session.gapQuestions++;
+    }
+  }
+
+  const [nextId] = session.queue;
+  return nextId ? session.questions.find(q => q.id === nextId) : null;
+}
+
+/**
+ * Records an answer (or skips an optional question) and returns the next
+ * question. The session is kept on the questionnaire record.
+ * @param {string} questionnaireId - Stored questionnaire
+ * @param {Object} input - {questionId, answer?, skip?}
+ * @param {Object} context - {jobAnalysis, prefilled?}: the job the questionnaire targets and answers
+ *   known up front, used when the session starts
+ * @returns {Object} - {next, done, coverage, followUp, answers, answersId}: the next question (null when
+ *   done), whether the session is complete, the current coverage, whether the next question is a
+ *   follow-up, the answers so far and, once done, the ID of the stored answer set
+ * @throws {Error} With status 400 on invalid input or a finished session (answers that fail the
+ *   question's checks also carry `errors`, keyed by question ID), 404 if not found
+ *
+ * @example
+ * const { next, coverage } = answerQuestion(questionnaireId, { questionId: 'key_achievements', answer: '...' }, { jobAnalysis });
+ */
+function answerQuestion(questionnaireId, input, context) {
+  const repository = getRepository();
+  const record = findRecord('questionnaires', questionnaireId);
+  const { jobAnalysis, prefilled = {} } = context;
+  const session = record.data.session || createSession(record.data.questions || [], prefilled);
+
+  if (session.done) {
+    throw statusError('questionnaire is already complete');
+  }
+
+  const { questionId, answer, skip = false } = input || {};
+  if (!questionId || typeof questionId !== 'string') {
+    throw statusError('questionId is required and must be a string');
+  }
+  const question = session.questions.find(q => q.id === questionId);
+  if (!question || !session.queue.includes(questionId)) {
+    throw statusError(`questionId must be a question still to be answered: ${session.queue.join(', ')}`);
+  }
+
+  const empty = answer === undefined || answer === null || answerText(answer).trim() === '';
+  if (skip && question.required) {
+    throw statusError(`question '${questionId}' is required and cannot be skipped`);
+  }
+  if (!skip && empty) {
+    throw statusError('answer is required unless skip is true');
+  }
+  if (!skip && (typeof answer === 'object' && !Array.isArray(answer))) {
+    throw statusError('answer must be a string, number or array of strings');
+  }
+
+  const invalid = skip ? null : validateAnswer(question, answer);
+  if (invalid) {
+    const error = statusError(`answer ${invalid}`);
+    error.errors = { [questionId]: invalid };
+    throw error;
+  }
+
+  session.queue = session.queue.filter(id => id !== questionId);
+  let followUp = null;
+  if (!skip) {
+    session.answers[questionId] = typeof answer === 'string' ? answer.trim() : answer;
+    followUp = buildFollowUp(question, answer, session, jobAnalysis);
+  }
+
+  if (followUp) {
+    session.questions.push(followUp);
+    session.queue.unshift(followUp.id);
+    session.followUps++;
+  }
+
+  const coverage = measureCoverage(session.answers, jobAnalysis);
+  const next = nextQuestion(session, coverage);
+
+  if (!next) {
+    session.done = true;
+    session.answersId = repository.insert('answerSets', session.answers, { questionnaireId }).id;
+  }
+
+  repository.update('questionnaires', questionnaireId, { ...record.data, session });
+
+  return {
+    next,
+    done: session.done,
+    coverage,
+    followUp: Boolean(next && next.followUpOf),
+    answers: session.answers,
+    answersId: session.answersId,
+  };
+}
+
+module.exports = {
+  COVERAGE_THRESHOLD,
+  answerQuestion,
+  measureCoverage,
+};
@@ -0,0 +1,308 @@
+/**
+ * Response Cache Service
+ * Content-addressed cache for LLM-derived results (job analyses, questions).
+ * Entries are keyed on the normalized input plus the provider/model and the
+ * prompt version, so changing any of them naturally invalidates old entries.
+ *
+ * An in-memory LRU is always used; the disk backend adds a persistent second tier.
+ *
+ * Controlled by:
+ * - RESPONSE_CACHE_BACKEND: 'memory' (default) | 'disk' | 'off'
+ * - RESPONSE_CACHE_DIR: disk backend directory (default: <backend>/.cache/responses)
+ * - RESPONSE_CACHE_MAX_ENTRIES: in-memory LRU size (default 500)
+ * - RESPONSE_CACHE_DISK_MAX_ENTRIES: disk tier size (default 5000)
+ * - RESPONSE_CACHE_DISK_MAX_BYTES: disk tier total file size (default 50 MB)
+ * - RESPONSE_CACHE_TTL_SECONDS: default entry lifetime (default 86400)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, '..', '..', '.cache', 'responses');
+
+/**
+ * Cache modes a request may ask for
+ * @type {Array<string>}
+ */
+const CACHE_MODES = ['default', 'bypass'];
+
+/**
+ * In-memory LRU tier. Map iteration order is insertion order, so the first key
+ * is always the least recently used one.
+ * @type {Map<string, {value: *, storedAt: number, expiresAt: number}>}
+ */
+const memory = new Map();
+
+/**
+ * Reads a non-negative integer from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Default value
+ * @returns {number}
+ */
+function readIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Returns the cache configuration from the environment
+ * @returns {{backend: string, dir: string, maxEntries: number, diskMaxEntries: number, diskMaxBytes: number, ttlSeconds: number}}
+ * @throws {Error} If RESPONSE_CACHE_BACKEND is not a supported backend
+ */
+function getCacheConfig() {
+  const backend = (process.env.RESPONSE_CACHE_BACKEND || 'memory').toLowerCase();
+  if (!['memory', 'disk', 'off'].includes(backend)) {
+    throw new Error(`Invalid RESPONSE_CACHE_BACKEND '${backend}'. Supported backends: memory, disk, off`);
+  }
+
+  return {
+    backend,
+    dir: process.env.RESPONSE_CACHE_DIR ? path.resolve(process.env.RESPONSE_CACHE_DIR) : DEFAULT_CACHE_DIR,
+    maxEntries: readIntEnv('RESPONSE_CACHE_MAX_ENTRIES', 500),
+    diskMaxEntries: readIntEnv('RESPONSE_CACHE_DISK_MAX_ENTRIES', 5000),
+    diskMaxBytes: readIntEnv('RESPONSE_CACHE_DISK_MAX_BYTES', 50 * 1024 * 1024),
+    ttlSeconds: readIntEnv('RESPONSE_CACHE_TTL_SECONDS', 86400),
+  };
+}
+
+/**
+ * Normalizes free text so trivially different pastes of the same posting share
+ * a cache entry: Unicode compatibility forms, line endings, runs of spaces and
+ * tabs, blank-line runs and surrounding whitespace are all folded. Case is kept
+ * because it carries meaning for skills like "Go".
+ * @param {string} text - Raw text
+ * @returns {string} - Normalized text
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Builds a content-addressed cache key
+ * @param {Object} parts - Key parts
+ * @param {string} parts.namespace - Kind of result (e.g. 'jobAnalysis')
+ * @param {*} parts.input - Normalized input (string or JSON-serializable value)
+ * @param {string} parts.model - Provider and model that produce the result
+ * @param {string} parts.promptVersion - Version of the prompt template
+ * @returns {string} - Hex digest
+ */
+function buildCacheKey({ namespace, input, model, promptVersion }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ namespace, input, model, promptVersion }))
+    .digest('hex');
+}
+
+/**
+ * Returns the disk path for a cache entry
+ * @param {string} dir - Cache directory
+ * @param {string} namespace - Result namespace
+ * @param {string} key - Cache key
+ * @returns {string}
+ */
+function entryPath(dir, namespace, key) {
+  return path.join(dir, `${namespace}-${key}.json`);
+}
+
+/**
+ * Reads a live entry from the memory tier, refreshing its LRU position
+ * @param {string} key - Cache key
+ * @returns {Object|null} - The entry, or null if missing or expired
+ */
+function readMemory(key) {
+  const entry = memory.get(key);
+  if (!entry) {
+    return null;
+  }
+
+  memory.delete(key);
+  if (entry.expiresAt <= Date.now()) {
+    return null;
+  }
+
+  memory.set(key, entry);
+  return entry;
+}
+
+/**
+ * Stores an entry in the memory tier, evicting the least recently used entries
+ * @param {string} key - Cache key
+ * @param {Object} entry - Entry to store
+ * @param {number} maxEntries - LRU capacity
+ */
+function writeMemory(key, entry, maxEntries) {
+  if (maxEntries === 0) {
+    return;
+  }
+
+  memory.delete(key);
+  memory.set(key, entry);
+  while (memory.size > maxEntries) {
+    memory.delete(memory.keys().next().value);
+  }
+}
+
+/**
+ * Reads a live entry from the disk tier. Expired or unreadable files are removed;
+ * a hit refreshes the file's mtime, which is its LRU position.
+ * @param {Object} config - Cache config
+ * @param {string} namespace - Result namespace
+ * @param {string} key - Cache key
+ * @returns {Object|null} - The entry, or null if missing or expired
+ */
+function readDisk(config, namespace, key) {
+  const filePath = entryPath(config.dir, namespace, key);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (entry.expiresAt > Date.now()) {
+      const now = new Date();
+      fs.utimesSync(filePath, now, now);
+      return entry;
+    }
+  } catch (error) {
+    console.warn(`⚠️  Discarding unreadable cache entry ${path.basename(filePath)}: ${error.message}`);
+  }
+
+  fs.rmSync(filePath, { force: true });
+  return null;
+}
+
+/**
+ * Evicts the least recently used disk entries (oldest mtime first) until the
+ * tier is within its entry and byte limits
+ * @param {Object} config - Cache config
+ */
+function evictDisk(config) {
+  const files = fs.readdirSync(config.dir)
+    .filter(name => name.endsWith('.json'))
+    .map((name) => {
+      const filePath = path.join(config.dir, name);
+      const stats = fs.statSync(filePath, { throwIfNoEntry: false });
+      return stats && { filePath, size: stats.size, mtimeMs: stats.mtimeMs };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.mtimeMs - b.mtimeMs);
+
+  let count = files.length;
+  let bytes = files.reduce((total, file) => total + file.size, 0);
+  for (const file of files) {
+    if (count <= config.diskMaxEntries && bytes <= config.diskMaxBytes) {
+      break;
+    }
+    fs.rmSync(file.filePath, { force: true });
+    count--;
+    bytes -= file.size;
+  }
+}
+
+/**
+ * Writes an entry to the disk tier, then evicts down to the tier's limits.
+ * Failures are logged, never thrown, since the cache must not break the
+ * request it is serving.
+ * @param {Object} config - Cache config
+ * @param {string} namespace - Result namespace
+ * @param {string} key - Cache key
+ * @param {Object} entry - Entry to store
+ */
+function writeDisk(config, namespace, key, entry) {
+  try {
+    fs.mkdirSync(config.dir, { recursive: true });
+    fs.writeFileSync(entryPath(config.dir, namespace, key), JSON.stringify({ namespace, key, ...entry }), 'utf8');
+    evictDisk(config);
+  } catch (error) {
+    console.warn(`⚠️  Failed to write cache entry: ${error.message}`);
+  }
+}
+
+/**
+ * Returns a cached result or computes and stores it
+ * @param {Object} options - Cache options
+ * @param {string} options.namespace - Kind of result (e.g. 'jobAnalysis')
+ * @param {*} options.input - Normalized input the result is derived from
+ * @param {string} options.model - Provider and model that produce the result
+ * @param {string} options.promptVersion - Version of the prompt template
+ * @param {string} [options.mode='default'] - 'default' or 'bypass' (skip the lookup but store the fresh result)
+ * @param {number} [options.ttlSeconds] - Entry lifetime (defaults to RESPONSE_CACHE_TTL_SECONDS)
+ * @param {Function} compute - Produces the result on a miss; errors are not cached
+ * @returns {Promise<{value: *, status: string, key: string, age: number|null}>}
+ *   `status` is 'HIT', 'MISS', 'BYPASS' or 'OFF'; `age` is the hit's age in seconds
+ *
+ * @example
+ * const { value, status } = await getOrCompute(
+ *   { namespace: 'jobAnalysis', input: normalizeText(text), model: 'groq:llama-3.3-70b-versatile', promptVersion: '1' },
+ *   () => runAnalysis(text)
+ * );
+ */
+async function getOrCompute({ namespace, input, model, promptVersion, mode = 'default', ttlSeconds }, compute) {
+  const config = getCacheConfig();
+  const key = buildCacheKey({ namespace, input, model, promptVersion });
+
+  if (config.backend === 'off') {
+    return { value: await compute(), status: 'OFF', key, age: null };
+  }
+
+  if (mode !== 'bypass') {
+    let entry = readMemory(key);
+    if (!entry && config.backend === 'disk') {
+      entry = readDisk(config, namespace, key);
+      if (entry) {
+        writeMemory(key, entry, config.maxEntries);
+      }
+    }
+
+    if (entry) {
+      return {
+        value: structuredClone(entry.value),
+        status: 'HIT',
+        key,
+        age: Math.floor((Date.now() - entry.storedAt) / 1000),
+      };
+    }
+  }
+
+  const value = await compute();
+  const lifetime = ttlSeconds !== undefined ? ttlSeconds : config.ttlSeconds;
+
+  if (lifetime > 0) {
+    const storedAt = Date.now();
+    const entry = { value: structuredClone(value), storedAt, expiresAt: storedAt + lifetime * 1000 };
+    writeMemory(key, entry, config.maxEntries);
+    if (config.backend === 'disk') {
+      writeDisk(config, namespace, key, entry);
+    }
+  }
+
+  return { value, status: mode === 'bypass' ? 'BYPASS' : 'MISS', key, age: null };
+}
+
+/**
+ * Removes every entry from the memory tier (and the disk tier when enabled)
+ */
+function clearCache() {
+  memory.clear();
+  const config = getCacheConfig();
+  if (config.backend === 'disk') {
+    fs.rmSync(config.dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  CACHE_MODES,
+  buildCacheKey,
+  clearCache,
+  getCacheConfig,
+  getOrCompute,
+  normalizeText,
+};
@@ -1,8 +1,30 @@
 require('dotenv').config();
-const axios = require('axios');
+const { generateStructured } = require('./structuredOutput');
+const { resumeSchema } = require('./outputSchemas');
+const { verifyResume } = require('./groundingVerifier');
+const { mapProvenance } = require('./provenanceMapper');
+const { profileToResume, selectProfileEntries } = require('./careerProfile');
 
 /**
- * Generates resume content using Groq API based on job analysis and user answers
+ * Generation modes: 'standard' fills gaps with plausible content, 'grounded'
+ * only uses facts from the candidate's answers and source resume
+ * @type {Array<string>}
+ */
+const RESUME_MODES = ['standard', 'grounded'];
+
+/**
+ * What each resume variant emphasizes, in the order variants are generated
+ * @type {Object<string, string>}
+ */
+const RESUME_EMPHASES = {
+  leadership: 'Lead with leadership: ownership, mentoring, cross-team coordination and decisions the candidate drove. Put leadership achievements first in each role.',
+  'technical-depth': 'Lead with technical depth: architecture, specific technologies, system scale and the engineering decisions behind each achievement.',
+  'keyword-max': 'Maximize ATS keyword coverage: use every high-frequency keyword and required skill the candidate\'s experience supports, in the summary, bullets and skills, while still reading naturally.',
+  impact: 'Lead with business impact: outcomes for users, revenue, cost and delivery speed, with the result at the start of each bullet.',
+};
+
+/**
+ * Generates resume content using the configured LLM provider based on job analysis and user answers
  * @param {Object} jobAnalysis - The job analysis object from analyzeJobPosting
  * @param {Object} jobAnalysis.requiredSkills - Array of required skills
  * @param {Object} jobAnalysis.preferredQualifications - Array of preferred qualifications
@@ -11,15 +33,25 @@ const axios = require('axios');
  * @param {Object} jobAnalysis.jobLevel - Job level (entry/mid/senior)
  * @param {Object} jobAnalysis.industry - Industry/domain
  * @param {Object} userAnswers - Object containing user's answers to questions
- * @returns {Promise<Object>} - Object containing generated resume sections
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.mode='standard'] - 'standard' or 'grounded' (no invented employers, titles, dates or metrics)
+ * @param {Object} [options.sourceResume] - Existing resume (e.g. from importResume) to draw facts from
+ * @param {string} [options.emphasis] - What this version should emphasize (a key of RESUME_EMPHASES)
+ * @param {Object} [options.profile] - Career profile; its entries most relevant to the job are used as
+ *   the candidate's real history
+ * @returns {Promise<Object>} - {resume, provenance, grounding}: the generated resume sections, the
+ *   provenance map from mapProvenance, and in grounded mode the verifier's report (otherwise null)
  * @throws {Error} If jobAnalysis or userAnswers are invalid or API call fails
  * 
  * @example
  * const jobAnalysis = await analyzeJobPosting(jobPostingText);
  * const userAnswers = { full_name: "John Doe", email: "john@example.com", ... };
- * const resumeContent = await generateResumeContent(jobAnalysis, userAnswers);
+ * const { resume, provenance } = await generateResumeContent(jobAnalysis, userAnswers);
+ * const grounded = await generateResumeContent(jobAnalysis, userAnswers, { mode: 'grounded', sourceResume });
  */
-async function generateResumeContent(jobAnalysis, userAnswers) {
+async function generateResumeContent(jobAnalysis, userAnswers, options = {}) {
+  const { mode = 'standard', sourceResume = null, emphasis = null, profile = null } = options;
+
   // Validation
   if (!jobAnalysis || typeof jobAnalysis !== 'object') {
     throw new Error('jobAnalysis must be a valid object');
@@ -51,17 +83,33 @@ async function generateResumeContent(jobAnalysis, userAnswers) {
     throw new Error('userAnswers.phone is required and must be a non-empty string');
   }
 
-  // Check for API key
-  const apiKey = process.env.GROQ_API_KEY;
-  if (!apiKey) {
-    throw new Error('GROQ_API_KEY environment variable is not set');
+  if (!RESUME_MODES.includes(mode)) {
+    throw new Error(`mode must be one of: ${RESUME_MODES.join(', ')}`);
+  }
+
+  if (sourceResume !== null && typeof sourceResume !== 'object') {
+    throw new Error('sourceResume must be a valid object');
+  }
+
+  if (emphasis !== null && !RESUME_EMPHASES[emphasis]) {
+    throw new Error(`emphasis must be one of: ${Object.keys(RESUME_EMPHASES).join(', ')}`);
+  }
+
+  if (profile !== null && (typeof profile !== 'object' || !profile.contact || !Array.isArray(profile.employment))) {
+    throw new Error('profile must be a valid career profile');
   }
 
-  // Get model name from environment or use default
-  const modelName = process.env.GROQ_MODEL || 'llama-3.3-70b-versatile';
+  // The profile's most relevant entries, laid out as a resume so they can be verified and attributed like one
+  const profileResume = profile ? profileToResume(selectProfileEntries(profile, jobAnalysis), profile) : null;
 
-  // Groq API endpoint
-  const apiUrl = 'https://api.groq.com/openai/v1/chat/completions';
+  const emphasisNote = emphasis ? `\n\nEMPHASIS: ${emphasis}\n${RESUME_EMPHASES[emphasis]}` : '';
+
+  if (mode === 'grounded') {
+    const prompts = buildGroundedPrompts(jobAnalysis, userAnswers, sourceResume, profileResume);
+    // Low temperature: this mode rewords facts rather than inventing content
+    const resume = await requestResume(prompts.systemPrompt, prompts.userPrompt + emphasisNote, 0.2);
+    return finalizeResume(resume, { answers: userAnswers, sourceResume, profile: profileResume }, mode);
+  }
 
   // Extract relevant information
   const requiredSkills = jobAnalysis.requiredSkills || [];
@@ -73,10 +121,13 @@ async function generateResumeContent(jobAnalysis, userAnswers) {
 
   // Extract years of experience from user answers
   const yearsOfExperience = parseInt(userAnswers.years_of_experience) || parseInt(userAnswers.yearsOfExperience) || 0;
+  const profileJobs = profileResume ? profileResume.experience.length : 0;
   
-  // Determine number of jobs to generate based on experience
+  // Determine number of jobs to generate based on experience (or the roles picked from the profile)
   let numberOfJobs = 1;
-  if (yearsOfExperience >= 6) {
+  if (profileJobs > 0) {
+    numberOfJobs = profileJobs;
+  } else if (yearsOfExperience >= 6) {
     numberOfJobs = 4;
   } else if (yearsOfExperience >= 4) {
     numberOfJobs = 3;
@@ -274,8 +325,13 @@ JOB REQUIREMENTS:
 
 CANDIDATE INFORMATION:
 ${JSON.stringify(userAnswers, null, 2)}
-
-CRITICAL REQUIREMENT: The candidate has ${yearsOfExperience} years of experience. You MUST generate EXACTLY ${numberOfJobs} work experience entries showing realistic career progression from junior to senior roles.
+${profileResume ? `
+CAREER PROFILE (the candidate's real history, entries most relevant to this job):
+${JSON.stringify(profileResume, null, 2)}
+` : ''}
+${profileJobs > 0
+    ? `CRITICAL REQUIREMENT: The CAREER PROFILE lists the candidate's real employment history. You MUST generate EXACTLY ${numberOfJobs} work experience entries, one per profile role, with the same employer, title and dates. Build each role's bullets from its profile bullets; do not invent employers or dates.`
+    : `CRITICAL REQUIREMENT: The candidate has ${yearsOfExperience} years of experience. You MUST generate EXACTLY ${numberOfJobs} work experience entries showing realistic career progression from junior to senior roles.`}
 
 Generate a complete resume with the following structure. Return ONLY a JSON object:
 
@@ -344,64 +400,168 @@ CRITICAL GUIDELINES FOR EXPERIENCE GENERATION:
 
 Return ONLY the JSON object, no additional text or explanation.`;
 
-  try {
-    // Call Groq API
-    const response = await axios.post(
-      apiUrl,
-      {
-        model: modelName,
-        messages: [
-          {
-            role: 'system',
-            content: systemPrompt,
-          },
-          {
-            role: 'user',
-            content: userPrompt,
-          },
-        ],
-        max_tokens: 4000,
-        temperature: 0.5, // Increased for more creative but still focused content
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
-
-    // Extract the response text
-    const responseText = response.data.choices[0].message.content.trim();
-
-    // Parse JSON response
-    let parsedResume;
-    try {
-      // Remove markdown code blocks if present
-      const jsonText = responseText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-      parsedResume = JSON.parse(jsonText);
-    } catch (parseError) {
-      throw new Error(`Failed to parse Groq response as JSON: ${parseError.message}. Response: ${responseText.substring(0, 200)}`);
+  // Increased temperature for more creative but still focused content
+  const resume = await requestResume(systemPrompt, userPrompt + emphasisNote, 0.5);
+  return finalizeResume(resume, { answers: userAnswers, sourceResume, profile: profileResume }, mode);
+}
+
+/**
+ * Runs the post-generation checks: in grounded mode the verifier strips anything
+ * it cannot trace to the candidate, then every remaining item is mapped to its sources
+ * @param {Object} generated - Resume as returned by the LLM
+ * @param {Object} sources - {answers, sourceResume, profile}: the user's answers, the existing resume
+ *   they supplied and the career profile entries used (as laid out by profileToResume)
+ * @param {string} mode - Generation mode
+ * @returns {Object} - {resume, provenance, grounding}
+ */
+function finalizeResume(generated, sources, mode) {
+  let resume = generated;
+  let grounding = null;
+
+  if (mode === 'grounded') {
+    const verification = verifyResume(generated, sources, { strip: true });
+    resume = verification.resume;
+    grounding = { mode, flagged: verification.flagged, removed: verification.removed };
+  }
+
+  return { resume, provenance: mapProvenance(resume, sources), grounding };
+}
+
+/**
+ * Builds the prompts for grounded mode, where every employer, title, date and
+ * number must come from the candidate's answers or source resume
+ * @param {Object} jobAnalysis - The job analysis object
+ * @param {Object} userAnswers - User's answers to questions
+ * @param {Object|null} sourceResume - Existing resume to draw facts from
+ * @param {Object|null} profileResume - Career profile entries to draw facts from (from profileToResume)
+ * @returns {{systemPrompt: string, userPrompt: string}} - Prompts for the LLM
+ */
+function buildGroundedPrompts(jobAnalysis, userAnswers, sourceResume, profileResume) {
+  const requiredSkills = jobAnalysis.requiredSkills || [];
+  const preferredQualifications = jobAnalysis.preferredQualifications || [];
+  const keyResponsibilities = jobAnalysis.keyResponsibilities || [];
+  const jobLevel = jobAnalysis.jobLevel || 'mid';
+  const industry = jobAnalysis.industry || '';
+  const topAtsKeywords = [...(jobAnalysis.atsKeywords || [])]
+    .sort((a, b) => b.frequency - a.frequency)
+    .slice(0, 15)
+    .map(kw => kw.keyword)
+    .join(', ');
+
+  // Personal details and raw answers are already in CANDIDATE INFORMATION; reports are not facts
+  const { personalInfo, userAnswers: sourceAnswers, grounding, provenance, ...sourceContent } = sourceResume || {};
+
+  const systemPrompt = `You are an expert resume writer and ATS optimization specialist. You tailor a candidate's REAL history to a job posting. The resume will be sent to employers, so it must be strictly truthful.
+
+TRUTHFULNESS RULES (these override every other instruction):
+1. Employers, job titles, employment dates, schools, degrees and certifications must be copied from the candidate information or source resume. Never invent, rename or estimate them.
+2. Every number (percentages, money, team sizes, user counts, durations, years) must appear in the candidate information or source resume. If an achievement has no number, describe its scope in words; do not add a metric.
+3. Create exactly one experience entry per employer found in the sources, most recent first, with the dates as given. If the sources name no employer, return an empty experience array.
+4. Only list skills the candidate states or clearly demonstrates in the sources.
+5. If information is missing, leave it out. Never fill gaps with plausible-sounding content.
+
+WITHIN THOSE RULES, OPTIMIZE FOR ATS:
+- Start every bullet with a strong action verb (Developed, Led, Implemented, Reduced, ...)
+- Reword bullets to use the job's keywords (${topAtsKeywords}) where the candidate's experience supports them
+- Put the most relevant achievements for these responsibilities first: ${keyResponsibilities.slice(0, 3).join('; ')}
+- Skills must be categorized into: languages, frameworks, databases, cloud, tools. Soft skills do not belong in the skills object.
+- Professional summary: 2-3 sentences built only from the facts above, aimed at a ${jobLevel}-level ${industry} role
+
+Return ONLY valid JSON without any markdown formatting or code blocks.`;
+
+  const userPrompt = `Tailor the candidate's resume to the following job requirements using only facts from the candidate information and source resume.
+
+JOB REQUIREMENTS:
+- Required Skills: ${requiredSkills.join(', ')}
+- Preferred Qualifications: ${preferredQualifications.join(', ')}
+- Key Responsibilities: ${keyResponsibilities.join('; ')}
+- Top ATS Keywords: ${topAtsKeywords}
+- Job Level: ${jobLevel}
+- Industry: ${industry}
+
+CANDIDATE INFORMATION:
+${JSON.stringify(userAnswers, null, 2)}
+${profileResume ? `
+CAREER PROFILE (the candidate's own record; counts as a source like the source resume):
+${JSON.stringify(profileResume, null, 2)}
+` : ''}
+SOURCE RESUME:
+${sourceResume ? JSON.stringify(sourceContent, null, 2) : 'None provided'}
+
+Return ONLY a JSON object with this structure:
+
+{
+  "summary": "2-3 sentence professional summary using only the candidate's facts",
+  "experience": [
+    {
+      "company": "Employer name exactly as in the sources",
+      "role": "Job title exactly as in the sources",
+      "duration": "Dates exactly as in the sources",
+      "bullets": [
+        "Achievement from the sources, reworded with an action verb and relevant keywords"
+      ]
+    }
+  ],
+  "skills": {
+    "languages": [],
+    "frameworks": [],
+    "databases": [],
+    "cloud": [],
+    "tools": []
+  },
+  "education": [
+    {
+      "degree": "Degree exactly as in the sources",
+      "institution": "Institution exactly as in the sources",
+      "year": "Year as in the sources, or empty",
+      "details": "Optional details from the sources"
     }
+  ],
+  "additionalSections": [
+    {
+      "title": "Section from the sources (e.g., Certifications, Projects, Awards)",
+      "items": ["Item from the sources"]
+    }
+  ]
+}
 
-    // Validate the structure of the response
-    validateResumeStructure(parsedResume);
+Return ONLY the JSON object, no additional text or explanation.`;
+
+  return { systemPrompt, userPrompt };
+}
 
-    return parsedResume;
+/**
+ * Requests, parses and validates a resume from the LLM (repairing or re-asking if needed)
+ * @param {string} systemPrompt - System prompt
+ * @param {string} userPrompt - User prompt
+ * @param {number} temperature - Sampling temperature
+ * @returns {Promise<Object>} - Resume content object
+ * @throws {Error} If the API call fails or the output stays invalid
+ */
+async function requestResume(systemPrompt, userPrompt, temperature) {
+  try {
+    return await generateStructured({
+      service: 'resumeGenerator',
+      messages: [
+        {
+          role: 'system',
+          content: systemPrompt,
+        },
+        {
+          role: 'user',
+          content: userPrompt,
+        },
+      ],
+      schema: resumeSchema,
+      label: 'resume',
+      validate: validateResumeStructure,
+      maxTokens: 4000,
+      temperature,
+    });
   } catch (error) {
-    // Handle API errors
-    if (error.response) {
-      // API responded with error status
-      const errorDetails = error.response.data?.error || error.response.data || {};
-      const errorMessage = errorDetails?.message || errorDetails?.type || JSON.stringify(errorDetails) || error.message;
-      const errorStatus = error.response.status;
-      
-      // Log full error for debugging
-      console.error('\n🔍 Groq API Error Details (resumeGenerator):');
-      console.error('Status:', errorStatus);
-      console.error('Response Data:', JSON.stringify(error.response.data, null, 2));
-      
-      throw new Error(`Groq API error: ${errorMessage} (status: ${errorStatus})`);
+    // Provider, configuration and invalid-output errors are already descriptive
+    if (error.status || error.message.includes('API error') || error.message.includes('environment variable')) {
+      throw error;
     } else if (error.message.includes('parse') || error.message.includes('JSON') || error.message.includes('Invalid')) {
       throw error;
     } else {
@@ -527,6 +687,8 @@ function validateResumeStructure(resume) {
 }
 
 module.exports = {
+  RESUME_EMPHASES,
+  RESUME_MODES,
   generateResumeContent,
 };
 
@@ -0,0 +1,630 @@
+/**
+ * Resume Importer Service
+ * Parses an existing PDF, DOCX or plain-text resume into the structured resume
+ * model ({summary, experience[], skills{}, education[], additionalSections[]})
+ * used by documentExporter and atsScorer, plus the contact details it finds.
+ *
+ * Parsing is rule-based: text is extracted line by line, split into sections by
+ * their headings, and each section is read with its own heuristics. Anything the
+ * parser had to guess at is reported in `warnings`.
+ */
+
+const JSZip = require('jszip');
+const { SKILL_CATEGORIES, categorizeSkill } = require('./skillCatalog');
+
+/**
+ * Supported file types
+ * @type {Array<string>}
+ */
+const SUPPORTED_TYPES = ['pdf', 'docx', 'txt'];
+
+/**
+ * Section heading aliases (lowercase, without punctuation)
+ * @type {Object<string, Array<string>>}
+ */
+const SECTION_HEADINGS = {
+  summary: ['professional summary', 'summary', 'profile', 'professional profile', 'career summary', 'objective', 'career objective', 'about me', 'about'],
+  experience: ['professional experience', 'experience', 'work experience', 'employment history', 'employment', 'work history', 'relevant experience', 'career history'],
+  skills: ['skills', 'technical skills', 'core competencies', 'key skills', 'skills and tools', 'technologies', 'skills summary'],
+  education: ['education', 'education and training', 'academic background', 'academic history'],
+};
+
+/**
+ * Characters that start a bullet line
+ * @type {RegExp}
+ */
+const BULLET_PATTERN = /^\s*(?:[•●▪◦■□➢►‣∙·*–-]|\d{1,2}[.)])\s+/;
+
+/**
+ * Month names and abbreviations for date ranges
+ * @type {string}
+ */
+const MONTH = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+
+/**
+ * A single date: "2020", "03/2020", "Mar 2020" or "March 2020"
+ * @type {string}
+ */
+const DATE = `(?:${MONTH}\\s+\\d{4}|\\d{1,2}\\/\\d{4}|\\d{4})`;
+
+/**
+ * A date range ("2018 - 2020", "Mar 2020 – Present") or a single date
+ * @type {RegExp}
+ */
+const DURATION_PATTERN = new RegExp(`${DATE}\\s*(?:-|–|—|to)\\s*(?:${DATE}|present|current|now)|${DATE}`, 'i');
+
+/**
+ * Words that mark a phrase as a job title rather than a company
+ * @type {RegExp}
+ */
+const JOB_TITLE_PATTERN = /\b(engineer|developer|manager|analyst|designer|lead|director|intern|specialist|consultant|architect|scientist|coordinator|administrator|officer|associate|head|vp|president|founder|programmer|technician|assistant|representative|strategist|editor|writer|accountant|nurse|teacher|researcher|owner|executive|supervisor|advisor)\b/i;
+
+/**
+ * Words that mark a line as a degree
+ * @type {RegExp}
+ */
+const DEGREE_PATTERN = /\b(bachelor|master|doctor|ph\.?\s?d|mba|associate(?:'s)? degree|diploma|certificate|b\.?\s?sc?|m\.?\s?sc?|b\.?\s?a|m\.?\s?a|b\.?\s?eng|m\.?\s?eng|degree|high school|ged)\b/i;
+
+/**
+ * Detects the file type from the file name, MIME type or magic bytes
+ * @param {Buffer} buffer - File contents
+ * @param {string} [filename] - Original file name
+ * @param {string} [mimeType] - Reported MIME type
+ * @returns {string|null} - 'pdf', 'docx', 'txt' or null if unsupported
+ */
+function detectFileType(buffer, filename = '', mimeType = '') {
+  const extension = (filename.match(/\.([a-z0-9]+)$/i) || [])[1];
+  if (extension) {
+    const lower = extension.toLowerCase();
+    if (lower === 'text') return 'txt';
+    return SUPPORTED_TYPES.includes(lower) ? lower : null;
+  }
+
+  if (mimeType === 'application/pdf' || buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+    return 'pdf';
+  }
+  if (mimeType.includes('wordprocessingml') || buffer.subarray(0, 2).toString('latin1') === 'PK') {
+    return 'docx';
+  }
+  if (mimeType.startsWith('text/') || !buffer.includes(0)) {
+    return 'txt';
+  }
+  return null;
+}
+
+/**
+ * Decodes the XML entities used in DOCX text runs
+ * @param {string} text - XML text
+ * @returns {string}
+ */
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Extracts the lines of a DOCX file, one per paragraph. List paragraphs get a
+ * bullet so the parser can tell them from headings.
+ * @param {Buffer} buffer - DOCX contents
+ * @returns {Promise<Array<string>>}
+ */
+async function extractDocxLines(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const documentFile = zip.file('word/document.xml');
+  if (!documentFile) {
+    throw new Error('Invalid DOCX file: word/document.xml is missing');
+  }
+
+  const xml = await documentFile.async('string');
+  const paragraphs = xml.match(/<w:p[ >][\s\S]*?<\/w:p>|<w:p\/>/g) || [];
+
+  return paragraphs.map((paragraph) => {
+    const text = (paragraph.match(/<w:t(?: [^>]*)?>[^<]*<\/w:t>|<w:tab\/>|<w:br\/>/g) || [])
+      .map((run) => {
+        if (run === '<w:tab/>') return '\t';
+        if (run === '<w:br/>') return '\n';
+        return decodeXmlEntities(run.replace(/<[^>]+>/g, ''));
+      })
+      .join('');
+
+    const isListItem = paragraph.includes('<w:numPr>');
+    return isListItem && text.trim() && !BULLET_PATTERN.test(text) ? `• ${text}` : text;
+  }).flatMap(text => text.split('\n'));
+}
+
+/**
+ * Extracts the lines of a PDF. Text items are grouped into lines by their
+ * vertical position; lines indented past the page's left margin keep a
+ * two-space indent so detail lines can be told apart from entry headers.
+ * @param {Buffer} buffer - PDF contents
+ * @returns {Promise<Array<string>>}
+ */
+async function extractPdfLines(buffer) {
+  // pdfjs is large and only needed for PDFs, so it is loaded on first use
+  const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+  const pdf = await pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    verbosity: 0,
+    disableFontFace: true,
+    isEvalSupported: false,
+  }).promise;
+
+  const lines = [];
+  for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+    const page = await pdf.getPage(pageNumber);
+    const { items } = await page.getTextContent();
+
+    const rows = new Map();
+    items.forEach((item) => {
+      if (!item.str) return;
+      const y = Math.round(item.transform[5]);
+      if (!rows.has(y)) rows.set(y, []);
+      rows.get(y).push({ text: item.str, x: item.transform[4], width: item.width });
+    });
+
+    const sortedRows = [...rows.entries()].sort((a, b) => b[0] - a[0]).map(([, row]) => row.sort((a, b) => a.x - b.x));
+    const leftMargin = Math.min(...sortedRows.map(row => row[0].x));
+
+    sortedRows.forEach((row) => {
+      let text = '';
+      let end = null;
+      row.forEach((item) => {
+        // Separate items that are visibly apart but have no whitespace between them
+        if (end !== null && item.x - end > 1 && !/\s$/.test(text) && !/^\s/.test(item.text)) {
+          text += ' ';
+        }
+        text += item.text;
+        end = item.x + item.width;
+      });
+      lines.push(row[0].x > leftMargin + 10 ? `  ${text.trim()}` : text.trim());
+    });
+
+    lines.push('');
+  }
+
+  await pdf.destroy();
+  return lines;
+}
+
+/**
+ * Extracts the text lines of a resume file
+ * @param {Buffer} buffer - File contents
+ * @param {string} type - 'pdf', 'docx' or 'txt'
+ * @returns {Promise<Array<string>>}
+ */
+async function extractLines(buffer, type) {
+  if (type === 'pdf') return extractPdfLines(buffer);
+  if (type === 'docx') return extractDocxLines(buffer);
+  return buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+}
+
+/**
+ * Normalizes a line for heading comparison
+ * @param {string} line - Text line
+ * @returns {string}
+ */
+function headingKey(line) {
+  return line.trim().toLowerCase().replace(/&/g, 'and').replace(/[:.]+$/, '').replace(/\s+/g, ' ');
+}
+
+/**
+ * Classifies a line as a section heading
+ * @param {string} line - Text line
+ * @returns {{type: string, title: string}|null} - Section type ('summary', 'experience',
+ *   'skills', 'education' or 'other') and its display title, or null for ordinary lines
+ */
+function matchHeading(line) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.length > 40 || BULLET_PATTERN.test(trimmed) || /^\s/.test(line)) {
+    return null;
+  }
+
+  const key = headingKey(trimmed);
+  for (const [type, aliases] of Object.entries(SECTION_HEADINGS)) {
+    if (aliases.includes(key)) {
+      return { type, title: trimmed.replace(/:$/, '') };
+    }
+  }
+
+  // Any other short all-caps line is treated as a section of its own (e.g. CERTIFICATIONS)
+  const letters = trimmed.replace(/[^A-Za-z]/g, '');
+  if (letters.length >= 3 && letters === letters.toUpperCase() && !/[|@]|\d/.test(trimmed)) {
+    const title = trimmed.replace(/:$/, '').toLowerCase().replace(/\b[a-z]/g, c => c.toUpperCase());
+    return { type: 'other', title };
+  }
+
+  return null;
+}
+
+/**
+ * Removes a bullet marker from a line
+ * @param {string} line - Text line
+ * @returns {string}
+ */
+function stripBullet(line) {
+  return line.replace(BULLET_PATTERN, '').trim();
+}
+
+/**
+ * Checks whether a line continues the previous bullet (a wrapped line)
+ * @param {string} line - Trimmed text line
+ * @param {string} previous - The previous bullet text
+ * @returns {boolean}
+ */
+function isContinuation(line, previous) {
+  return /^[a-z0-9(&%$]/.test(line) || /[,;:&]$|\b(and|or|of|to|the|by|with|for|in|a|an)$/i.test(previous);
+}
+
+/**
+ * Splits text on the separators used between role, company and dates
+ * @param {string} text - Header text
+ * @returns {Array<string>}
+ */
+function splitHeaderParts(text) {
+  return text
+    .split(/\s+[|–—-]\s+|\s+at\s+|\t+|,\s+(?=[A-Z])/)
+    .map(part => part.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Pulls the date range out of header text
+ * @param {string} text - Header text
+ * @returns {{duration: string|null, rest: string}}
+ */
+function takeDuration(text) {
+  const match = text.match(DURATION_PATTERN);
+  if (!match) {
+    return { duration: null, rest: text };
+  }
+  const rest = (text.slice(0, match.index) + text.slice(match.index + match[0].length))
+    .replace(/[()]/g, ' ')
+    .replace(/\s*[|,–—-]\s*$/, '')
+    .replace(/^\s*[|,–—-]\s*/, '');
+  return { duration: match[0].replace(/\s*(?:-|–|—|to)\s*/i, ' - ').trim(), rest: rest.trim() };
+}
+
+/**
+ * Builds an experience entry from its header lines
+ * @param {Array<string>} headerLines - Lines before the entry's bullets
+ * @returns {Object} - {company, role, duration, bullets}
+ */
+function parseExperienceHeader(headerLines) {
+  let duration = null;
+  const parts = [];
+
+  headerLines.forEach((line) => {
+    const taken = takeDuration(line.trim());
+    if (taken.duration && !duration) {
+      duration = taken.duration;
+    }
+    parts.push(...splitHeaderParts(taken.duration ? taken.rest : line.trim()));
+  });
+
+  let [role = '', company = ''] = parts;
+  if (company && JOB_TITLE_PATTERN.test(company) && !JOB_TITLE_PATTERN.test(role)) {
+    [role, company] = [company, role];
+  }
+
+  return { company, role, duration: duration || '', bullets: [] };
+}
+
+/**
+ * Parses the experience section
+ * @param {Array<string>} lines - Section lines
+ * @param {Array<string>} warnings - Collects parser warnings
+ * @returns {Array<Object>} - Experience entries
+ */
+function parseExperience(lines, warnings) {
+  const entries = [];
+  let header = [];
+  let current = null;
+
+  const flushHeader = () => {
+    if (header.length > 0) {
+      current = parseExperienceHeader(header);
+      entries.push(current);
+      header = [];
+    }
+  };
+
+  lines.forEach((line) => {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      flushHeader();
+      return;
+    }
+
+    if (BULLET_PATTERN.test(trimmed)) {
+      flushHeader();
+      if (!current) {
+        current = { company: '', role: '', duration: '', bullets: [] };
+        entries.push(current);
+      }
+      current.bullets.push(stripBullet(trimmed));
+      return;
+    }
+
+    const lastBullet = current && header.length === 0 ? current.bullets[current.bullets.length - 1] : null;
+    if (lastBullet && !DURATION_PATTERN.test(trimmed) && isContinuation(trimmed, lastBullet)) {
+      current.bullets[current.bullets.length - 1] = `${lastBullet} ${trimmed}`;
+      return;
+    }
+
+    // A second dated line means the previous header had no bullets
+    if (header.length > 0 && header.some(h => DURATION_PATTERN.test(h)) && DURATION_PATTERN.test(trimmed)) {
+      flushHeader();
+    }
+    header.push(trimmed);
+  });
+  flushHeader();
+
+  entries.forEach((entry, index) => {
+    const label = entry.role || entry.company || `entry ${index + 1}`;
+    if (!entry.duration) warnings.push(`Experience "${label}" has no dates`);
+    if (!entry.company || !entry.role) warnings.push(`Could not tell the role and company apart for experience "${label}"`);
+    if (entry.bullets.length === 0) warnings.push(`Experience "${label}" has no bullet points`);
+  });
+
+  return entries;
+}
+
+/**
+ * Maps a skills line label (e.g. "Programming Languages") to a skill category
+ * @param {string} label - Label text
+ * @returns {string|null} - Category key, 'soft' for non-technical skills, or null
+ */
+function categoryForLabel(label) {
+  const lower = label.toLowerCase();
+  if (/soft|interpersonal|personal|spoken|human/.test(lower)) return 'soft';
+  if (/language/.test(lower)) return 'languages';
+  if (/framework|librar/.test(lower)) return 'frameworks';
+  if (/database|data stor/.test(lower)) return 'databases';
+  if (/cloud|devops|infrastructure|platform/.test(lower)) return 'cloud';
+  if (/tool|software/.test(lower)) return 'tools';
+  return null;
+}
+
+/**
+ * Parses the skills section into skill categories. Skills under a soft-skills
+ * label are returned separately so they can become their own section.
+ * @param {Array<string>} lines - Section lines
+ * @returns {{skills: Object, extraSections: Array<Object>}}
+ */
+function parseSkills(lines) {
+  const skills = Object.fromEntries(SKILL_CATEGORIES.map(category => [category, []]));
+  const extraSections = [];
+
+  lines.forEach((line) => {
+    const trimmed = stripBullet(line.trim());
+    if (!trimmed) return;
+
+    const labelMatch = trimmed.match(/^([^:]{2,40}):\s*(.+)$/);
+    const label = labelMatch ? labelMatch[1].trim() : '';
+    const items = (labelMatch ? labelMatch[2] : trimmed)
+      .split(/\s*[,;|•]\s*/)
+      .map(item => item.trim().replace(/\.$/, ''))
+      .filter(Boolean);
+    const labelCategory = label ? categoryForLabel(label) : null;
+
+    if (labelCategory === 'soft') {
+      extraSections.push({ title: label, items });
+      return;
+    }
+
+    items.forEach((item) => {
+      const category = categorizeSkill(item) || labelCategory || 'tools';
+      if (!skills[category].includes(item)) {
+        skills[category].push(item);
+      }
+    });
+  });
+
+  return { skills, extraSections };
+}
+
+/**
+ * Parses the education section
+ * @param {Array<string>} lines - Section lines
+ * @returns {Array<Object>} - Education entries ({degree, institution, year, details})
+ */
+function parseEducation(lines) {
+  const entries = [];
+  let current = null;
+
+  lines.forEach((line) => {
+    const trimmed = stripBullet(line.trim());
+    if (!trimmed) return;
+
+    const indented = /^\s/.test(line);
+    const isNewEntry = !current || (!indented && DEGREE_PATTERN.test(trimmed));
+    const completesEntry = current && !indented && !current.institution;
+
+    if (isNewEntry || completesEntry) {
+      const { duration, rest } = takeDuration(trimmed);
+      const parts = splitHeaderParts(rest);
+
+      if (isNewEntry) {
+        current = { degree: '', institution: '', year: '', details: null };
+        entries.push(current);
+      }
+      parts.forEach((part) => {
+        if (!current.degree && (DEGREE_PATTERN.test(part) || parts.length === 1 && !completesEntry)) current.degree = part;
+        else if (!current.institution) current.institution = part;
+      });
+      if (duration && !current.year) current.year = duration;
+      return;
+    }
+
+    current.details = current.details ? `${current.details}; ${trimmed}` : trimmed;
+  });
+
+  return entries.map(entry => ({
+    ...entry,
+    degree: entry.degree || entry.institution,
+    institution: entry.institution || entry.degree,
+  }));
+}
+
+/**
+ * Parses a free-form section into items, joining wrapped lines
+ * @param {Array<string>} lines - Section lines
+ * @returns {Array<string>}
+ */
+function parseItems(lines) {
+  const items = [];
+  lines.forEach((line) => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+
+    const previous = items[items.length - 1];
+    if (!BULLET_PATTERN.test(trimmed) && previous && isContinuation(trimmed, previous)) {
+      items[items.length - 1] = `${previous} ${trimmed}`;
+    } else {
+      items.push(stripBullet(trimmed));
+    }
+  });
+  return items;
+}
+
+/**
+ * Extracts contact details from the resume header
+ * @param {Array<string>} headerLines - Lines before the first section
+ * @param {string} fullText - Entire resume text (fallback for contact details)
+ * @returns {Object} - {name, email, phone, linkedin}
+ */
+function parseContact(headerLines, fullText) {
+  const text = headerLines.join('\n') || fullText;
+  const email = (text.match(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/) || fullText.match(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/) || [])[0] || null;
+  const phone = (text.match(/\+?\d[\d\s().-]{7,}\d/) || [])[0] || null;
+  const linkedin = (text.match(/(?:https?:\/\/)?(?:www\.)?linkedin\.com\/[\w/-]+/i) || [])[0] || null;
+
+  const nameLine = headerLines.find(line => line.trim() && !/[@|]|\d{3}|https?:|linkedin/i.test(line));
+  return {
+    name: nameLine ? nameLine.trim() : null,
+    email,
+    phone: phone ? phone.trim() : null,
+    linkedin,
+  };
+}
+
+/**
+ * Parses resume text into the structured resume model
+ * @param {Array<string>|string} input - Resume lines (or the whole text)
+ * @returns {{resume: Object, personalInfo: Object, warnings: Array<string>}}
+ */
+function parseResumeText(input) {
+  const lines = (Array.isArray(input) ? input : String(input).split('\n'))
+    .map(line => line.replace(/\t/g, ' | ').replace(/\s+$/, ''))
+    // Drop rules drawn with repeated characters (===, ---, ___)
+    .filter(line => !/^\s*([=_~*-])\1{2,}\s*$/.test(line));
+
+  const warnings = [];
+  const header = [];
+  const sections = [];
+
+  lines.forEach((line) => {
+    const heading = matchHeading(line);
+    // Before the first known section, an all-caps line is more likely the candidate's name
+    if (heading && (heading.type !== 'other' || sections.length > 0)) {
+      sections.push({ ...heading, lines: [] });
+    } else if (sections.length > 0) {
+      sections[sections.length - 1].lines.push(line);
+    } else {
+      header.push(line);
+    }
+  });
+
+  if (sections.length === 0) {
+    warnings.push('No section headings were recognized; the whole document was read as the summary');
+  }
+
+  const resume = {
+    summary: '',
+    experience: [],
+    skills: Object.fromEntries(SKILL_CATEGORIES.map(category => [category, []])),
+    education: [],
+    additionalSections: [],
+  };
+
+  sections.forEach((section) => {
+    if (section.type === 'summary') {
+      resume.summary = [resume.summary, ...section.lines.map(l => l.trim()).filter(Boolean)].filter(Boolean).join(' ');
+    } else if (section.type === 'experience') {
+      resume.experience.push(...parseExperience(section.lines, warnings));
+    } else if (section.type === 'skills') {
+      const { skills, extraSections } = parseSkills(section.lines);
+      SKILL_CATEGORIES.forEach((category) => {
+        resume.skills[category].push(...skills[category].filter(s => !resume.skills[category].includes(s)));
+      });
+      resume.additionalSections.push(...extraSections);
+    } else if (section.type === 'education') {
+      resume.education.push(...parseEducation(section.lines));
+    } else {
+      const items = parseItems(section.lines);
+      if (items.length > 0) {
+        resume.additionalSections.push({ title: section.title, items });
+      }
+    }
+  });
+
+  const personalInfo = parseContact(sections.length > 0 ? header : header.slice(0, 3), lines.join('\n'));
+
+  if (sections.length === 0) {
+    resume.summary = header.slice(1).map(l => l.trim()).filter(Boolean).join(' ');
+  }
+  if (!resume.summary) warnings.push('No summary section found');
+  if (resume.experience.length === 0) warnings.push('No experience section found');
+  if (Object.values(resume.skills).every(list => list.length === 0)) warnings.push('No skills section found');
+  if (resume.education.length === 0) warnings.push('No education section found');
+  if (!personalInfo.name) warnings.push('Could not find the candidate name');
+
+  return { resume, personalInfo, warnings };
+}
+
+/**
+ * Imports a resume file into the structured resume model
+ * @param {Buffer} buffer - File contents
+ * @param {Object} [options] - Options
+ * @param {string} [options.filename] - Original file name (used to detect the type)
+ * @param {string} [options.mimeType] - Reported MIME type
+ * @returns {Promise<{resume: Object, personalInfo: Object, warnings: Array<string>, fileType: string}>}
+ * @throws {Error} If the file type is unsupported, the file cannot be read, or it contains no text
+ *
+ * @example
+ * const { resume, personalInfo, warnings } = await importResume(fs.readFileSync('resume.pdf'), { filename: 'resume.pdf' });
+ */
+async function importResume(buffer, { filename, mimeType } = {}) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw new Error('Resume file is required and cannot be empty');
+  }
+
+  const fileType = detectFileType(buffer, filename, mimeType);
+  if (!fileType) {
+    throw new Error(`Unsupported file type. Supported types: ${SUPPORTED_TYPES.join(', ')}`);
+  }
+
+  let lines;
+  try {
+    lines = await extractLines(buffer, fileType);
+  } catch (error) {
+    throw new Error(`Failed to read ${fileType.toUpperCase()} file: ${error.message}`);
+  }
+
+  if (lines.every(line => !line.trim())) {
+    throw new Error(`No text found in the ${fileType.toUpperCase()} file (scanned documents are not supported)`);
+  }
+
+  return { ...parseResumeText(lines), fileType };
+}
+
+module.exports = {
+  SUPPORTED_TYPES,
+  importResume,
+  parseResumeText,
+};
@@ -0,0 +1,348 @@
+/**
+ * Resume Linter
+ * Checks the writing of a resume the way a careful recruiter would read it.
+ * Each finding names the rule, its severity ('warning' or 'info'), where it
+ * is (e.g. "experience[0].bullets[2]") and what to change:
+ * - tense: past roles in past tense, the current role in present tense
+ * - passiveVoice: "was developed by", "were migrated"
+ * - firstPerson: "I", "my", "we" and other first-person pronouns
+ * - buzzword: overused phrases such as "synergy" or "results-driven"
+ * - repeatedOpener: several bullets starting with the same verb
+ * - longBullet: bullets over MAX_BULLET_WORDS words
+ * - dateFormat: experience and education dates written in more than one format
+ *
+ * The checks are heuristics over plain text; no API calls are made.
+ */
+
+/**
+ * Words over which a bullet is too long to skim
+ * @type {number}
+ */
+const MAX_BULLET_WORDS = 30;
+
+/**
+ * Overused resume phrases; spaces and hyphens inside them are interchangeable
+ * @type {Array<string>}
+ */
+const BUZZWORDS = [
+  'synergy', 'synergies', 'synergize', 'results-driven', 'results-oriented', 'detail-oriented',
+  'team player', 'go-getter', 'self-starter', 'hard-working', 'hardworking', 'highly motivated',
+  'think outside the box', 'outside-the-box', 'proven track record', 'best of breed', 'thought leader',
+  'rockstar', 'ninja', 'guru', 'go-to person', 'value add', 'passionate', 'dynamic individual',
+];
+
+/**
+ * Bullet-opening verbs in their base form, used to spot present tense
+ * ("Manage", "Manages", "Managing")
+ * @type {Array<string>}
+ */
+const BASE_VERBS = [
+  'achieve', 'analyze', 'architect', 'automate', 'build', 'collaborate', 'conduct', 'coordinate',
+  'create', 'define', 'deliver', 'deploy', 'design', 'develop', 'direct', 'drive', 'enhance',
+  'ensure', 'establish', 'execute', 'grow', 'guide', 'handle', 'help', 'implement', 'improve',
+  'increase', 'integrate', 'launch', 'lead', 'maintain', 'manage', 'mentor', 'migrate', 'monitor',
+  'negotiate', 'operate', 'optimize', 'organize', 'oversee', 'own', 'partner', 'plan', 'prepare',
+  'present', 'provide', 'reduce', 'research', 'resolve', 'review', 'run', 'scale', 'serve', 'ship',
+  'spearhead', 'streamline', 'support', 'teach', 'test', 'train', 'transform', 'use', 'work', 'write',
+];
+
+/**
+ * Irregular past-tense verbs common at the start of a bullet
+ * @type {Array<string>}
+ */
+const IRREGULAR_PAST = [
+  'began', 'bought', 'brought', 'built', 'chose', 'cut', 'drove', 'found', 'gave', 'grew', 'held',
+  'kept', 'led', 'made', 'met', 'oversaw', 'ran', 'rebuilt', 'saw', 'set', 'sold', 'spent', 'spoke',
+  'taught', 'took', 'undertook', 'won', 'wrote',
+];
+
+/**
+ * "to be" followed by a past participle: "was developed", "were quickly migrated"
+ * @type {RegExp}
+ */
+const PASSIVE_PATTERN = /\b(?:am|is|are|was|were|be|been|being)\s+(?:\w+ly\s+)?(?:\w+ed|built|done|driven|given|grown|held|kept|led|made|run|shown|sold|taken|taught|won|written)\b/i;
+
+/**
+ * First-person pronouns; "I/O", "i.e." and the country "US" are not
+ * @type {RegExp}
+ */
+const FIRST_PERSON_PATTERN = /\b(?:I(?![/.])|me|my|mine|myself|we|our|ours|us)\b/gi;
+
+/**
+ * Dates in an experience or education entry, in the order they appear:
+ * "Jan 2020", "January 2020", "01/2020", "01/20", "2020-01" or "2020"
+ * @type {RegExp}
+ */
+const DATE_PATTERN = /\b(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+\d{4}|\d{1,2}\/\d{4}|\d{1,2}\/\d{2}|\d{4}-\d{2}(?!\d)|\d{4})\b/gi;
+
+/**
+ * Month names written out in full
+ * @type {Array<string>}
+ */
+const FULL_MONTHS = [
+  'january', 'february', 'march', 'april', 'june', 'july', 'august', 'september', 'october', 'november', 'december',
+];
+
+/**
+ * Durations of a role that is still going on
+ * @type {RegExp}
+ */
+const CURRENT_ROLE_PATTERN = /\b(?:present|current|now|today)\b/i;
+
+/**
+ * Buzzwords as patterns, matching with spaces or hyphens between words
+ * @type {Array<{phrase: string, pattern: RegExp}>}
+ */
+const BUZZWORD_PATTERNS = BUZZWORDS.map(phrase => ({
+  phrase,
+  pattern: new RegExp(`\\b${phrase.split(/[\s-]+/).join('[\\s-]?')}\\b`, 'i'),
+}));
+
+/**
+ * Present-tense forms of the base verbs ("manage", "manages", "managing")
+ * @type {Set<string>}
+ */
+const PRESENT_FORMS = new Set(BASE_VERBS.flatMap(verb => [
+  verb,
+  /(?:s|sh|ch|x|z)$/.test(verb) ? `${verb}es` : `${verb}s`,
+  verb.endsWith('e') && !verb.endsWith('ee') ? `${verb.slice(0, -1)}ing` : `${verb}ing`,
+]));
+
+/**
+ * Lowercase first word of a bullet, without punctuation
+ * @param {string} text - Bullet text
+ * @returns {string}
+ */
+function firstWord(text) {
+  const match = String(text).trim().match(/^[^a-z]*([a-z]+)/i);
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Tells the tense of a bullet's opening verb
+ * @param {string} word - Lowercase first word
+ * @returns {'past'|'present'|null} - null when the word is not a recognized verb form
+ */
+function verbTense(word) {
+  if (IRREGULAR_PAST.includes(word) || (word.length > 4 && word.endsWith('ed'))) {
+    return 'past';
+  }
+  return PRESENT_FORMS.has(word) ? 'present' : null;
+}
+
+/**
+ * Names a date format for the dateFormat rule
+ * @param {string} date - A date matched by DATE_PATTERN
+ * @returns {string|null} - e.g. "Mon YYYY"; null for "May 2020", which fits both month formats
+ */
+function dateFormat(date) {
+  const month = date.match(/^([a-z]+)\.?\s/i);
+  if (month) {
+    const name = month[1].toLowerCase();
+    if (name === 'may') {
+      return null;
+    }
+    return FULL_MONTHS.includes(name) ? 'Month YYYY' : 'Mon YYYY';
+  }
+  if (/^\d{1,2}\/\d{4}$/.test(date)) return 'MM/YYYY';
+  if (/^\d{1,2}\/\d{2}$/.test(date)) return 'MM/YY';
+  if (/^\d{4}-\d{2}$/.test(date)) return 'YYYY-MM';
+  return 'YYYY';
+}
+
+/**
+ * Lists the prose of a resume that the wording rules read
+ * @param {Object} resumeContent - Resume content
+ * @returns {{texts: Array<Object>, bullets: Array<Object>}} - All prose as {path, text}, and the
+ *   experience bullets with {path, text, label, current}
+ */
+function collectTexts(resumeContent) {
+  const texts = [];
+  const bullets = [];
+
+  if (typeof resumeContent.summary === 'string' && resumeContent.summary.trim()) {
+    texts.push({ path: 'summary', text: resumeContent.summary });
+  }
+  (Array.isArray(resumeContent.experience) ? resumeContent.experience : []).forEach((exp, i) => {
+    const role = exp.company || exp.role || `entry ${i + 1}`;
+    const current = CURRENT_ROLE_PATTERN.test(exp.duration || '');
+    (Array.isArray(exp.bullets) ? exp.bullets : []).forEach((bullet, j) => {
+      if (typeof bullet === 'string' && bullet.trim()) {
+        const item = { path: `experience[${i}].bullets[${j}]`, text: bullet, label: `bullet ${j + 1} in ${role} role`, current };
+        texts.push(item);
+        bullets.push(item);
+      }
+    });
+  });
+  (Array.isArray(resumeContent.additionalSections) ? resumeContent.additionalSections : []).forEach((section, i) => {
+    (Array.isArray(section.items) ? section.items : []).forEach((item, j) => {
+      if (typeof item === 'string' && item.trim()) {
+        texts.push({ path: `additionalSections[${i}].items[${j}]`, text: item });
+      }
+    });
+  });
+
+  return { texts, bullets };
+}
+
+/**
+ * Checks past roles for present tense and the current role for past tense
+ * @param {Array<Object>} bullets - Bullets from collectTexts
+ * @returns {Array<Object>} - Findings
+ */
+function checkTense(bullets) {
+  const findings = [];
+  bullets.forEach(({ path, text, label, current }) => {
+    const word = firstWord(text);
+    const tense = verbTense(word);
+    if (!current && tense === 'present') {
+      findings.push({ rule: 'tense', severity: 'warning', path, text, message: `${label}: "${word}" is present tense; describe past roles in past tense` });
+    } else if (current && tense === 'past') {
+      // Finished achievements in the current role may read fine in past tense
+      findings.push({ rule: 'tense', severity: 'info', path, text, message: `${label}: "${word}" is past tense; describe the current role in present tense` });
+    }
+  });
+  return findings;
+}
+
+/**
+ * Checks prose for passive voice, first-person pronouns and buzzwords
+ * @param {Array<Object>} texts - Prose from collectTexts
+ * @returns {Array<Object>} - Findings
+ */
+function checkWording(texts) {
+  const findings = [];
+  texts.forEach(({ path, text }) => {
+    const passive = text.match(PASSIVE_PATTERN);
+    if (passive) {
+      findings.push({ rule: 'passiveVoice', severity: 'warning', path, text, message: `"${passive[0]}" is passive voice; start with what you did` });
+    }
+
+    const pronouns = [...new Set((text.match(FIRST_PERSON_PATTERN) || []).filter(word => word !== 'US'))];
+    if (pronouns.length > 0) {
+      findings.push({ rule: 'firstPerson', severity: 'warning', path, text, message: `uses first-person ${pronouns.map(word => `"${word}"`).join(', ')}; resumes leave out the pronoun` });
+    }
+
+    BUZZWORD_PATTERNS.forEach(({ phrase, pattern }) => {
+      if (pattern.test(text)) {
+        findings.push({ rule: 'buzzword', severity: 'info', path, text, message: `"${phrase}" is an overused buzzword; show it with a concrete result instead` });
+      }
+    });
+  });
+  return findings;
+}
+
+/**
+ * Checks for bullets opening with the same verb, and for long bullets
+ * @param {Array<Object>} bullets - Bullets from collectTexts
+ * @returns {Array<Object>} - Findings
+ */
+function checkBullets(bullets) {
+  const findings = [];
+  const openers = new Map();
+  bullets.forEach((bullet) => {
+    const word = firstWord(bullet.text);
+    if (word) {
+      openers.set(word, [...(openers.get(word) || []), bullet]);
+    }
+  });
+
+  // The first bullet with a verb is fine; each later one is flagged
+  openers.forEach((group, word) => {
+    group.slice(1).forEach(({ path, text, label }) => {
+      findings.push({
+        rule: 'repeatedOpener',
+        severity: group.length >= 3 ? 'warning' : 'info',
+        path,
+        text,
+        message: `${label}: "${word}" also opens ${group[0].label} (${group.length} bullets in total); vary the opening verbs`,
+      });
+    });
+  });
+
+  bullets.forEach(({ path, text, label }) => {
+    const words = text.trim().split(/\s+/).length;
+    if (words > MAX_BULLET_WORDS) {
+      findings.push({ rule: 'longBullet', severity: 'warning', path, text, message: `${label}: ${words} words; keep bullets under ${MAX_BULLET_WORDS}` });
+    }
+  });
+  return findings;
+}
+
+/**
+ * Checks that experience and education dates share one format. Plain years
+ * in education ("2018") are normal next to month dates in experience, so only
+ * education dates with a month are compared.
+ * @param {Object} resumeContent - Resume content
+ * @returns {Array<Object>} - Findings
+ */
+function checkDates(resumeContent) {
+  const entries = [];
+  (Array.isArray(resumeContent.experience) ? resumeContent.experience : []).forEach((exp, i) => {
+    entries.push({ path: `experience[${i}].duration`, text: exp.duration, plainYears: true });
+  });
+  (Array.isArray(resumeContent.education) ? resumeContent.education : []).forEach((edu, i) => {
+    entries.push({ path: `education[${i}].year`, text: edu.year, plainYears: false });
+  });
+
+  const dated = entries
+    .filter(entry => typeof entry.text === 'string')
+    .map(entry => ({
+      ...entry,
+      formats: (entry.text.match(DATE_PATTERN) || [])
+        .map(dateFormat)
+        .filter(format => format && (entry.plainYears || format !== 'YYYY')),
+    }))
+    .filter(entry => entry.formats.length > 0);
+
+  // The most used format is taken as the intended one; ties go to the first seen
+  const usage = new Map();
+  dated.forEach(entry => entry.formats.forEach(format => usage.set(format, (usage.get(format) || 0) + 1)));
+  if (usage.size < 2) {
+    return [];
+  }
+  const [expected] = [...usage.entries()].reduce((best, current) => (current[1] > best[1] ? current : best));
+
+  return dated
+    .filter(entry => entry.formats.some(format => format !== expected))
+    .map(entry => ({
+      rule: 'dateFormat',
+      severity: 'warning',
+      path: entry.path,
+      text: entry.text,
+      message: `"${entry.text}" uses ${[...new Set(entry.formats.filter(format => format !== expected))].join(', ')}; the other dates use ${expected}`,
+    }));
+}
+
+/**
+ * Lints the writing of a resume
+ * @param {Object} resumeContent - Resume content (as from generateResumeContent or importResume)
+ * @returns {{findings: Array<Object>, counts: Object<string, number>}} - Findings as {rule, severity, path,
+ *   text, message}, and the number of findings per rule
+ * @throws {Error} If resumeContent is not an object
+ *
+ * @example
+ * const { findings } = lintResume(resume);
+ * findings.filter(f => f.severity === 'warning').forEach(f => console.log(f.path, f.message));
+ */
+function lintResume(resumeContent) {
+  if (!resumeContent || typeof resumeContent !== 'object' || Array.isArray(resumeContent)) {
+    throw new Error('resumeContent must be a valid object');
+  }
+
+  const { texts, bullets } = collectTexts(resumeContent);
+  const findings = [
+    ...checkTense(bullets),
+    ...checkWording(texts),
+    ...checkBullets(bullets),
+    ...checkDates(resumeContent),
+  ];
+  const counts = findings.reduce((totals, finding) => ({ ...totals, [finding.rule]: (totals[finding.rule] || 0) + 1 }), {});
+
+  return { findings, counts };
+}
+
+module.exports = {
+  MAX_BULLET_WORDS,
+  lintResume,
+};
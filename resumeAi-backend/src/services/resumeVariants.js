@@ -0,0 +1,107 @@
+const { generateResumeContent, RESUME_EMPHASES } = require('./resumeGenerator');
+const { scoreResume } = require('./atsScorer');
+const { analyzeSkillsGap } = require('./skillsGapAnalyzer');
+
+/**
+ * Fewest and most variants per request
+ * @type {{min: number, max: number}}
+ */
+const VARIANT_LIMITS = { min: 2, max: Object.keys(RESUME_EMPHASES).length };
+
+/**
+ * Variants generated when the caller only gives a count
+ * @type {number}
+ */
+const DEFAULT_VARIANT_COUNT = 3;
+
+/**
+ * Resolves which emphases to generate from a count or an explicit list
+ * @param {number|Array<string>|boolean} variants - Number of variants, list of emphases, or true for the default
+ * @returns {Array<string>} - Emphases, in generation order
+ * @throws {Error} If the count or list is invalid
+ */
+function resolveEmphases(variants) {
+  const emphases = Object.keys(RESUME_EMPHASES);
+
+  if (variants === true) {
+    return emphases.slice(0, DEFAULT_VARIANT_COUNT);
+  }
+
+  if (Array.isArray(variants)) {
+    if (variants.length < VARIANT_LIMITS.min || variants.length > VARIANT_LIMITS.max
+      || new Set(variants).size !== variants.length || variants.some(emphasis => !RESUME_EMPHASES[emphasis])) {
+      throw new Error(`variants must be ${VARIANT_LIMITS.min}-${VARIANT_LIMITS.max} distinct values from: ${emphases.join(', ')}`);
+    }
+    return variants;
+  }
+
+  const count = Number(variants);
+  if (!Number.isInteger(count) || count < VARIANT_LIMITS.min || count > VARIANT_LIMITS.max) {
+    throw new Error(`variants must be a number from ${VARIANT_LIMITS.min} to ${VARIANT_LIMITS.max} or a list of emphases`);
+  }
+  return emphases.slice(0, count);
+}
+
+/**
+ * Generates several versions of a resume with different emphasis, scores each
+ * one and ranks them: highest ATS score first, then best skills match, then
+ * fewest invented claims
+ * @param {Object} jobAnalysis - The job analysis object from analyzeJobPosting
+ * @param {Object} userAnswers - User's answers to questions
+ * @param {Object} [options] - Options
+ * @param {number|Array<string>|boolean} [options.variants=true] - How many variants (2-4), which emphases
+ *   (keys of RESUME_EMPHASES), or true for the default three
+ * @param {string} [options.mode] - Generation mode, passed to generateResumeContent
+ * @param {Object} [options.sourceResume] - Source resume, passed to generateResumeContent
+ * @param {Object} [options.profile] - Career profile, passed to generateResumeContent
+ * @param {string} [options.scoringProfile] - ATS scoring profile, passed to scoreResume
+ * @returns {Promise<Array<Object>>} - Ranked variants: {rank, emphasis, resume, provenance, grounding,
+ *   score, skillsGap, breakdown}, where breakdown holds the figures the ranking compares
+ * @throws {Error} If the options are invalid or any generation fails
+ *
+ * @example
+ * const [best, ...others] = await generateResumeVariants(jobAnalysis, userAnswers, { variants: ['leadership', 'keyword-max'] });
+ */
+async function generateResumeVariants(jobAnalysis, userAnswers, options = {}) {
+  const { variants = true, mode, sourceResume, profile, scoringProfile } = options;
+  const emphases = resolveEmphases(variants);
+
+  const generated = await Promise.all(emphases.map(emphasis => (
+    generateResumeContent(jobAnalysis, userAnswers, { mode, sourceResume, profile, emphasis })
+  )));
+
+  const scored = generated.map(({ resume, provenance, grounding }, i) => {
+    const score = scoreResume(resume, jobAnalysis, { scoringProfile, yearsOfExperience: userAnswers.years_of_experience });
+    const skillsGap = analyzeSkillsGap(jobAnalysis, resume, userAnswers);
+    return {
+      emphasis: emphases[i],
+      resume,
+      provenance,
+      grounding,
+      score,
+      skillsGap,
+      breakdown: {
+        overallScore: score.overallScore,
+        keywordMatchScore: score.keywordMatchScore,
+        skillsCoverageScore: score.skillsCoverageScore,
+        contentQualityScore: score.contentQualityScore,
+        skillsMatchPercentage: skillsGap.overallMatchPercentage,
+        missingKeywords: score.missingKeywords.length,
+        missingSkills: skillsGap.skills.missing.length,
+        inventedClaims: provenance.counts.invented,
+      },
+    };
+  });
+
+  return scored
+    .sort((a, b) => (
+      b.breakdown.overallScore - a.breakdown.overallScore
+      || b.breakdown.skillsMatchPercentage - a.breakdown.skillsMatchPercentage
+      || a.breakdown.inventedClaims - b.breakdown.inventedClaims
+    ))
+    .map((variant, i) => ({ rank: i + 1, ...variant }));
+}
+
+module.exports = {
+  generateResumeVariants,
+};
@@ -0,0 +1,272 @@
+/**
+ * Retry Policy Service
+ * Timeout, retry with exponential backoff and jitter, Retry-After handling and a
+ * per-provider circuit breaker for upstream LLM requests.
+ *
+ * Tunable through environment variables:
+ * - LLM_TIMEOUT_MS (default 30000)
+ * - LLM_MAX_RETRIES (default 3)
+ * - LLM_BACKOFF_BASE_MS (default 500)
+ * - LLM_BACKOFF_MAX_MS (default 8000)
+ * - LLM_RETRY_AFTER_MAX_MS (default 20000) - longer Retry-After values fail fast
+ * - LLM_CIRCUIT_THRESHOLD (default 5) - consecutive failed calls before the circuit opens
+ * - LLM_CIRCUIT_COOLDOWN_MS (default 30000)
+ */
+
+/**
+ * HTTP statuses worth retrying
+ * @type {Array<number>}
+ */
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Network error codes worth retrying
+ * @type {Array<string>}
+ */
+const RETRYABLE_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
+
+/**
+ * Circuit breaker state per provider
+ * @type {Map<string, {failures: number, openedAt: number|null, halfOpen: boolean}>}
+ */
+const circuits = new Map();
+
+/**
+ * Reads a non-negative integer from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Default value
+ * @returns {number}
+ */
+function readIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Returns the retry policy from the environment
+ * @returns {Object} - Policy settings
+ */
+function getRetryPolicy() {
+  return {
+    timeoutMs: readIntEnv('LLM_TIMEOUT_MS', 30000),
+    maxRetries: readIntEnv('LLM_MAX_RETRIES', 3),
+    backoffBaseMs: readIntEnv('LLM_BACKOFF_BASE_MS', 500),
+    backoffMaxMs: readIntEnv('LLM_BACKOFF_MAX_MS', 8000),
+    retryAfterMaxMs: readIntEnv('LLM_RETRY_AFTER_MAX_MS', 20000),
+    circuitThreshold: readIntEnv('LLM_CIRCUIT_THRESHOLD', 5),
+    circuitCooldownMs: readIntEnv('LLM_CIRCUIT_COOLDOWN_MS', 30000),
+  };
+}
+
+/**
+ * Checks whether an error from an upstream request should be retried
+ * @param {Error} error - The error thrown by axios
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  if (error.response) {
+    return RETRYABLE_STATUSES.includes(error.response.status);
+  }
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+/**
+ * Parses a Retry-After header (delta seconds or an HTTP date)
+ * @param {Object} error - The error thrown by axios
+ * @returns {number|null} - Delay in milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(error) {
+  const header = error.response?.headers?.['retry-after'];
+  if (header === undefined || header === null || header === '') {
+    return null;
+  }
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Computes an exponential backoff delay with full jitter
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Object} policy - Retry policy
+ * @returns {number} - Delay in milliseconds
+ */
+function backoffDelay(attempt, policy) {
+  const ceiling = Math.min(policy.backoffMaxMs, policy.backoffBaseMs * Math.pow(2, attempt));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Sleeps for the given number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Returns (creating if needed) the circuit for a provider
+ * @param {string} key - Provider name
+ * @returns {Object} - Circuit state
+ */
+function getCircuit(key) {
+  if (!circuits.has(key)) {
+    circuits.set(key, { failures: 0, openedAt: null, halfOpen: false });
+  }
+  return circuits.get(key);
+}
+
+/**
+ * Throws if the circuit for a provider is open. Moves it to half-open once
+ * the cooldown has passed so a single trial request can go through.
+ * @param {string} key - Provider name
+ * @param {string} label - Provider label for error messages
+ * @param {Object} policy - Retry policy
+ * @throws {Error} With status 503 while the circuit is open
+ */
+function checkCircuit(key, label, policy) {
+  const circuit = getCircuit(key);
+  if (circuit.openedAt === null) {
+    return;
+  }
+
+  const elapsed = Date.now() - circuit.openedAt;
+  if (elapsed >= policy.circuitCooldownMs && !circuit.halfOpen) {
+    circuit.halfOpen = true;
+    return;
+  }
+
+  const retryAfterMs = Math.max(0, policy.circuitCooldownMs - elapsed);
+  const error = new Error(`${label} API error: upstream unavailable, circuit breaker open after repeated failures (status: 503)`);
+  error.status = 503;
+  error.retryAfter = Math.ceil(retryAfterMs / 1000);
+  throw error;
+}
+
+/**
+ * Records the outcome of a call against a provider's circuit
+ * @param {string} key - Provider name
+ * @param {boolean} success - Whether the call succeeded
+ * @param {Object} policy - Retry policy
+ */
+function recordOutcome(key, success, policy) {
+  const circuit = getCircuit(key);
+
+  if (success) {
+    circuit.failures = 0;
+    circuit.openedAt = null;
+    circuit.halfOpen = false;
+    return;
+  }
+
+  circuit.failures++;
+  if (circuit.halfOpen || (policy.circuitThreshold > 0 && circuit.failures >= policy.circuitThreshold)) {
+    circuit.openedAt = Date.now();
+    circuit.halfOpen = false;
+  }
+}
+
+/**
+ * Runs an upstream request under the retry policy
+ * @param {Function} request - Receives {timeout} and returns a promise
+ * @param {Object} options - Options
+ * @param {string} options.key - Circuit key (provider name)
+ * @param {string} options.label - Provider label for error messages
+ * @returns {Promise<*>} - The request's result
+ * @throws {Error} The last upstream error, annotated with `attempts` and, for
+ *   Retry-After responses, `retryAfter` (seconds)
+ */
+async function withRetry(request, { key, label }) {
+  const policy = getRetryPolicy();
+  checkCircuit(key, label, policy);
+
+  let attempt = 0;
+  for (;;) {
+    try {
+      const result = await request({ timeout: policy.timeoutMs });
+      recordOutcome(key, true, policy);
+      return result;
+    } catch (error) {
+      error.attempts = attempt + 1;
+
+      const retryAfterMs = parseRetryAfter(error);
+      if (retryAfterMs !== null) {
+        error.retryAfter = Math.ceil(retryAfterMs / 1000);
+      }
+
+      // A 400 or 401 is our fault, and it proves the upstream is reachable
+      if (!isRetryable(error)) {
+        recordOutcome(key, true, policy);
+        throw error;
+      }
+
+      const retryAfterTooLong = retryAfterMs !== null && retryAfterMs > policy.retryAfterMaxMs;
+      if (attempt >= policy.maxRetries || retryAfterTooLong) {
+        recordOutcome(key, false, policy);
+        throw error;
+      }
+
+      const delay = retryAfterMs !== null ? retryAfterMs : backoffDelay(attempt, policy);
+      console.warn(`⚠️  ${label} request failed (${error.response?.status || error.code}), retrying in ${delay}ms (attempt ${attempt + 2}/${policy.maxRetries + 1})`);
+      await sleep(delay);
+      attempt++;
+    }
+  }
+}
+
+/**
+ * Converts an upstream error into a client-facing error with an HTTP status:
+ * 429 when the provider is rate limiting us, 503 when it is down or timing out.
+ * Errors that are not upstream availability problems are returned unchanged.
+ * @param {Error} error - The error from withRetry
+ * @param {string} label - Provider label
+ * @returns {Error}
+ */
+function toUpstreamError(error, label) {
+  // Already converted (e.g. circuit open). Axios errors also carry `status`, so skip those.
+  if (!error.isAxiosError && (error.status === 429 || error.status === 503)) {
+    return error;
+  }
+
+  const upstreamStatus = error.response?.status;
+  const attempts = error.attempts || 1;
+  let upstreamError = null;
+
+  if (upstreamStatus === 429) {
+    upstreamError = new Error(`${label} API error: upstream rate limited, gave up after ${attempts} attempt(s) (status: 429)`);
+    upstreamError.status = 429;
+  } else if (upstreamStatus && upstreamStatus >= 500) {
+    upstreamError = new Error(`${label} API error: upstream unavailable, gave up after ${attempts} attempt(s) (status: ${upstreamStatus})`);
+    upstreamError.status = 503;
+  } else if (!error.response && RETRYABLE_CODES.includes(error.code)) {
+    const reason = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' ? 'timed out' : 'unreachable';
+    upstreamError = new Error(`${label} API error: upstream ${reason} (${error.code}), gave up after ${attempts} attempt(s)`);
+    upstreamError.status = 503;
+  }
+
+  if (!upstreamError) {
+    return error;
+  }
+
+  upstreamError.upstreamStatus = upstreamStatus || null;
+  if (error.retryAfter !== undefined) {
+    upstreamError.retryAfter = error.retryAfter;
+  }
+  return upstreamError;
+}
+
+module.exports = {
+  getRetryPolicy,
+  withRetry,
+  toUpstreamError,
+};
@@ -0,0 +1,288 @@
+require('dotenv').config();
+const { generateStructured } = require('./structuredOutput');
+const { resumeSectionSchemas } = require('./outputSchemas');
+const { verifyResume } = require('./groundingVerifier');
+
+/**
+ * Target forms accepted by parseTarget, for error messages
+ * @type {Array<string>}
+ */
+const TARGET_FORMS = ['summary', 'skills', 'experience[i]', 'experience[i].bullets[j]'];
+
+/**
+ * Parses a regeneration target such as 'summary', 'experience[1]' or 'experience[0].bullets[2]'
+ * @param {string} target - Target path
+ * @returns {{kind: string, path: string, index?: number, bulletIndex?: number}} - Parsed target, where
+ *   kind is 'summary', 'skills', 'experience' or 'bullet'
+ * @throws {Error} If the target is not one of the supported forms
+ */
+function parseTarget(target) {
+  const value = typeof target === 'string' ? target.replace(/\s+/g, '') : '';
+
+  if (value === 'summary' || value === 'skills') {
+    return { kind: value, path: value };
+  }
+
+  const match = value.match(/^experience\[(\d+)\](?:\.bullets\[(\d+)\])?$/);
+  if (match) {
+    const index = parseInt(match[1], 10);
+    if (match[2] === undefined) {
+      return { kind: 'experience', path: `experience[${index}]`, index };
+    }
+    const bulletIndex = parseInt(match[2], 10);
+    return { kind: 'bullet', path: `experience[${index}].bullets[${bulletIndex}]`, index, bulletIndex };
+  }
+
+  throw new Error(`target must be one of: ${TARGET_FORMS.join(', ')}`);
+}
+
+/**
+ * Reads the current content at a target
+ * @param {Object} resume - Resume content
+ * @param {Object} target - Parsed target
+ * @returns {*} - Current content
+ * @throws {Error} If the target does not exist in the resume
+ */
+function readTarget(resume, target) {
+  if (target.kind === 'summary') {
+    return resume.summary || '';
+  }
+  if (target.kind === 'skills') {
+    return resume.skills || {};
+  }
+
+  const job = (resume.experience || [])[target.index];
+  if (!job) {
+    throw new Error(`target ${target.path} does not exist: the resume has ${(resume.experience || []).length} experience entries`);
+  }
+  if (target.kind === 'experience') {
+    return job;
+  }
+
+  const bullet = (job.bullets || [])[target.bulletIndex];
+  if (bullet === undefined) {
+    throw new Error(`target ${target.path} does not exist: experience[${target.index}] has ${(job.bullets || []).length} bullets`);
+  }
+  return bullet;
+}
+
+/**
+ * Returns a copy of the resume with new content at a target
+ * @param {Object} resume - Resume content
+ * @param {Object} target - Parsed target
+ * @param {*} content - New content
+ * @returns {Object} - Updated resume
+ */
+function writeTarget(resume, target, content) {
+  if (target.kind === 'summary' || target.kind === 'skills') {
+    return { ...resume, [target.kind]: content };
+  }
+
+  const experience = resume.experience.map((job, i) => {
+    if (i !== target.index) {
+      return job;
+    }
+    if (target.kind === 'experience') {
+      return content;
+    }
+    return { ...job, bullets: job.bullets.map((bullet, b) => (b === target.bulletIndex ? content : bullet)) };
+  });
+  return { ...resume, experience };
+}
+
+/**
+ * Describes the JSON the model must return for a target kind
+ * @type {Object<string, string>}
+ */
+const RESPONSE_SHAPES = {
+  summary: '{ "summary": "2-3 sentence professional summary" }',
+  experience: '{ "experience": { "company": "...", "role": "...", "duration": "...", "bullets": ["...", "..."] } }',
+  bullet: '{ "bullet": "One experience bullet" }',
+  skills: '{ "skills": { "languages": [], "frameworks": [], "databases": [], "cloud": [], "tools": [] } }',
+};
+
+/**
+ * Checks regenerated grounded content against the candidate's sources. Rejected
+ * sentences and bullets are dropped; if nothing survives, the previous content is kept.
+ * @param {Object} resume - Resume before regeneration
+ * @param {Object} target - Parsed target
+ * @param {*} content - Regenerated content
+ * @param {Object} sources - {answers, sourceResume, profile}
+ * @returns {{content: *, flagged: Array<Object>}} - Content to use and the verifier's flags, with
+ *   paths pointing into the full resume
+ */
+function verifyRegenerated(resume, target, content, sources) {
+  if (target.kind === 'skills') {
+    return { content, flagged: [] };
+  }
+
+  // Verify the new content on its own, then point the flags at its real location
+  let fragment;
+  let rebase;
+  if (target.kind === 'summary') {
+    fragment = { summary: content };
+    rebase = path => path;
+  } else if (target.kind === 'experience') {
+    fragment = { experience: [content] };
+    rebase = path => path.replace(/^experience\[0\]/, `experience[${target.index}]`);
+  } else {
+    fragment = { experience: [{ ...resume.experience[target.index], bullets: [content] }] };
+    rebase = path => path.replace(/^experience\[0\]\.bullets\[0\]/, target.path).replace(/^experience\[0\]/, `experience[${target.index}]`);
+  }
+
+  const verification = verifyResume(fragment, sources, { strip: true });
+  // Only the target was rewritten, so flags on the locked company, role or dates around it do not apply,
+  // nor do flags on a rewritten entry's dates, which are put back as they were
+  const flagged = verification.flagged
+    .map(flag => ({ ...flag, path: rebase(flag.path) }))
+    .filter(flag => (flag.path === target.path || flag.path.startsWith(`${target.path}.`)) && flag.path !== `${target.path}.duration`);
+  const previous = readTarget(resume, target);
+
+  if (target.kind === 'summary') {
+    return { content: verification.resume.summary || previous, flagged };
+  }
+  if (target.kind === 'bullet') {
+    const kept = verification.resume.experience[0] && verification.resume.experience[0].bullets[0];
+    return { content: kept || previous, flagged };
+  }
+  const job = verification.resume.experience[0];
+  return { content: job && job.bullets.length > 0 ? { ...job, company: previous.company, duration: previous.duration } : previous, flagged };
+}
+
+/**
+ * Rewrites one part of a resume (the summary, the skills, one experience entry or
+ * one bullet) and leaves everything else exactly as it was
+ * @param {Object} resume - Resume content ({summary, experience, skills, education, additionalSections})
+ * @param {string} target - 'summary', 'skills', 'experience[i]' or 'experience[i].bullets[j]'
+ * @param {Object} context - Generation context
+ * @param {Object} context.jobAnalysis - The job analysis the resume targets
+ * @param {Object} [context.answers] - The candidate's answers
+ * @param {string} [context.guidance] - What to change (e.g. "emphasize the migration to Kubernetes")
+ * @param {boolean} [context.grounded=false] - Apply grounded mode's truthfulness rules and verifier
+ * @param {Object} [context.sourceResume] - Source resume for grounded mode
+ * @param {Object} [context.profile] - Career profile entries (as laid out by profileToResume)
+ * @returns {Promise<Object>} - {resume, target, previous, updated, flagged}: the updated resume, the
+ *   normalized target path, the content before and after, and grounded mode's verifier flags
+ * @throws {Error} If the target is invalid or missing, or the API call fails
+ *
+ * @example
+ * const { resume, updated } = await regenerateSection(resumeContent, 'experience[0].bullets[2]', {
+ *   jobAnalysis,
+ *   answers,
+ *   guidance: 'Mention the Kafka migration',
+ * });
+ */
+async function regenerateSection(resume, target, context = {}) {
+  const { jobAnalysis, answers = {}, guidance = '', grounded = false, sourceResume = null, profile = null } = context;
+
+  if (!resume || typeof resume !== 'object') {
+    throw new Error('resume must be a valid object');
+  }
+
+  if (!jobAnalysis || typeof jobAnalysis !== 'object' || !Array.isArray(jobAnalysis.requiredSkills)) {
+    throw new Error('jobAnalysis must be a valid object');
+  }
+
+  if (typeof guidance !== 'string') {
+    throw new Error('guidance must be a string');
+  }
+
+  const parsed = parseTarget(target);
+  const previous = readTarget(resume, parsed);
+
+  const topAtsKeywords = [...(jobAnalysis.atsKeywords || [])]
+    .sort((a, b) => b.frequency - a.frequency)
+    .slice(0, 15)
+    .map(kw => kw.keyword)
+    .join(', ');
+
+  const lockedRules = parsed.kind === 'experience'
+    ? '\n- Keep the company and duration exactly as they are; rewrite the role wording and bullets only.'
+    : '';
+  const truthRules = grounded
+    ? `
+TRUTHFULNESS RULES (these override every other instruction):
+- Use only employers, titles, dates and numbers found in the candidate information, career profile or the current resume.
+- Never add a metric that is not in the candidate information. Describe scope in words instead.`
+    : '';
+
+  const systemPrompt = `You are an expert resume writer and ATS optimization specialist. You are editing ONE part of an existing resume. Everything else in the resume is locked and must not change; it is shown only for context.
+
+RULES:
+- Rewrite only the target and return only the target.
+- Start experience bullets with a strong action verb and use the job's keywords where the candidate's experience supports them.
+- Do not repeat content that already appears elsewhere in the resume.
+- Follow the candidate's guidance when given.${lockedRules}
+${truthRules}
+Return ONLY valid JSON without any markdown formatting or code blocks.`;
+
+  const userPrompt = `Rewrite one part of this resume for the following job.
+
+JOB REQUIREMENTS:
+- Required Skills: ${jobAnalysis.requiredSkills.join(', ')}
+- Key Responsibilities: ${(jobAnalysis.keyResponsibilities || []).join('; ')}
+- Top ATS Keywords: ${topAtsKeywords}
+- Job Level: ${jobAnalysis.jobLevel || 'mid'}
+- Industry: ${jobAnalysis.industry || ''}
+
+CANDIDATE INFORMATION:
+${JSON.stringify(answers, null, 2)}
+${profile ? `
+CAREER PROFILE:
+${JSON.stringify(profile, null, 2)}
+` : ''}
+CURRENT RESUME (locked except for the target):
+${JSON.stringify(resume, null, 2)}
+
+TARGET: ${parsed.path}
+CURRENT CONTENT:
+${JSON.stringify(previous, null, 2)}
+
+GUIDANCE: ${guidance.trim() || 'None. Make it stronger and better aligned with the job.'}
+
+Return ONLY a JSON object with this structure:
+${RESPONSE_SHAPES[parsed.kind]}`;
+
+  try {
+    const generated = await generateStructured({
+      service: 'sectionRegenerator',
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt },
+      ],
+      schema: resumeSectionSchemas[parsed.kind],
+      label: `resume ${parsed.kind}`,
+      maxTokens: parsed.kind === 'bullet' ? 500 : 1500,
+      temperature: grounded ? 0.2 : 0.5,
+    });
+
+    let updated = generated[parsed.kind];
+    if (parsed.kind === 'experience') {
+      updated = { ...updated, company: previous.company, duration: previous.duration };
+    }
+
+    let flagged = [];
+    if (grounded) {
+      ({ content: updated, flagged } = verifyRegenerated(resume, parsed, updated, { answers, sourceResume, profile }));
+    }
+
+    return {
+      resume: writeTarget(resume, parsed, updated),
+      target: parsed.path,
+      previous,
+      updated,
+      flagged,
+    };
+  } catch (error) {
+    // Provider, configuration and invalid-output errors are already descriptive
+    if (error.status || error.message.includes('API error') || error.message.includes('environment variable')) {
+      throw error;
+    }
+    throw new Error(`Error regenerating ${parsed.path}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  parseTarget,
+  regenerateSection,
+};
@@ -0,0 +1,44 @@
+/**
+ * Skill Catalog
+ * Known skills grouped by the resume skill categories that documentExporter and
+ * atsScorer read (languages, frameworks, databases, cloud, tools).
+ */
+
+/**
+ * Known skills by resume skill category, used to pick skills out of free text
+ * @type {Object<string, Array<string>>}
+ */
+const SKILL_CATALOG = {
+  languages: ['JavaScript', 'TypeScript', 'Python', 'Java', 'C#', 'C++', 'Go', 'Golang', 'Rust', 'Ruby', 'PHP', 'Kotlin', 'Swift', 'Scala', 'SQL', 'R', 'HTML', 'CSS'],
+  frameworks: ['React', 'React.js', 'Angular', 'Vue', 'Next.js', 'Node.js', 'Express', 'NestJS', 'Django', 'Flask', 'FastAPI', 'Spring', 'Spring Boot', '.NET', 'Rails', 'GraphQL', 'REST', 'RESTful APIs', 'TensorFlow', 'PyTorch', 'pandas'],
+  databases: ['PostgreSQL', 'MySQL', 'MongoDB', 'Redis', 'DynamoDB', 'Cassandra', 'SQLite', 'Elasticsearch', 'Oracle', 'Snowflake'],
+  cloud: ['AWS', 'Azure', 'GCP', 'Google Cloud', 'Docker', 'Kubernetes', 'Terraform', 'CI/CD', 'Jenkins', 'GitHub Actions', 'Serverless', 'Microservices'],
+  tools: ['Git', 'Jira', 'Webpack', 'Jest', 'Postman', 'Figma', 'Tableau', 'Power BI', 'Excel', 'Google Analytics', 'Google Ads', 'Facebook Ads', 'HubSpot', 'Marketo', 'Salesforce', 'WordPress', 'Mailchimp', 'SEO', 'SEM', 'Agile', 'Scrum'],
+};
+
+/**
+ * Resume skill categories in display order
+ * @type {Array<string>}
+ */
+const SKILL_CATEGORIES = Object.keys(SKILL_CATALOG);
+
+/**
+ * Finds the skill catalog category for a skill (case-insensitive)
+ * @param {string} skill - Skill name
+ * @returns {string|null} - Category key, or null for skills not in the catalog
+ */
+function categorizeSkill(skill) {
+  const lower = String(skill).toLowerCase();
+  for (const [category, skills] of Object.entries(SKILL_CATALOG)) {
+    if (skills.some(s => s.toLowerCase() === lower)) {
+      return category;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  SKILL_CATALOG,
+  SKILL_CATEGORIES,
+  categorizeSkill,
+};
@@ -4,12 +4,15 @@
  * Provides recommendations for missing skills
  */
 
+const { RELATED_SKILLS, SYNONYMS } = require('../config/skillSynonyms');
+const { analyzeTimeline } = require('./employmentTimeline');
+
 /**
  * Analyzes skills gap between job requirements and resume content
  * @param {Object} jobAnalysis - The job analysis object from analyzeJobPosting
  * @param {Object} resumeContent - The generated resume content
  * @param {Object} userAnswers - User's answers from the questionnaire
- * @returns {Object} Skills gap analysis with matched, missing, and recommendations
+ * @returns {Object} Skills gap analysis with matched, missing, the employment timeline, and recommendations
  */
 function analyzeSkillsGap(jobAnalysis, resumeContent, userAnswers) {
     if (!jobAnalysis || typeof jobAnalysis !== 'object') {
@@ -111,12 +114,16 @@ function analyzeSkillsGap(jobAnalysis, resumeContent, userAnswers) {
         (skillMatchPercentage * 0.7) + (qualMatchPercentage * 0.3)
     );
 
+    // Check the employment timeline against the stated years of experience
+    const timeline = analyzeTimeline(resumeContent, {
+        yearsOfExperience: (userAnswers || {}).years_of_experience || (userAnswers || {}).yearsOfExperience,
+    });
+
     // Generate overall recommendations
-    const overallRecommendations = generateOverallRecommendations(
-        missingSkills,
-        missingQualifications,
-        jobAnalysis
-    );
+    const overallRecommendations = [
+        ...generateOverallRecommendations(missingSkills, missingQualifications, jobAnalysis),
+        ...generateTimelineRecommendations(timeline),
+    ];
 
     return {
         skills: {
@@ -130,45 +137,24 @@ function analyzeSkillsGap(jobAnalysis, resumeContent, userAnswers) {
             matchPercentage: qualMatchPercentage,
         },
         overallMatchPercentage,
+        timeline,
         recommendations: overallRecommendations,
         summary: generateSummary(matchedSkills.length, missingSkills.length, overallMatchPercentage),
     };
 }
 
+/**
+ * Groups of related skills: each synonym group from src/config/skillSynonyms.js
+ * together with the broader family under the same key
+ */
+const RELATED_SKILL_GROUPS = [...new Set([...Object.keys(SYNONYMS), ...Object.keys(RELATED_SKILLS)])]
+    .map(key => [key, ...(SYNONYMS[key] || []), ...(RELATED_SKILLS[key] || [])]);
+
 /**
  * Check if two skills are related (e.g., React and React.js)
  */
 function areRelatedSkills(skill1, skill2) {
-    const relatedSkillsMap = {
-        'react': ['reactjs', 'react.js', 'react native', 'reactnative'],
-        'node': ['nodejs', 'node.js'],
-        'javascript': ['js', 'es6', 'es2015', 'ecmascript'],
-        'typescript': ['ts'],
-        'python': ['py', 'python3'],
-        'postgresql': ['postgres', 'psql'],
-        'mongodb': ['mongo'],
-        'kubernetes': ['k8s'],
-        'docker': ['containers', 'containerization'],
-        'aws': ['amazon web services', 'amazon-web-services'],
-        'gcp': ['google cloud', 'google cloud platform'],
-        'azure': ['microsoft azure'],
-        'ci/cd': ['cicd', 'continuous integration', 'continuous deployment'],
-        'rest': ['restful', 'rest api', 'restful api'],
-        'graphql': ['gql'],
-        'sql': ['mysql', 'postgresql', 'sqlite', 'mssql'],
-        'nosql': ['mongodb', 'dynamodb', 'cassandra'],
-        'git': ['github', 'gitlab', 'bitbucket'],
-        'agile': ['scrum', 'kanban'],
-    };
-
-    for (const [key, related] of Object.entries(relatedSkillsMap)) {
-        const allVariants = [key, ...related];
-        if (allVariants.includes(skill1) && allVariants.includes(skill2)) {
-            return true;
-        }
-    }
-
-    return false;
+    return RELATED_SKILL_GROUPS.some(group => group.includes(skill1) && group.includes(skill2));
 }
 
 /**
@@ -310,6 +296,29 @@ function generateOverallRecommendations(missingSkills, missingQualifications, jo
     return recommendations;
 }
 
+/**
+ * Generate recommendations from the employment timeline: dates an ATS cannot
+ * read or that contradict each other come first, then gaps recruiters ask about
+ */
+function generateTimelineRecommendations(timeline) {
+    const priorities = {
+        unparsed_date: 'high',
+        invalid_range: 'high',
+        future_date: 'high',
+        tenure_mismatch: 'high',
+        overlap: 'medium',
+        gap: 'medium',
+    };
+
+    return timeline.findings.map(finding => ({
+        priority: priorities[finding.type],
+        type: 'timeline',
+        message: finding.type === 'gap'
+            ? `${finding.message}. Be ready to explain it, or list freelance work, study or projects from that time.`
+            : `${finding.message}. Check the dates in your experience section.`,
+    }));
+}
+
 /**
  * Generate a summary message based on the analysis
  */
@@ -0,0 +1,296 @@
+/**
+ * Structured Output Service
+ * Turns model output into validated JSON. Parsing is lenient (code fences, prose
+ * around the JSON, trailing commas, truncated output); if the result still fails
+ * the artifact's JSON Schema or semantic validator, the errors are sent back to
+ * the model for a bounded number of correction attempts.
+ *
+ * LLM_REPAIR_ATTEMPTS (default 2) sets how many correction rounds are allowed.
+ */
+
+const { complete } = require('./llmClient');
+
+/**
+ * Maximum characters of a bad response echoed back to the model
+ * @type {number}
+ */
+const MAX_ECHO_LENGTH = 8000;
+
+/**
+ * Returns the JSON type name of a value
+ * @param {*} value - Any value
+ * @returns {string} - 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validates a value against a JSON Schema. Supports the subset used by
+ * outputSchemas: type, enum, required, properties, items, minItems,
+ * maxItems, minLength and minimum.
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - JSON path of the value (for error messages)
+ * @returns {Array<string>} - Validation errors (empty when valid)
+ */
+function validateSchema(value, schema, path = '$') {
+  const errors = [];
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = typeOf(value);
+    const matches = allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+    if (!matches) {
+      errors.push(`${path}: expected ${allowed.join(' or ')}, got ${actual}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${path}: expected a non-empty string`);
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path}: expected a number >= ${schema.minimum}, got ${value}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: expected at least ${schema.minItems} items, got ${value.length}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: expected at most ${schema.maxItems} items, got ${value.length}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach((field) => {
+      if (!(field in value)) {
+        errors.push(`${path}: missing required field '${field}'`);
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([field, fieldSchema]) => {
+      if (field in value) {
+        errors.push(...validateSchema(value[field], fieldSchema, `${path}.${field}`));
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Scans JSON-like text outside of string literals
+ * @param {string} text - Text starting at the opening bracket
+ * @returns {{end: number, stack: Array<string>, inString: boolean, lastComma: number}}
+ *   `end` is the index closing the top-level value, or -1 if it never closes
+ */
+function scanJSON(text) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  let lastComma = -1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+      if (stack.length === 0) {
+        return { end: i, stack, inString, lastComma };
+      }
+    } else if (char === ',') {
+      lastComma = i;
+    }
+  }
+
+  return { end: -1, stack, inString, lastComma };
+}
+
+/**
+ * Removes commas that directly precede a closing bracket (outside strings)
+ * @param {string} text - JSON-like text
+ * @returns {string}
+ */
+function stripTrailingCommas(text) {
+  let result = '';
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      result += char;
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '}' || char === ']') {
+      result = result.replace(/,\s*$/, '');
+    }
+    result += char;
+  }
+
+  return result;
+}
+
+/**
+ * Leniently parses JSON from model output. Handles markdown code fences, prose
+ * before or after the JSON, trailing commas and output truncated mid-value
+ * (the incomplete tail is dropped and open brackets are closed).
+ * @param {string} responseText - Raw model output
+ * @returns {{value: *, repaired: boolean}} - Parsed value and whether repair was needed
+ * @throws {Error} If no JSON value can be recovered
+ */
+function parseLenient(responseText) {
+  const text = String(responseText || '');
+  const stripped = text.replace(/```(?:json)?\s*/gi, '').replace(/```/g, '').trim();
+
+  try {
+    return { value: JSON.parse(stripped), repaired: false };
+  } catch (parseError) {
+    // Fall through to repair
+  }
+
+  const start = stripped.search(/[[{]/);
+  if (start === -1) {
+    throw new Error(`Failed to parse LLM response as JSON: no JSON object or array found. Response: ${text.substring(0, 200)}`);
+  }
+
+  const body = stripped.slice(start);
+  const scan = scanJSON(body);
+
+  // Complete value: drop any prose after it
+  if (scan.end !== -1) {
+    try {
+      return { value: JSON.parse(stripTrailingCommas(body.slice(0, scan.end + 1))), repaired: true };
+    } catch (parseError) {
+      throw new Error(`Failed to parse LLM response as JSON: ${parseError.message}. Response: ${text.substring(0, 200)}`);
+    }
+  }
+
+  // Truncated value: close it, chopping back one element at a time until it parses
+  let prefix = body;
+  for (let attempt = 0; attempt < 50 && prefix.length > 0; attempt++) {
+    const state = scanJSON(prefix);
+    let candidate = prefix + (state.inString ? '"' : '');
+    candidate = candidate.replace(/[\s,:]+$/, '');
+    candidate = stripTrailingCommas(candidate + [...state.stack].reverse().join(''));
+
+    try {
+      return { value: JSON.parse(candidate), repaired: true };
+    } catch (parseError) {
+      if (state.lastComma <= 0) break;
+      prefix = prefix.slice(0, state.lastComma);
+    }
+  }
+
+  throw new Error(`Failed to parse LLM response as JSON: output is truncated and could not be repaired. Response: ${text.substring(0, 200)}`);
+}
+
+/**
+ * Builds the follow-up message asking the model to fix its output
+ * @param {Array<string>} errors - Problems with the previous response
+ * @param {Object} schema - JSON Schema the output must satisfy
+ * @returns {string}
+ */
+function buildCorrectionPrompt(errors, schema) {
+  return `Your previous response could not be used because of these problems:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Return ONLY the corrected JSON, with no markdown code fences or explanation. It must satisfy this JSON Schema:
+${JSON.stringify(schema)}`;
+}
+
+/**
+ * Requests structured JSON from the LLM and validates it, repairing and re-asking as needed
+ * @param {Object} options - Options
+ * @param {string} options.service - Calling service name (selects the provider)
+ * @param {Array<Object>} options.messages - Chat messages
+ * @param {Object} options.schema - JSON Schema for the artifact
+ * @param {string} options.label - Artifact name for error messages (e.g. 'job analysis')
+ * @param {Function} [options.validate] - Extra validator; throws on invalid input
+ * @param {number} [options.maxTokens] - Maximum tokens to generate
+ * @param {number} [options.temperature] - Sampling temperature
+ * @returns {Promise<*>} - The validated value
+ * @throws {Error} With status 502 if the output is still invalid after all correction attempts
+ */
+async function generateStructured({ service, messages, schema, label, validate, maxTokens, temperature }) {
+  const parsedAttempts = parseInt(process.env.LLM_REPAIR_ATTEMPTS, 10);
+  const maxCorrections = Number.isFinite(parsedAttempts) && parsedAttempts >= 0 ? parsedAttempts : 2;
+  const conversation = [...messages];
+  let errors = [];
+
+  for (let attempt = 0; attempt <= maxCorrections; attempt++) {
+    const responseText = await complete({ service, messages: conversation, maxTokens, temperature });
+
+    errors = [];
+    let value;
+    try {
+      value = parseLenient(responseText).value;
+      errors = validateSchema(value, schema);
+      if (errors.length === 0 && validate) {
+        validate(value);
+      }
+    } catch (validationError) {
+      errors.push(validationError.message);
+    }
+
+    if (errors.length === 0) {
+      return value;
+    }
+
+    if (attempt < maxCorrections) {
+      console.warn(`⚠️  Invalid ${label} from ${service} (${errors.length} problem(s)), asking for a correction (${attempt + 1}/${maxCorrections})`);
+      conversation.push(
+        { role: 'assistant', content: String(responseText).substring(0, MAX_ECHO_LENGTH) },
+        { role: 'user', content: buildCorrectionPrompt(errors.slice(0, 20), schema) }
+      );
+    }
+  }
+
+  const error = new Error(`Invalid ${label} from model after ${maxCorrections + 1} attempt(s): ${errors.slice(0, 5).join('; ')}`);
+  error.status = 502;
+  error.validationErrors = errors;
+  throw error;
+}
+
+module.exports = {
+  buildCorrectionPrompt,
+  generateStructured,
+  parseLenient,
+  validateSchema,
+};
@@ -0,0 +1,97 @@
+/**
+ * Storage
+ * Persistence for everything the pipeline produces, so clients can pass IDs
+ * between routes instead of round-tripping whole objects.
+ *
+ * Every backend implements the same repository interface:
+ * - insert(collection, data, refs?) -> record
+ * - get(collection, id) -> record | null
+ * - update(collection, id, data, refs?) -> record | null (refs are merged)
+ * - remove(collection, id) -> boolean
+ * - list(collection, { refs? }) -> records, newest first, optionally filtered by refs (string values)
+ * - close()
+ *
+ * A record is { id, collection, data, refs, createdAt, updatedAt }, where refs
+ * holds the IDs of related records (e.g. a resume's analysisId and answersId) and
+ * lookup keys (e.g. an analysis's response cache key).
+ *
+ * Controlled by:
+ * - STORAGE_BACKEND: 'sqlite' (default) | 'memory'
+ * - STORAGE_PATH: SQLite database file (default: <backend>/data/resumeai.sqlite)
+ */
+
+const path = require('path');
+
+const DEFAULT_STORAGE_PATH = path.join(__dirname, '..', '..', 'data', 'resumeai.sqlite');
+
+/**
+ * Stored collections and the label used for them in error messages
+ * @type {Object<string, string>}
+ */
+const COLLECTIONS = {
+  analyses: 'Job analysis',
+  questionnaires: 'Questionnaire',
+  answerSets: 'Answer set',
+  resumes: 'Resume',
+  atsScores: 'ATS score',
+  skillsGaps: 'Skills gap',
+  coverLetters: 'Cover letter',
+  salaryInsights: 'Salary insight',
+  applications: 'Application',
+  profiles: 'Career profile',
+};
+
+/**
+ * Process-wide repository, created on first use
+ * @type {Object|null}
+ */
+let repository = null;
+
+/**
+ * Returns the repository for the configured backend
+ * @returns {Object} - Repository
+ * @throws {Error} If STORAGE_BACKEND is not a supported backend
+ */
+function getRepository() {
+  if (repository) {
+    return repository;
+  }
+
+  const backend = (process.env.STORAGE_BACKEND || 'sqlite').toLowerCase();
+  if (backend === 'sqlite') {
+    // Required lazily so the memory backend works without the native module
+    const { createSqliteRepository } = require('./sqliteRepository');
+    const filePath = process.env.STORAGE_PATH ? path.resolve(process.env.STORAGE_PATH) : DEFAULT_STORAGE_PATH;
+    repository = createSqliteRepository(filePath);
+  } else if (backend === 'memory') {
+    const { createMemoryRepository } = require('./memoryRepository');
+    repository = createMemoryRepository();
+  } else {
+    throw new Error(`Invalid STORAGE_BACKEND '${backend}'. Supported backends: sqlite, memory`);
+  }
+
+  return repository;
+}
+
+/**
+ * Loads a record that a request refers to by ID
+ * @param {string} collection - Collection name (a key of COLLECTIONS)
+ * @param {string} id - Record ID
+ * @returns {Object} - The record
+ * @throws {Error} With status 404 if no such record exists
+ */
+function findRecord(collection, id) {
+  const record = typeof id === 'string' ? getRepository().get(collection, id) : null;
+  if (!record) {
+    const error = new Error(`${COLLECTIONS[collection] || collection} '${id}' not found`);
+    error.status = 404;
+    throw error;
+  }
+  return record;
+}
+
+module.exports = {
+  COLLECTIONS,
+  findRecord,
+  getRepository,
+};
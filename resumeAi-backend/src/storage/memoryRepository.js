@@ -0,0 +1,81 @@
+/**
+ * In-Memory Repository
+ * Same interface as the SQLite repository, without persistence. Useful for
+ * throwaway servers and scripts that should not touch the database file.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Creates a repository that keeps records in process memory
+ * @returns {Object} - Repository (see src/storage/index.js for the interface)
+ */
+function createMemoryRepository() {
+  // collection -> Map(id -> record), kept in insertion order
+  const collections = new Map();
+
+  const getCollection = (collection) => {
+    if (!collections.has(collection)) {
+      collections.set(collection, new Map());
+    }
+    return collections.get(collection);
+  };
+
+  return {
+    backend: 'memory',
+
+    insert(collection, data, refs = {}) {
+      const now = new Date().toISOString();
+      const record = {
+        id: crypto.randomUUID(),
+        collection,
+        data: structuredClone(data),
+        refs: { ...refs },
+        createdAt: now,
+        updatedAt: now,
+      };
+      getCollection(collection).set(record.id, record);
+      return structuredClone(record);
+    },
+
+    get(collection, id) {
+      const record = getCollection(collection).get(id);
+      return record ? structuredClone(record) : null;
+    },
+
+    update(collection, id, data, refs) {
+      const existing = getCollection(collection).get(id);
+      if (!existing) {
+        return null;
+      }
+
+      existing.data = structuredClone(data);
+      existing.refs = { ...existing.refs, ...(refs || {}) };
+      existing.updatedAt = new Date().toISOString();
+      return structuredClone(existing);
+    },
+
+    remove(collection, id) {
+      return getCollection(collection).delete(id);
+    },
+
+    list(collection, { refs } = {}) {
+      // Like the SQLite repository, which only indexes string references, a non-string filter matches nothing
+      if (refs && Object.values(refs).some(value => typeof value !== 'string')) {
+        return [];
+      }
+      return [...getCollection(collection).values()]
+        .reverse()
+        .filter(record => !refs || Object.entries(refs).every(([key, value]) => record.refs[key] === value))
+        .map(record => structuredClone(record));
+    },
+
+    close() {
+      collections.clear();
+    },
+  };
+}
+
+module.exports = {
+  createMemoryRepository,
+};
@@ -0,0 +1,189 @@
+/**
+ * SQLite Repository
+ * Stores every record in a single `records` table as a JSON document, with the
+ * collection name, references to related records and timestamps alongside.
+ * References are also kept one per row in an indexed `record_refs` table, so
+ * listing by reference is filtered in SQL rather than by loading the collection.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+/**
+ * Converts a database row into a record
+ * @param {Object} row - Row from the records table
+ * @returns {Object} - {id, collection, data, refs, createdAt, updatedAt}
+ */
+function toRecord(row) {
+  return {
+    id: row.id,
+    collection: row.collection,
+    data: JSON.parse(row.data),
+    refs: JSON.parse(row.refs),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Returns the references that go in the record_refs table. Only string values
+ * (record IDs and lookup keys) are indexed.
+ * @param {Object} refs - Record references
+ * @returns {Array<Array<string>>} - [name, value] pairs
+ */
+function indexedRefs(refs) {
+  return Object.entries(refs).filter(([, value]) => typeof value === 'string');
+}
+
+/**
+ * Creates a repository backed by a SQLite database file
+ * @param {string} filePath - Database file path, or ':memory:'
+ * @returns {Object} - Repository (see src/storage/index.js for the interface)
+ */
+function createSqliteRepository(filePath) {
+  if (filePath !== ':memory:') {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  const hasRefsTable = Boolean(db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'record_refs'").get());
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS records (
+      id TEXT PRIMARY KEY,
+      collection TEXT NOT NULL,
+      data TEXT NOT NULL,
+      refs TEXT NOT NULL DEFAULT '{}',
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS records_collection_created ON records (collection, created_at);
+    CREATE TABLE IF NOT EXISTS record_refs (
+      record_id TEXT NOT NULL REFERENCES records (id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      value TEXT NOT NULL,
+      PRIMARY KEY (record_id, name)
+    );
+    CREATE INDEX IF NOT EXISTS record_refs_name_value ON record_refs (name, value);
+  `);
+
+  // Databases created before record_refs existed keep their references only in the JSON column
+  if (!hasRefsTable) {
+    db.exec(`
+      INSERT OR IGNORE INTO record_refs (record_id, name, value)
+      SELECT records.id, refs.key, refs.value FROM records, json_each(records.refs) AS refs
+      WHERE refs.type = 'text'
+    `);
+  }
+
+  const statements = {
+    insert: db.prepare(`
+      INSERT INTO records (id, collection, data, refs, created_at, updated_at)
+      VALUES (@id, @collection, @data, @refs, @createdAt, @updatedAt)
+    `),
+    get: db.prepare('SELECT * FROM records WHERE collection = ? AND id = ?'),
+    update: db.prepare('UPDATE records SET data = ?, refs = ?, updated_at = ? WHERE collection = ? AND id = ?'),
+    remove: db.prepare('DELETE FROM records WHERE collection = ? AND id = ?'),
+    list: db.prepare('SELECT * FROM records WHERE collection = ? ORDER BY created_at DESC, rowid DESC'),
+    insertRef: db.prepare('INSERT INTO record_refs (record_id, name, value) VALUES (?, ?, ?)'),
+    removeRefs: db.prepare('DELETE FROM record_refs WHERE record_id = ?'),
+  };
+
+  const writeRefs = (id, refs) => {
+    statements.removeRefs.run(id);
+    indexedRefs(refs).forEach(([name, value]) => statements.insertRef.run(id, name, value));
+  };
+
+  const insertRecord = db.transaction((row, refs) => {
+    statements.insert.run(row);
+    writeRefs(row.id, refs);
+  });
+
+  const updateRecord = db.transaction((collection, id, data, refs) => {
+    statements.update.run(JSON.stringify(data), JSON.stringify(refs), new Date().toISOString(), collection, id);
+    writeRefs(id, refs);
+  });
+
+  // One prepared statement per combination of reference names. The first reference drives
+  // the lookup through its (name, value) index; CROSS JOIN keeps SQLite from scanning the
+  // whole collection in created_at order instead.
+  const listByRefsStatements = new Map();
+  const listByRefs = (names) => {
+    const cacheKey = names.join('\0');
+    if (!listByRefsStatements.has(cacheKey)) {
+      const extra = names.slice(1).map((_, i) => `
+        AND EXISTS (SELECT 1 FROM record_refs AS ref${i} WHERE ref${i}.record_id = records.id AND ref${i}.name = ? AND ref${i}.value = ?)`);
+      listByRefsStatements.set(cacheKey, db.prepare(`
+        SELECT records.* FROM record_refs CROSS JOIN records ON records.id = record_refs.record_id
+        WHERE record_refs.name = ? AND record_refs.value = ? AND records.collection = ?${extra.join('')}
+        ORDER BY records.created_at DESC, records.rowid DESC
+      `));
+    }
+    return listByRefsStatements.get(cacheKey);
+  };
+
+  return {
+    backend: 'sqlite',
+
+    insert(collection, data, refs = {}) {
+      const now = new Date().toISOString();
+      const row = {
+        id: crypto.randomUUID(),
+        collection,
+        data: JSON.stringify(data),
+        refs: JSON.stringify(refs),
+        createdAt: now,
+        updatedAt: now,
+      };
+      insertRecord(row, refs);
+      return toRecord({ ...row, created_at: now, updated_at: now });
+    },
+
+    get(collection, id) {
+      const row = statements.get.get(collection, id);
+      return row ? toRecord(row) : null;
+    },
+
+    update(collection, id, data, refs) {
+      const existing = this.get(collection, id);
+      if (!existing) {
+        return null;
+      }
+
+      const mergedRefs = { ...existing.refs, ...(refs || {}) };
+      updateRecord(collection, id, data, mergedRefs);
+      return this.get(collection, id);
+    },
+
+    remove(collection, id) {
+      return statements.remove.run(collection, id).changes > 0;
+    },
+
+    list(collection, { refs } = {}) {
+      if (!refs || Object.keys(refs).length === 0) {
+        return statements.list.all(collection).map(toRecord);
+      }
+
+      const filters = Object.entries(refs);
+      // Only string references are indexed, and a record ID or key is always a string
+      if (filters.some(([, value]) => typeof value !== 'string')) {
+        return [];
+      }
+      const [first, ...rest] = filters;
+      return listByRefs(filters.map(([name]) => name))
+        .all(...first, collection, ...rest.flat())
+        .map(toRecord);
+    },
+
+    close() {
+      db.close();
+    },
+  };
+}
+
+module.exports = {
+  createSqliteRepository,
+};
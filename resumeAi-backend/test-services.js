@@ -0,0 +1,44 @@
+/**
+ * Offline service tests
+ * Runs every tests/test-*.js suite against the mock provider and in-memory
+ * storage, so no API key, network or database file is needed.
+ *
+ * Usage: node test-services.js [name-filter]
+ */
+
+process.env.LLM_PROVIDER = 'offline';
+process.env.STORAGE_BACKEND = 'memory';
+process.env.RESPONSE_CACHE_BACKEND = 'memory';
+delete process.env.LLM_FIXTURE_MODE;
+
+const fs = require('fs');
+const path = require('path');
+const { summary } = require('./tests/harness');
+
+/**
+ * Runs the test suites in file name order
+ * @param {string} [filter] - Only run suites whose file name contains this
+ * @returns {Promise<void>}
+ */
+async function runTests(filter) {
+  const dir = path.join(__dirname, 'tests');
+  const suites = fs.readdirSync(dir)
+    .filter(file => /^test-.*\.js$/.test(file) && (!filter || file.includes(filter)))
+    .sort();
+
+  for (const file of suites) {
+    await require(path.join(dir, file)).run();
+  }
+  summary();
+}
+
+if (require.main === module) {
+  runTests(process.argv[2]).catch((error) => {
+    console.error('Fatal error in test suite:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  runTests,
+};
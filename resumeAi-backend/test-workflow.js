@@ -111,7 +111,7 @@ async function testWorkflow() {
     console.log('✅ Resume generated successfully!');
     console.log(`   - Summary: ${resume.summary.substring(0, 50)}...`);
     console.log(`   - Experience Entries: ${resume.experience.length}`);
-    console.log(`   - Technical Skills: ${resume.skills.technical.length}`);
+    console.log(`   - Technical Skills: ${Object.values(resume.skills).flat().length}`);
     console.log(`   - Education Entries: ${resume.education.length}`);
 
     // Step 5: Display ATS Score
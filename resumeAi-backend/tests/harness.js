@@ -0,0 +1,129 @@
+/**
+ * Test Harness
+ * Minimal helpers shared by the offline service tests: section headers, checks
+ * that print ✅/❌ like the other test scripts, and a summary that sets a
+ * failing exit code.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const results = { passed: 0, failed: 0 };
+
+/**
+ * Prints a section header
+ * @param {string} title - Section title
+ */
+function section(title) {
+  console.log(`\n${'='.repeat(60)}`);
+  console.log(title);
+  console.log('='.repeat(60));
+}
+
+/**
+ * Runs one check; a thrown error (e.g. from `assert`) marks it as failed
+ * @param {string} name - What the check verifies
+ * @param {Function} fn - Check body, may be async
+ * @returns {Promise<void>}
+ */
+async function check(name, fn) {
+  try {
+    await fn();
+    results.passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    results.failed++;
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message.split('\n').join('\n   ')}`);
+  }
+}
+
+/**
+ * Runs a function with some env vars set, restoring them once it settles
+ * @param {Object<string, string|undefined>} vars - Values to set (undefined unsets)
+ * @param {Function} fn - Function to run, may be async
+ * @returns {Promise<*>} - The function's result
+ */
+async function withEnv(vars, fn) {
+  const saved = Object.fromEntries(Object.keys(vars).map(key => [key, process.env[key]]));
+  const apply = values => Object.entries(values).forEach(([key, value]) => {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  });
+  apply(vars);
+  try {
+    return await fn();
+  } finally {
+    apply(saved);
+  }
+}
+
+/**
+ * Mounts the API routes (as src/server.js does) on a free local port and runs
+ * a function against them, closing the server once it settles
+ * @param {Function} fn - Receives a `request(method, path, body?)` helper that
+ *   resolves to {status, headers, body}
+ * @returns {Promise<*>} - The function's result
+ */
+async function withServer(fn) {
+  const express = require('express');
+  const app = express();
+  app.use(express.json());
+  app.use('/api', require('../src/routes/resumeRoutes'));
+  app.use('/api', require('../src/routes/recordRoutes'));
+  app.use('/api/applications', require('../src/routes/applicationRoutes'));
+  app.use('/api/profiles', require('../src/routes/profileRoutes'));
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, urlPath, body) => {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+
+  try {
+    return await fn(request);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+/**
+ * Creates an empty temporary directory
+ * @param {string} prefix - Directory name prefix
+ * @returns {string} - Absolute path
+ */
+function tempDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), `resumeai-${prefix}-`));
+}
+
+/**
+ * Prints the totals and sets a non-zero exit code when any check failed
+ * @returns {{passed: number, failed: number}} - Totals
+ */
+function summary() {
+  console.log(`\n${'='.repeat(60)}`);
+  console.log(`${results.passed} passed, ${results.failed} failed`);
+  console.log('='.repeat(60));
+  if (results.failed > 0) {
+    process.exitCode = 1;
+  }
+  return { ...results };
+}
+
+module.exports = {
+  check,
+  section,
+  summary,
+  tempDir,
+  withEnv,
+  withServer,
+};
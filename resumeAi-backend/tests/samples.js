@@ -0,0 +1,82 @@
+/**
+ * Sample inputs shared by the offline service tests: a job analysis, answers
+ * that pass the base questions, and a resume written for that job
+ */
+
+/**
+ * Job analysis as analyzeJobPosting returns it
+ * @type {Object}
+ */
+const JOB_ANALYSIS = {
+  requiredSkills: ['Python', 'PostgreSQL', 'Docker', 'AWS'],
+  preferredQualifications: ['Kubernetes experience'],
+  keyResponsibilities: ['Build REST APIs', 'Improve service reliability'],
+  atsKeywords: [
+    { keyword: 'Python', frequency: 4 },
+    { keyword: 'PostgreSQL', frequency: 2 },
+    { keyword: 'Docker', frequency: 2 },
+    { keyword: 'REST APIs', frequency: 2 },
+    { keyword: 'AWS', frequency: 1 },
+  ],
+  jobLevel: 'mid',
+  industry: 'Technology',
+  companyCultureIndicators: ['Remote-friendly'],
+};
+
+/**
+ * Questionnaire answers that pass the base questions
+ * @type {Object}
+ */
+const ANSWERS = {
+  full_name: 'Jane Smith',
+  email: 'jane.smith@example.com',
+  phone: '+1 555 123 4567',
+  linkedin_url: 'https://linkedin.com/in/janesmith',
+  years_of_experience: '6',
+  current_role: 'Backend Engineer at Northwind Traders',
+  key_achievements: 'Cut API latency by 40% by moving reporting queries to PostgreSQL read replicas',
+};
+
+/**
+ * Resume content written for JOB_ANALYSIS from ANSWERS
+ * @type {Object}
+ */
+const RESUME = {
+  summary: 'Backend engineer with 6 years of experience building Python services. Skilled in PostgreSQL, Docker and AWS.',
+  experience: [
+    {
+      company: 'Northwind Traders',
+      role: 'Backend Engineer',
+      duration: '03/2021 - Present',
+      bullets: [
+        'Cut API latency by 40% by moving reporting queries to PostgreSQL read replicas',
+        'Built REST APIs in Python and Docker for the order pipeline',
+        'Improved service reliability with automated AWS deployments',
+      ],
+    },
+    {
+      company: 'Contoso',
+      role: 'Software Engineer',
+      duration: '01/2018 - 02/2021',
+      bullets: [
+        'Developed Python tooling for internal billing reports',
+        'Migrated cron jobs to Docker containers',
+      ],
+    },
+  ],
+  skills: {
+    languages: ['Python', 'SQL'],
+    frameworks: ['Django'],
+    databases: ['PostgreSQL'],
+    cloud: ['AWS'],
+    tools: ['Docker', 'Git'],
+  },
+  education: [{ degree: 'BSc Computer Science', institution: 'State University', year: '2017', details: '' }],
+  additionalSections: [],
+};
+
+module.exports = {
+  ANSWERS,
+  JOB_ANALYSIS,
+  RESUME,
+};
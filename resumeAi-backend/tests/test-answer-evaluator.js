@@ -0,0 +1,103 @@
+/**
+ * Answer evaluator: grading narrative answers and scoring readiness before generation
+ */
+
+const assert = require('assert');
+const { check, section, withServer } = require('./harness');
+const { JOB_ANALYSIS } = require('./samples');
+const { evaluateAnswers } = require('../src/services/answerEvaluator');
+const { getRepository } = require('../src/storage');
+
+/**
+ * A contact question, a required narrative question about two required skills and an optional one
+ * @type {Array<Object>}
+ */
+const QUESTIONS = [
+  { id: 'full_name', question: 'Full name', type: 'text', category: 'personal', required: true, placeholder: '' },
+  { id: 'database_story', question: 'Describe a project where you used PostgreSQL and Docker', type: 'textarea', category: 'experience', required: true, placeholder: '' },
+  { id: 'side_project', question: 'Tell us about a side project', type: 'textarea', category: 'projects', required: false, placeholder: '' },
+];
+
+/**
+ * An answer with a situation, task, action, quantified result and both skills
+ * @type {string}
+ */
+const STRONG_ANSWER = 'When our reporting API was timing out under load, I had to cut response times before the holiday sale. '
+  + 'I moved the heavy queries to PostgreSQL read replicas and packaged the workers in Docker, which reduced p95 latency by 60% for 2 million users.';
+
+/**
+ * Returns the graded answer for a question
+ * @param {Object} evaluation - Result of evaluateAnswers
+ * @param {string} questionId - Question ID
+ * @returns {Object}
+ */
+function gradeOf(evaluation, questionId) {
+  return evaluation.answers.find(answer => answer.questionId === questionId);
+}
+
+async function run() {
+  section('Answer evaluator');
+
+  await check('a specific, quantified STAR answer naming the targeted skills gets full marks', () => {
+    const evaluation = evaluateAnswers(QUESTIONS, { full_name: 'Jane Smith', database_story: STRONG_ANSWER }, JOB_ANALYSIS);
+    const graded = gradeOf(evaluation, 'database_story');
+    assert.strictEqual(graded.score, 100);
+    assert.deepStrictEqual(graded.checks.star, { situation: true, task: true, action: true, result: true });
+    assert.deepStrictEqual(graded.checks.skills, { targeted: ['PostgreSQL', 'Docker'], mentioned: ['PostgreSQL', 'Docker'], missing: [] });
+    assert.deepStrictEqual(graded.feedback, []);
+    assert.deepStrictEqual(evaluation.readiness, { score: 100, level: 'ready', summary: 'The answers give the generator enough specific, quantified material.' });
+  });
+
+  await check('a thin, vague answer gets a low score and feedback for each weakness', () => {
+    const evaluation = evaluateAnswers(QUESTIONS, { full_name: 'Jane Smith', database_story: 'Worked on various database things' }, JOB_ANALYSIS);
+    const graded = gradeOf(evaluation, 'database_story');
+    assert.ok(graded.score < 50);
+    assert.deepStrictEqual(graded.checks.specificity.vague, ['various', 'things', 'worked on']);
+    assert.deepStrictEqual(graded.feedback, [
+      'Add a measurable result: a percentage, time or money saved, users served or team size.',
+      'Add detail: 5 words is too short to become a resume bullet. Say what you did, how, and what changed.',
+      'Replace vague wording ("various", "things", "worked on") with what you actually did.',
+      'This question is about PostgreSQL, Docker; say how you used them.',
+    ]);
+    assert.strictEqual(evaluation.readiness.level, 'not ready');
+    assert.strictEqual(evaluation.readiness.summary, 'Strengthen these answers first: database_story.');
+  });
+
+  await check('unanswered required questions cost readiness; unanswered optional ones do not', () => {
+    const evaluation = evaluateAnswers(QUESTIONS, { database_story: STRONG_ANSWER }, JOB_ANALYSIS);
+    assert.strictEqual(evaluation.readiness.score, 90);
+    assert.ok(evaluation.readiness.summary.startsWith('1 required question(s) unanswered.'));
+    assert.deepStrictEqual(evaluation.unanswered, ['full_name', 'side_project']);
+    assert.deepStrictEqual(gradeOf(evaluation, 'side_project').feedback, ['Optional, but answering it gives the resume more to work with.']);
+    assert.strictEqual(gradeOf(evaluation, 'full_name').narrative, false);
+  });
+
+  await check('without a job analysis, no skills are targeted', () => {
+    const graded = gradeOf(evaluateAnswers(QUESTIONS, { database_story: 'Worked on various database things' }), 'database_story');
+    assert.deepStrictEqual(graded.checks.skills.targeted, []);
+  });
+
+  await check('rejects missing questions and answers', () => {
+    assert.throws(() => evaluateAnswers([], {}), /questions must be a non-empty array/);
+    assert.throws(() => evaluateAnswers(QUESTIONS, ['a']), /answers must be an object/);
+  });
+
+  await check('/evaluate-answers grades a stored answer set against its questionnaire and job', () => withServer(async (request) => {
+    const repository = getRepository();
+    const analysisId = repository.insert('analyses', JOB_ANALYSIS).id;
+    const questionnaireId = repository.insert('questionnaires', { questions: QUESTIONS }, { analysisId }).id;
+    const answersId = repository.insert('answerSets', { full_name: 'Jane Smith', database_story: STRONG_ANSWER }, { questionnaireId }).id;
+
+    const { status, body } = await request('POST', '/api/evaluate-answers', { answersId });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.readiness.level, 'ready');
+    assert.deepStrictEqual(gradeOf(body, 'database_story').checks.skills.mentioned, ['PostgreSQL', 'Docker']);
+
+    assert.strictEqual((await request('POST', '/api/evaluate-answers', { answers: {} })).status, 400);
+    assert.strictEqual((await request('POST', '/api/evaluate-answers', { answersId: 'missing' })).status, 404);
+  }));
+}
+
+module.exports = {
+  run,
+};
@@ -0,0 +1,82 @@
+/**
+ * Answer validator: typed checks driven by the question schema
+ */
+
+const assert = require('assert');
+const { check, section, withServer } = require('./harness');
+const { ANSWERS, JOB_ANALYSIS } = require('./samples');
+const { describeErrors, validateAnswer, validateAnswers } = require('../src/services/answerValidator');
+const { BASE_QUESTIONS } = require('../src/services/questionGenerator');
+
+/**
+ * Returns the base question with an ID
+ * @param {string} id - Question ID
+ * @returns {Object}
+ */
+function baseQuestion(id) {
+  return BASE_QUESTIONS.find(question => question.id === id);
+}
+
+async function run() {
+  section('Answer validator');
+
+  await check('required answers must be given; optional ones may be left empty', () => {
+    assert.strictEqual(validateAnswer(baseQuestion('full_name'), '   '), 'is required');
+    assert.strictEqual(validateAnswer(baseQuestion('full_name'), 'Jane Smith'), null);
+    assert.strictEqual(validateAnswer(baseQuestion('linkedin_url'), ''), null);
+    assert.strictEqual(validateAnswer({ type: 'multiselect', required: true }, []), 'is required');
+  });
+
+  await check('emails, phone numbers and URLs must be well formed', () => {
+    const email = baseQuestion('email');
+    const phone = baseQuestion('phone');
+    const url = baseQuestion('linkedin_url');
+    assert.strictEqual(validateAnswer(email, 'jane@example.com'), null);
+    assert.strictEqual(validateAnswer(email, 'jane@example'), 'must be a valid email address');
+    assert.strictEqual(validateAnswer(phone, '+1 (555) 123-4567 ext. 89'), null);
+    assert.strictEqual(validateAnswer(phone, '12345'), 'must be a valid phone number (7-15 digits)');
+    assert.strictEqual(validateAnswer(phone, 'call me'), 'must be a valid phone number (7-15 digits)');
+    assert.strictEqual(validateAnswer(url, 'linkedin.com/in/jane'), null);
+    assert.strictEqual(validateAnswer(url, 'ftp://linkedin.com/in/jane'), 'must be a valid URL');
+    assert.strictEqual(validateAnswer(url, 'localhost'), 'must be a valid URL');
+  });
+
+  await check('numbers are parsed from strings and kept within the question\'s range', () => {
+    const years = baseQuestion('years_of_experience');
+    assert.strictEqual(validateAnswer(years, ' 6 '), null);
+    assert.strictEqual(validateAnswer(years, 'six'), 'must be a number');
+    assert.strictEqual(validateAnswer(years, -1), 'must be at least 0');
+    assert.strictEqual(validateAnswer(years, 61), 'must be at most 60');
+  });
+
+  await check('select and multiselect answers must come from the options', () => {
+    const select = { type: 'select', options: ['Remote', 'Hybrid'] };
+    const multiselect = { type: 'multiselect', options: ['AWS', 'GCP'] };
+    assert.strictEqual(validateAnswer(select, 'Hybrid'), null);
+    assert.strictEqual(validateAnswer(select, 'Office'), 'must be one of: Remote, Hybrid');
+    assert.strictEqual(validateAnswer(multiselect, ['AWS']), null);
+    assert.strictEqual(validateAnswer(multiselect, ['AWS', 'Azure']), 'must only contain: AWS, GCP');
+    assert.strictEqual(validateAnswer(multiselect, 'AWS'), 'must be an array of strings');
+    assert.strictEqual(validateAnswer({ type: 'textarea' }, { text: 'x' }), 'must be a string');
+  });
+
+  await check('errors are keyed by question ID and answers to unknown questions are ignored', () => {
+    const result = validateAnswers(BASE_QUESTIONS, { full_name: 'Jane', email: 'nope', years_of_experience: '6', extra: 42 });
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(result.errors, { email: 'must be a valid email address', phone: 'is required' });
+    assert.strictEqual(describeErrors(result.errors), 'email must be a valid email address; phone is required');
+    assert.deepStrictEqual(validateAnswers(BASE_QUESTIONS, ANSWERS), { valid: true, errors: {} });
+  });
+
+  await check('/generate-resume rejects invalid answers with errors keyed by question ID', () => withServer(async (request) => {
+    const answers = { ...ANSWERS, email: 'nope', years_of_experience: '100' };
+    const { status, body } = await request('POST', '/api/generate-resume', { jobAnalysis: JOB_ANALYSIS, answers });
+    assert.strictEqual(status, 400);
+    assert.deepStrictEqual(body.errors, { email: 'must be a valid email address', years_of_experience: 'must be at most 60' });
+    assert.strictEqual(body.error, 'answers are invalid: email must be a valid email address; years_of_experience must be at most 60');
+  }));
+}
+
+module.exports = {
+  run,
+};
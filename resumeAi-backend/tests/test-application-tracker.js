@@ -0,0 +1,133 @@
+/**
+ * Application tracker: status pipeline, links, events, notes and list filters
+ */
+
+const assert = require('assert');
+const { check, section } = require('./harness');
+const { getRepository } = require('../src/storage');
+const {
+  addEvent,
+  addNote,
+  changeStatus,
+  createApplication,
+  deleteApplication,
+  getApplication,
+  listApplications,
+  removeEntry,
+  updateApplication,
+} = require('../src/services/applicationTracker');
+
+/**
+ * Expects a function to throw an error with an HTTP status
+ * @param {Function} fn - Function to call
+ * @param {number} status - Expected status
+ * @param {RegExp} message - Expected message
+ */
+function assertStatusError(fn, status, message) {
+  assert.throws(fn, (error) => error.status === status && message.test(error.message));
+}
+
+async function run() {
+  section('Application tracker');
+
+  await check('creates a saved application with a created event', () => {
+    const app = createApplication({ company: 'Trackco', role: 'Engineer', notes: 'Referral from Sam' });
+    assert.strictEqual(app.status, 'saved');
+    assert.strictEqual(app.appliedAt, null);
+    assert.deepStrictEqual(app.events.map(e => e.type), ['created']);
+    assert.strictEqual(app.notes[0].text, 'Referral from Sam');
+  });
+
+  await check('records appliedAt on creation for pipeline statuses, not terminal ones', () => {
+    const screening = createApplication({ company: 'Trackco', role: 'Engineer', status: 'screening', date: '2024-02-01' });
+    assert.strictEqual(screening.appliedAt, '2024-02-01T00:00:00.000Z');
+    ['rejected', 'withdrawn'].forEach((status) => {
+      assert.strictEqual(createApplication({ company: 'Trackco', role: 'Engineer', status }).appliedAt, null, status);
+    });
+  });
+
+  await check('rejects missing fields, unknown statuses and unknown links', () => {
+    assertStatusError(() => createApplication({ role: 'Engineer' }), 400, /company/);
+    assertStatusError(() => createApplication({ company: 'Trackco', role: 'Engineer', status: 'ghosted' }), 400, /status must be one of/);
+    assertStatusError(() => createApplication({ company: 'Trackco', role: 'Engineer', resumeId: 'missing' }), 404, /Resume 'missing' not found/);
+  });
+
+  await check('moves forward through the pipeline and records appliedAt once', () => {
+    const { id } = createApplication({ company: 'Pipeline Inc', role: 'Engineer' });
+    const applied = changeStatus(id, { status: 'applied', date: '2024-03-01' });
+    assert.strictEqual(applied.appliedAt, '2024-03-01T00:00:00.000Z');
+
+    const interviewing = changeStatus(id, { status: 'interviewing', date: '2024-03-10', note: 'Onsite booked' });
+    assert.strictEqual(interviewing.appliedAt, applied.appliedAt);
+    assert.deepStrictEqual(interviewing.events.filter(e => e.type === 'status_change').map(e => [e.previousStatus, e.status]), [['saved', 'applied'], ['applied', 'interviewing']]);
+  });
+
+  await check('refuses backward moves and moves out of a terminal status', () => {
+    const { id } = createApplication({ company: 'Pipeline Inc', role: 'Designer', status: 'screening' });
+    assertStatusError(() => changeStatus(id, { status: 'applied' }), 400, /Cannot move application from 'screening' to 'applied'/);
+    changeStatus(id, { status: 'withdrawn' });
+    assertStatusError(() => changeStatus(id, { status: 'offer' }), 400, /Cannot move/);
+  });
+
+  await check('status cannot be set through a plain update', () => {
+    const { id } = createApplication({ company: 'Trackco', role: 'Engineer' });
+    assertStatusError(() => updateApplication(id, { status: 'offer' }), 400, /status cannot be updated directly/);
+    assert.strictEqual(updateApplication(id, { role: 'Senior Engineer' }).role, 'Senior Engineer');
+  });
+
+  await check('a linked resume brings in its latest stored ATS score', () => {
+    const repository = getRepository();
+    const resume = repository.insert('resumes', { summary: 'Engineer' });
+    repository.insert('atsScores', { overallScore: 61 }, { resumeId: resume.id });
+    repository.insert('atsScores', { overallScore: 78 }, { resumeId: resume.id });
+
+    const app = createApplication({ company: 'Scored Ltd', role: 'Engineer', resumeId: resume.id });
+    assert.strictEqual(app.atsScore, 78);
+    assert.deepStrictEqual(getApplication(app.id).linked.resume, { summary: 'Engineer' });
+  });
+
+  await check('events keep date order and status history cannot be removed', () => {
+    const app = createApplication({ company: 'Eventful', role: 'Engineer', date: '2024-01-01' });
+    addEvent(app.id, { type: 'interview', date: '2024-02-01' });
+    const updated = addEvent(app.id, { type: 'follow_up', date: '2024-01-15' });
+    assert.deepStrictEqual(updated.events.map(e => e.type), ['created', 'follow_up', 'interview']);
+
+    assertStatusError(() => addEvent(app.id, { type: 'status_change' }), 400, /recorded automatically/);
+    assertStatusError(() => removeEntry(app.id, 'events', updated.events[0].id), 400, /cannot be removed/);
+    assert.strictEqual(removeEntry(app.id, 'events', updated.events[1].id).events.length, 2);
+  });
+
+  await check('notes can be added and removed by ID', () => {
+    const { id } = createApplication({ company: 'Notable', role: 'Engineer' });
+    const withNote = addNote(id, 'Ask about the team');
+    assert.strictEqual(removeEntry(id, 'notes', withNote.notes[0].id).notes.length, 0);
+    assertStatusError(() => removeEntry(id, 'notes', 'missing'), 404, /note 'missing' not found/);
+    assertStatusError(() => addNote(id, '  '), 400, /non-empty string/);
+  });
+
+  await check('lists by status, company and ATS score with missing values last', () => {
+    const repository = getRepository();
+    const scoredResume = repository.insert('resumes', {});
+    repository.insert('atsScores', { overallScore: 90 }, { resumeId: scoredResume.id });
+
+    createApplication({ company: 'Listco Alpha', role: 'Engineer', status: 'applied' });
+    createApplication({ company: 'Listco Beta', role: 'Engineer', status: 'applied', resumeId: scoredResume.id });
+    createApplication({ company: 'Listco Gamma', role: 'Engineer' });
+
+    const applied = listApplications({ company: 'listco', status: 'applied', sort: 'atsScore' });
+    assert.deepStrictEqual(applied.map(a => a.company), ['Listco Beta', 'Listco Alpha']);
+    assert.deepStrictEqual(listApplications({ company: 'listco', minAtsScore: '80' }).map(a => a.company), ['Listco Beta']);
+    assert.deepStrictEqual(listApplications({ company: 'listco', sort: 'company' }).map(a => a.company), ['Listco Alpha', 'Listco Beta', 'Listco Gamma']);
+    assertStatusError(() => listApplications({ sort: 'salary' }), 400, /sort must be one of/);
+  });
+
+  await check('deleted applications are gone', () => {
+    const { id } = createApplication({ company: 'Gone', role: 'Engineer' });
+    deleteApplication(id);
+    assertStatusError(() => getApplication(id), 404, /not found/);
+  });
+}
+
+module.exports = {
+  run,
+};
@@ -0,0 +1,98 @@
+/**
+ * Bullet rewriter: alternatives per style, scored against the original
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { check, section, tempDir, withEnv, withServer } = require('./harness');
+const { JOB_ANALYSIS } = require('./samples');
+const { rewriteBullet } = require('../src/services/bulletRewriter');
+const { saveFixture } = require('../src/services/llmFixtures');
+const { bulletRewritesSchema } = require('../src/services/outputSchemas');
+const { buildCorrectionPrompt } = require('../src/services/structuredOutput');
+
+async function run() {
+  section('Bullet rewriter');
+
+  await check('returns one scored rewrite per default style, in order', async () => {
+    const { original, rewrites } = await rewriteBullet('Worked on the payments API', JOB_ANALYSIS);
+    assert.strictEqual(original.text, 'Worked on the payments API');
+    assert.deepStrictEqual(rewrites.map(rewrite => rewrite.style), ['metric-led', 'action-verb-led', 'concise', 'keyword-dense']);
+    rewrites.forEach((rewrite) => {
+      assert.strictEqual(rewrite.scoreChange, rewrite.score - original.score);
+      assert.strictEqual(rewrite.wordCount, rewrite.text.split(/\s+/).length);
+    });
+  });
+
+  await check('figures the original does not give come back as placeholders', async () => {
+    const { rewrites } = await rewriteBullet('Worked on the payments API', JOB_ANALYSIS);
+    const metricLed = rewrites.find(rewrite => rewrite.style === 'metric-led');
+    assert.deepStrictEqual(metricLed.placeholders, ['[X%]']);
+    assert.deepStrictEqual(rewrites.find(rewrite => rewrite.style === 'concise').placeholders, []);
+  });
+
+  await check('reports the ATS keywords a rewrite adds, and picks the best style by score', async () => {
+    const { original, rewrites, bestStyle } = await rewriteBullet('Built the payments API in Python', JOB_ANALYSIS);
+    assert.deepStrictEqual(original.keywords, ['Python']);
+    assert.deepStrictEqual(rewrites.find(rewrite => rewrite.style === 'keyword-dense').addedKeywords, ['PostgreSQL', 'Docker', 'REST APIs']);
+
+    const topScore = Math.max(...rewrites.map(rewrite => rewrite.score));
+    assert.strictEqual(rewrites.find(rewrite => rewrite.style === bestStyle).score, topScore);
+  });
+
+  await check('honours the requested styles', async () => {
+    const styles = ['concise', 'challenge-action-result', 'action-verb-led'];
+    const { rewrites } = await rewriteBullet('Worked on the payments API', JOB_ANALYSIS, { styles });
+    assert.deepStrictEqual(rewrites.map(rewrite => rewrite.style), styles);
+  });
+
+  await check('asks again when a style is missing, repeated or was not requested', async () => {
+    const styles = ['concise', 'metric-led', 'action-verb-led'];
+    const dir = tempDir('rewrites');
+    await withEnv({ LLM_FIXTURE_DIR: dir, LLM_FIXTURE_MODE: 'record' }, () => rewriteBullet('Worked on the payments API', JOB_ANALYSIS, { styles }));
+    const [file] = fs.readdirSync(dir);
+    const { messages } = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+
+    const rewrite = (style, text) => ({ style, text });
+    const bad = JSON.stringify({ rewrites: [rewrite('concise', 'Built payments API'), rewrite('concise', 'Ran payments API'), rewrite('keyword-dense', 'Built Python REST APIs')] });
+    const good = JSON.stringify({ rewrites: [rewrite('concise', 'Built payments API'), rewrite('metric-led', 'Cut payment errors [X%]'), rewrite('action-verb-led', 'Delivered the payments API')] });
+    const error = "$.rewrites: expected exactly one rewrite per style (concise, metric-led, action-verb-led): missing style 'metric-led', missing style 'action-verb-led', repeated style 'concise', style 'keyword-dense' was not requested";
+    await withEnv({ LLM_FIXTURE_DIR: dir, LLM_FIXTURE_MODE: 'replay' }, async () => {
+      saveFixture('bulletRewriter', messages, bad);
+      saveFixture('bulletRewriter', [
+        ...messages,
+        { role: 'assistant', content: bad },
+        { role: 'user', content: buildCorrectionPrompt([error], bulletRewritesSchema) },
+      ], good);
+      const { rewrites } = await rewriteBullet('Worked on the payments API', JOB_ANALYSIS, { styles });
+      assert.deepStrictEqual(rewrites.map(r => r.style), styles);
+    });
+  });
+
+  await check('rejects an empty bullet, a bad job analysis and bad style lists', async () => {
+    await assert.rejects(rewriteBullet('  ', JOB_ANALYSIS), /bullet is required/);
+    await assert.rejects(rewriteBullet('Built APIs', {}), /jobAnalysis must be a valid object/);
+    await assert.rejects(rewriteBullet('Built APIs', JOB_ANALYSIS, { styles: ['concise', 'concise', 'metric-led'] }), /styles must be 3-5 distinct values/);
+    await assert.rejects(rewriteBullet('Built APIs', JOB_ANALYSIS, { styles: ['concise', 'metric-led'] }), /styles must be 3-5 distinct values/);
+    await assert.rejects(rewriteBullet('Built APIs', JOB_ANALYSIS, { styles: ['concise', 'metric-led', 'poetic'] }), /styles must be 3-5 distinct values/);
+    await assert.rejects(rewriteBullet('Built APIs', JOB_ANALYSIS, { context: 3 }), /context must be a string/);
+  });
+
+  await check('/rewrite-bullet returns the comparison and answers 400 for bad input', () => withServer(async (request) => {
+    const { status, body } = await request('POST', '/api/rewrite-bullet', { bullet: 'Worked on the payments API', jobAnalysis: JOB_ANALYSIS });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.rewrites.length, 4);
+    assert.ok(body.rewrites.some(rewrite => rewrite.style === body.bestStyle));
+
+    assert.strictEqual((await request('POST', '/api/rewrite-bullet', { jobAnalysis: JOB_ANALYSIS })).status, 400);
+    assert.strictEqual((await request('POST', '/api/rewrite-bullet', { bullet: 'Built APIs' })).status, 400);
+    const badStyles = await request('POST', '/api/rewrite-bullet', { bullet: 'Built APIs', jobAnalysis: JOB_ANALYSIS, styles: ['concise'] });
+    assert.strictEqual(badStyles.status, 400);
+    assert.strictEqual((await request('POST', '/api/rewrite-bullet', { bullet: 'Built APIs', analysisId: 'missing' })).status, 404);
+  }));
+}
+
+module.exports = {
+  run,
+};
@@ -0,0 +1,181 @@
+/**
+ * Career profile: validation, entry selection per job, and reuse in questionnaires and resumes
+ */
+
+const assert = require('assert');
+const { check, section, tempDir, withEnv, withServer } = require('./harness');
+const { JOB_ANALYSIS } = require('./samples');
+const {
+  createProfile,
+  deleteProfile,
+  getProfile,
+  profileAnswers,
+  profileToResume,
+  selectProfileEntries,
+  updateProfile,
+} = require('../src/services/careerProfile');
+const { countYearsOfExperience } = require('../src/services/employmentTimeline');
+const { saveFixture } = require('../src/services/llmFixtures');
+const { PROFILE_TOPICS, buildQuestionPrompt, generateQuestions } = require('../src/services/questionGenerator');
+
+/**
+ * Profile input with two roles, a linked achievement story and a degree
+ * @type {Object}
+ */
+const PROFILE_INPUT = {
+  contact: { fullName: 'Jane Smith', email: 'jane.smith@example.com', phone: '+1 555 123 4567' },
+  headline: 'Backend engineer focused on reliable Python services',
+  skills: ['Python', 'Figma'],
+  employment: [
+    { company: 'Contoso', role: 'Software Engineer', startDate: '2018-01', endDate: '2021-02', highlights: ['Developed billing reports'], skills: ['SQL'] },
+    { id: 'northwind', company: 'Northwind Traders', role: 'Backend Engineer', startDate: '2021-03', highlights: ['Built REST APIs in Python'], skills: ['PostgreSQL', 'Docker'] },
+  ],
+  achievements: [{ title: 'Latency', story: 'Cut API latency by 40% with PostgreSQL read replicas', employmentId: 'northwind' }],
+  education: [{ institution: 'State University', degree: 'BSc', field: 'Computer Science', year: '2017' }],
+};
+
+/**
+ * Asserts that creating a profile fails with status 400 and a message
+ * @param {Object} input - Profile input
+ * @param {RegExp} message - Expected message
+ */
+function assertInvalid(input, message) {
+  assert.throws(() => createProfile(input), error => error.status === 400 && message.test(error.message));
+}
+
+async function run() {
+  section('Career profile');
+
+  await check('creates a profile with the most recent role first and IDs on every entry', () => {
+    const profile = createProfile(PROFILE_INPUT);
+    assert.deepStrictEqual(profile.employment.map(job => job.company), ['Northwind Traders', 'Contoso']);
+    assert.strictEqual(profile.employment[0].id, 'northwind');
+    assert.ok(profile.employment[1].id && profile.education[0].id);
+    assert.deepStrictEqual(getProfile(profile.id).contact, { ...PROFILE_INPUT.contact, linkedinUrl: null, location: null });
+  });
+
+  await check('rejects invalid dates, ranges, contact details and orphaned stories with status 400', () => {
+    const job = PROFILE_INPUT.employment[0];
+    assertInvalid({ ...PROFILE_INPUT, employment: [{ ...job, startDate: 'Jan 2018' }] }, /employment\[0\]\.startDate must be a date in the form YYYY-MM or YYYY/);
+    assertInvalid({ ...PROFILE_INPUT, employment: [{ ...job, endDate: '2017-06' }] }, /employment\[0\]\.endDate must not be before startDate/);
+    assertInvalid({ ...PROFILE_INPUT, contact: { ...PROFILE_INPUT.contact, email: 'not-an-email' } }, /^contact\.email /);
+    assertInvalid({ ...PROFILE_INPUT, employment: [job] }, /achievement 'Latency' refers to employment 'northwind', which is not in the profile/);
+    assertInvalid({ headline: 'No contact' }, /contact is required/);
+  });
+
+  await check('updates merge contact fields and replace the sections given', () => {
+    const profile = createProfile(PROFILE_INPUT);
+    const updated = updateProfile(profile.id, { contact: { location: 'Berlin' }, skills: ['Go'] });
+    assert.strictEqual(updated.contact.location, 'Berlin');
+    assert.strictEqual(updated.contact.email, PROFILE_INPUT.contact.email);
+    assert.deepStrictEqual(updated.skills, ['Go']);
+    assert.deepStrictEqual(updated.employment, profile.employment);
+
+    deleteProfile(profile.id);
+    assert.throws(() => getProfile(profile.id), error => error.status === 404);
+  });
+
+  await check('answers the base questions and job-specific ones from the profile', () => {
+    const profile = createProfile(PROFILE_INPUT);
+    const answers = profileAnswers(profile, JOB_ANALYSIS);
+    assert.strictEqual(answers.full_name, 'Jane Smith');
+    assert.strictEqual(answers.current_role, 'Backend Engineer at Northwind Traders');
+    assert.strictEqual(answers.years_of_experience, String(countYearsOfExperience(profile.employment)));
+    assert.strictEqual(answers.education, 'BSc in Computer Science, State University, 2017');
+    assert.strictEqual(answers.key_achievements, 'Cut API latency by 40% with PostgreSQL read replicas');
+    // Skills the job does not ask for are left out
+    assert.deepStrictEqual(answers.relevant_skills.split(', ').sort(), ['Docker', 'PostgreSQL', 'Python']);
+    assert.ok(!('linkedin_url' in answers));
+  });
+
+  await check('selects the current role and the most relevant earlier roles, laid out as a resume', () => {
+    const earlier = ['Acme', 'Initech', 'Globex', 'Umbrella'].map((company, i) => ({
+      company,
+      role: 'Engineer',
+      startDate: `${2010 + i}`,
+      endDate: `${2010 + i}`,
+      highlights: [company === 'Globex' ? 'Ran Docker and AWS deployments' : 'Organised team events'],
+    }));
+    const profile = createProfile({ ...PROFILE_INPUT, employment: [...PROFILE_INPUT.employment, ...earlier] });
+    const selection = selectProfileEntries(profile, JOB_ANALYSIS);
+    assert.strictEqual(selection.employment.length, 4);
+    assert.strictEqual(selection.employment[0].company, 'Northwind Traders');
+    assert.ok(selection.employment.some(job => job.company === 'Globex'));
+
+    const resume = profileToResume(selection, profile);
+    assert.strictEqual(resume.summary, PROFILE_INPUT.headline);
+    assert.deepStrictEqual(resume.experience[0], {
+      company: 'Northwind Traders',
+      role: 'Backend Engineer',
+      duration: '03/2021 - Present',
+      bullets: ['Cut API latency by 40% with PostgreSQL read replicas', 'Built REST APIs in Python'],
+    });
+    assert.strictEqual(resume.education[0].degree, 'BSc in Computer Science');
+    assert.ok(resume.skills.databases.includes('PostgreSQL'));
+  });
+
+  await check('/profiles supports create, read, update, list and delete', () => withServer(async (request) => {
+    const created = await request('POST', '/api/profiles', PROFILE_INPUT);
+    assert.strictEqual(created.status, 201);
+    const { id } = created.body.profile;
+
+    assert.strictEqual((await request('GET', `/api/profiles/${id}`)).body.profile.headline, PROFILE_INPUT.headline);
+    assert.ok((await request('GET', '/api/profiles')).body.profiles.some(profile => profile.id === id));
+    assert.strictEqual((await request('PATCH', `/api/profiles/${id}`, { headline: 'Platform engineer' })).body.profile.headline, 'Platform engineer');
+    assert.strictEqual((await request('POST', '/api/profiles', { contact: {} })).status, 400);
+    assert.strictEqual((await request('DELETE', `/api/profiles/${id}`)).status, 200);
+    assert.strictEqual((await request('GET', `/api/profiles/${id}`)).status, 404);
+  }));
+
+  await check('questionnaires skip what the profile answers, and resumes draw on its entries', () => withServer(async (request) => {
+    const { id } = (await request('POST', '/api/profiles', PROFILE_INPUT)).body.profile;
+
+    const questions = await request('POST', '/api/generate-questions', { jobAnalysis: JOB_ANALYSIS, profileId: id });
+    assert.strictEqual(questions.status, 200);
+    const answered = Object.keys(questions.body.profileAnswers);
+    assert.ok(answered.includes('full_name'));
+    assert.ok(!questions.body.questions.some(question => answered.includes(question.id)));
+
+    const generated = await request('POST', '/api/generate-resume', { jobAnalysis: JOB_ANALYSIS, profileId: id });
+    assert.strictEqual(generated.status, 200);
+    assert.deepStrictEqual(generated.body.resume.experience.map(job => job.company).slice(0, 2), ['Northwind Traders', 'Contoso']);
+    assert.strictEqual(generated.body.resume.personalInfo.name, 'Jane Smith');
+    assert.strictEqual((await request('POST', '/api/generate-resume', { jobAnalysis: JOB_ANALYSIS, profileId: 'missing' })).status, 404);
+  }));
+
+  await check('the model is told which topics the profile answers, whatever IDs it picks', async () => {
+    const profile = createProfile(PROFILE_INPUT);
+    const answeredTopics = Object.keys(PROFILE_TOPICS).filter(id => id in profileAnswers(profile, JOB_ANALYSIS));
+    // The profile has no projects, so the model may still ask for one
+    assert.deepStrictEqual(answeredTopics, ['current_role', 'education', 'key_achievements', 'relevant_skills']);
+
+    const question = (id, text) => ({ id, question: text, type: 'textarea', category: 'experience', required: false, placeholder: '' });
+    const ownIds = [
+      question('proudest_moment', 'What achievement are you proudest of?'),
+      question('favourite_build', 'Describe a project you built.'),
+      question('python_depth', 'How have you used Python?'),
+      question('team_size', 'How large were the teams you worked in?'),
+      question('on_call', 'Describe your on-call experience.'),
+    ];
+    const skipped = [ownIds[2], ownIds[3], ownIds[4], question('deploys', 'How do you deploy?'), question('reviews', 'How do you review code?')];
+    const dir = tempDir('questions');
+    const messagesFor = topics => [{ role: 'user', content: buildQuestionPrompt(JOB_ANALYSIS, topics) }];
+    const prompt = messagesFor(answeredTopics)[0].content;
+    answeredTopics.forEach(id => assert.ok(prompt.includes(`- ${PROFILE_TOPICS[id]}`), id));
+    assert.ok(messagesFor([])[0].content.includes('"key_achievements"'));
+
+    await withEnv({ LLM_FIXTURE_MODE: 'replay', LLM_FIXTURE_DIR: dir }, async () => {
+      // Without the profile the model asks about achievements under its own ID; told the topics, it does not
+      saveFixture('questionGenerator', messagesFor([]), JSON.stringify(ownIds));
+      saveFixture('questionGenerator', messagesFor(answeredTopics), JSON.stringify(skipped));
+      const withoutProfile = await generateQuestions(JOB_ANALYSIS, { cache: 'bypass' });
+      assert.ok(withoutProfile.some(q => q.id === 'proudest_moment'));
+      const withProfile = await generateQuestions(JOB_ANALYSIS, { cache: 'bypass', profile });
+      assert.deepStrictEqual(withProfile.map(q => q.id), ['linkedin_url', 'python_depth', 'team_size', 'on_call', 'deploys', 'reviews']);
+    });
+  });
+}
+
+module.exports = {
+  run,
+};
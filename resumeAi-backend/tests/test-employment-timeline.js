@@ -0,0 +1,110 @@
+/**
+ * Employment timeline: reading durations, and gaps, overlaps and date problems
+ */
+
+const assert = require('assert');
+const { check, section } = require('./harness');
+const { JOB_ANALYSIS, RESUME } = require('./samples');
+const { analyzeTimeline, parseDuration } = require('../src/services/employmentTimeline');
+const { scoreResume } = require('../src/services/atsScorer');
+
+/**
+ * Fixed "today" for the checks: June 2024
+ * @type {Date}
+ */
+const NOW = new Date(2024, 5, 15);
+
+/**
+ * Analyzes roles with the given durations, most recent first
+ * @param {Array<string>} durations - Durations
+ * @param {Object} [options] - analyzeTimeline options
+ * @returns {Object} - Result of analyzeTimeline
+ */
+function timelineOf(durations, options = {}) {
+  const experience = durations.map((duration, i) => ({ company: `Company ${i + 1}`, role: 'Engineer', duration }));
+  return analyzeTimeline({ experience }, { now: NOW, ...options });
+}
+
+/**
+ * Lists the types of a timeline's findings
+ * @param {Object} timeline - Result of analyzeTimeline
+ * @returns {Array<string>}
+ */
+function typesOf(timeline) {
+  return timeline.findings.map(finding => finding.type);
+}
+
+async function run() {
+  section('Employment timeline');
+
+  await check('reads month, month-name, ISO and year durations', () => {
+    assert.deepStrictEqual(parseDuration('03/2021 - Present'), { startDate: '2021-03', endDate: null, current: true });
+    assert.deepStrictEqual(parseDuration('Jan 2019 - Mar 2021'), { startDate: '2019-01', endDate: '2021-03', current: false });
+    assert.deepStrictEqual(parseDuration('2020-01 to 2021-06'), { startDate: '2020-01', endDate: '2021-06', current: false });
+    assert.deepStrictEqual(parseDuration('2016 - 2018'), { startDate: '2016', endDate: '2018', current: false });
+    assert.strictEqual(parseDuration('MM/YYYY - Present'), null);
+  });
+
+  await check('a duration that only gives a start is an ongoing role', () => {
+    assert.deepStrictEqual(parseDuration('Since 2022'), { startDate: '2022', endDate: null, current: true });
+    assert.deepStrictEqual(parseDuration('From Mar 2021'), { startDate: '2021-03', endDate: null, current: true });
+    assert.deepStrictEqual(parseDuration('2022 -'), { startDate: '2022', endDate: null, current: true });
+    // An ongoing role leaves no gap up to today
+    assert.deepStrictEqual(typesOf(timelineOf(['Since 2022', '2016 - 2021'])), []);
+  });
+
+  await check('any other single date is a role within that month or year', () => {
+    assert.deepStrictEqual(parseDuration('2019'), { startDate: '2019', endDate: '2019', current: false });
+    assert.deepStrictEqual(parseDuration('Jan 2020'), { startDate: '2020-01', endDate: '2020-01', current: false });
+    assert.strictEqual(timelineOf(['2019']).totalMonths, 12);
+  });
+
+  await check('roles changing hands in a year given without months do not overlap', () => {
+    assert.deepStrictEqual(typesOf(timelineOf(['2019 - Present', '2016 - 2019'])), []);
+    // Where one of the two dates has a month, a year of overlap is still allowed
+    assert.deepStrictEqual(typesOf(timelineOf(['2019 - Present', '2016 - 06/2019'])), []);
+    // More than the year is still an overlap
+    const overlap = timelineOf(['2018 - Present', '2016 - 2019']).findings[0];
+    assert.strictEqual(overlap.months, 24);
+    assert.strictEqual(overlap.message, 'Engineer at Company 1 and Engineer at Company 2 overlap by 24 months');
+  });
+
+  await check('roles with months may share one month, not more', () => {
+    assert.deepStrictEqual(typesOf(timelineOf(['03/2021 - Present', '01/2018 - 03/2021'])), []);
+    const [overlap] = timelineOf(['01/2021 - Present', '01/2018 - 03/2021']).findings;
+    assert.deepStrictEqual([overlap.type, overlap.months, overlap.paths], ['overlap', 3, ['experience[0]', 'experience[1]']]);
+  });
+
+  await check('gaps of six months or more are reported, between roles and since the last', () => {
+    const between = timelineOf(['02/2021 - Present', '01/2018 - 06/2020']).findings[0];
+    assert.deepStrictEqual([between.type, between.from, between.to, between.months], ['gap', '2020-07', '2021-01', 7]);
+    const since = timelineOf(['01/2018 - 12/2023']).findings[0];
+    assert.strictEqual(since.message, 'No role since Engineer at Company 1 ended (2024-01 to now, 6 months)');
+    assert.deepStrictEqual(typesOf(timelineOf(['08/2020 - Present', '01/2018 - 02/2020'])), []);
+  });
+
+  await check('unreadable, backwards and future dates are reported and left out of the rest', () => {
+    const timeline = timelineOf(['2025 - Present', '05/2021 - 01/2019', 'soon', '01/2018 - 05/2024']);
+    assert.deepStrictEqual(typesOf(timeline), ['unparsed_date', 'future_date', 'invalid_range']);
+    assert.strictEqual(timeline.totalMonths, 77);
+  });
+
+  await check('stated years of experience must agree with the roles within a year', () => {
+    const timeline = timelineOf(['01/2020 - Present', '01/2016 - 12/2019'], { yearsOfExperience: '3' });
+    assert.deepStrictEqual([timeline.totalMonths, timeline.totalYears], [101, 8.4]);
+    assert.strictEqual(timeline.findings[0].message, 'The roles add up to 8.4 years, but the stated experience is 3 years');
+    assert.deepStrictEqual(typesOf(timelineOf(['01/2020 - Present', '01/2016 - 12/2019'], { yearsOfExperience: 8 })), []);
+  });
+
+  await check('scores include the timeline and suggest fixing what it found', () => {
+    const experience = [{ ...RESUME.experience[0], duration: '01/2020 - Present' }, RESUME.experience[1]];
+    const score = scoreResume({ ...RESUME, experience }, JOB_ANALYSIS);
+    assert.deepStrictEqual(score.timeline.counts, { overlap: 1 });
+    assert.ok(score.suggestions.some(text => text.startsWith('Check the dates of overlapping roles')));
+    assert.strictEqual(score.explanation.rules.find(rule => rule.id === 'content.experience.timeline').details.length, 1);
+  });
+}
+
+module.exports = {
+  run,
+};
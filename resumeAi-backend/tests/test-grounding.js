@@ -0,0 +1,142 @@
+/**
+ * Grounding verifier: tracing employers, titles, dates and numbers to the candidate's sources
+ */
+
+const assert = require('assert');
+const { check, section } = require('./harness');
+const { extractNumbers, verifyResume } = require('../src/services/groundingVerifier');
+const { mapProvenance } = require('../src/services/provenanceMapper');
+
+const ANSWERS = {
+  full_name: 'Jane Smith',
+  email: 'jane.smith2020@example.com',
+  phone: '+1-555-123-4567',
+  linkedin_url: 'https://linkedin.com/in/jane-smith-99',
+  current_role: 'Backend Engineer at Northwind Traders',
+  key_achievements: 'Built tech solutions for global customers and cut API latency by 40%',
+};
+
+/**
+ * Builds a one-job resume for the verifier
+ * @param {Object} job - Experience entry fields to override
+ * @returns {Object} - Resume content
+ */
+function resumeWith(job) {
+  return {
+    summary: '',
+    experience: [{ company: 'Northwind Traders', role: 'Backend Engineer', duration: 'Present', bullets: [], ...job }],
+    skills: {},
+    education: [],
+    additionalSections: [],
+  };
+}
+
+/**
+ * Returns the flag for a path, if any
+ * @param {Array<Object>} flagged - Verifier flags
+ * @param {string} path - Path into the resume
+ * @returns {Object|undefined}
+ */
+function flagAt(flagged, path) {
+  return flagged.find(flag => flag.path === path);
+}
+
+async function run() {
+  section('Grounding verifier');
+
+  await check('reads numbers with separators and suffixes', () => {
+    assert.deepStrictEqual(extractNumbers('Saved $1.2M across 10,000+ users, 3x faster, 45%').map(n => n.value), [1200000, 10000, 3, 45]);
+  });
+
+  await check('traces an employer named in the sources, ignoring case, punctuation and legal form', () => {
+    const { flagged } = verifyResume(resumeWith({ company: 'NORTHWIND TRADERS, Inc.' }), { answers: ANSWERS }, { strip: true });
+    assert.strictEqual(flagAt(flagged, 'experience[0].company'), undefined);
+  });
+
+  await check('an employer whose words are only scattered through the sources is untraced', () => {
+    const { resume, flagged } = verifyResume(resumeWith({ company: 'Global Tech Solutions Inc' }), { answers: ANSWERS }, { strip: true });
+    assert.strictEqual(flagAt(flagged, 'experience[0].company').action, 'removed');
+    assert.deepStrictEqual(resume.experience, []);
+  });
+
+  await check('a name does not match across two source fields', () => {
+    const answers = { company_a: 'Northwind', company_b: 'Traders Guild' };
+    const { flagged } = verifyResume(resumeWith({ company: 'Northwind Traders', role: 'Not specified' }), { answers }, { strip: true });
+    assert.ok(flagAt(flagged, 'experience[0].company'));
+  });
+
+  await check('bullets with invented numbers are removed, traced ones kept', () => {
+    const bullets = ['Cut API latency by 40%', 'Grew revenue 300%'];
+    const { resume, flagged, removed } = verifyResume(resumeWith({ bullets }), { answers: ANSWERS }, { strip: true });
+    assert.deepStrictEqual(resume.experience[0].bullets, ['Cut API latency by 40%']);
+    assert.deepStrictEqual(flagAt(flagged, 'experience[0].bullets[1]').reasons, ['number "300%" not found in the candidate\'s sources']);
+    assert.strictEqual(removed, 1);
+  });
+
+  await check('contact details do not back metrics', () => {
+    const bullets = ['Grew revenue 555%', 'Served 4567 customers', 'Closed 99 deals'];
+    const sourceResume = { personalInfo: { phone: '(555) 123-4567' }, experience: [] };
+    const { resume } = verifyResume(resumeWith({ bullets }), { answers: ANSWERS, sourceResume }, { strip: true });
+    assert.deepStrictEqual(resume.experience[0].bullets, []);
+  });
+
+  await check('provenance does not source numbers or links from contact answers', () => {
+    const resume = resumeWith({ bullets: ['Grew revenue 555%', 'Cut API latency by 40%'] });
+    const { items } = mapProvenance(resume, { answers: ANSWERS });
+    const [invented, sourced] = items.filter(item => item.type === 'bullet');
+
+    assert.strictEqual(invented.status, 'invented');
+    assert.deepStrictEqual(invented.reasons, ['number "555%" does not appear in any answer']);
+    assert.ok(!invented.sources.includes('phone'));
+    assert.notStrictEqual(sourced.status, 'invented');
+    assert.ok(sourced.sources.includes('key_achievements'));
+  });
+
+  await check('an untraced title is replaced with the role the sources give for that employer', () => {
+    const { resume, flagged } = verifyResume(resumeWith({ role: 'Principal Architect' }), { answers: ANSWERS }, { strip: true });
+    assert.strictEqual(resume.experience[0].role, 'Backend Engineer');
+    assert.strictEqual(flagAt(flagged, 'experience[0].role').action, 'replaced');
+    assert.strictEqual(flagAt(flagged, 'experience[0].role').replacement, 'Backend Engineer');
+  });
+
+  await check('untraced dates are replaced from the source resume, or cleared without one', () => {
+    const sourceResume = {
+      experience: [
+        { company: 'Northwind Traders', role: 'Engineer', duration: '2016 - 2018', bullets: [] },
+        { company: 'Northwind Traders', role: 'Backend Engineer', duration: '2019 - Present', bullets: [] },
+      ],
+    };
+    const replaced = verifyResume(resumeWith({ duration: '2015 - Present' }), { answers: ANSWERS, sourceResume }, { strip: true });
+    // Of the two roles at the employer, the one with the same title
+    assert.strictEqual(replaced.resume.experience[0].duration, '2019 - Present');
+    assert.strictEqual(flagAt(replaced.flagged, 'experience[0].duration').replacement, '2019 - Present');
+
+    const traced = verifyResume(resumeWith({ duration: '2016 - 2018' }), { answers: ANSWERS, sourceResume }, { strip: true });
+    assert.strictEqual(traced.resume.experience[0].duration, '2016 - 2018');
+    assert.strictEqual(flagAt(traced.flagged, 'experience[0].duration'), undefined);
+
+    const cleared = verifyResume(resumeWith({ duration: '2015 - Present' }), { answers: ANSWERS }, { strip: true });
+    assert.strictEqual(cleared.resume.experience[0].duration, '');
+    assert.strictEqual(flagAt(cleared.flagged, 'experience[0].duration').action, 'removed');
+  });
+
+  await check('an untraced degree and graduation year are replaced from the source education', () => {
+    const sourceResume = { experience: [], education: [{ institution: 'State University', degree: 'BSc Computer Science', year: 2015 }] };
+    const resume = { ...resumeWith({}), education: [{ institution: 'State University', degree: 'PhD Computer Science', year: '2012' }] };
+    const result = verifyResume(resume, { answers: ANSWERS, sourceResume }, { strip: true });
+    assert.deepStrictEqual(result.resume.education, [{ institution: 'State University', degree: 'BSc Computer Science', year: '2015' }]);
+    assert.deepStrictEqual(result.flagged.map(flag => [flag.path, flag.action]), [['education[0].degree', 'replaced'], ['education[0].year', 'replaced']]);
+  });
+
+  await check('without strip, problems are flagged and the resume is unchanged', () => {
+    const resume = resumeWith({ company: 'Global Tech Solutions Inc', bullets: ['Grew revenue 300%'] });
+    const result = verifyResume(resume, { answers: ANSWERS });
+    assert.strictEqual(result.resume, resume);
+    assert.ok(result.flagged.every(flag => flag.action === 'kept'));
+    assert.strictEqual(result.removed, 0);
+  });
+}
+
+module.exports = {
+  run,
+};
@@ -0,0 +1,108 @@
+/**
+ * Keyword matching: spelling, word forms and synonyms, and synonymous job keywords counted once
+ */
+
+const assert = require('assert');
+const { check, section } = require('./harness');
+const { JOB_ANALYSIS, RESUME } = require('./samples');
+const { canonicalKeyword, keywordVariants, matchKeyword, stem } = require('../src/services/keywordMatcher');
+const { scoreResume } = require('../src/services/atsScorer');
+
+/**
+ * JOB_ANALYSIS with React listed three ways, among the keywords and the required skills
+ * @type {Object}
+ */
+const REACT_JOB = {
+  ...JOB_ANALYSIS,
+  requiredSkills: [...JOB_ANALYSIS.requiredSkills, 'React.js'],
+  atsKeywords: [
+    ...JOB_ANALYSIS.atsKeywords,
+    { keyword: 'React', frequency: 2 },
+    { keyword: 'React.js', frequency: 1 },
+    { keyword: 'ReactJS', frequency: 1 },
+  ],
+};
+
+/**
+ * RESUME mentioning React five times, in three forms, outside experience
+ * @type {Object}
+ */
+const REACT_RESUME = {
+  ...RESUME,
+  summary: 'React engineer. React.js and ReactJS apps in React.',
+  skills: { ...RESUME.skills, frameworks: ['React'] },
+};
+
+/**
+ * Returns a rule of a score's explanation
+ * @param {Object} score - Result of scoreResume
+ * @param {string} id - Rule ID
+ * @returns {Object}
+ */
+function ruleOf(score, id) {
+  return score.explanation.rules.find(rule => rule.id === id);
+}
+
+async function run() {
+  section('Keyword matching');
+
+  await check('spacing and punctuation inside a term do not matter', () => {
+    assert.strictEqual(matchKeyword('Node.js, node js and NodeJS', 'Node.js', { synonyms: false }).count, 3);
+    assert.strictEqual(matchKeyword('Shipped CICD pipelines', 'CI/CD', { synonyms: false }).count, 1);
+    // Whole terms only
+    assert.strictEqual(matchKeyword('Javascript and Java', 'Java').count, 1);
+  });
+
+  await check('word forms match by stem unless stemming is off', () => {
+    assert.strictEqual(stem('deployment'), stem('deployed'));
+    assert.strictEqual(matchKeyword('Deployed services; owned deployments', 'deployment').count, 2);
+    assert.strictEqual(matchKeyword('Deployed services; owned deployments', 'deployment', { stemming: false }).count, 0);
+    assert.strictEqual(stem('process'), 'process');
+  });
+
+  await check('synonyms and acronyms match each other, and how each was written is recorded', () => {
+    assert.deepStrictEqual(matchKeyword('Deployed k8s clusters; Kubernetes on-call', 'Kubernetes'), { count: 2, variants: { k8s: 1, kubernetes: 1 } });
+    assert.deepStrictEqual(matchKeyword('Amazon Web Services', 'AWS', { synonyms: false }), { count: 0, variants: {} });
+    assert.deepStrictEqual(keywordVariants('Postgres'), ['Postgres', 'postgresql', 'psql']);
+    // The longer variant wins where they overlap
+    assert.deepStrictEqual(matchKeyword('Built React.js apps', 'React').variants, { 'react.js': 1 });
+  });
+
+  await check('keywords that match the same text share a canonical form', () => {
+    assert.strictEqual(canonicalKeyword('React.js'), canonicalKeyword('React'));
+    assert.strictEqual(canonicalKeyword('K8s'), 'kubernetes');
+    assert.strictEqual(canonicalKeyword('Node.js', { synonyms: false }), canonicalKeyword('NodeJS', { synonyms: false }));
+    assert.notStrictEqual(canonicalKeyword('React.js', { synonyms: false }), canonicalKeyword('React', { synonyms: false }));
+  });
+
+  await check('a keyword listed in several forms is counted, weighted and reported once', () => {
+    const score = scoreResume(REACT_RESUME, REACT_JOB);
+    assert.deepStrictEqual(score.keywordCounts.React, {
+      count: 5,
+      variants: { react: 3, 'react.js': 1, reactjs: 1 },
+      aliases: ['React.js', 'ReactJS'],
+    });
+    assert.ok(!('React.js' in score.keywordCounts) && !('ReactJS' in score.keywordCounts));
+    assert.strictEqual(ruleOf(score, 'keywords.coverage').details.filter(detail => detail.keyword === 'React').length, 1);
+    // The frequencies add up: React weighs 4 of the 15 keyword frequencies
+    const react = ruleOf(score, 'keywords.coverage').details.find(detail => detail.keyword === 'React');
+    assert.strictEqual(react.message, '"React": only in summary (x4), skills (x1), not in experience, -5.33');
+  });
+
+  await check('a keyword listed in several forms is flagged for stuffing once', () => {
+    const score = scoreResume(REACT_RESUME, REACT_JOB, { scoringProfile: 'human-reviewer' });
+    assert.deepStrictEqual(ruleOf(score, 'keywords.stuffing').details.map(detail => detail.keyword), ['React']);
+    assert.deepStrictEqual(score.skillsOnlyKeywords, ['React']);
+    assert.ok(!('React.js' in score.keywordSections));
+  });
+
+  await check('without synonym matching, only forms that differ in punctuation are merged', () => {
+    const score = scoreResume(REACT_RESUME, REACT_JOB, { matching: { stemming: false, synonyms: false } });
+    assert.deepStrictEqual(score.keywordCounts.React, { count: 3, variants: { react: 3 } });
+    assert.deepStrictEqual(score.keywordCounts['React.js'], { count: 2, variants: { 'react.js': 1, reactjs: 1 }, aliases: ['ReactJS'] });
+  });
+}
+
+module.exports = {
+  run,
+};
@@ -0,0 +1,46 @@
+/**
+ * LLM client: provider and model resolution, and the offline provider
+ */
+
+const assert = require('assert');
+const { check, section, withEnv } = require('./harness');
+const { complete, getProviderConfig } = require('../src/services/llmClient');
+
+async function run() {
+  section('LLM client');
+
+  await check('per-service provider overrides the global one', () => withEnv({ LLM_PROVIDER: 'groq', LLM_PROVIDER_RESUME_GENERATOR: 'offline' }, () => {
+    assert.strictEqual(getProviderConfig('resumeGenerator').provider, 'offline');
+    assert.strictEqual(getProviderConfig('jobAnalyzer').provider, 'groq');
+  }));
+
+  await check('defaults to groq and its default model', () => withEnv({ LLM_PROVIDER: undefined, LLM_MODEL: undefined, GROQ_MODEL: undefined }, () => {
+    assert.deepStrictEqual(getProviderConfig('jobAnalyzer'), { provider: 'groq', model: 'llama-3.3-70b-versatile' });
+  }));
+
+  await check('per-service model overrides LLM_MODEL', () => withEnv({ LLM_PROVIDER: 'openai', LLM_MODEL: 'general', LLM_MODEL_BULLET_REWRITER: 'small' }, () => {
+    assert.strictEqual(getProviderConfig('bulletRewriter').model, 'small');
+    assert.strictEqual(getProviderConfig('jobAnalyzer').model, 'general');
+  }));
+
+  await check('unknown provider is rejected with the supported list', () => withEnv({ LLM_PROVIDER: 'nope' }, () => {
+    assert.throws(() => getProviderConfig('jobAnalyzer'), /Unknown LLM provider 'nope'.*offline/);
+  }));
+
+  await check('complete() rejects an empty message list', async () => {
+    await assert.rejects(complete({ service: 'jobAnalyzer', messages: [] }), /messages must be a non-empty array/);
+  });
+
+  await check('complete() answers through the offline provider', async () => {
+    const text = await complete({
+      service: 'jobAnalyzer',
+      messages: [{ role: 'user', content: 'Job Posting:\nSoftware Engineer\nRequirements:\n- React and Node.js' }],
+    });
+    assert.strictEqual(typeof text, 'string');
+    assert.ok(text.length > 0);
+  });
+}
+
+module.exports = {
+  run,
+};
@@ -0,0 +1,103 @@
+/**
+ * Mock LLM and fixture record/replay
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const { check, section, tempDir } = require('./harness');
+const { complete } = require('../src/services/llmClient');
+const { hashPrompt } = require('../src/services/llmFixtures');
+const { mockComplete } = require('../src/services/mockLLM');
+
+const POSTING = `Senior Backend Engineer
+
+Requirements:
+- 5+ years of Python and PostgreSQL
+- Experience with Docker and AWS
+
+Nice to have:
+- Kubernetes`;
+
+/**
+ * Builds a jobAnalyzer-style prompt around a posting
+ * @param {string} posting - Job posting text
+ * @returns {Array<Object>} - Chat messages
+ */
+function analysisMessages(posting) {
+  return [{ role: 'user', content: `Job Posting:\n${posting}\n\nExtract and return a JSON object.` }];
+}
+
+async function run() {
+  section('Mock LLM and fixtures');
+
+  await check('mock job analysis is deterministic and reads the posting', () => {
+    const first = mockComplete('jobAnalyzer', analysisMessages(POSTING));
+    assert.strictEqual(mockComplete('jobAnalyzer', analysisMessages(POSTING)), first);
+
+    const analysis = JSON.parse(first);
+    assert.ok(analysis.requiredSkills.includes('Python'));
+    assert.ok(analysis.requiredSkills.includes('Docker'));
+    assert.ok(!analysis.requiredSkills.includes('Kubernetes'), 'preferred-only skill is not required');
+    assert.strictEqual(analysis.jobLevel, 'senior');
+  });
+
+  await check('mock rejects services it has no responder for', () => {
+    assert.throws(() => mockComplete('nope', analysisMessages(POSTING)), /no responder for service 'nope'/);
+  });
+
+  await check('prompt hash ignores extra message fields', () => {
+    const messages = analysisMessages(POSTING);
+    assert.strictEqual(hashPrompt('jobAnalyzer', messages), hashPrompt('jobAnalyzer', messages.map(m => ({ ...m, name: 'x' }))));
+    assert.notStrictEqual(hashPrompt('jobAnalyzer', messages), hashPrompt('questionGenerator', messages));
+  });
+
+  const saved = {
+    LLM_FIXTURE_MODE: process.env.LLM_FIXTURE_MODE,
+    LLM_FIXTURE_DIR: process.env.LLM_FIXTURE_DIR,
+    LLM_PROVIDER: process.env.LLM_PROVIDER,
+    GROQ_API_KEY: process.env.GROQ_API_KEY,
+  };
+  const dir = tempDir('fixtures');
+
+  try {
+    process.env.LLM_FIXTURE_DIR = dir;
+    let recorded;
+
+    await check('record mode writes a fixture per prompt', async () => {
+      process.env.LLM_FIXTURE_MODE = 'record';
+      recorded = await complete({ service: 'jobAnalyzer', messages: analysisMessages(POSTING) });
+      const files = fs.readdirSync(dir);
+      assert.strictEqual(files.length, 1);
+      assert.match(files[0], /^jobAnalyzer-[0-9a-f]{16}\.json$/);
+    });
+
+    await check('replay mode serves the recording without provider credentials', async () => {
+      process.env.LLM_FIXTURE_MODE = 'replay';
+      process.env.LLM_PROVIDER = 'groq';
+      delete process.env.GROQ_API_KEY;
+      assert.strictEqual(await complete({ service: 'jobAnalyzer', messages: analysisMessages(POSTING) }), recorded);
+    });
+
+    await check('replay mode names the missing hash for an unrecorded prompt', async () => {
+      await assert.rejects(
+        complete({ service: 'jobAnalyzer', messages: analysisMessages('Something else') }),
+        /No recorded LLM fixture for jobAnalyzer \(hash [0-9a-f]{16}\)/
+      );
+    });
+
+    await check('an unknown fixture mode is rejected', async () => {
+      process.env.LLM_FIXTURE_MODE = 'rewind';
+      await assert.rejects(complete({ service: 'jobAnalyzer', messages: analysisMessages(POSTING) }), /Invalid LLM_FIXTURE_MODE 'rewind'/);
+    });
+  } finally {
+    Object.entries(saved).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  run,
+};
@@ -0,0 +1,68 @@
+/**
+ * Parse-back check: exporting a resume, reading it back and reporting what was lost
+ */
+
+const assert = require('assert');
+const { check, section, withServer } = require('./harness');
+const { JOB_ANALYSIS, RESUME } = require('./samples');
+const { checkParseBack } = require('../src/services/parseBackChecker');
+
+/**
+ * RESUME with the header the exporters write
+ * @type {Object}
+ */
+const EXPORTABLE = {
+  ...RESUME,
+  personalInfo: { name: 'Jane Smith', email: 'jane.smith@example.com', phone: '+1 555 123 4567' },
+};
+
+async function run() {
+  section('Parse-back check');
+
+  await check('a plain resume reads back unchanged from every format, with the same score', async () => {
+    const report = await checkParseBack(EXPORTABLE, JOB_ANALYSIS, { formats: ['pdf', 'docx', 'txt'] });
+    assert.strictEqual(report.passed, true);
+    report.formats.forEach((result) => {
+      assert.deepStrictEqual(result.issues, [], result.format);
+      assert.strictEqual(result.scoreChange.after, result.scoreChange.before);
+    });
+    assert.deepStrictEqual((await checkParseBack(EXPORTABLE, JOB_ANALYSIS)).formats.map(result => result.format), ['pdf', 'docx']);
+  });
+
+  await check('symbols the PDF fonts cannot write are reported as broken characters', async () => {
+    const experience = [{ ...RESUME.experience[0], bullets: ['Cut API latency → 40% ★ faster', ...RESUME.experience[0].bullets.slice(1)] }, RESUME.experience[1]];
+    const report = await checkParseBack({ ...EXPORTABLE, experience }, JOB_ANALYSIS, { formats: ['pdf', 'txt'] });
+    const [pdf, txt] = report.formats;
+    assert.strictEqual(report.passed, false);
+    assert.deepStrictEqual(pdf.counts, { broken_characters: 1 });
+    assert.strictEqual(pdf.issues[0].path, 'experience[0].bullets[0]');
+    assert.deepStrictEqual(pdf.issues[0].characters, ['→', '★']);
+    assert.strictEqual(txt.passed, true);
+  });
+
+  await check('a heading the parser does not recognize is reported once, not for each of its items', async () => {
+    const additionalSections = [{ title: 'Certifications', items: ['AWS Solutions Architect'] }, { title: 'Top 3 Projects', items: ['Built a homelab'] }];
+    const [txt] = (await checkParseBack({ ...EXPORTABLE, additionalSections }, JOB_ANALYSIS, { formats: ['txt'] })).formats;
+    assert.deepStrictEqual(txt.issues, [{ type: 'unreadable_heading', path: 'additionalSections[1].title', text: 'Top 3 Projects' }]);
+  });
+
+  await check('rejects formats that cannot be checked', async () => {
+    await assert.rejects(checkParseBack(EXPORTABLE, JOB_ANALYSIS, { formats: ['rtf'] }), /formats must be a non-empty list of: pdf, docx, txt/);
+    await assert.rejects(checkParseBack(EXPORTABLE, JOB_ANALYSIS, { formats: [] }), /formats must be a non-empty list/);
+  });
+
+  await check('/parse-back-check reports per format and rejects invalid requests', () => withServer(async (request) => {
+    const checked = await request('POST', '/api/parse-back-check', { resume: EXPORTABLE, jobAnalysis: JOB_ANALYSIS, formats: ['txt'] });
+    assert.strictEqual(checked.status, 200);
+    assert.strictEqual(checked.body.passed, true);
+    assert.deepStrictEqual(checked.body.formats.map(result => result.format), ['txt']);
+
+    assert.strictEqual((await request('POST', '/api/parse-back-check', { resume: EXPORTABLE, jobAnalysis: JOB_ANALYSIS, formats: ['rtf'] })).status, 400);
+    assert.strictEqual((await request('POST', '/api/parse-back-check', { jobAnalysis: JOB_ANALYSIS })).status, 400);
+    assert.strictEqual((await request('POST', '/api/parse-back-check', { resumeId: 'missing', jobAnalysis: JOB_ANALYSIS })).status, 404);
+  }));
+}
+
+module.exports = {
+  run,
+};
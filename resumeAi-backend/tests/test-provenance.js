@@ -0,0 +1,94 @@
+/**
+ * Provenance map: attributing summary sentences, bullets and skills to the answers and source resume
+ */
+
+const assert = require('assert');
+const { check, section, withServer } = require('./harness');
+const { ANSWERS, JOB_ANALYSIS, RESUME } = require('./samples');
+const { mapProvenance } = require('../src/services/provenanceMapper');
+
+/**
+ * Returns the provenance item for a path
+ * @param {Array<Object>} items - Provenance items
+ * @param {string} path - Path into the resume
+ * @returns {Object|undefined}
+ */
+function itemAt(items, path) {
+  return items.find(item => item.path === path);
+}
+
+async function run() {
+  section('Provenance map');
+
+  await check('maps every summary sentence, bullet and skill, with counts per status', () => {
+    const { items, counts } = mapProvenance(RESUME, { answers: ANSWERS });
+    const skills = Object.values(RESUME.skills).flat().length;
+    assert.strictEqual(items.filter(item => item.type === 'summary').length, 2);
+    assert.strictEqual(items.filter(item => item.type === 'bullet').length, 5);
+    assert.strictEqual(items.filter(item => item.type === 'skill').length, skills);
+    assert.strictEqual(counts.sourced + counts.inferred + counts.invented, items.length);
+    assert.ok(itemAt(items, 'skills.languages[1]'));
+  });
+
+  await check('a bullet taken from an answer is sourced to that question', () => {
+    const { items } = mapProvenance(RESUME, { answers: ANSWERS });
+    const item = itemAt(items, 'experience[0].bullets[0]');
+    assert.strictEqual(item.status, 'sourced');
+    assert.deepStrictEqual(item.sources, ['key_achievements']);
+    assert.deepStrictEqual(item.reasons, []);
+  });
+
+  await check('a bullet that builds on an answer with its own wording is inferred', () => {
+    const resume = { ...RESUME, experience: [{ ...RESUME.experience[0], bullets: ['Tuned PostgreSQL read replicas for the billing dashboards and monthly close'] }] };
+    const item = itemAt(mapProvenance(resume, { answers: ANSWERS }).items, 'experience[0].bullets[0]');
+    assert.strictEqual(item.status, 'inferred');
+    assert.ok(item.sources.includes('key_achievements'));
+  });
+
+  await check('a number found in no answer makes an item invented, with the reason', () => {
+    const resume = { ...RESUME, experience: [{ ...RESUME.experience[0], bullets: ['Cut API latency by 65% with PostgreSQL read replicas'] }] };
+    const item = itemAt(mapProvenance(resume, { answers: ANSWERS }).items, 'experience[0].bullets[0]');
+    assert.strictEqual(item.status, 'invented');
+    assert.deepStrictEqual(item.reasons, ['number "65%" does not appear in any answer']);
+  });
+
+  await check('skills are sourced when named, inferred from a partial mention and otherwise invented', () => {
+    const resume = { ...RESUME, skills: { languages: [], frameworks: [], databases: ['PostgreSQL'], cloud: ['AWS Lambda'], tools: ['Terraform'] } };
+    const answers = { ...ANSWERS, cloud: 'Deployed on AWS' };
+    const { items } = mapProvenance(resume, { answers });
+    assert.strictEqual(itemAt(items, 'skills.databases[0]').status, 'sourced');
+    assert.strictEqual(itemAt(items, 'skills.cloud[0]').status, 'inferred');
+    assert.deepStrictEqual(itemAt(items, 'skills.cloud[0]').sources, ['cloud']);
+    assert.strictEqual(itemAt(items, 'skills.tools[0]').status, 'invented');
+    assert.deepStrictEqual(itemAt(items, 'skills.tools[0]').reasons, ['skill is not mentioned in any answer']);
+  });
+
+  await check('source resume entries are cited by path, but not its stored grounding report or provenance', () => {
+    const sourceResume = {
+      experience: [{ company: 'Contoso', role: 'Software Engineer', duration: '2018 - 2021', bullets: ['Developed Python tooling for internal billing reports'] }],
+      provenance: { items: [{ text: 'Migrated cron jobs to Docker containers' }] },
+    };
+    const { items } = mapProvenance(RESUME, { answers: {}, sourceResume });
+    assert.deepStrictEqual(itemAt(items, 'experience[1].bullets[0]').sources, ['sourceResume.experience[0].bullets[0]']);
+    assert.strictEqual(itemAt(items, 'experience[1].bullets[1]').status, 'invented');
+  });
+
+  await check('rejects a missing resume', () => {
+    assert.throws(() => mapProvenance(null, { answers: ANSWERS }), /resume must be a valid object/);
+  });
+
+  await check('/generate-resume returns a provenance map of the resume it returns', () => withServer(async (request) => {
+    const { status, body } = await request('POST', '/api/generate-resume', { jobAnalysis: JOB_ANALYSIS, answers: ANSWERS });
+    assert.strictEqual(status, 200);
+    const bullets = body.resume.experience.flatMap(job => job.bullets);
+    assert.deepStrictEqual(body.provenance.items.filter(item => item.type === 'bullet').map(item => item.text), bullets);
+
+    // The offline model leads with the key achievement and pads the rest with made-up metrics
+    assert.strictEqual(itemAt(body.provenance.items, 'experience[0].bullets[0]').status, 'sourced');
+    assert.ok(body.provenance.counts.invented > 0);
+  }));
+}
+
+module.exports = {
+  run,
+};
@@ -0,0 +1,136 @@
+/**
+ * Adaptive questionnaire: follow-ups, coverage of the job and completion
+ */
+
+const assert = require('assert');
+const { check, section, withServer } = require('./harness');
+const { JOB_ANALYSIS } = require('./samples');
+const { answerQuestion, measureCoverage } = require('../src/services/questionnaireSession');
+const { getRepository } = require('../src/storage');
+
+/**
+ * Questions for a short questionnaire: a required name, an optional narrative and an optional detail
+ * @type {Array<Object>}
+ */
+const QUESTIONS = [
+  { id: 'full_name', question: 'Full name', type: 'text', category: 'personal', required: true, placeholder: '' },
+  { id: 'key_achievements', question: 'What are you most proud of?', type: 'textarea', category: 'achievements', required: false, placeholder: '' },
+  { id: 'team_size', question: 'How large was your team?', type: 'number', category: 'experience', required: false, placeholder: '' },
+];
+
+/**
+ * Stores a questionnaire and returns a function answering its questions
+ * @param {Array<Object>} [questions] - Questions to store
+ * @returns {Function} - (questionId, answer, extra?) => answerQuestion result
+ */
+function startQuestionnaire(questions = QUESTIONS) {
+  const { id } = getRepository().insert('questionnaires', { questions });
+  const answer = (questionId, value, extra = {}) => answerQuestion(id, { questionId, answer: value, ...extra }, { jobAnalysis: JOB_ANALYSIS });
+  answer.id = id;
+  return answer;
+}
+
+/**
+ * Asserts that a call fails with status 400 and a message
+ * @param {Function} fn - Call expected to throw
+ * @param {RegExp} message - Expected message
+ * @returns {Error} - The error
+ */
+function assertBadRequest(fn, message) {
+  let thrown = null;
+  assert.throws(fn, (error) => {
+    thrown = error;
+    return error.status === 400 && message.test(error.message);
+  });
+  return thrown;
+}
+
+async function run() {
+  section('Adaptive questionnaire');
+
+  await check('coverage counts mentioned skills and responsibilities sharing half their words', () => {
+    const coverage = measureCoverage({ story: 'Built REST APIs in Python', stack: ['Docker'] }, JOB_ANALYSIS);
+    assert.deepStrictEqual(coverage.skills, { covered: ['Python', 'Docker'], missing: ['PostgreSQL', 'AWS'] });
+    assert.deepStrictEqual(coverage.responsibilities, { covered: ['Build REST APIs'], missing: ['Improve service reliability'] });
+    assert.strictEqual(coverage.score, 0.5);
+  });
+
+  await check('a short narrative answer gets a follow-up asking for detail, then one asking for a metric', () => {
+    const answer = startQuestionnaire();
+    answer('full_name', 'Jane Smith');
+
+    const first = answer('key_achievements', 'Built the payments service');
+    assert.strictEqual(first.followUp, true);
+    assert.strictEqual(first.next.id, 'key_achievements_detail');
+    assert.strictEqual(first.next.reason, 'too_short');
+
+    const second = answer('key_achievements_detail', 'I rebuilt the payments service so that orders no longer failed during busy sale periods');
+    assert.strictEqual(second.next.id, 'key_achievements_metrics');
+    assert.strictEqual(second.next.reason, 'missing_metrics');
+    assert.strictEqual(second.next.followUpOf, 'key_achievements');
+
+    // Two follow-ups per question at most
+    const third = answer('key_achievements_metrics', 'Fewer failures');
+    assert.strictEqual(third.followUp, false);
+    assert.strictEqual(third.next.id, 'team_size');
+  });
+
+  await check('a required skill the answer raises but no question asked about gets a follow-up', () => {
+    const answer = startQuestionnaire();
+    answer('full_name', 'Jane Smith');
+    const result = answer('key_achievements', 'I moved the nightly reporting jobs onto Docker containers and cut their run time by 40% for finance');
+    assert.strictEqual(result.next.id, 'skill_docker');
+    assert.strictEqual(result.next.reason, 'unexplored_skill');
+  });
+
+  await check('once coverage passes the threshold, optional questions are skipped and the answers stored', () => {
+    const answer = startQuestionnaire();
+    assert.strictEqual(answer('full_name', 'Jane Smith').next.id, 'key_achievements');
+    const story = 'Built REST APIs in Python on PostgreSQL and Docker to improve service reliability, cutting incidents by 40% across 3 teams';
+    const result = answer('key_achievements', story);
+    assert.ok(result.coverage.score >= result.coverage.threshold);
+    assert.strictEqual(result.done, true);
+    assert.strictEqual(result.next, null);
+    assert.deepStrictEqual(getRepository().get('answerSets', result.answersId).data, { full_name: 'Jane Smith', key_achievements: story });
+    assertBadRequest(() => answer('team_size', 3), /questionnaire is already complete/);
+  });
+
+  await check('when the questions run out below the threshold, a gap question asks about a missing skill', () => {
+    const answer = startQuestionnaire([QUESTIONS[0]]);
+    const result = answer('full_name', 'Jane Smith');
+    assert.strictEqual(result.done, false);
+    assert.strictEqual(result.next.id, 'gap_skill_python');
+    assert.strictEqual(result.next.reason, 'coverage_gap');
+    assert.ok(answer('gap_skill_python', '', { skip: true }).next.id.startsWith('gap_'));
+  });
+
+  await check('rejects skipping a required question, invalid answers and questions not pending', () => {
+    const answer = startQuestionnaire();
+    assertBadRequest(() => answer('full_name', '', { skip: true }), /question 'full_name' is required and cannot be skipped/);
+    assertBadRequest(() => answer('full_name', '  '), /answer is required unless skip is true/);
+    assertBadRequest(() => answer('nope', 'x'), /questionId must be a question still to be answered: full_name, key_achievements, team_size/);
+    const error = assertBadRequest(() => answer('team_size', 'a dozen'), /^answer /);
+    assert.deepStrictEqual(Object.keys(error.errors), ['team_size']);
+  });
+
+  await check('/questionnaire/:id/answer links the job analysis and reports the next question', () => withServer(async (request) => {
+    const { id } = getRepository().insert('questionnaires', { questions: QUESTIONS });
+    const first = await request('POST', `/api/questionnaire/${id}/answer`, { questionId: 'full_name', answer: 'Jane Smith', jobAnalysis: JOB_ANALYSIS });
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.body.next.id, 'key_achievements');
+    assert.ok(first.body.ids.analysisId);
+
+    // Later answers find the job analysis through the link
+    const second = await request('POST', `/api/questionnaire/${id}/answer`, { questionId: 'key_achievements', answer: 'Built it' });
+    assert.strictEqual(second.body.next.id, 'key_achievements_detail');
+
+    const invalid = await request('POST', `/api/questionnaire/${id}/answer`, { questionId: 'team_size', answer: 'many' });
+    assert.strictEqual(invalid.status, 400);
+    assert.ok(invalid.body.errors.team_size);
+    assert.strictEqual((await request('POST', '/api/questionnaire/missing/answer', { questionId: 'full_name', answer: 'x' })).status, 404);
+  }));
+}
+
+module.exports = {
+  run,
+};
@@ -0,0 +1,127 @@
+/**
+ * Response cache: key normalization, LRU and TTL behaviour, and the bounded disk tier
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const { check, section, tempDir, withEnv } = require('./harness');
+const { buildCacheKey, clearCache, getOrCompute, normalizeText } = require('../src/services/responseCache');
+
+/**
+ * Waits long enough for file mtimes to differ
+ * @returns {Promise<void>}
+ */
+function tick() {
+  return new Promise(resolve => setTimeout(resolve, 20));
+}
+
+/**
+ * Caches a value under a test key
+ * @param {string} input - Cache input
+ * @param {Object} [options] - Extra getOrCompute options
+ * @returns {Promise<Object>} - getOrCompute result
+ */
+function cached(input, options = {}) {
+  return getOrCompute({ namespace: 'test', input, model: 'offline:offline', promptVersion: '1', ...options }, async () => ({ input }));
+}
+
+async function run() {
+  section('Response cache');
+
+  await check('normalization folds whitespace and line endings but keeps case', () => {
+    assert.strictEqual(normalizeText('  Go  developer\r\n\r\n\r\n\tRemote  '), 'Go developer\n\nRemote');
+    assert.notStrictEqual(normalizeText('Go'), normalizeText('go'));
+  });
+
+  await check('keys change with the model and prompt version', () => {
+    const base = { namespace: 'jobAnalysis', input: 'posting', model: 'groq:a', promptVersion: '1' };
+    assert.strictEqual(buildCacheKey(base), buildCacheKey({ ...base }));
+    assert.notStrictEqual(buildCacheKey(base), buildCacheKey({ ...base, model: 'groq:b' }));
+    assert.notStrictEqual(buildCacheKey(base), buildCacheKey({ ...base, promptVersion: '2' }));
+  });
+
+  await check('miss, hit, bypass and off statuses', () => withEnv({ RESPONSE_CACHE_BACKEND: 'memory' }, async () => {
+    clearCache();
+    assert.strictEqual((await cached('a')).status, 'MISS');
+    const hit = await cached('a');
+    assert.strictEqual(hit.status, 'HIT');
+    assert.deepStrictEqual(hit.value, { input: 'a' });
+    assert.strictEqual((await cached('a', { mode: 'bypass' })).status, 'BYPASS');
+    await withEnv({ RESPONSE_CACHE_BACKEND: 'off' }, async () => {
+      assert.strictEqual((await cached('a')).status, 'OFF');
+    });
+  }));
+
+  await check('hits are copies that callers cannot mutate', () => withEnv({ RESPONSE_CACHE_BACKEND: 'memory' }, async () => {
+    clearCache();
+    await cached('a');
+    (await cached('a')).value.input = 'changed';
+    assert.deepStrictEqual((await cached('a')).value, { input: 'a' });
+  }));
+
+  await check('memory tier evicts the least recently used entry', () => withEnv({ RESPONSE_CACHE_BACKEND: 'memory', RESPONSE_CACHE_MAX_ENTRIES: '2' }, async () => {
+    clearCache();
+    await cached('a');
+    await cached('b');
+    await cached('a');
+    await cached('c');
+    assert.strictEqual((await cached('a')).status, 'HIT');
+    assert.strictEqual((await cached('b')).status, 'MISS');
+  }));
+
+  await check('a zero TTL is not stored', () => withEnv({ RESPONSE_CACHE_BACKEND: 'memory' }, async () => {
+    clearCache();
+    await cached('a', { ttlSeconds: 0 });
+    assert.strictEqual((await cached('a')).status, 'MISS');
+  }));
+
+  const dir = tempDir('cache');
+  const disk = { RESPONSE_CACHE_BACKEND: 'disk', RESPONSE_CACHE_DIR: dir, RESPONSE_CACHE_MAX_ENTRIES: '0' };
+
+  try {
+    await check('disk tier serves entries without the memory tier', () => withEnv(disk, async () => {
+      clearCache();
+      await cached('a');
+      assert.strictEqual(fs.readdirSync(dir).length, 1);
+      assert.strictEqual((await cached('a')).status, 'HIT');
+    }));
+
+    await check('disk tier evicts the least recently used files past its entry limit', () => withEnv({ ...disk, RESPONSE_CACHE_DISK_MAX_ENTRIES: '2' }, async () => {
+      clearCache();
+      await cached('a');
+      await tick();
+      await cached('b');
+      await tick();
+      await cached('a');
+      await tick();
+      await cached('c');
+
+      assert.strictEqual(fs.readdirSync(dir).length, 2);
+      assert.strictEqual((await cached('a')).status, 'HIT');
+      assert.strictEqual((await cached('c')).status, 'HIT');
+      assert.strictEqual((await cached('b')).status, 'MISS');
+    }));
+
+    await check('disk tier evicts past its byte limit', () => withEnv(disk, async () => {
+      clearCache();
+      await cached('a');
+      const entryBytes = fs.statSync(`${dir}/${fs.readdirSync(dir)[0]}`).size;
+
+      await withEnv({ RESPONSE_CACHE_DISK_MAX_BYTES: String(entryBytes * 2) }, async () => {
+        await tick();
+        await cached('b');
+        await tick();
+        await cached('c');
+      });
+      assert.strictEqual(fs.readdirSync(dir).length, 2);
+      assert.strictEqual((await cached('a')).status, 'MISS');
+    }));
+  } finally {
+    await withEnv(disk, () => clearCache());
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  run,
+};
@@ -0,0 +1,66 @@
+/**
+ * Resume importer: the sample TXT, DOCX and PDF resumes and the text heuristics
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { check, section } = require('./harness');
+const { importResume, parseResumeText } = require('../src/services/resumeImporter');
+
+const SAMPLE_DIR = path.join(__dirname, '..');
+
+async function run() {
+  section('Resume importer');
+
+  for (const file of ['test-resume.txt', 'test-resume.docx', 'test-resume.pdf']) {
+    await check(`imports ${file} into the resume model`, async () => {
+      const { resume, personalInfo, warnings, fileType } = await importResume(fs.readFileSync(path.join(SAMPLE_DIR, file)), { filename: file });
+
+      assert.strictEqual(fileType, path.extname(file).slice(1));
+      assert.deepStrictEqual(warnings, []);
+      assert.deepStrictEqual(
+        resume.experience.map(e => [e.company, e.role, e.duration, e.bullets.length]),
+        [['TechCorp Inc.', 'Senior Software Engineer', '2020 - Present', 3], ['StartupXYZ', 'Full Stack Developer', '2018 - 2020', 3]]
+      );
+      assert.deepStrictEqual(resume.skills.databases, ['PostgreSQL', 'MongoDB']);
+      assert.strictEqual(resume.education[0].institution, 'State University');
+      assert.strictEqual(resume.education[0].year, '2018');
+      assert.ok(resume.additionalSections.some(s => s.title === 'Certifications' && s.items.length === 2));
+      assert.strictEqual(personalInfo.email, 'john.doe@example.com');
+      assert.strictEqual(personalInfo.phone, '+1-555-123-4567');
+      assert.match(personalInfo.name, /^john doe$/i);
+    });
+  }
+
+  await check('rejects empty and unsupported files', async () => {
+    await assert.rejects(importResume(Buffer.alloc(0)), /Resume file is required/);
+    await assert.rejects(importResume(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 0, 0, 0]), { filename: 'photo.png' }), /Unsupported file type/);
+  });
+
+  await check('reads "Company | Role | Dates" headers and continuation lines', () => {
+    const { resume } = parseResumeText([
+      'Jane Smith',
+      'Experience',
+      'Acme Corp | Data Analyst | Jan 2019 - Mar 2021',
+      '- Built weekly sales dashboards in Tableau used by',
+      '  40 regional managers',
+      'Skills',
+      'Languages: Python, SQL',
+    ]);
+    assert.deepStrictEqual(resume.experience.map(e => [e.company, e.role, e.duration]), [['Acme Corp', 'Data Analyst', 'Jan 2019 - Mar 2021']]);
+    assert.deepStrictEqual(resume.experience[0].bullets, ['Built weekly sales dashboards in Tableau used by 40 regional managers']);
+    assert.deepStrictEqual(resume.skills.languages, ['Python', 'SQL']);
+  });
+
+  await check('warns about missing sections instead of failing', () => {
+    const { resume, warnings } = parseResumeText('Jane Smith\nData analyst who likes spreadsheets.');
+    assert.strictEqual(resume.summary, 'Data analyst who likes spreadsheets.');
+    assert.ok(warnings.includes('No section headings were recognized; the whole document was read as the summary'));
+    assert.ok(warnings.includes('No experience section found'));
+  });
+}
+
+module.exports = {
+  run,
+};
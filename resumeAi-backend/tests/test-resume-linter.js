@@ -0,0 +1,99 @@
+/**
+ * Resume linter: tense, voice, pronouns, buzzwords, bullet openers and length, date formats
+ */
+
+const assert = require('assert');
+const { check, section, withServer } = require('./harness');
+const { JOB_ANALYSIS, RESUME } = require('./samples');
+const { MAX_BULLET_WORDS, lintResume } = require('../src/services/resumeLinter');
+
+/**
+ * A resume with one of each writing problem
+ * @type {Object}
+ */
+const MESSY_RESUME = {
+  summary: 'Results-driven engineer. I love my work.',
+  experience: [
+    { company: 'Northwind', role: 'Engineer', duration: '03/2021 - Present', bullets: ['Built the billing API', 'Lead a team of 4', 'Led migrations'] },
+    {
+      company: 'Contoso',
+      role: 'Developer',
+      duration: 'Jan 2018 - Feb 2021',
+      bullets: ['Manage deployments', 'The service was migrated by the team', 'Led hiring', `Led ${'very '.repeat(30)}long`],
+    },
+  ],
+  education: [{ degree: 'BSc', institution: 'State University', year: '2017' }],
+};
+
+/**
+ * Returns the findings of one rule
+ * @param {Object} result - Result of lintResume
+ * @param {string} rule - Rule name
+ * @returns {Array<Object>}
+ */
+function findingsOf(result, rule) {
+  return result.findings.filter(finding => finding.rule === rule);
+}
+
+async function run() {
+  section('Resume linter');
+
+  await check('past roles are written in past tense; the current role\'s past tense is only noted', () => {
+    const tense = findingsOf(lintResume(MESSY_RESUME), 'tense');
+    assert.deepStrictEqual(tense.map(finding => [finding.path, finding.severity]), [
+      ['experience[0].bullets[0]', 'info'],
+      ['experience[0].bullets[2]', 'info'],
+      ['experience[1].bullets[0]', 'warning'],
+    ]);
+    assert.strictEqual(tense[2].message, 'bullet 1 in Contoso role: "manage" is present tense; describe past roles in past tense');
+  });
+
+  await check('passive voice, first-person pronouns and buzzwords are flagged where they occur', () => {
+    const result = lintResume(MESSY_RESUME);
+    assert.deepStrictEqual(findingsOf(result, 'passiveVoice').map(finding => [finding.path, finding.message]), [
+      ['experience[1].bullets[1]', '"was migrated" is passive voice; start with what you did'],
+    ]);
+    assert.strictEqual(findingsOf(result, 'firstPerson')[0].message, 'uses first-person "I", "my"; resumes leave out the pronoun');
+    assert.strictEqual(findingsOf(result, 'buzzword')[0].message, '"results-driven" is an overused buzzword; show it with a concrete result instead');
+    // "US" is a country, not a pronoun
+    assert.deepStrictEqual(lintResume({ summary: 'Engineer based in the US.' }).findings, []);
+  });
+
+  await check('repeated opening verbs are flagged after the first, and long bullets by word count', () => {
+    const result = lintResume(MESSY_RESUME);
+    const repeated = findingsOf(result, 'repeatedOpener');
+    assert.deepStrictEqual(repeated.map(finding => finding.path), ['experience[1].bullets[2]', 'experience[1].bullets[3]']);
+    assert.strictEqual(repeated[0].severity, 'warning');
+    assert.ok(repeated[0].message.includes('"led" also opens bullet 3 in Northwind role (3 bullets in total)'));
+    assert.strictEqual(findingsOf(result, 'longBullet')[0].message, `bullet 4 in Contoso role: 32 words; keep bullets under ${MAX_BULLET_WORDS}`);
+  });
+
+  await check('dates in a minority format are flagged; plain education years are not', () => {
+    const [finding] = findingsOf(lintResume(MESSY_RESUME), 'dateFormat');
+    assert.strictEqual(finding.path, 'experience[0].duration');
+    assert.strictEqual(finding.message, '"03/2021 - Present" uses MM/YYYY; the other dates use Mon YYYY');
+    assert.deepStrictEqual(findingsOf(lintResume(RESUME), 'dateFormat'), []);
+  });
+
+  await check('counts findings per rule and rejects a missing resume', () => {
+    assert.deepStrictEqual(lintResume(MESSY_RESUME).counts, {
+      tense: 3, firstPerson: 1, buzzword: 1, passiveVoice: 1, repeatedOpener: 2, longBullet: 1, dateFormat: 1,
+    });
+    assert.throws(() => lintResume(null), /resumeContent must be a valid object/);
+  });
+
+  await check('/lint-resume returns the findings, and scores include them', () => withServer(async (request) => {
+    const linted = await request('POST', '/api/lint-resume', { resume: MESSY_RESUME });
+    assert.strictEqual(linted.status, 200);
+    assert.strictEqual(linted.body.counts.passiveVoice, 1);
+    assert.strictEqual((await request('POST', '/api/lint-resume', {})).status, 400);
+    assert.strictEqual((await request('POST', '/api/lint-resume', { resumeId: 'missing' })).status, 404);
+
+    const scored = await request('POST', '/api/score-resume', { resume: MESSY_RESUME, jobAnalysis: JOB_ANALYSIS });
+    assert.deepStrictEqual(scored.body.score.lint, { findings: linted.body.findings, counts: linted.body.counts });
+  }));
+}
+
+module.exports = {
+  run,
+};
@@ -0,0 +1,62 @@
+/**
+ * Resume variants: several emphases per job, ranked by ATS score
+ */
+
+const assert = require('assert');
+const { check, section, withServer } = require('./harness');
+const { ANSWERS, JOB_ANALYSIS } = require('./samples');
+const { generateResumeVariants } = require('../src/services/resumeVariants');
+
+async function run() {
+  section('Resume variants');
+
+  await check('generates the default three emphases, ranked by score, then skills match, then invented claims', async () => {
+    const variants = await generateResumeVariants(JOB_ANALYSIS, ANSWERS);
+    assert.deepStrictEqual([...variants.map(variant => variant.emphasis)].sort(), ['keyword-max', 'leadership', 'technical-depth']);
+    assert.deepStrictEqual(variants.map(variant => variant.rank), [1, 2, 3]);
+
+    for (let i = 1; i < variants.length; i++) {
+      const [a, b] = [variants[i - 1].breakdown, variants[i].breakdown];
+      assert.ok(a.overallScore > b.overallScore
+        || (a.overallScore === b.overallScore && a.skillsMatchPercentage > b.skillsMatchPercentage)
+        || (a.overallScore === b.overallScore && a.skillsMatchPercentage === b.skillsMatchPercentage && a.inventedClaims <= b.inventedClaims));
+    }
+  });
+
+  await check('each variant carries its own resume, score and breakdown', async () => {
+    const variants = await generateResumeVariants(JOB_ANALYSIS, ANSWERS, { variants: ['leadership', 'keyword-max'] });
+    const byEmphasis = Object.fromEntries(variants.map(variant => [variant.emphasis, variant]));
+    assert.notStrictEqual(byEmphasis.leadership.resume.summary, byEmphasis['keyword-max'].resume.summary);
+    variants.forEach((variant) => {
+      assert.strictEqual(variant.breakdown.overallScore, variant.score.overallScore);
+      assert.strictEqual(variant.breakdown.missingKeywords, variant.score.missingKeywords.length);
+      assert.strictEqual(variant.breakdown.inventedClaims, variant.provenance.counts.invented);
+    });
+  });
+
+  await check('a count picks that many emphases; bad counts and lists are rejected', async () => {
+    assert.strictEqual((await generateResumeVariants(JOB_ANALYSIS, ANSWERS, { variants: 4 })).length, 4);
+    await assert.rejects(generateResumeVariants(JOB_ANALYSIS, ANSWERS, { variants: 1 }), /variants must be a number from 2 to 4 or a list of emphases/);
+    await assert.rejects(generateResumeVariants(JOB_ANALYSIS, ANSWERS, { variants: ['impact', 'impact'] }), /variants must be 2-4 distinct values/);
+    await assert.rejects(generateResumeVariants(JOB_ANALYSIS, ANSWERS, { variants: ['impact', 'humble'] }), /variants must be 2-4 distinct values/);
+  });
+
+  await check('/generate-resume with variants stores each one and describes the best at the top level', () => withServer(async (request) => {
+    const { status, body } = await request('POST', '/api/generate-resume', { jobAnalysis: JOB_ANALYSIS, answers: ANSWERS, variants: 2 });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.variants.length, 2);
+    assert.deepStrictEqual(body.variants[0].ids, body.ids);
+    assert.strictEqual(body.score.overallScore, body.variants[0].score.overallScore);
+    assert.notStrictEqual(body.variants[1].ids.resumeId, body.ids.resumeId);
+
+    const runnerUp = await request('GET', `/api/resumes/${body.variants[1].ids.resumeId}`);
+    assert.deepStrictEqual(runnerUp.body.record.data.variant, { emphasis: body.variants[1].emphasis, rank: 2 });
+
+    const invalid = await request('POST', '/api/generate-resume', { jobAnalysis: JOB_ANALYSIS, answers: ANSWERS, variants: 9 });
+    assert.strictEqual(invalid.status, 400);
+  }));
+}
+
+module.exports = {
+  run,
+};
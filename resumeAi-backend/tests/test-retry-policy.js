@@ -0,0 +1,131 @@
+/**
+ * Retry policy: retries, Retry-After, circuit breaker and upstream error mapping
+ */
+
+const assert = require('assert');
+const { check, section, withEnv } = require('./harness');
+const { withRetry, toUpstreamError } = require('../src/services/retryPolicy');
+
+/**
+ * Builds an axios-style HTTP error
+ * @param {number} status - Response status
+ * @param {Object} [headers] - Response headers
+ * @returns {Error}
+ */
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.isAxiosError = true;
+  error.response = { status, headers, data: {} };
+  return error;
+}
+
+/**
+ * Builds a request that fails with the given errors, then succeeds
+ * @param {Array<Error>} failures - Errors to throw, in order
+ * @returns {Function} - Request with a `calls` counter
+ */
+function flakyRequest(failures) {
+  const request = async () => {
+    request.calls++;
+    if (failures.length > 0) throw failures.shift();
+    return 'ok';
+  };
+  request.calls = 0;
+  return request;
+}
+
+// Fast, deterministic policy: no backoff delay, two retries, a circuit that opens after two failed calls
+const POLICY_ENV = {
+  LLM_BACKOFF_BASE_MS: '0',
+  LLM_MAX_RETRIES: '2',
+  LLM_CIRCUIT_THRESHOLD: '2',
+  LLM_CIRCUIT_COOLDOWN_MS: '60000',
+  LLM_RETRY_AFTER_MAX_MS: '20000',
+};
+
+async function run() {
+  section('Retry policy and circuit breaker');
+
+  // Retries log a warning per attempt; keep the output to the checks themselves
+  const warn = console.warn;
+  console.warn = () => {};
+
+  try {
+    await check('retries retryable statuses and network errors until success', () => withEnv(POLICY_ENV, async () => {
+      const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+      const request = flakyRequest([httpError(502), reset]);
+      assert.strictEqual(await withRetry(request, { key: 'test-retry', label: 'Test' }), 'ok');
+      assert.strictEqual(request.calls, 3);
+    }));
+
+    await check('passes the configured timeout to the request', () => withEnv({ ...POLICY_ENV, LLM_TIMEOUT_MS: '1234' }, async () => {
+      let timeout = null;
+      await withRetry(async (options) => { timeout = options.timeout; }, { key: 'test-timeout', label: 'Test' });
+      assert.strictEqual(timeout, 1234);
+    }));
+
+    await check('does not retry client errors', () => withEnv(POLICY_ENV, async () => {
+      const request = flakyRequest([httpError(400)]);
+      await assert.rejects(withRetry(request, { key: 'test-400', label: 'Test' }), (error) => error.attempts === 1);
+      assert.strictEqual(request.calls, 1);
+    }));
+
+    await check('gives up after the retry budget with the attempt count', () => withEnv(POLICY_ENV, async () => {
+      const request = flakyRequest([httpError(503), httpError(503), httpError(503), httpError(503)]);
+      await assert.rejects(withRetry(request, { key: 'test-budget', label: 'Test' }), (error) => error.attempts === 3);
+      assert.strictEqual(request.calls, 3);
+    }));
+
+    await check('fails fast when Retry-After exceeds the maximum wait', () => withEnv(POLICY_ENV, async () => {
+      const request = flakyRequest([httpError(429, { 'retry-after': '120' })]);
+      await assert.rejects(withRetry(request, { key: 'test-retry-after', label: 'Test' }), (error) => error.retryAfter === 120);
+      assert.strictEqual(request.calls, 1);
+    }));
+
+    await check('opens the circuit after repeated failed calls and rejects with 503', () => withEnv(POLICY_ENV, async () => {
+      const failing = flakyRequest(Array.from({ length: 6 }, () => httpError(500)));
+      await assert.rejects(withRetry(failing, { key: 'test-circuit', label: 'Test' }));
+      await assert.rejects(withRetry(failing, { key: 'test-circuit', label: 'Test' }));
+      const callsBeforeOpen = failing.calls;
+
+      await assert.rejects(
+        withRetry(flakyRequest([]), { key: 'test-circuit', label: 'Test' }),
+        (error) => error.status === 503 && /circuit breaker open/.test(error.message) && error.retryAfter > 0
+      );
+      assert.strictEqual(failing.calls, callsBeforeOpen);
+    }));
+
+    await check('lets a trial request through after the cooldown and closes on success', () => withEnv({ ...POLICY_ENV, LLM_CIRCUIT_COOLDOWN_MS: '0' }, async () => {
+      const failing = flakyRequest(Array.from({ length: 6 }, () => httpError(500)));
+      await assert.rejects(withRetry(failing, { key: 'test-half-open', label: 'Test' }));
+      await assert.rejects(withRetry(failing, { key: 'test-half-open', label: 'Test' }));
+
+      assert.strictEqual(await withRetry(flakyRequest([]), { key: 'test-half-open', label: 'Test' }), 'ok');
+      assert.strictEqual(await withRetry(flakyRequest([]), { key: 'test-half-open', label: 'Test' }), 'ok');
+    }));
+
+    await check('maps rate limits to 429 and outages or timeouts to 503', () => {
+      const limited = toUpstreamError(Object.assign(httpError(429), { attempts: 3, retryAfter: 5 }), 'Test');
+      assert.strictEqual(limited.status, 429);
+      assert.strictEqual(limited.retryAfter, 5);
+      assert.match(limited.message, /gave up after 3 attempt\(s\)/);
+
+      assert.strictEqual(toUpstreamError(httpError(502), 'Test').status, 503);
+
+      const timeout = toUpstreamError(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }), 'Test');
+      assert.strictEqual(timeout.status, 503);
+      assert.match(timeout.message, /timed out/);
+    });
+
+    await check('leaves other errors unchanged', () => {
+      const badRequest = httpError(400);
+      assert.strictEqual(toUpstreamError(badRequest, 'Test'), badRequest);
+    });
+  } finally {
+    console.warn = warn;
+  }
+}
+
+module.exports = {
+  run,
+};
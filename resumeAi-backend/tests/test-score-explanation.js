@@ -0,0 +1,93 @@
+/**
+ * ATS score explanation: per-rule points, the bullets and keywords behind them, and linked suggestions
+ */
+
+const assert = require('assert');
+const { check, section } = require('./harness');
+const { JOB_ANALYSIS, RESUME } = require('./samples');
+const { scoreResume } = require('../src/services/atsScorer');
+
+/**
+ * Returns a rule of a score's explanation
+ * @param {Object} score - Result of scoreResume
+ * @param {string} id - Rule ID
+ * @returns {Object}
+ */
+function ruleOf(score, id) {
+  return score.explanation.rules.find(rule => rule.id === id);
+}
+
+/**
+ * Adds up the points a component's rules earned
+ * @param {Object} score - Result of scoreResume
+ * @param {string} component - Component name
+ * @returns {number}
+ */
+function earnedBy(score, component) {
+  return score.explanation.rules
+    .filter(rule => rule.component === component)
+    .reduce((sum, rule) => sum + rule.earned, 0);
+}
+
+async function run() {
+  section('ATS score explanation');
+
+  await check('component points add up to the overall score, and each component\'s rules to its score', () => {
+    const score = scoreResume(RESUME, { ...JOB_ANALYSIS, requiredSkills: [...JOB_ANALYSIS.requiredSkills, 'Kafka'] });
+    const { components } = score.explanation;
+    const points = Object.values(components).reduce((sum, component) => sum + component.points, 0);
+    assert.strictEqual(Math.round(points), score.overallScore);
+    assert.deepStrictEqual(components.keywordMatch, { score: score.keywordMatchScore, weight: 0.5, points: score.keywordMatchScore * 0.5 });
+
+    assert.ok(Math.abs(earnedBy(score, 'keywordMatch') - score.keywordMatchScore) < 0.05);
+    assert.ok(Math.abs(earnedBy(score, 'skillsCoverage') - score.skillsCoverageScore) < 0.05);
+    assert.ok(Math.abs(earnedBy(score, 'contentQuality') - score.contentQualityScore) < 0.05);
+  });
+
+  await check('bullet rules name each bullet that lost points and why', () => {
+    const metrics = ruleOf(scoreResume(RESUME, JOB_ANALYSIS), 'content.bullets.metrics');
+    assert.deepStrictEqual([metrics.earned, metrics.possible], [8, 20]);
+    assert.deepStrictEqual(metrics.details.map(detail => detail.message), [
+      'bullet 2 in Northwind Traders role: no metric, -4',
+      'bullet 1 in Contoso role: no metric, -4',
+      'bullet 2 in Contoso role: no metric, -4',
+    ]);
+    assert.strictEqual(metrics.details[2].path, 'experience[1].bullets[1]');
+    assert.strictEqual(metrics.details[2].text, 'Migrated cron jobs to Docker containers');
+  });
+
+  await check('keyword and skill rules name each keyword and skill with its points', () => {
+    const score = scoreResume(RESUME, { ...JOB_ANALYSIS, requiredSkills: [...JOB_ANALYSIS.requiredSkills, 'Kafka'] });
+    const coverage = ruleOf(score, 'keywords.coverage');
+    assert.strictEqual(coverage.details.find(detail => detail.keyword === 'REST APIs').message, '"REST APIs": in experience (x1), +18.18');
+
+    const skills = ruleOf(score, 'skills.coverage');
+    assert.deepStrictEqual(skills.details.find(detail => detail.skill === 'Python'), { skill: 'Python', message: '"Python": found, +20', points: 20 });
+    const kafka = skills.details.find(detail => detail.skill === 'Kafka');
+    assert.strictEqual(kafka.points, -20);
+    assert.deepStrictEqual([skills.earned, skills.possible], [80, 100]);
+  });
+
+  await check('warning-only rules earn and cost nothing', () => {
+    const score = scoreResume(RESUME, JOB_ANALYSIS);
+    ['keywords.stuffing', 'content.experience.timeline'].forEach((id) => {
+      assert.deepStrictEqual([ruleOf(score, id).earned, ruleOf(score, id).possible], [0, 0]);
+    });
+  });
+
+  await check('every suggestion but the general praise links to rules in the explanation', () => {
+    const score = scoreResume({ ...RESUME, summary: 'Engineer.' }, { ...JOB_ANALYSIS, requiredSkills: [...JOB_ANALYSIS.requiredSkills, 'Kafka'] });
+    const ids = score.explanation.rules.map(rule => rule.id);
+    assert.deepStrictEqual(score.explanation.suggestions.map(suggestion => suggestion.text), score.suggestions);
+    const unlinked = score.explanation.suggestions.filter(suggestion => suggestion.ruleIds.length === 0);
+    assert.deepStrictEqual(unlinked.map(suggestion => suggestion.text.split('!')[0]), ['Great job']);
+    score.explanation.suggestions.forEach((suggestion) => {
+      suggestion.ruleIds.forEach(id => assert.ok(ids.includes(id), `${id}: ${suggestion.text}`));
+    });
+    assert.ok(score.explanation.suggestions.some(suggestion => suggestion.ruleIds.includes('skills.coverage') && suggestion.text.includes('Kafka')));
+  });
+}
+
+module.exports = {
+  run,
+};
@@ -0,0 +1,119 @@
+/**
+ * ATS scoring profiles: selection, weights, and the balanced profile's original scoring
+ */
+
+const assert = require('assert');
+const { check, section, withEnv, withServer } = require('./harness');
+const { ANSWERS, JOB_ANALYSIS, RESUME } = require('./samples');
+const { resolveScoringProfile, scoreResume } = require('../src/services/atsScorer');
+const { SCORING_PROFILES } = require('../src/config/scoringProfiles');
+
+/**
+ * RESUME with three skills in every category (15 in total): a full skills section
+ * @type {Object}
+ */
+const FULL_SKILLS_RESUME = {
+  ...RESUME,
+  skills: {
+    languages: ['Python', 'SQL', 'Go'],
+    frameworks: ['Django', 'Flask', 'FastAPI'],
+    databases: ['PostgreSQL', 'Redis', 'MySQL'],
+    cloud: ['AWS', 'GCP', 'Azure'],
+    tools: ['Docker', 'Git', 'Terraform'],
+  },
+};
+
+/**
+ * Returns a rule of a score's explanation
+ * @param {Object} score - Result of scoreResume
+ * @param {string} id - Rule ID
+ * @returns {Object}
+ */
+function ruleOf(score, id) {
+  return score.explanation.rules.find(rule => rule.id === id);
+}
+
+async function run() {
+  section('ATS scoring profiles');
+
+  await check('every profile\'s weights add up to 1 and its content budgets to 100', () => {
+    Object.values(SCORING_PROFILES).forEach((profile) => {
+      assert.strictEqual(Math.round(Object.values(profile.weights).reduce((sum, weight) => sum + weight, 0) * 100), 100);
+      assert.strictEqual(Object.values(profile.contentQuality).reduce((sum, points) => sum + points, 0), 100);
+    });
+  });
+
+  await check('defaults to ATS_SCORING_PROFILE, then balanced; unknown names are rejected', () => withEnv({ ATS_SCORING_PROFILE: undefined }, async () => {
+    assert.strictEqual(resolveScoringProfile().name, 'balanced');
+    await withEnv({ ATS_SCORING_PROFILE: 'human-reviewer' }, () => {
+      assert.strictEqual(scoreResume(RESUME, JOB_ANALYSIS).scoringProfile, 'human-reviewer');
+    });
+    await withEnv({ ATS_SCORING_PROFILE: 'lenient' }, () => {
+      assert.throws(() => resolveScoringProfile(), /ATS_SCORING_PROFILE must be one of: strict-keyword, balanced, human-reviewer/);
+    });
+    assert.throws(() => resolveScoringProfile('lenient'), /scoringProfile must be one of/);
+  }));
+
+  await check('each profile weighs the same components by its own weights', () => {
+    Object.keys(SCORING_PROFILES).forEach((name) => {
+      const score = scoreResume(RESUME, JOB_ANALYSIS, { scoringProfile: name });
+      const { weights } = SCORING_PROFILES[name];
+      const expected = score.keywordMatchScore * weights.keywordMatch
+        + score.skillsCoverageScore * weights.skillsCoverage
+        + score.contentQualityScore * weights.contentQuality;
+      assert.strictEqual(score.overallScore, Math.max(0, Math.min(100, Math.round(expected))));
+      assert.strictEqual(score.scoringProfile, name);
+    });
+  });
+
+  await check('a stricter stuffing threshold flags repetition earlier', () => {
+    const repeated = { ...RESUME, summary: 'Python engineer building Python services.' };
+    assert.ok(ruleOf(scoreResume(repeated, JOB_ANALYSIS, { scoringProfile: 'human-reviewer' }), 'keywords.stuffing').details.some(d => d.keyword === 'Python'));
+    assert.ok(!ruleOf(scoreResume(repeated, JOB_ANALYSIS, { scoringProfile: 'strict-keyword' }), 'keywords.stuffing').details.some(d => d.keyword === 'Python'));
+  });
+
+  await check('balanced keeps the original scoring: a full skills section is not capped at its budget', () => {
+    // The original scorer gave this resume 87 for content quality and 97 overall: 30 points for the skills section
+    const score = scoreResume(FULL_SKILLS_RESUME, JOB_ANALYSIS, { scoringProfile: 'balanced' });
+    assert.strictEqual(score.contentQualityScore, 87);
+    assert.strictEqual(score.overallScore, 97);
+    assert.deepStrictEqual([ruleOf(score, 'content.skills.organization').earned, ruleOf(score, 'content.skills.organization').possible], [30, 30]);
+  });
+
+  await check('strict-keyword and human-reviewer cap the skills factor at its budget', () => {
+    ['strict-keyword', 'human-reviewer'].forEach((name) => {
+      const rule = ruleOf(scoreResume(FULL_SKILLS_RESUME, JOB_ANALYSIS, { scoringProfile: name }), 'content.skills.organization');
+      assert.strictEqual(rule.possible, SCORING_PROFILES[name].contentQuality.skills);
+      assert.strictEqual(rule.earned, rule.possible);
+    });
+  });
+
+  await check('in every profile, no rule earns more than it can, and a component\'s rules add up to its score', () => {
+    Object.keys(SCORING_PROFILES).forEach((name) => {
+      [RESUME, FULL_SKILLS_RESUME].forEach((resume) => {
+        const score = scoreResume(resume, JOB_ANALYSIS, { scoringProfile: name });
+        score.explanation.rules.forEach(rule => assert.ok(rule.earned <= rule.possible, `${name}: ${rule.id}`));
+        const content = score.explanation.rules
+          .filter(rule => rule.component === 'contentQuality')
+          .reduce((sum, rule) => sum + rule.earned, 0);
+        assert.ok(Math.abs(content - score.contentQualityScore) < 0.05, `${name}: ${content} vs ${score.contentQualityScore}`);
+      });
+    });
+  });
+
+  await check('/generate-resume and /score-resume take a scoring profile and reject unknown ones', () => withServer(async (request) => {
+    const scored = await request('POST', '/api/score-resume', { resume: RESUME, jobAnalysis: JOB_ANALYSIS, scoringProfile: 'strict-keyword' });
+    assert.strictEqual(scored.status, 200);
+    assert.strictEqual(scored.body.score.scoringProfile, 'strict-keyword');
+
+    const unknown = await request('POST', '/api/score-resume', { resume: RESUME, jobAnalysis: JOB_ANALYSIS, scoringProfile: 'lenient' });
+    assert.strictEqual(unknown.status, 400);
+    const generated = await request('POST', '/api/generate-resume', { jobAnalysis: JOB_ANALYSIS, answers: ANSWERS, scoringProfile: 'lenient' });
+    assert.strictEqual(generated.status, 400);
+    assert.strictEqual(generated.body.error, 'scoringProfile must be one of: strict-keyword, balanced, human-reviewer');
+  }));
+}
+
+module.exports = {
+  run,
+};
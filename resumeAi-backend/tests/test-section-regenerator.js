@@ -0,0 +1,92 @@
+/**
+ * Section regeneration: rewriting one target of a stored resume and leaving the rest untouched
+ */
+
+const assert = require('assert');
+const { check, section, withServer } = require('./harness');
+const { ANSWERS, JOB_ANALYSIS, RESUME } = require('./samples');
+const { parseTarget, regenerateSection } = require('../src/services/sectionRegenerator');
+
+async function run() {
+  section('Section regeneration');
+
+  await check('parses every target form, ignoring whitespace', () => {
+    assert.deepStrictEqual(parseTarget('summary'), { kind: 'summary', path: 'summary' });
+    assert.deepStrictEqual(parseTarget('experience[1]'), { kind: 'experience', path: 'experience[1]', index: 1 });
+    assert.deepStrictEqual(parseTarget('experience[0] .bullets[2]'), { kind: 'bullet', path: 'experience[0].bullets[2]', index: 0, bulletIndex: 2 });
+    assert.throws(() => parseTarget('education[0]'), /target must be one of: summary, skills, experience\[i\], experience\[i\]\.bullets\[j\]/);
+  });
+
+  await check('a bullet is rewritten and everything else is left as it was', async () => {
+    const result = await regenerateSection(RESUME, 'experience[1].bullets[1]', { jobAnalysis: JOB_ANALYSIS, answers: ANSWERS });
+    assert.strictEqual(result.target, 'experience[1].bullets[1]');
+    assert.strictEqual(result.previous, RESUME.experience[1].bullets[1]);
+    assert.strictEqual(result.updated, 'Migrated cron jobs to Docker containers using Python');
+    assert.strictEqual(result.resume.experience[1].bullets[1], result.updated);
+    assert.deepStrictEqual({ ...result.resume, experience: null }, { ...RESUME, experience: null });
+    assert.deepStrictEqual(result.resume.experience[0], RESUME.experience[0]);
+    assert.strictEqual(result.resume.experience[1].bullets[0], RESUME.experience[1].bullets[0]);
+    assert.deepStrictEqual(result.flagged, []);
+  });
+
+  await check('an experience entry keeps its company and dates', async () => {
+    const { updated } = await regenerateSection(RESUME, 'experience[1]', { jobAnalysis: JOB_ANALYSIS, answers: ANSWERS, guidance: 'Focus on billing' });
+    assert.strictEqual(updated.company, 'Contoso');
+    assert.strictEqual(updated.duration, '01/2018 - 02/2021');
+    assert.ok(updated.bullets[0].includes('Focus on billing'));
+  });
+
+  await check('a target missing from the resume or invalid input is rejected', async () => {
+    await assert.rejects(regenerateSection(RESUME, 'experience[5]', { jobAnalysis: JOB_ANALYSIS }), /target experience\[5\] does not exist: the resume has 2 experience entries/);
+    await assert.rejects(regenerateSection(RESUME, 'experience[0].bullets[9]', { jobAnalysis: JOB_ANALYSIS }), /experience\[0\] has 3 bullets/);
+    await assert.rejects(regenerateSection(RESUME, 'summary', {}), /jobAnalysis must be a valid object/);
+    await assert.rejects(regenerateSection(RESUME, 'summary', { jobAnalysis: JOB_ANALYSIS, guidance: 5 }), /guidance must be a string/);
+  });
+
+  await check('grounded: a rewrite with an untraced number is rejected and the previous bullet kept', async () => {
+    const result = await regenerateSection(RESUME, 'experience[0].bullets[1]', {
+      jobAnalysis: JOB_ANALYSIS,
+      answers: ANSWERS,
+      guidance: 'Say it cut costs by 70%',
+      grounded: true,
+    });
+    assert.strictEqual(result.updated, RESUME.experience[0].bullets[1]);
+    assert.deepStrictEqual(result.flagged.map(flag => [flag.path, flag.action]), [['experience[0].bullets[1]', 'removed']]);
+  });
+
+  await check('grounded: the locked dates of a rewritten entry are neither flagged nor changed', async () => {
+    const resume = { ...RESUME, experience: [{ ...RESUME.experience[0], duration: '2015 - Present' }] };
+    const result = await regenerateSection(resume, 'experience[0]', { jobAnalysis: JOB_ANALYSIS, answers: ANSWERS, grounded: true });
+    assert.strictEqual(result.updated.duration, '2015 - Present');
+    assert.ok(!result.flagged.some(flag => flag.path === 'experience[0].duration'));
+  });
+
+  await check('/resume/:id/regenerate rescores and stores the updated resume', () => withServer(async (request) => {
+    const generated = await request('POST', '/api/generate-resume', { jobAnalysis: JOB_ANALYSIS, answers: ANSWERS });
+    const { resumeId } = generated.body.ids;
+
+    const { status, body } = await request('POST', `/api/resume/${resumeId}/regenerate`, { target: 'summary', guidance: 'Mention on-call leadership' });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.previous, generated.body.resume.summary);
+    assert.ok(body.updated.includes('Focused on Mention on-call leadership'));
+    assert.deepStrictEqual(body.resume.experience, generated.body.resume.experience);
+    assert.deepStrictEqual(body.scoreChange, { before: generated.body.score.overallScore, after: body.score.overallScore });
+    assert.ok(body.provenance.items.some(item => item.text.includes('Focused on')));
+
+    const stored = await request('GET', `/api/resumes/${resumeId}`);
+    assert.strictEqual(stored.body.record.data.summary, body.updated);
+    assert.strictEqual((await request('GET', `/api/ats-scores/${body.ids.atsScoreId}`)).body.record.refs.resumeId, resumeId);
+  }));
+
+  await check('/resume/:id/regenerate answers 400 for a bad target and 404 for an unknown resume', () => withServer(async (request) => {
+    const generated = await request('POST', '/api/generate-resume', { jobAnalysis: JOB_ANALYSIS, answers: ANSWERS });
+    const badTarget = await request('POST', `/api/resume/${generated.body.ids.resumeId}/regenerate`, { target: 'education[0]' });
+    assert.strictEqual(badTarget.status, 400);
+    assert.strictEqual((await request('POST', `/api/resume/${generated.body.ids.resumeId}/regenerate`, {})).status, 400);
+    assert.strictEqual((await request('POST', '/api/resume/missing/regenerate', { target: 'summary' })).status, 404);
+  }));
+}
+
+module.exports = {
+  run,
+};
@@ -0,0 +1,77 @@
+/**
+ * Keyword section weighting: where in the resume a keyword appears, and what it is worth there
+ */
+
+const assert = require('assert');
+const { check, section } = require('./harness');
+const { JOB_ANALYSIS, RESUME } = require('./samples');
+const { scoreResume } = require('../src/services/atsScorer');
+
+/**
+ * A job asking for one keyword, Git, which RESUME only lists under skills
+ * @type {Object}
+ */
+const GIT_JOB = { ...JOB_ANALYSIS, requiredSkills: ['Git'], atsKeywords: [{ keyword: 'Git', frequency: 1 }] };
+
+/**
+ * Returns RESUME with a bullet added to its first role
+ * @param {string} bullet - Bullet to add
+ * @returns {Object}
+ */
+function withBullet(bullet) {
+  const [first, ...rest] = RESUME.experience;
+  return { ...RESUME, experience: [{ ...first, bullets: [...first.bullets, bullet] }, ...rest] };
+}
+
+async function run() {
+  section('Keyword section weighting');
+
+  await check('occurrences are counted per section; education and additional sections count as other', () => {
+    const score = scoreResume(RESUME, JOB_ANALYSIS);
+    assert.deepStrictEqual(score.keywordSections.Python, { summary: 1, experience: 2, skills: 1, other: 0 });
+    assert.deepStrictEqual(score.keywordSections['REST APIs'], { summary: 0, experience: 1, skills: 0, other: 0 });
+
+    const educated = scoreResume({ ...RESUME, skills: {}, education: [{ degree: 'BSc', institution: 'Git University' }] }, GIT_JOB);
+    assert.deepStrictEqual(educated.keywordSections.Git, { summary: 0, experience: 0, skills: 0, other: 1 });
+  });
+
+  await check('a keyword only listed under skills earns its share times the skills weight', () => {
+    const expected = { 'strict-keyword': [80, -20], balanced: [60, -40], 'human-reviewer': [40, -60] };
+    Object.entries(expected).forEach(([name, [score, lost]]) => {
+      const scored = scoreResume(RESUME, GIT_JOB, { scoringProfile: name });
+      assert.strictEqual(scored.keywordMatchScore, score, name);
+      const detail = scored.explanation.rules.find(rule => rule.id === 'keywords.coverage').details[0];
+      assert.strictEqual(detail.message, `"Git": only in skills (x1), not in experience, ${lost}`);
+    });
+  });
+
+  await check('keywords and skills only listed under skills are reported with a suggestion', () => {
+    const scored = scoreResume(RESUME, GIT_JOB);
+    assert.deepStrictEqual(scored.skillsOnlyKeywords, ['Git']);
+    assert.ok(scored.suggestions.includes('Show these skills in your experience bullets, not just the skills list: Git. ATS systems weigh keywords used in experience higher.'));
+    // A required skill that is not an ATS keyword is tracked too
+    const skillOnly = scoreResume(RESUME, { ...JOB_ANALYSIS, requiredSkills: [...JOB_ANALYSIS.requiredSkills, 'Git'] });
+    assert.deepStrictEqual(skillOnly.skillsOnlyKeywords, ['Git']);
+  });
+
+  await check('using the keyword in an experience bullet earns the full share', () => {
+    const scored = scoreResume(withBullet('Set up Git hooks for the release process'), GIT_JOB);
+    assert.strictEqual(scored.keywordMatchScore, 100);
+    assert.deepStrictEqual(scored.skillsOnlyKeywords, []);
+  });
+
+  await check('further occurrences count best-weighted first, up to the profile\'s cap', () => {
+    const resume = { ...RESUME, summary: 'Backend engineer who reviews every Git change.' };
+    // balanced: summary 0.8 for coverage, then skills 0.6 of repetition, limited to the 20 points left
+    const balanced = scoreResume(resume, GIT_JOB, { scoringProfile: 'balanced' });
+    assert.strictEqual(balanced.keywordMatchScore, 100);
+    const repetition = balanced.explanation.rules.find(rule => rule.id === 'keywords.repetition');
+    assert.deepStrictEqual([repetition.earned, repetition.possible], [20, 20]);
+    // strict-keyword counts one occurrence only
+    assert.strictEqual(scoreResume(resume, GIT_JOB, { scoringProfile: 'strict-keyword' }).keywordMatchScore, 90);
+  });
+}
+
+module.exports = {
+  run,
+};
@@ -0,0 +1,148 @@
+/**
+ * Storage: both repository backends, reference filtering and analysis record reuse
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { check, section, tempDir, withServer } = require('./harness');
+const { createMemoryRepository } = require('../src/storage/memoryRepository');
+const { createSqliteRepository } = require('../src/storage/sqliteRepository');
+const { findRecord, getRepository } = require('../src/storage');
+const { clearCache } = require('../src/services/responseCache');
+
+const POSTING = `Backend Engineer
+
+Requirements:
+- Python, PostgreSQL and Docker
+- Experience building REST APIs`;
+
+/**
+ * Checks the repository interface shared by every backend
+ * @param {string} name - Backend name
+ * @param {Function} create - Creates an empty repository
+ * @returns {Promise<void>}
+ */
+async function checkRepository(name, create) {
+  await check(`${name}: insert, get, update with merged refs and remove`, () => {
+    const repository = create();
+    const record = repository.insert('resumes', { summary: 'v1' }, { analysisId: 'a1' });
+    assert.deepStrictEqual(repository.get('resumes', record.id).data, { summary: 'v1' });
+    assert.strictEqual(repository.get('analyses', record.id), null, 'records are scoped to their collection');
+
+    const updated = repository.update('resumes', record.id, { summary: 'v2' }, { answersId: 's1' });
+    assert.deepStrictEqual(updated.data, { summary: 'v2' });
+    assert.deepStrictEqual(updated.refs, { analysisId: 'a1', answersId: 's1' });
+    assert.strictEqual(repository.update('resumes', 'missing', {}), null);
+
+    assert.strictEqual(repository.remove('resumes', record.id), true);
+    assert.strictEqual(repository.remove('resumes', record.id), false);
+    repository.close();
+  });
+
+  await check(`${name}: lists newest first and filters by every given ref`, () => {
+    const repository = create();
+    const first = repository.insert('atsScores', { score: 1 }, { resumeId: 'r1', analysisId: 'a1' });
+    const second = repository.insert('atsScores', { score: 2 }, { resumeId: 'r1', analysisId: 'a2' });
+    repository.insert('atsScores', { score: 3 }, { resumeId: 'r2', analysisId: 'a1' });
+    repository.insert('resumes', { summary: '' }, { resumeId: 'r1' });
+
+    assert.deepStrictEqual(repository.list('atsScores').map(r => r.data.score), [3, 2, 1]);
+    assert.deepStrictEqual(repository.list('atsScores', { refs: { resumeId: 'r1' } }).map(r => r.id), [second.id, first.id]);
+    assert.deepStrictEqual(repository.list('atsScores', { refs: { resumeId: 'r1', analysisId: 'a1' } }).map(r => r.id), [first.id]);
+    assert.deepStrictEqual(repository.list('atsScores', { refs: { resumeId: 'r3' } }), []);
+    repository.close();
+  });
+
+  await check(`${name}: only string refs can be filtered on`, () => {
+    const repository = create();
+    repository.insert('answers', { answers: {} }, { questionnaireId: null, analysisId: 'a1', version: 2 });
+    assert.strictEqual(repository.list('answers', { refs: { analysisId: 'a1' } }).length, 1);
+    assert.deepStrictEqual(repository.list('answers', { refs: { questionnaireId: null } }), []);
+    assert.deepStrictEqual(repository.list('answers', { refs: { analysisId: 'a1', version: 2 } }), []);
+    repository.close();
+  });
+
+  await check(`${name}: ref filters follow updates and removals`, () => {
+    const repository = create();
+    const record = repository.insert('resumes', { summary: '' }, { analysisId: 'a1' });
+    repository.update('resumes', record.id, { summary: '' }, { analysisId: 'a2' });
+    assert.deepStrictEqual(repository.list('resumes', { refs: { analysisId: 'a1' } }), []);
+    assert.strictEqual(repository.list('resumes', { refs: { analysisId: 'a2' } }).length, 1);
+
+    repository.remove('resumes', record.id);
+    assert.deepStrictEqual(repository.list('resumes', { refs: { analysisId: 'a2' } }), []);
+    repository.close();
+  });
+}
+
+async function run() {
+  section('Storage');
+
+  const dir = tempDir('storage');
+  let databases = 0;
+
+  try {
+    await checkRepository('memory', createMemoryRepository);
+    await checkRepository('sqlite', () => createSqliteRepository(path.join(dir, `test-${++databases}.sqlite`)));
+
+    await check('sqlite: records persist across connections', () => {
+      const filePath = path.join(dir, 'persist.sqlite');
+      const writer = createSqliteRepository(filePath);
+      const record = writer.insert('profiles', { name: 'Ada' }, { importedFrom: 'r1' });
+      writer.close();
+
+      const reader = createSqliteRepository(filePath);
+      assert.deepStrictEqual(reader.get('profiles', record.id).data, { name: 'Ada' });
+      assert.strictEqual(reader.list('profiles', { refs: { importedFrom: 'r1' } }).length, 1);
+      reader.close();
+    });
+
+    await check('sqlite: indexes the refs of databases created before the refs table', () => {
+      const filePath = path.join(dir, 'legacy.sqlite');
+      const legacy = new Database(filePath);
+      legacy.exec(`
+        CREATE TABLE records (
+          id TEXT PRIMARY KEY, collection TEXT NOT NULL, data TEXT NOT NULL,
+          refs TEXT NOT NULL DEFAULT '{}', created_at TEXT NOT NULL, updated_at TEXT NOT NULL
+        );
+        INSERT INTO records VALUES ('s1', 'atsScores', '{}', '{"resumeId":"r1"}', '2024-01-01', '2024-01-01');
+        INSERT INTO records VALUES ('s2', 'atsScores', '{}', '{"resumeId":"r2"}', '2024-01-02', '2024-01-02');
+      `);
+      legacy.close();
+
+      const repository = createSqliteRepository(filePath);
+      assert.deepStrictEqual(repository.list('atsScores', { refs: { resumeId: 'r1' } }).map(r => r.id), ['s1']);
+      repository.close();
+    });
+
+    await check('findRecord rejects unknown IDs with a 404', () => {
+      assert.throws(() => findRecord('resumes', 'nope'), (error) => error.status === 404 && error.message === "Resume 'nope' not found");
+      assert.throws(() => findRecord('resumes', 42), (error) => error.status === 404);
+    });
+
+    await check('POST /analyze-job reuses the stored analysis on a cache hit', () => withServer(async (request) => {
+      clearCache();
+      const before = getRepository().list('analyses').length;
+
+      const first = await request('POST', '/api/analyze-job', { jobPosting: POSTING });
+      const second = await request('POST', '/api/analyze-job', { jobPosting: `  ${POSTING}\n` });
+      assert.strictEqual(first.status, 200);
+      assert.strictEqual(second.headers.get('x-cache'), 'HIT');
+      assert.strictEqual(second.body.ids.analysisId, first.body.ids.analysisId);
+      assert.strictEqual(getRepository().list('analyses').length, before + 1);
+
+      const refreshed = await request('POST', '/api/analyze-job', { jobPosting: POSTING, cache: 'bypass' });
+      assert.notStrictEqual(refreshed.body.ids.analysisId, first.body.ids.analysisId);
+      const hit = await request('POST', '/api/analyze-job', { jobPosting: POSTING });
+      assert.strictEqual(hit.body.ids.analysisId, refreshed.body.ids.analysisId, 'a hit maps to the newest record for the key');
+    }));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  run,
+};
@@ -0,0 +1,112 @@
+/**
+ * Structured output: lenient parsing, schema validation and the correction loop
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const { check, section, tempDir, withEnv } = require('./harness');
+const { saveFixture } = require('../src/services/llmFixtures');
+const { jobAnalysisSchema } = require('../src/services/outputSchemas');
+const { buildCorrectionPrompt, generateStructured, parseLenient, validateSchema } = require('../src/services/structuredOutput');
+
+const VALID_ANALYSIS = {
+  requiredSkills: ['Python'],
+  preferredQualifications: [],
+  keyResponsibilities: ['Build APIs'],
+  atsKeywords: [{ keyword: 'Python', frequency: 2 }],
+  jobLevel: 'mid',
+  industry: 'Technology',
+  companyCultureIndicators: [],
+};
+
+const MESSAGES = [{ role: 'user', content: 'Analyze this posting' }];
+
+async function run() {
+  section('Structured output repair');
+
+  await check('parses fenced JSON surrounded by prose', () => {
+    const { value, repaired } = parseLenient('Here you go:\n```json\n{"a": [1, 2,],}\n```\nHope this helps!');
+    assert.deepStrictEqual(value, { a: [1, 2] });
+    assert.strictEqual(repaired, true);
+  });
+
+  await check('clean JSON is not marked as repaired', () => {
+    assert.deepStrictEqual(parseLenient('{"a": 1}'), { value: { a: 1 }, repaired: false });
+  });
+
+  await check('closes output truncated mid-value', () => {
+    const { value } = parseLenient('{"skills": ["Python", "SQL"], "summary": "Built data pipel');
+    assert.deepStrictEqual(value.skills, ['Python', 'SQL']);
+  });
+
+  await check('drops an incomplete trailing element', () => {
+    const { value } = parseLenient('[{"q": "one"}, {"q": "two"}, {"q":');
+    assert.deepStrictEqual(value, [{ q: 'one' }, { q: 'two' }]);
+  });
+
+  await check('rejects text with no JSON value', () => {
+    assert.throws(() => parseLenient('Sorry, I cannot help with that.'), /no JSON object or array found/);
+  });
+
+  await check('reports schema errors by JSON path', () => {
+    const errors = validateSchema({ ...VALID_ANALYSIS, jobLevel: 'guru', atsKeywords: [{ keyword: '', frequency: -1 }] }, jobAnalysisSchema);
+    assert.ok(errors.some(e => e.startsWith('$.jobLevel: expected one of')));
+    assert.ok(errors.includes('$.atsKeywords[0].keyword: expected a non-empty string'));
+    assert.ok(errors.includes('$.atsKeywords[0].frequency: expected a number >= 0, got -1'));
+    assert.deepStrictEqual(validateSchema({}, { type: 'object', required: ['x'] }), ["$: missing required field 'x'"]);
+  });
+
+  const dir = tempDir('repair');
+  const bad = JSON.stringify({ ...VALID_ANALYSIS, jobLevel: 'guru' });
+  const badResponse = `Sure!\n\`\`\`json\n${bad}\n\`\`\``;
+  const errors = validateSchema(JSON.parse(bad), jobAnalysisSchema);
+  const env = { LLM_FIXTURE_MODE: 'replay', LLM_FIXTURE_DIR: dir, LLM_REPAIR_ATTEMPTS: undefined };
+
+  // Replayed fixtures stand in for the model: an invalid first answer, then a corrected one
+  await withEnv(env, () => {
+    saveFixture('jobAnalyzer', MESSAGES, badResponse);
+    saveFixture('jobAnalyzer', [
+      ...MESSAGES,
+      { role: 'assistant', content: badResponse },
+      { role: 'user', content: buildCorrectionPrompt(errors, jobAnalysisSchema) },
+    ], JSON.stringify(VALID_ANALYSIS));
+    saveFixture('jobAnalyzer', [{ role: 'user', content: 'Semantic' }], JSON.stringify(VALID_ANALYSIS));
+  });
+
+  const warn = console.warn;
+  console.warn = () => {};
+
+  try {
+    await check('re-asks with the validation errors and returns the corrected value', () => withEnv(env, async () => {
+      const value = await generateStructured({ service: 'jobAnalyzer', messages: MESSAGES, schema: jobAnalysisSchema, label: 'job analysis' });
+      assert.deepStrictEqual(value, VALID_ANALYSIS);
+    }));
+
+    await check('fails with 502 and the errors once correction attempts run out', () => withEnv({ ...env, LLM_REPAIR_ATTEMPTS: '0' }, async () => {
+      await assert.rejects(
+        generateStructured({ service: 'jobAnalyzer', messages: MESSAGES, schema: jobAnalysisSchema, label: 'job analysis' }),
+        (error) => error.status === 502 && /Invalid job analysis from model after 1 attempt/.test(error.message) && error.validationErrors.length === errors.length
+      );
+    }));
+
+    await check('runs the semantic validator after the schema', () => withEnv({ ...env, LLM_REPAIR_ATTEMPTS: '0' }, async () => {
+      await assert.rejects(
+        generateStructured({
+          service: 'jobAnalyzer',
+          messages: [{ role: 'user', content: 'Semantic' }],
+          schema: jobAnalysisSchema,
+          label: 'job analysis',
+          validate: () => { throw new Error('requiredSkills must list at least two skills'); },
+        }),
+        (error) => error.status === 502 && error.validationErrors.includes('requiredSkills must list at least two skills')
+      );
+    }));
+  } finally {
+    console.warn = warn;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  run,
+};
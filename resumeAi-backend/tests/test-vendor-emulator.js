@@ -0,0 +1,85 @@
+/**
+ * ATS vendor emulation: per-vendor parsing, keyword matching and warnings
+ */
+
+const assert = require('assert');
+const { check, section, withServer } = require('./harness');
+const { JOB_ANALYSIS, RESUME } = require('./samples');
+const { emulateVendors, resolveVendors } = require('../src/services/atsVendorEmulator');
+const { ATS_VENDORS } = require('../src/config/atsVendors');
+
+/**
+ * Returns the entry for a vendor
+ * @param {Array<Object>} vendorScores - Result of emulateVendors
+ * @param {string} key - Vendor key
+ * @returns {Object}
+ */
+function vendorOf(vendorScores, key) {
+  return vendorScores.find(entry => entry.vendor === key);
+}
+
+async function run() {
+  section('ATS vendor emulation');
+
+  await check('scores every vendor by default, and only the ones asked for otherwise', () => {
+    assert.deepStrictEqual(emulateVendors(RESUME, JOB_ANALYSIS).map(entry => entry.vendor), Object.keys(ATS_VENDORS));
+    assert.deepStrictEqual(resolveVendors(['taleo', 'taleo', 'lever']), ['taleo', 'lever']);
+    assert.throws(() => resolveVendors(['bamboo']), /vendors must be a non-empty list of: workday, greenhouse, lever, icims, taleo/);
+    assert.throws(() => resolveVendors([]), /vendors must be a non-empty list/);
+  });
+
+  await check('vendors that do not read tables miss a skills table; others read it', () => {
+    const vendorScores = emulateVendors(RESUME, JOB_ANALYSIS, { layout: { skills: 'table' } });
+    ['workday', 'icims', 'taleo'].forEach((key) => {
+      const entry = vendorOf(vendorScores, key);
+      assert.deepStrictEqual(entry.unreadSections, ['Skills']);
+      assert.ok(entry.warnings[0].endsWith('does not read text in tables, so it will miss the skills section. List skills as plain text.'));
+    });
+    const greenhouse = vendorOf(vendorScores, 'greenhouse');
+    assert.deepStrictEqual(greenhouse.unreadSections, []);
+    assert.ok(greenhouse.contentQualityScore > vendorOf(vendorScores, 'workday').contentQualityScore);
+    assert.throws(() => emulateVendors(RESUME, JOB_ANALYSIS, { layout: { skills: 'grid' } }), /layout.skills must be one of: list, table, columns/);
+  });
+
+  await check('vendors that only know standard headings skip other sections', () => {
+    const resume = { ...RESUME, additionalSections: [{ title: 'Side Quests', items: ['Docker homelab'] }, { title: 'Licenses & Certifications', items: ['AWS SAA'] }] };
+    const vendorScores = emulateVendors(resume, JOB_ANALYSIS, { vendors: ['workday', 'lever'] });
+    assert.deepStrictEqual(vendorOf(vendorScores, 'workday').unreadSections, ['Side Quests']);
+    assert.ok(vendorOf(vendorScores, 'workday').warnings[0].includes('"Side Quests" will not be indexed'));
+    assert.deepStrictEqual(vendorOf(vendorScores, 'lever').unreadSections, []);
+  });
+
+  await check('exact-match vendors miss other word forms that stemming vendors match', () => {
+    const jobAnalysis = { ...JOB_ANALYSIS, atsKeywords: [...JOB_ANALYSIS.atsKeywords, { keyword: 'deployment', frequency: 1 }] };
+    const vendorScores = emulateVendors({ ...RESUME, summary: 'Deployed Python services' }, jobAnalysis, { vendors: ['greenhouse', 'lever'] });
+    assert.deepStrictEqual(vendorOf(vendorScores, 'greenhouse').missingKeywords, ['deployment']);
+    assert.deepStrictEqual(vendorOf(vendorScores, 'greenhouse').warnings, [
+      'Greenhouse matches keywords exactly, and the resume uses a different form of: deployment. Use the wording from the posting.',
+    ]);
+    assert.deepStrictEqual(vendorOf(vendorScores, 'lever').missingKeywords, []);
+  });
+
+  await check('vendors without synonym matching miss an acronym written out in full', () => {
+    const resume = JSON.parse(JSON.stringify(RESUME).replace(/AWS/g, 'Amazon Web Services'));
+    const vendorScores = emulateVendors(resume, JOB_ANALYSIS, { vendors: ['workday', 'icims'] });
+    const workday = vendorOf(vendorScores, 'workday');
+    assert.deepStrictEqual([workday.missingKeywords, workday.missingSkills], [['AWS'], ['AWS']]);
+    assert.ok(workday.warnings[0].endsWith('for: AWS (written as "amazon web services").'));
+    assert.deepStrictEqual(vendorOf(vendorScores, 'icims').missingSkills, []);
+  });
+
+  await check('/score-resume returns vendor scores and rejects unknown vendors and layouts', () => withServer(async (request) => {
+    const scored = await request('POST', '/api/score-resume', { resume: RESUME, jobAnalysis: JOB_ANALYSIS, vendors: ['taleo'], layout: { skills: 'columns' } });
+    assert.strictEqual(scored.status, 200);
+    assert.strictEqual(scored.body.vendorScores.length, 1);
+    assert.deepStrictEqual(scored.body.vendorScores[0].unreadSections, ['Skills']);
+    assert.ok(scored.body.vendorScores[0].warnings[0].includes('does not read text in columns'));
+
+    assert.strictEqual((await request('POST', '/api/score-resume', { resume: RESUME, jobAnalysis: JOB_ANALYSIS, vendors: ['bamboo'] })).status, 400);
+    assert.strictEqual((await request('POST', '/api/score-resume', { resume: RESUME, jobAnalysis: JOB_ANALYSIS, layout: { skills: 'grid' } })).status, 400);
+  }));
+}
+
+module.exports = {
+  run,
+};